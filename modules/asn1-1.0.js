@@ -14,8 +14,9 @@
 "use strict";
 
 import { BigInteger } from "./../../js-bn/modules/jsbn.js"
-import { hextopem, utf8tohex, stohex } from "./base64x-1.1.js"
+import { hextopem, utf8tohex, stohex, hextorstr, ucs2tohex, ucs4tohex, hextoUint8Array, Uint8Arraytohex, datetozulu, zulutodate } from "./base64x-1.1.js"
 import { name2oid } from "./asn1oid.js"
+import { getTblen } from "./asn1bytes-1.0.js"
 import { Dictionary, isString, isDictionary, isListOfDictionaries } from "./../../../include/type.js"
 
 /** 
@@ -47,14 +48,20 @@ import { Dictionary, isString, isDictionary, isListOfDictionaries } from "./../.
  * <li>0x04 {@link DEROctetString}</li>
  * <li>0x05 {@link DERNull}</li>
  * <li>0x06 {@link DERObjectIdentifier}</li>
+ * <li>0x09 {@link DERReal}</li>
  * <li>0x0a {@link DEREnumerated}</li>
  * <li>0x0c {@link DERUTF8String}</li>
+ * <li>0x0d {@link DERRelativeOID}</li>
  * <li>0x12 {@link DERNumericString}</li>
  * <li>0x13 {@link DERPrintableString}</li>
  * <li>0x14 {@link DERTeletexString}</li>
  * <li>0x16 {@link DERIA5String}</li>
  * <li>0x17 {@link DERUTCTime}</li>
  * <li>0x18 {@link DERGeneralizedTime}</li>
+ * <li>0x1a {@link DERVisibleString}</li>
+ * <li>0x1b {@link DERGeneralString}</li>
+ * <li>0x1c {@link DERUniversalString}</li>
+ * <li>0x1e {@link DERBMPString}</li>
  * <li>0x30 {@link DERSequence}</li>
  * <li>0x31 {@link DERSet}</li>
  * </ul>
@@ -162,18 +169,27 @@ export function getPEMStringFromHex(dataHex, pemHeader) {
  * <li>'octstr' - DEROctetString</li>
  * <li>'null' - DERNull</li>
  * <li>'oid' - DERObjectIdentifier</li>
+ * <li>'real' - DERReal</li>
  * <li>'enum' - DEREnumerated</li>
  * <li>'utf8str' - DERUTF8String</li>
+ * <li>'roid' - DERRelativeOID</li>
  * <li>'numstr' - DERNumericString</li>
  * <li>'prnstr' - DERPrintableString</li>
  * <li>'telstr' - DERTeletexString</li>
  * <li>'ia5str' - DERIA5String</li>
  * <li>'utctime' - DERUTCTime</li>
  * <li>'gentime' - DERGeneralizedTime</li>
+ * <li>'visstr' - DERVisibleString</li>
+ * <li>'genstr' - DERGeneralString</li>
+ * <li>'unistr' - DERUniversalString</li>
+ * <li>'bmpstr' - DERBMPString</li>
  * <li>'seq' - DERSequence</li>
  * <li>'set' - DERSet</li>
  * <li>'tag' - DERTaggedObject</li>
+ * <li>'asn1' - ASN1Object with already encoded TLV</li>
  * </ul>
+ * 'set' also accepts a dictionary with 'array' and 'sortflag' properties
+ * to keep its elements in the specified order (see {@link DERSet}).
  * @example
  * newObject({'prnstr': 'aaa'});
  * newObject({'seq': [{'int': 3}, {'prnstr': 'aaa'}]})
@@ -181,6 +197,9 @@ export function getPEMStringFromHex(dataHex, pemHeader) {
  * newObject({'tag': {'tag': 'a1', 
  *                    'explicit': true,
  *                    'obj': {'seq': [{'int': 3}, {'prnstr': 'aaa'}]}}});
+ * // ASN.1 Tagged Object by class and number: [APPLICATION 31] IMPLICIT INTEGER
+ * newObject({'tag': {'class': 'application', 'number': 31,
+ *                    'explicit': false, 'obj': {'int': 3}}});
  * // more simple representation of ASN.1 Tagged Object
  * newObject({'tag': ['a1',
  *                    true,
@@ -188,6 +207,10 @@ export function getPEMStringFromHex(dataHex, pemHeader) {
  *                      {'int': 3}, 
  *                      {'prnstr': 'aaa'}]}
  *                   ]});
+ * // SET which elements shall not be sorted
+ * newObject({'set': {'array': [{'int': 4}, {'int': 3}], 'sortflag': false}});
+ * // already encoded ASN.1 TLV
+ * newObject({'asn1': {'tlv': '020103'}});
  */
 export function newObject(param) {
 	if (param === null) return new DERNull();
@@ -196,7 +219,7 @@ export function newObject(param) {
 		throw "key of param shall be only one.";
 	let key = keys[0];
 
-	if (":bool:int:bitstr:octstr:null:oid:enum:utf8str:numstr:prnstr:telstr:ia5str:utctime:gentime:seq:set:tag:".indexOf(":" + key + ":") == -1)
+	if (":bool:int:bitstr:octstr:null:oid:real:enum:utf8str:roid:numstr:prnstr:telstr:ia5str:utctime:gentime:visstr:genstr:unistr:bmpstr:seq:set:tag:asn1:".indexOf(":" + key + ":") == -1)
 		throw "undefined key: " + key;
 
 	let val = param[key];
@@ -207,14 +230,20 @@ export function newObject(param) {
 	if ((key == "octstr") && (typeof val === 'string' || isDictionary(val))) return new DEROctetString(/** @type {Dictionary | string} */ ( val ));
 	if ((key == "null")) return new DERNull();
 	if ((key == "oid") && (typeof val === 'string' || isDictionary(val))) return new DERObjectIdentifier(/** @type {Dictionary | string} */ ( val ));
+	if ((key == "real") && (typeof val === 'number' || isDictionary(val))) return new DERReal(/** @type {Dictionary | number} */ ( val ));
 	if ((key == "enum") && (typeof val === 'number' || isDictionary(val))) return new DEREnumerated(/** @type {Dictionary | number} */ ( val ));
 	if ((key == "utf8str") && (typeof val === 'string' || isDictionary(val))) return new DERUTF8String(/** @type {Dictionary | string} */ ( val ));
+	if ((key == "roid") && (typeof val === 'string' || isDictionary(val))) return new DERRelativeOID(/** @type {Dictionary | string} */ ( val ));
 	if ((key == "numstr") && (typeof val === 'string' || isDictionary(val))) return new DERNumericString(/** @type {Dictionary | string} */ ( val ));
 	if ((key == "prnstr") && (typeof val === 'string' || isDictionary(val))) return new DERPrintableString(/** @type {Dictionary | string} */ ( val ));
 	if ((key == "telstr") && (typeof val === 'string' || isDictionary(val))) return new DERTeletexString(/** @type {Dictionary | string} */ ( val ));
 	if ((key == "ia5str") && (typeof val === 'string' || isDictionary(val))) return new DERIA5String(/** @type {Dictionary | string} */ ( val ));
 	if ((key == "utctime") && (typeof val === 'string' || isDictionary(val))) return new DERUTCTime(/** @type {Dictionary | string} */ ( val ));
 	if ((key == "gentime") && (typeof val === 'string' || isDictionary(val))) return new DERGeneralizedTime(/** @type {Dictionary | string} */ ( val ));
+	if ((key == "visstr") && (typeof val === 'string' || isDictionary(val))) return new DERVisibleString(/** @type {Dictionary | string} */ ( val ));
+	if ((key == "genstr") && (typeof val === 'string' || isDictionary(val))) return new DERGeneralString(/** @type {Dictionary | string} */ ( val ));
+	if ((key == "unistr") && (typeof val === 'string' || isDictionary(val))) return new DERUniversalString(/** @type {Dictionary | string} */ ( val ));
+	if ((key == "bmpstr") && (typeof val === 'string' || isDictionary(val))) return new DERBMPString(/** @type {Dictionary | string} */ ( val ));
 
 	if ((key == "seq") && isListOfDictionaries(val)) {
 		let paramList = /** @type {Array<Dictionary>} */ ( param[key] );
@@ -236,6 +265,22 @@ export function newObject(param) {
 		return new DERSet(/** @type {Dictionary} */ ( { 'array': a } ));
 	}
 
+	if ((key == "set") && isDictionary(val) && isListOfDictionaries(val['array'])) {
+		let paramList = /** @type {Array<Dictionary>} */ ( val['array'] );
+		/** @type {Array<ASN1Object>} */ let a = [];
+		for (let i = 0; i < paramList.length; i++) {
+			let asn1Obj = newObject(paramList[i]);
+			a.push(asn1Obj);
+		}
+		return new DERSet(/** @type {Dictionary} */ ( { 'array': a, 'sortflag': val['sortflag'] } ));
+	}
+
+	if ((key == "asn1") && isDictionary(val)) {
+		if (!isString(val['tlv']))
+			throw "tlv shall be specified for 'asn1'.";
+		return new ASN1Object(/** @type {Dictionary} */ ( val ));
+	}
+
 	if (key == "tag") {
 		let tagParam = param[key];
 		if (Object.prototype.toString.call(tagParam) === '[object Array]' && tagParam.length == 3) {
@@ -254,6 +299,10 @@ export function newObject(param) {
 				newParam['explicit'] = tagParam['explicit'];
 			if (tagParam['tag'] !== undefined)
 				newParam['tag'] = tagParam['tag'];
+			if (tagParam['class'] !== undefined)
+				newParam['class'] = tagParam['class'];
+			if (tagParam['number'] !== undefined)
+				newParam['number'] = tagParam['number'];
 			if (!isDictionary(tagParam['obj']))
 				throw "obj shall be specified for 'tag'.";
 			newParam['obj'] = newObject(/** @type {Dictionary} */ ( tagParam['obj'] ));
@@ -366,6 +415,260 @@ export function oidIntToHex(oidString) {
 	return h;
 }
 
+/**
+ * get dot noted relative oid number string from hexadecimal value of relative object identifier
+ * @param {string} hex hexadecimal value of relative object identifier
+ * @return {string} dot noted string of relative object identifier
+ * @example
+ * roidHexToInt('038e0d') &rarr; "3.1805"
+ */
+export function roidHexToInt(hex) {
+	/** @type {Array<string>} */ let a = [];
+	let binbuf = "";
+	for (let i = 0; i < hex.length; i += 2) {
+		let value = parseInt(hex.substr(i, 2), 16);
+		let bin = ("00000000" + value.toString(2)).slice(- 8);
+		binbuf = binbuf + bin.substr(1, 7);
+		if (bin.substr(0, 1) == "0") {
+			a.push(new BigInteger(binbuf, 2).toString(10));
+			binbuf = "";
+		}
+	}
+	if (binbuf != "") throw "malformed relative oid value: " + hex;
+	return a.join('.');
+}
+
+/**
+ * get hexadecimal value of relative object identifier from dot noted relative oid value
+ * @param {string} roidString dot noted string of relative object identifier
+ * @return {string} hexadecimal value of relative object identifier
+ * @example
+ * roidIntToHex("3.1805") &rarr; "038e0d"
+ */
+export function roidIntToHex(roidString) {
+	if (!roidString.match(/^[0-9]+(\.[0-9]+)*$/)) {
+		throw "malformed relative oid string: " + roidString;
+	}
+	let h = '';
+	let a = roidString.split('.');
+	for (let i = 0; i < a.length; i++) {
+		h += roidtox(a[i]);
+	}
+	return h;
+}
+
+/**
+ * get hexadecimal value of ASN.1 REAL from number
+ * @param {number} n number
+ * @return {string} hexadecimal value of DER encoded REAL
+ * @description
+ * Finite numbers are encoded in base 2 with odd mantissa and
+ * no scaling factor as required by DER (X.690 11.3.1).
+ * Infinities, NaN and minus zero are encoded as special real values.
+ * @example
+ * realToHex(0) &rarr; ""
+ * realToHex(1) &rarr; "800001"
+ * realToHex(-0.5) &rarr; "c0ff01"
+ * realToHex(Infinity) &rarr; "40"
+ */
+export function realToHex(n) {
+	if (n === 0) return (1 / n < 0) ? "43" : "";
+	if (n === Infinity) return "40";
+	if (n === -Infinity) return "41";
+	if (isNaN(n)) return "42";
+
+	let first = (n < 0) ? 0xc0 : 0x80;
+	let m = Math.abs(n);
+	let e = 0;
+	while (m != Math.floor(m)) {
+		m *= 2;
+		e--;
+	}
+	while (m % 2 == 0) {
+		m /= 2;
+		e++;
+	}
+
+	let hM = m.toString(16);
+	if (hM.length % 2 == 1) hM = "0" + hM;
+	let hE = bigIntToMinTwosComplementsHex(new BigInteger(String(e), 10));
+	first |= hE.length / 2 - 1; // 1 or 2 octets exponent
+	return itox(first) + hE + hM;
+}
+
+/**
+ * get number from hexadecimal value of ASN.1 REAL
+ * @param {string} hex hexadecimal value of BER or DER encoded REAL
+ * @return {number} number
+ * @description
+ * Binary encoding of any base and scaling factor,
+ * decimal encoding (ISO 6093 NR1, NR2 and NR3) and
+ * special real values are supported.
+ * @example
+ * realHexToNumber("800001") &rarr; 1
+ * realHexToNumber("c0ff01") &rarr; -0.5
+ * realHexToNumber("03312e35452b30") &rarr; 1.5 // "1.5E+0"
+ */
+export function realHexToNumber(hex) {
+	if (hex == "") return 0;
+	let first = parseInt(hex.substr(0, 2), 16);
+	if (first == 0x40) return Infinity;
+	if (first == 0x41) return -Infinity;
+	if (first == 0x42) return NaN;
+	if (first == 0x43) return -0;
+
+	if ((first & 0xc0) == 0) { // decimal encoding
+		let s = hextorstr(hex.substr(2)).replace(/,/g, '.').trim();
+		let v = parseFloat(s);
+		if (!s.match(/^[+-]?([0-9]+\.?[0-9]*|\.[0-9]+)([eE][+-]?[0-9]+)?$/) || isNaN(v))
+			throw "malformed decimal real value: " + hex;
+		return v;
+	}
+	if ((first & 0x80) == 0) throw "malformed real value: " + hex;
+
+	let sign = (first & 0x40) ? -1 : 1;
+	let base = [2, 8, 16][(first >> 4) & 3];
+	if (base === undefined) throw "malformed real base: " + hex;
+	let scale = (first >> 2) & 3;
+	let pos = 2;
+	let eLen = (first & 3) + 1;
+	if (eLen == 4) {
+		eLen = parseInt(hex.substr(2, 2), 16);
+		pos = 4;
+	}
+	let hE = hex.substr(pos, eLen * 2);
+	let hM = hex.substr(pos + eLen * 2);
+	if (hE.length != eLen * 2 || eLen == 0) throw "malformed real exponent: " + hex;
+
+	let e = parseInt(hE, 16);
+	if (parseInt(hE.substr(0, 1), 16) >= 8) e -= Math.pow(2, eLen * 8);
+	let m = (hM == "") ? 0 : parseInt(hM, 16);
+	return sign * m * Math.pow(2, scale) * Math.pow(base, e);
+}
+
+/**
+ * bits of ASN.1 tag class in the first tag byte
+ * @type {Object<string, number>}
+ */
+const TAG_CLASS_BITS = {
+	'universal': 0x00,
+	'application': 0x40,
+	'context': 0x80,
+	'private': 0xc0
+};
+
+/**
+ * get hexadecimal string of ASN.1 tag from its class and number
+ * @param {string} tagClass tag class 'universal', 'application', 'context' or 'private'
+ * @param {number} number tag number
+ * @param {boolean} constructed true for constructed encoding
+ * @return {string} hexadecimal string of ASN.1 tag
+ * @description
+ * Tag number 31 or larger is encoded in multiple bytes (X.690 8.1.2.4).
+ * @example
+ * tagToHex('context', 1, true) &rarr; "a1"
+ * tagToHex('context', 31, false) &rarr; "9f1f"
+ * tagToHex('context', 709, true) &rarr; "bf8545"
+ * tagToHex('application', 2, false) &rarr; "42"
+ */
+export function tagToHex(tagClass, number, constructed) {
+	let first = TAG_CLASS_BITS[tagClass];
+	if (first === undefined) throw "unknown tag class: " + tagClass;
+	if (number !== Math.floor(number) || number < 0 || number >= 0x800000000)
+		throw "invalid tag number: " + number;
+	if (constructed) first |= 0x20;
+	if (number < 31) return itox(first | number);
+
+	let h = itox(first | 0x1f);
+	let b = number.toString(2);
+	let padLen = (7 - b.length % 7) % 7;
+	b = "000000".substr(0, padLen) + b;
+	for (let i = 0; i < b.length; i += 7) {
+		h += itox(parseInt(b.substr(i, 7), 2) | ((i + 7 < b.length) ? 0x80 : 0));
+	}
+	return h;
+}
+
+/**
+ * get class and number of ASN.1 tag from its hexadecimal string
+ * @param {string} hT hexadecimal string of ASN.1 tag
+ * @return {Dictionary} dictionary with 'class', 'number' and 'constructed' properties
+ * @throws {string} if tag is malformed
+ * @example
+ * parseTagHex("a1") &rarr; {'class': 'context', 'number': 1, 'constructed': true}
+ * parseTagHex("9f1f") &rarr; {'class': 'context', 'number': 31, 'constructed': false}
+ */
+export function parseTagHex(hT) {
+	let first = parseInt(hT.substr(0, 2), 16);
+	if (isNaN(first) || getTblen(hT, 0) * 2 != hT.length) throw "malformed ASN.1 tag: " + hT;
+	let tagClass = ['universal', 'application', 'context', 'private'][first >> 6];
+	let number = first & 0x1f;
+	if (number == 0x1f) {
+		number = 0;
+		for (let i = 2; i < hT.length; i += 2) {
+			number = number * 128 + (parseInt(hT.substr(i, 2), 16) & 0x7f);
+		}
+	}
+	return /** @type {Dictionary} */ ( { 'class': tagClass, 'number': number, 'constructed': (first & 0x20) != 0 } );
+}
+
+/**
+ * get byte length of ASN.1 L(length) for value byte length
+ * @param {number} n byte length of ASN.1 value
+ * @return {number} byte length of ASN.1 L(length)
+ */
+function lengthByteLength(n) {
+	let len = 1;
+	if (n < 128) return len;
+	while (n > 0) {
+		len++;
+		n = Math.floor(n / 256);
+	}
+	return len;
+}
+
+/**
+ * write ASN.1 T(tag) and L(length) to a byte array
+ * @param {Uint8Array} a byte array
+ * @param {number} pos byte index to start writing
+ * @param {string} hT hexadecimal string of ASN.1 tag
+ * @param {number} n byte length of ASN.1 value
+ * @return {number} byte index after written tag and length
+ */
+function writeTagLength(a, pos, hT, n) {
+	if (hT.length == 2) {
+		a[pos++] = parseInt(hT, 16);
+	} else {
+		hextoUint8Array(hT, a, pos);
+		pos += hT.length / 2;
+	}
+	if (n < 128) {
+		a[pos++] = n;
+		return pos;
+	}
+	let len = lengthByteLength(n) - 1;
+	a[pos++] = 0x80 + len;
+	for (let i = len - 1; i >= 0; i--) {
+		a[pos + i] = n % 256;
+		n = Math.floor(n / 256);
+	}
+	return pos + len;
+}
+
+/**
+ * compare byte arrays in lexicographic order for DER SET OF sorting
+ * @param {Uint8Array} a1
+ * @param {Uint8Array} a2
+ * @return {number} negative, zero or positive number
+ */
+function compareBytes(a1, a2) {
+	let n = Math.min(a1.length, a2.length);
+	for (let i = 0; i < n; i++) {
+		if (a1[i] != a2[i]) return a1[i] - a2[i];
+	}
+	return a1.length - a2.length;
+}
+
 /**
  * base class for ASN.1 DER encoder object
  * @property {boolean} isModified flag whether internal data was changed
@@ -374,14 +677,34 @@ export function oidIntToHex(oidString) {
  * @property {string} hL hexadecimal string of ASN.1 TLV length(L)
  * @property {string} hV hexadecimal string of ASN.1 TLV value(V)
  * @description
+ * <br/>
+ * As for argument 'params' for constructor, you can specify
+ * following property:
+ * <ul>
+ * <li>tlv - specify already encoded ASN.1 TLV by a hexadecimal string.
+ * It will be returned as is by {@link ASN1Object#getEncodedHex}.</li>
+ * </ul>
+ * NOTE: 'params' can be omitted.
+ * @example
+ * o = new ASN1Object({'tlv': '020101'});
+ * o.getEncodedHex() &rarr; '020101'
  */
 export class ASN1Object {
-	constructor() {
+	/**
+	 * @param {Dictionary=} params dictionary of parameters (ex. {'tlv': '020101'})
+	 */
+	constructor(params) {
 		/** @protected */ this.isModified = true;
 		/** @type {string | null} */ this.hTLV = null;
 		/** @protected @type {string} */ this.hT = '00';
 		/** @protected @type {string} */ this.hL = '00';
 		/** @protected @type {string} */ this.hV = '';
+		/** @private @type {string | null} */ this.hEncoded = null;
+
+		if (params !== undefined && isString(params['tlv'])) {
+			this.hTLV = /** @type {string} */ ( params['tlv'] );
+			this.isModified = false;
+		}
 	}
 
     /**
@@ -436,6 +759,50 @@ export class ASN1Object {
 		return this.hV;
 	}
 
+    /**
+     * get byte array of ASN.1 TLV
+     * @return {Uint8Array} byte array of ASN.1 TLV
+     * @description
+     * Structured objects are written into the byte array directly
+     * without encoding them to hexadecimal string.
+     * @example
+     * new DERInteger({'int': 3}).getEncodedBytes() &rarr; Uint8Array [2, 1, 3]
+     */
+	getEncodedBytes() {
+		let a = new Uint8Array(this.getEncodedLength());
+		this.writeEncoded(a, 0);
+		return a;
+	}
+
+    /**
+     * get byte length of ASN.1 TLV
+     * @return {number} byte length of ASN.1 TLV
+     * @description
+     * This method is the first pass of byte array encoding.
+     * It shall be followed by {@link ASN1Object#writeEncoded}
+     * which uses lengths computed by this method.
+     */
+	getEncodedLength() {
+		this.hEncoded = this.getEncodedHex();
+		return this.hEncoded.length / 2;
+	}
+
+    /**
+     * write ASN.1 TLV bytes to a byte array
+     * @param {Uint8Array} a byte array with enough space for ASN.1 TLV
+     * @param {number} pos byte index to start writing
+     * @return {number} byte index after written ASN.1 TLV
+     * @description
+     * This method is the second pass of byte array encoding
+     * after {@link ASN1Object#getEncodedLength}.
+     */
+	writeEncoded(a, pos) {
+		let h = (this.hEncoded != null) ? this.hEncoded : this.getEncodedHex();
+		this.hEncoded = null;
+		hextoUint8Array(h, a, pos);
+		return pos + h.length / 2;
+	}
+
 	getFreshValueHex() {
 		return '';
 	}
@@ -534,55 +901,21 @@ export class DERAbstractTime extends ASN1Object {
 		/** @protected @type {Date | null} */ this.date = null;
 	}
 
-	/**
-	 * @private
-	 * @param {Date} d 
-	 * @returns {Date}
-	 */
-	static localDateToUTC(d) {
-		let utc = d.getTime() + (d.getTimezoneOffset() * 60000);
-		let utcDate = new Date(utc);
-		return utcDate;
-	}
-
     /**
      * format date string by Data object
 	 * @private
      * @param {Date} dateObject 
      * @param {string} type 'utc' or 'gen'
      * @param {boolean=} withMillis flag for with millisections or not
+     * @return {string} UTCTime or GeneralizedTime string in UTC
+     * @throws {string} if year of UTCTime is not between 1950 and 2049
      * @description
      * 'withMillis' flag is supported from asn1 1.0.6.
+     * Date is formatted in UTC regardless of local time zone and
+     * milliseconds are written without trailing zeros as DER requires.
      */
 	formatDate(dateObject, type, withMillis) {
-		let d = DERAbstractTime.localDateToUTC(dateObject);
-		let year = String(d.getFullYear());
-		if (type == 'utc') year = year.substr(2, 2);
-		let month = DERAbstractTime.zeroPadding(String(d.getMonth() + 1), 2);
-		let day = DERAbstractTime.zeroPadding(String(d.getDate()), 2);
-		let hour = DERAbstractTime.zeroPadding(String(d.getHours()), 2);
-		let min = DERAbstractTime.zeroPadding(String(d.getMinutes()), 2);
-		let sec = DERAbstractTime.zeroPadding(String(d.getSeconds()), 2);
-		let s = year + month + day + hour + min + sec;
-		if (withMillis === true) {
-			let millis = d.getMilliseconds();
-			if (millis != 0) {
-				let sMillis = DERAbstractTime.zeroPadding(String(millis), 3);
-				sMillis = sMillis.replace(/[0]+$/, "");
-				s = s + "." + sMillis;
-			}
-		}
-		return s + "Z";
-	}
-
-	/**
-	 * @private
-	 * @param {string} s 
-	 * @param {number} len 
-	 */
-	static zeroPadding(s, len) {
-		if (s.length >= len) return s;
-		return new Array(len - s.length + 1).join('0') + s;
+		return datetozulu(dateObject, type == 'utc', withMillis === true);
 	}
 
     /**
@@ -601,9 +934,26 @@ export class DERAbstractTime extends ASN1Object {
 		this.hTLV = null;
 		this.isModified = true;
 		this.s = newS;
+		this.date = null;
 		this.hV = stohex(newS);
 	}
 
+    /**
+     * get Date object of this time object
+     * @return {Date} Date object of this time
+     * @throws {string} if time string is malformed
+     * @description
+     * Fraction of seconds and local time differential such as "+0900"
+     * are also considered by {@link zulutodate}.
+     * @example
+     * new DERGeneralizedTime({'str': '20130430235959.5+0900'}).getDate().toISOString() &rarr; "2013-04-30T14:59:59.500Z"
+     */
+	getDate() {
+		if (this.date != null) return this.date;
+		if (this.s == null) throw "time is not set";
+		return zulutodate(this.s);
+	}
+
     /**
      * set value by a Date object
      * @param {number} year year of date (ex. 2013)
@@ -644,6 +994,7 @@ export class DERAbstractStructured extends ASN1Object {
 		super();
 
 		/** @protected @type {Array<ASN1Object>} */ this.asn1Array = [];
+		/** @private @type {number} */ this.vLength = -1;
 
 		if (typeof params != "undefined") {
 			if (typeof params['array'] != "undefined") {
@@ -671,6 +1022,80 @@ export class DERAbstractStructured extends ASN1Object {
 		this.isModified = true;
 		this.asn1Array.push(asn1Object);
 	}
+
+    /**
+     * get hexadecimal string of ASN.1 TLV bytes
+     * @return {string} hexadecimal string of ASN.1 TLV
+     * @description
+     * Elements are encoded into one byte array which is
+     * converted to hexadecimal string only once.
+     * @override
+     */
+	getEncodedHex() {
+		if (this.hTLV == null || this.isModified) {
+			let a = new Uint8Array(this.getEncodedLength());
+			let vLength = this.vLength;
+			this.writeEncoded(a, 0);
+			this.hTLV = Uint8Arraytohex(a);
+			this.hL = this.hTLV.substr(this.hT.length, lengthByteLength(vLength) * 2);
+			this.hV = this.hTLV.substr(this.hT.length + this.hL.length);
+			this.isModified = false;
+		}
+		return this.hTLV;
+	}
+
+	/** @override */
+	getEncodedLength() {
+		if (this.hTLV != null && !this.isModified) {
+			this.vLength = -1;
+			return super.getEncodedLength();
+		}
+		this.vLength = this.getElementsLength();
+		return this.hT.length / 2 + lengthByteLength(this.vLength) + this.vLength;
+	}
+
+	/** @override */
+	writeEncoded(a, pos) {
+		if (this.vLength < 0) return super.writeEncoded(a, pos);
+		pos = writeTagLength(a, pos, this.hT, this.vLength);
+		pos = this.writeElements(a, pos);
+		this.vLength = -1;
+		return pos;
+	}
+
+    /**
+     * get byte length of encoded elements
+     * @protected
+     * @return {number} byte length of ASN.1 value
+     */
+	getElementsLength() {
+		let n = 0;
+		for (let i = 0; i < this.asn1Array.length; i++) {
+			n += this.asn1Array[i].getEncodedLength();
+		}
+		return n;
+	}
+
+    /**
+     * write encoded elements to a byte array
+     * @protected
+     * @param {Uint8Array} a byte array
+     * @param {number} pos byte index to start writing
+     * @return {number} byte index after written elements
+     */
+	writeElements(a, pos) {
+		for (let i = 0; i < this.asn1Array.length; i++) {
+			pos = this.asn1Array[i].writeEncoded(a, pos);
+		}
+		return pos;
+	}
+
+	/** @override */
+	getFreshValueHex() {
+		this.isModified = true;
+		this.getEncodedHex();
+		return this.hV;
+	}
 }
 
 /**
@@ -1128,6 +1553,70 @@ export class DERObjectIdentifier extends ASN1Object {
 	}
 }
 
+/**
+ * class for ASN.1 DER Real
+ * @description
+ * <br/>
+ * As for argument 'params' for constructor, you can specify one of
+ * following properties:
+ * <ul>
+ * <li>real - specify initial ASN.1 value(V) by number</li>
+ * <li>hex - specify initial ASN.1 value(V) by a hexadecimal string</li>
+ * </ul>
+ * NOTE: 'params' can be omitted.
+ * Number is encoded by {@link realToHex}.
+ * @example
+ * new DERReal(0.5).getEncodedHex() &rarr; "090380ff01"
+ * new DERReal({'real': -Infinity}).getEncodedHex() &rarr; "090141"
+ * new DERReal({'hex': '03312e35452b30'}); // decimal "1.5E+0"
+ */
+export class DERReal extends ASN1Object {
+	/**
+	 * @param {(Dictionary | number)=} params 
+	 */
+	constructor(params) {
+		super();
+
+		this.hT = "09";
+		this.hV = "";
+
+		if (params !== undefined) {
+			if (typeof params == "number") {
+				this.setByNumber(params);
+			} else if (params['real'] !== undefined) {
+				this.setByNumber(Number(params['real']));
+			} else if (params['hex'] !== undefined) {
+				this.setValueHex(String(params['hex']));
+			}
+		}
+	}
+
+    /**
+     * set value by number
+     * @param {number} n number to set
+     */
+	setByNumber(n) {
+		this.hTLV = null;
+		this.isModified = true;
+		this.hV = realToHex(n);
+	}
+
+    /**
+     * set value by a hexadecimal string
+     * @param {string} newHexString hexadecimal value of REAL
+     */
+	setValueHex(newHexString) {
+		this.hTLV = null;
+		this.isModified = true;
+		this.hV = newHexString;
+	}
+
+	/** @override */
+	getFreshValueHex() {
+		return this.hV;
+	}
+}
+
 /**
  * class for ASN.1 DER Enumerated
  * @description
@@ -1216,6 +1705,67 @@ export class DERUTF8String extends DERAbstractString {
 	}
 }
 
+/**
+ * class for ASN.1 DER RelativeOID
+ * @description
+ * <br/>
+ * As for argument 'params' for constructor, you can specify one of
+ * following properties:
+ * <ul>
+ * <li>roid - specify initial ASN.1 value(V) by a relative oid string (ex. 3.1805)</li>
+ * <li>hex - specify initial ASN.1 value(V) by a hexadecimal string</li>
+ * </ul>
+ * NOTE: 'params' can be omitted.
+ * @example
+ * new DERRelativeOID("3.1805").getEncodedHex() &rarr; "0d03038e0d"
+ * new DERRelativeOID({'roid': '3.1805'});
+ */
+export class DERRelativeOID extends ASN1Object {
+	/**
+	 * @param {(Dictionary | string)=} params dictionary of parameters (ex. {'roid': '3.1805'})
+	 */
+	constructor(params) {
+		super();
+
+		this.hT = "0d";
+
+		if (params !== undefined) {
+			if (typeof params === "string") {
+				this.setValueRoidString(params);
+			} else if (params['roid'] !== undefined) {
+				this.setValueRoidString(String(params['roid']));
+			} else if (params['hex'] !== undefined) {
+				this.setValueHex(String(params['hex']));
+			}
+		}
+	}
+
+    /**
+     * set value by a hexadecimal string
+     * @param {string} newHexString hexadecimal value of relative OID bytes
+     */
+	setValueHex(newHexString) {
+		this.hTLV = null;
+		this.isModified = true;
+		this.hV = newHexString;
+	}
+
+    /**
+     * set value by a relative OID string
+     * @param {string} roidString relative OID string (ex. 3.1805)
+     */
+	setValueRoidString(roidString) {
+		this.hTLV = null;
+		this.isModified = true;
+		this.hV = roidIntToHex(roidString);
+	}
+
+	/** @override */
+	getFreshValueHex() {
+		return this.hV;
+	}
+}
+
 /**
  * class for ASN.1 DER NumericString
  * @description
@@ -1288,6 +1838,9 @@ export class DERIA5String extends DERAbstractString {
  * <li>date - specify Date object.</li>
  * </ul>
  * NOTE: 'params' can be omitted.
+ * Date object is formatted in UTC and only years from 1950 to 2049
+ * can be represented by UTCTime. Please use {@link DERGeneralizedTime}
+ * for other years as RFC 5280 requires.
  * <h4>EXAMPLES</h4>
  * @example
  * d1 = new DERUTCTime();
@@ -1337,7 +1890,7 @@ export class DERUTCTime extends DERAbstractTime {
 
 	/** @override */
 	getFreshValueHex() {
-		if (typeof this.date == "undefined" && typeof this.s == "undefined") {
+		if (this.date == null && this.s == null) {
 			this.date = new Date();
 			this.s = this.formatDate(this.date, 'utc');
 			this.hV = stohex(this.s);
@@ -1361,6 +1914,12 @@ export class DERUTCTime extends DERAbstractTime {
  * </ul>
  * NOTE1: 'params' can be omitted.
  * NOTE2: 'withMillis' property is supported from asn1 1.0.6.
+ * Date object is formatted in UTC and milliseconds are written
+ * without trailing zeros as DER requires (ex. "20130430235959.5Z").
+ * @example
+ * new DERGeneralizedTime({'date': new Date(Date.UTC(2013, 3, 30, 23, 59, 59, 500)), 'millis': true});
+ * // no well-defined expiration date of RFC 5280
+ * new DERGeneralizedTime('99991231235959Z');
  */
 export class DERGeneralizedTime extends DERAbstractTime {
 	/**
@@ -1374,18 +1933,18 @@ export class DERGeneralizedTime extends DERAbstractTime {
 		/** @type {string} */ this.s;
 
 		if (params !== undefined) {
+			if (params['millis'] === true) {
+				this.withMillis = true;
+			}
 			if (params['str'] !== undefined) {
 				this.setString(params['str']);
-			} else if (typeof params == "string" && params.match(/^[0-9]{14}Z$/)) {
+			} else if (typeof params == "string" && params.match(/^[0-9]{14}(\.[0-9]*[1-9])?Z$/)) {
 				this.setString(params);
 			//} else if (params['hex'] !== undefined) {
 			//	this.setStringHex(String(params['hex']));
 			} else if (params['date'] !== undefined) {
 				this.setByDate(params['date']);
 			}
-			if (params['millis'] === true) {
-				this.withMillis = true;
-			}
 		}
 	}
 
@@ -1409,7 +1968,7 @@ export class DERGeneralizedTime extends DERAbstractTime {
 
 	/** @override */
 	getFreshValueHex() {
-		if (this.date === undefined && this.s === undefined) {
+		if (this.date == null && this.s == null) {
 			this.date = new Date();
 			this.s = this.formatDate(this.date, 'gen', this.withMillis);
 			this.hV = stohex(this.s);
@@ -1418,6 +1977,89 @@ export class DERGeneralizedTime extends DERAbstractTime {
 	}
 }
 
+/**
+ * class for ASN.1 DER VisibleString
+ * @description
+ */
+export class DERVisibleString extends DERAbstractString {
+	/**
+	 * @param {(Dictionary | string)=} params dictionary of parameters (ex. {'str': 'aaa'})
+	 */
+	constructor(params) {
+		super(params);
+
+		this.hT = "1a";
+	}
+}
+
+/**
+ * class for ASN.1 DER GeneralString
+ * @description
+ */
+export class DERGeneralString extends DERAbstractString {
+	/**
+	 * @param {(Dictionary | string)=} params dictionary of parameters (ex. {'str': 'aaa'})
+	 */
+	constructor(params) {
+		super(params);
+
+		this.hT = "1b";
+	}
+}
+
+/**
+ * class for ASN.1 DER UniversalString
+ * @description
+ * String is encoded by UCS-4 big endian (4 bytes per character).
+ * @example
+ * new DERUniversalString({'str': 'a'}).getEncodedHex() &rarr; "1c0400000061"
+ */
+export class DERUniversalString extends DERAbstractString {
+	/**
+	 * @param {(Dictionary | string)=} params dictionary of parameters (ex. {'str': 'aaa'})
+	 */
+	constructor(params) {
+		super(params);
+
+		this.hT = "1c";
+	}
+
+	/** @override */
+	setString(newS) {
+		this.hTLV = null;
+		this.isModified = true;
+		this.s = newS;
+		this.hV = ucs4tohex(this.s);
+	}
+}
+
+/**
+ * class for ASN.1 DER BMPString
+ * @description
+ * String is encoded by UCS-2 big endian (2 bytes per character).
+ * Characters out of Basic Multilingual Plane can't be encoded.
+ * @example
+ * new DERBMPString({'str': 'a'}).getEncodedHex() &rarr; "1e020061"
+ */
+export class DERBMPString extends DERAbstractString {
+	/**
+	 * @param {(Dictionary | string)=} params dictionary of parameters (ex. {'str': 'aaa'})
+	 */
+	constructor(params) {
+		super(params);
+
+		this.hT = "1e";
+	}
+
+	/** @override */
+	setString(newS) {
+		this.hTLV = null;
+		this.isModified = true;
+		this.s = newS;
+		this.hV = ucs2tohex(this.s);
+	}
+}
+
 /**
  * class for ASN.1 DER Sequence
  * @description
@@ -1438,17 +2080,6 @@ export class DERSequence extends DERAbstractStructured {
 
 		this.hT = "30";
 	}
-
-	/** @override */
-	getFreshValueHex() {
-		let h = '';
-		for (let i = 0; i < this.asn1Array.length; i++) {
-			let asn1Obj = this.asn1Array[i];
-			h += asn1Obj.getEncodedHex();
-		}
-		this.hV = h;
-		return this.hV;
-	}
 }
 
 /**
@@ -1473,6 +2104,7 @@ export class DERSet extends DERAbstractStructured {
 
 		this.hT = "31";
 		this.sortFlag = true; // item shall be sorted only in ASN.1 DER
+		/** @private @type {Array<Uint8Array> | null} */ this.aSorted = null;
 
 		if (typeof params != "undefined") {
 			if (typeof params['sortflag'] != "undefined" &&
@@ -1482,15 +2114,32 @@ export class DERSet extends DERAbstractStructured {
 	}
 
 	/** @override */
-	getFreshValueHex() {
-		let a = new Array();
+	getElementsLength() {
+		if (this.sortFlag != true) return super.getElementsLength();
+
+		/** @type {Array<Uint8Array>} */ let a = [];
+		let n = 0;
 		for (let i = 0; i < this.asn1Array.length; i++) {
-			let asn1Obj = this.asn1Array[i];
-			a.push(asn1Obj.getEncodedHex());
+			let b = new Uint8Array(this.asn1Array[i].getEncodedLength());
+			this.asn1Array[i].writeEncoded(b, 0);
+			a.push(b);
+			n += b.length;
 		}
-		if (this.sortFlag == true) a.sort();
-		this.hV = a.join('');
-		return this.hV;
+		a.sort(compareBytes);
+		this.aSorted = a;
+		return n;
+	}
+
+	/** @override */
+	writeElements(a, pos) {
+		if (this.aSorted == null) return super.writeElements(a, pos);
+
+		for (let i = 0; i < this.aSorted.length; i++) {
+			a.set(this.aSorted[i], pos);
+			pos += this.aSorted[i].length;
+		}
+		this.aSorted = null;
+		return pos;
 	}
 }
 
@@ -1508,12 +2157,20 @@ export class DERSet extends DERAbstractStructured {
  * <li>explicit - specify true if this is explicit tag otherwise false 
  *     (default is 'true').</li>
  * <li>tag - specify tag (default is 'a0' which means [0])</li>
+ * <li>class - specify tag class 'context', 'application', 'private' or 'universal'
+ *     instead of 'tag' (default is 'context')</li>
+ * <li>number - specify tag number instead of 'tag'.
+ *     Constructed bit is set for explicit tag or constructed 'obj'.</li>
  * <li>obj - specify ASN1Object which is tagged</li>
  * </ul>
+ * Tag of multiple bytes such as '9f1f' for [31] is also supported.
  * @example
  * d1 = new DERUTF8String({'str':'a'});
  * d2 = new DERTaggedObject({'obj': d1});
  * hex = d2.getEncodedHex();
+ * // [APPLICATION 40] IMPLICIT UTF8String
+ * d3 = new DERTaggedObject({'class': 'application', 'number': 40, 'explicit': false, 'obj': d1});
+ * d3.getEncodedHex() &rarr; "5f280161"
  */
 export class DERTaggedObject extends ASN1Object {
 	/**
@@ -1534,6 +2191,13 @@ export class DERTaggedObject extends ASN1Object {
 			if (typeof params['explicit'] != "undefined") {
 				this.isExplicit = params['explicit'] ? true : false;
 			}
+			if (typeof params['number'] == "number") {
+				let isConstructed = this.isExplicit;
+				if (!isConstructed && params['obj'] instanceof ASN1Object)
+					isConstructed = (parseInt(params['obj'].getEncodedHex().substr(0, 2), 16) & 0x20) != 0;
+				let tagClass = isString(params['class']) ? /** @type {string} */ ( params['class'] ) : 'context';
+				this.hT = tagToHex(tagClass, /** @type {number} */ ( params['number'] ), isConstructed);
+			}
 			if (typeof params['obj'] != "undefined" && params['obj'] instanceof ASN1Object) {
 				this.asn1Object = /** @type {ASN1Object} */ ( params['obj'] );
 				this.setASN1Object(this.isExplicit, this.hT, this.asn1Object);
@@ -1558,7 +2222,7 @@ export class DERTaggedObject extends ASN1Object {
 		} else {
 			this.hV = null;
 			this.hTLV = asn1Object.getEncodedHex();
-			this.hTLV = this.hTLV.replace(/^../, tagNoHex);
+			this.hTLV = tagNoHex + this.hTLV.substr(getTblen(this.hTLV, 0) * 2);
 			this.isModified = false;
 		}
 	}
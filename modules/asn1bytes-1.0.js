@@ -0,0 +1,435 @@
+/*
+ * asn1bytes.js - ASN.1 byte array decoder library
+ *
+ * Copyright (c) 2020 Sergei Sovik <sergeisovik@yahoo.com>
+ *
+ * This software is licensed under the terms of the MIT License.
+ * https://kjur.github.io/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+"use strict";
+
+/**
+ * ASN.1 DER/BER encoded byte array decoder module
+ * @description
+ * This module provides navigation in ASN.1 encoded data by byte index.
+ * It is the decoder core of {@link asn1hex-1.1.js} whose functions
+ * are thin wrappers which convert string index to byte index.
+ * <br/>
+ * Every function accepts a Uint8Array or a hexadecimal string of
+ * ASN.1 encoded data. In both cases 'idx' is a byte index and
+ * values are returned as the same type as the data, i.e.
+ * subarray of a Uint8Array or substring of a hexadecimal string.
+ * <ul>
+ * <li>{@link getTblen} - get byte length for ASN.1 T(tag) bytes</li>
+ * <li>{@link getT} - get ASN.1 T at specified position</li>
+ * <li>{@link getLblen} - get byte length for ASN.1 L(length) bytes</li>
+ * <li>{@link getVblen} - get integer ASN.1 L at specified position</li>
+ * <li>{@link getVidx} - get ASN.1 V position from its ASN.1 TLV position</li>
+ * <li>{@link getV} - get ASN.1 V at specified position</li>
+ * <li>{@link getTLV} - get ASN.1 TLV at specified position</li>
+ * <li>{@link getNextSiblingIdx} - get position of next sibling</li>
+ * <li>{@link getChildIdx} - get indexes of children</li>
+ * <li>{@link getIdxbyList} - get index at specified list index</li>
+ * <li>{@link setDecodeLimits} - set limits against malicious ASN.1 data</li>
+ * </ul>
+ * @example
+ * let a = new Uint8Array([0x30, 0x06, 0x02, 0x01, 0x03, 0x02, 0x01, 0x04]);
+ * getChildIdx(a, 0) &rarr; [2, 5]
+ * getV(a, 5) &rarr; Uint8Array [4]
+ * getChildIdx("3006020103020104", 0) &rarr; [2, 5]
+ * <br/>
+ * Tags with number 31 or larger are encoded in multiple bytes
+ * (X.690 8.1.2.4) and supported by all functions.
+ */
+
+/**
+ * error thrown when ASN.1 data exceeds a decode limit
+ * @description
+ * This error is thrown by navigation functions of this module,
+ * {@link asn1hex-1.1.js} and parsers built on them
+ * when ASN.1 data exceeds a limit set by {@link setDecodeLimits}.
+ * Unlike malformed ASN.1 data which is reported as string,
+ * it can be distinguished by instanceof so that
+ * crafted data can be rejected as a whole.
+ * @example
+ * try {
+ *   x.readCertHex(hCert);
+ * } catch (ex) {
+ *   if (ex instanceof ASN1DecodeLimitError) alert(ex.limit + " exceeded");
+ * }
+ */
+export class ASN1DecodeLimitError extends Error {
+	/**
+	 * @param {string} limit name of exceeded limit (ex. 'maxDepth')
+	 * @param {number} value actual value
+	 */
+	constructor(limit, value) {
+		super("ASN.1 decode limit exceeded: " + limit + " " + decodeLimits[limit] + " < " + value);
+		this.name = "ASN1DecodeLimitError";
+		/** @type {string} */ this.limit = limit;
+		/** @type {number} */ this.value = value;
+	}
+}
+
+/**
+ * limits for decoding ASN.1 data
+ * @type {Object<string, number>}
+ */
+const decodeLimits = {
+	'maxDepth': 64,
+	'maxElements': 1000000,
+	'maxLength': 0x10000000
+};
+
+/**
+ * set limits for decoding ASN.1 data<br/>
+ * @param {Object<string, number>} limits associative array of limits to change
+ * @throws {string} if name or value of limit is wrong
+ * @description
+ * Following limits are enforced by navigation functions of this module
+ * and recursive walkers of {@link asn1hex-1.1.js} and {@link asn1schema-1.0.js}
+ * so that all parsers built on them such as X509 and CMS are bounded too.
+ * {@link ASN1DecodeLimitError} is thrown when a limit is exceeded.
+ * <ul>
+ * <li>maxDepth - maximum nesting depth of ASN.1 objects (DEFAULT: 64)</li>
+ * <li>maxElements - maximum number of children of one ASN.1 object (DEFAULT: 1000000)</li>
+ * <li>maxLength - maximum declared byte length of ASN.1 value (DEFAULT: 256MB)</li>
+ * </ul>
+ * @example
+ * setDecodeLimits({'maxDepth': 32, 'maxLength': 1024 * 1024});
+ */
+export function setDecodeLimits(limits) {
+	for (let name in limits) {
+		if (decodeLimits[name] === undefined) throw "unknown decode limit: " + name;
+		let n = limits[name];
+		if (typeof n != "number" || !(n >= 1) || Math.floor(n) != n) throw "decode limit shall be positive integer: " + name;
+	}
+	for (let name in limits) {
+		decodeLimits[name] = limits[name];
+	}
+}
+
+/**
+ * get limits for decoding ASN.1 data<br/>
+ * @return {Object<string, number>} copy of associative array of limits
+ * @example
+ * getDecodeLimits() &rarr; {'maxDepth': 64, 'maxElements': 1000000, 'maxLength': 268435456}
+ */
+export function getDecodeLimits() {
+	return Object.assign({}, decodeLimits);
+}
+
+/**
+ * check nesting depth of ASN.1 object against decode limit
+ * @param {number} depth nesting depth, 0 for outermost ASN.1 object
+ * @throws {ASN1DecodeLimitError} if depth exceeds 'maxDepth'
+ */
+export function checkDecodeDepth(depth) {
+	if (depth > decodeLimits['maxDepth']) throw new ASN1DecodeLimitError('maxDepth', depth);
+}
+
+/**
+ * check number of children of ASN.1 object against decode limit
+ * @param {number} n number of children
+ * @throws {ASN1DecodeLimitError} if n exceeds 'maxElements'
+ */
+export function checkDecodeElements(n) {
+	if (n > decodeLimits['maxElements']) throw new ASN1DecodeLimitError('maxElements', n);
+}
+
+/**
+ * nesting depth of BER indefinite length contents being measured
+ * @type {number}
+ */
+let indefiniteDepth = 0;
+
+/**
+ * get byte at byte index
+ * @param {Uint8Array | string} b byte array or hexadecimal string
+ * @param {number} pos byte index
+ * @return {number} byte value or NaN if out of range
+ */
+function byteAt(b, pos) {
+	if (typeof b == "string") {
+		if (pos < 0 || pos * 2 + 2 > b.length) return NaN;
+		return parseInt(b.substr(pos * 2, 2), 16);
+	}
+	if (pos < 0 || pos >= b.length) return NaN;
+	return b[pos];
+}
+
+/**
+ * get byte length of data
+ * @param {Uint8Array | string} b byte array or hexadecimal string
+ * @return {number} byte length
+ */
+function byteLength(b) {
+	if (typeof b == "string") return Math.floor(b.length / 2);
+	return b.length;
+}
+
+/**
+ * get part of data between byte indexes
+ * @param {Uint8Array | string} b byte array or hexadecimal string
+ * @param {number} start start byte index
+ * @param {number} end end byte index (exclusive)
+ * @return {Uint8Array | string} subarray or substring
+ */
+function slice(b, start, end) {
+	if (typeof b == "string") return b.substring(start * 2, end * 2);
+	return b.subarray(start, end);
+}
+
+/**
+ * get byte length for ASN.1 T(tag) bytes<br/>
+ * @param {Uint8Array | string} b byte array or hexadecimal string of ASN.1 encoded data
+ * @param {number} idx byte index of ASN.1 object
+ * @return {number} byte length for ASN.1 T(tag) bytes or -2 for malformed tag
+ * @description
+ * Tag number of multiple bytes tag is limited to 2^35 - 1 (5 subsequent bytes).
+ * @example
+ * getTblen('020100', 0) &rarr; 1 for '02'
+ * getTblen('9f1f0100', 0) &rarr; 2 for '9f1f' [31]
+ * getTblen('bf8548020500', 0) &rarr; 3 for 'bf8548' [712]
+ */
+export function getTblen(b, idx) {
+	let t = byteAt(b, idx);
+	if (isNaN(t)) return -2;
+	if ((t & 0x1f) != 0x1f) return 1;
+	for (let len = 1; len <= 5; len++) {
+		let c = byteAt(b, idx + len);
+		if (isNaN(c) || (len == 1 && c == 0x80)) return -2; // truncated or not minimal
+		if ((c & 0x80) == 0) return len + 1;
+	}
+	return -2;
+}
+
+/**
+ * get ASN.1 T(tag)<br/>
+ * @param {Uint8Array | string} b byte array or hexadecimal string of ASN.1 encoded data
+ * @param {number} idx byte index of ASN.1 object
+ * @return {Uint8Array | string} ASN.1 tag bytes or empty for malformed tag
+ * @example
+ * getT('9f1f0100', 0) &rarr; '9f1f'
+ */
+export function getT(b, idx) {
+	let tblen = getTblen(b, idx);
+	if (tblen < 0) return slice(b, 0, 0);
+	return slice(b, idx, idx + tblen);
+}
+
+/**
+ * get byte length for ASN.1 L(length) bytes<br/>
+ * @param {Uint8Array | string} b byte array or hexadecimal string of ASN.1 encoded data
+ * @param {number} idx byte index of ASN.1 object
+ * @return {number} byte length for ASN.1 L(length) bytes
+ * @description
+ * -1 is returned for BER indefinite length and
+ * -2 for malformed length.
+ * @example
+ * getLblen('020100', 0) &rarr; 1 for '01'
+ * getLblen('02818003...', 0) &rarr; 2 for '8180'
+ * getLblen('0282025b03...', 0) &rarr; 3 for '82025b'
+ * getLblen('0280020100...', 0) &rarr; -1 for '80' BER indefinite length
+ * getLblen('02ffab...', 0) &rarr; -2 for malformed ASN.1 length
+ */
+export function getLblen(b, idx) {
+	let tblen = getTblen(b, idx);
+	if (tblen < 0) return -2;
+	let l = byteAt(b, idx + tblen);
+	if (l < 0x80) return 1;
+	if (l == 0x80) return -1;             // indefinite length
+	if (0x80 < l && l < 0x8a) return l - 0x80 + 1; // including '8?' octet
+	return -2;                            // malformed format
+}
+
+/**
+ * get integer value of ASN.1 length for ASN.1 data<br/>
+ * @param {Uint8Array | string} b byte array or hexadecimal string of ASN.1 encoded data
+ * @param {number} idx byte index of ASN.1 object
+ * @return {number} ASN.1 L(length) integer value
+ * @description
+ * For BER indefinite length, byte length of contents up to
+ * end-of-contents octets '0000' is returned.
+ * When length is malformed or end-of-contents octets can't be found,
+ * -1 is returned.
+ * {@link ASN1DecodeLimitError} is thrown if length exceeds 'maxLength'
+ * or indefinite length contents are nested deeper than 'maxDepth'.
+ */
+export function getVblen(b, idx) {
+	let lblen = getLblen(b, idx);
+	if (lblen == -1) return getIndefiniteVblen(b, idx);
+	if (lblen < 0) return -1;
+	let lidx = idx + getTblen(b, idx);
+	if (lidx + lblen > byteLength(b)) return -1;
+
+	let n = 0;
+	if (lblen == 1) n = byteAt(b, lidx);
+	for (let i = 1; i < lblen; i++) {
+		n = n * 256 + byteAt(b, lidx + i);
+	}
+	if (n > decodeLimits['maxLength']) throw new ASN1DecodeLimitError('maxLength', n);
+	return n;
+}
+
+/**
+ * get byte length of BER indefinite length contents
+ * @param {Uint8Array | string} b byte array or hexadecimal string of ASN.1 BER encoded data
+ * @param {number} idx byte index of ASN.1 object with indefinite length
+ * @return {number} byte length of contents without end-of-contents octets or -1
+ */
+function getIndefiniteVblen(b, idx) {
+	let len = byteLength(b);
+	let p0 = idx + getTblen(b, idx) + 1;
+	let p = p0;
+	// check before increment so that rejected input doesn't leave counter raised
+	checkDecodeDepth(indefiniteDepth + 1);
+	indefiniteDepth++;
+	try {
+		while (p + 2 <= len) {
+			if (byteAt(b, p) == 0 && byteAt(b, p + 1) == 0) return p - p0;
+			let pNext = getNextSiblingIdx(b, p);
+			if (pNext <= p) return -1;
+			p = pNext;
+		}
+		return -1;
+	} finally {
+		indefiniteDepth--;
+	}
+}
+
+/**
+ * get ASN.1 value starting byte index for ASN.1 object refered by index 'idx'.
+ * @param {Uint8Array | string} b byte array or hexadecimal string of ASN.1 encoded data
+ * @param {number} idx byte index of ASN.1 object
+ * @return {number} byte index of ASN.1 value or negative number for malformed length
+ */
+export function getVidx(b, idx) {
+	let lblen = getLblen(b, idx);
+	if (lblen < -1) return lblen;
+	let tblen = getTblen(b, idx);
+	if (lblen == -1) return idx + tblen + 1;   // indefinite length
+	return idx + tblen + lblen;
+}
+
+/**
+ * get ASN.1 V(value)<br/>
+ * @param {Uint8Array | string} b byte array or hexadecimal string of ASN.1 encoded data
+ * @param {number} idx byte index of ASN.1 object
+ * @return {Uint8Array | string} ASN.1 value
+ */
+export function getV(b, idx) {
+	let idx1 = getVidx(b, idx);
+	let blen = getVblen(b, idx);
+	if (idx1 < 0 || blen < 0) return slice(b, 0, 0);
+	return slice(b, idx1, idx1 + blen);
+}
+
+/**
+ * get ASN.1 TLV<br/>
+ * @param {Uint8Array | string} b byte array or hexadecimal string of ASN.1 encoded data
+ * @param {number} idx byte index of ASN.1 object
+ * @return {Uint8Array | string} ASN.1 TLV
+ */
+export function getTLV(b, idx) {
+	let idxNext = getNextSiblingIdx(b, idx);
+	if (idxNext < 0) return slice(b, 0, 0);
+	return slice(b, idx, idxNext);
+}
+
+/**
+ * get next sibling starting byte index for ASN.1 object<br/>
+ * @param {Uint8Array | string} b byte array or hexadecimal string of ASN.1 encoded data
+ * @param {number} idx byte index of ASN.1 object
+ * @return {number} byte index of next sibling or negative number for malformed length
+ * @example
+ * getNextSiblingIdx("3006020103020104", 2) &rarr; 5
+ * getNextSiblingIdx("30800201030000020104", 0) &rarr; 7 // BER indefinite length
+ */
+export function getNextSiblingIdx(b, idx) {
+	let idx1 = getVidx(b, idx);
+	let blen = getVblen(b, idx);
+	if (idx1 < 0) return idx1;
+	if (blen < 0) return -1;
+	if (getLblen(b, idx) == -1) return idx1 + blen + 2; // skip end-of-contents octets
+	return idx1 + blen;
+}
+
+/**
+ * get array of byte indexes of child ASN.1 objects<br/>
+ * @param {Uint8Array | string} b byte array or hexadecimal string of ASN.1 encoded data
+ * @param {number} idx byte index of ASN.1 object
+ * @return {Array<number>} array of byte indexes for childen of ASN.1 objects
+ * @description
+ * This method returns array of integers for a concatination of ASN.1 objects
+ * in a ASN.1 value. As for BITSTRING, one byte of unusedbits is skipped.
+ * As for other ASN.1 simple types such as INTEGER, OCTET STRING or PRINTABLE STRING,
+ * it returns a array of a byte index of its ASN.1 value.
+ * @example
+ * getChildIdx("0203012345", 0) &rarr; [2] // INTEGER 012345
+ * getChildIdx("030300ffff", 0) &rarr; [3] // BITSTRING ffff (unusedbits=00a)
+ * getChildIdx("3006020104020105", 0) &rarr; [2, 5] // SEQUENCE(INT4,INT5)
+ */
+export function getChildIdx(b, idx) {
+	/** @type {Array<number>} */ let a = [];
+	let p0 = getVidx(b, idx);
+	if (byteAt(b, idx) == 0x03) {
+		a.push(p0 + 1); // BITSTRING value without unusedbits
+	} else {
+		a.push(p0);
+	}
+
+	let blen = getVblen(b, idx);
+	let p = p0;
+	while (1) {
+		let pNext = getNextSiblingIdx(b, p);
+		if (pNext <= p || (pNext - p0 >= blen)) break;
+
+		a.push(pNext);
+		checkDecodeElements(a.length);
+		p = pNext;
+	}
+
+	return a;
+}
+
+/**
+ * get byte index of nth child object of ASN.1 object<br/>
+ * @param {Uint8Array | string} b byte array or hexadecimal string of ASN.1 encoded data
+ * @param {number} idx byte index of ASN.1 object
+ * @param {number} nth for child
+ * @return {number} byte index of nth child.
+ */
+export function getNthChildIdx(b, idx, nth) {
+	let a = getChildIdx(b, idx);
+	return a[nth];
+}
+
+/**
+ * get byte index of descendant ASN.1 object by nthList<br/>
+ * @param {Uint8Array | string} b byte array or hexadecimal string of ASN.1 encoded data
+ * @param {number} currentIndex byte index of ASN.1 object to start
+ * @param {Array<number>} nthList array list of nth
+ * @param {number=} checkingTag (OPTIONAL) expected first ASN.1 tag byte of found object
+ * @return {number} byte index refered by nthList
+ * @description
+ * See {@link asn1hex-1.1.js getIdxbyList} for "nthList".
+ * @example
+ * getIdxbyList(certBytes, 0, [0, 7], 0xa3) &rarr; byte index of X.509v3 extensions
+ */
+export function getIdxbyList(b, currentIndex, nthList, checkingTag) {
+	let idx = currentIndex;
+	for (let i = 0; i < nthList.length; i++) {
+		idx = getNthChildIdx(b, idx, nthList[i]);
+		if (idx === undefined) throw "can't find nthList object";
+	}
+	if (checkingTag !== undefined && byteAt(b, idx) !== checkingTag) {
+		throw "checking tag doesn't match: " +
+			byteAt(b, idx).toString(16) + "!=" + checkingTag.toString(16);
+	}
+	return idx;
+}
@@ -16,10 +16,10 @@
 import { ASN1Object, DEROctetString, DERObjectIdentifier, DERSequence } from "./asn1-1.0.js"
 import { AlgorithmIdentifier } from "./asn1x509-1.0.js"
 import { hashHex } from "./crypto-1.1.js"
-import { getChildIdx, getTLV, getTLVbyList, getIdxbyList, getV } from "./asn1hex-1.1.js"
+import { getChildIdx, getTLV, getTLVbyList, getIdxbyList, getV, bertoder } from "./asn1hex-1.1.js"
 import { Dictionary } from "./../../../include/type.js"
 import { Attribute, IssuerAndSerialNumber, SignedData, AttributeList, SignerInfo } from "./asn1cms-1.0.js"
-import { pemtohex } from "./base64x-1.1.js"
+import { pemtohex, isBytes, bytestohex } from "./base64x-1.1.js"
 
 /**
  * ASN.1 module for RFC 5126 CAdES long term signature
@@ -514,7 +514,7 @@ export class OtherHash extends ASN1Object {
 
 /**
  * parse CMS SignedData to add unsigned attributes
- * @param {string} hex hexadecimal string of ContentInfo of CMS SignedData
+ * @param {string | Uint8Array | ArrayBuffer} hex hexadecimal string or byte array of ContentInfo of CMS SignedData
  * @return {Dictionary} associative array of parsed data
  * @description
  * This method will parse a hexadecimal string of 
@@ -531,12 +531,18 @@ export class OtherHash extends ASN1Object {
  * <li>si[] - array of SignerInfo properties</li>
  * <li>obj - parsed SignedData object</li>
  * </ul>
+ * BER encoded ContentInfo is converted to DER by {@link bertoder}
+ * so that above hexadecimal values are DER.
+ * To change a field of SignedData without rebuilding it,
+ * {@link replaceTLV}, {@link insertTLV} and {@link deleteTLV} can also be used.
  * @example
  * info = CAdESUtil.parseSignedDataForAddingUnsigned(beshex);
  * sd = info.obj;
  */
 export function parseSignedDataForAddingUnsigned(hex) {
 	let r = /** @type {Dictionary} */ ( {} );
+	if (isBytes(hex)) hex = bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( hex ));
+	hex = bertoder(/** @type {string} */ ( hex ));
 
 	// 1. not oid signed-data then error
 	if (getTLVbyList(hex, 0, [0]) != "06092a864886f70d010702")
@@ -595,20 +601,16 @@ export function parseSignedDataForAddingUnsigned(hex) {
 	let tmp = null;
 	let obj = r['obj'] = new SignedData();
 
-	tmp = new ASN1Object();
-	tmp.hTLV = r['version'];
+	tmp = new ASN1Object(/** @type {Dictionary} */ ( { 'tlv': r['version'] } ));
 	obj.dCMSVersion = tmp;
 
-	tmp = new ASN1Object();
-	tmp.hTLV = r['algs'];
+	tmp = new ASN1Object(/** @type {Dictionary} */ ( { 'tlv': r['algs'] } ));
 	obj.dDigestAlgs = tmp;
 
-	tmp = new ASN1Object();
-	tmp.hTLV = r['encapcontent'];
+	tmp = new ASN1Object(/** @type {Dictionary} */ ( { 'tlv': r['encapcontent'] } ));
 	obj.dEncapContentInfo = tmp;
 
-	tmp = new ASN1Object();
-	tmp.hTLV = r['certs'];
+	tmp = new ASN1Object(/** @type {Dictionary} */ ( { 'tlv': r['certs'] } ));
 	obj.dCerts = tmp;
 
 	obj.signerInfoList = [];
@@ -680,28 +682,22 @@ export function parseSignerInfoForAddingUnsigned(hex, iSI, nth) {
 	let tmp = null;
 	r['obj'] = new SignerInfo();
 
-	tmp = new ASN1Object();
-	tmp.hTLV = r['version'];
+	tmp = new ASN1Object(/** @type {Dictionary} */ ( { 'tlv': r['version'] } ));
 	r['obj'].dCMSVersion = tmp;
 
-	tmp = new ASN1Object();
-	tmp.hTLV = r['si'];
+	tmp = new ASN1Object(/** @type {Dictionary} */ ( { 'tlv': r['si'] } ));
 	r['obj'].dSignerIdentifier = tmp;
 
-	tmp = new ASN1Object();
-	tmp.hTLV = r['digalg'];
+	tmp = new ASN1Object(/** @type {Dictionary} */ ( { 'tlv': r['digalg'] } ));
 	r['obj'].dDigestAlgorithm = tmp;
 
-	tmp = new ASN1Object();
-	tmp.hTLV = r['sattrs'];
+	tmp = new ASN1Object(/** @type {Dictionary} */ ( { 'tlv': r['sattrs'] } ));
 	r['obj'].dSignedAttrs = tmp;
 
-	tmp = new ASN1Object();
-	tmp.hTLV = r['sigalg'];
+	tmp = new ASN1Object(/** @type {Dictionary} */ ( { 'tlv': r['sigalg'] } ));
 	r['obj'].dSigAlg = tmp;
 
-	tmp = new ASN1Object();
-	tmp.hTLV = r['sig'];
+	tmp = new ASN1Object(/** @type {Dictionary} */ ( { 'tlv': r['sig'] } ));
 	r['obj'].dSig = tmp;
 
 	r['obj'].dUnsignedAttrs = new AttributeList();
@@ -14,11 +14,11 @@
 "use strict";
 
 import { ASN1Object, DERInteger, DEROctetString, DERObjectIdentifier, DERSequence, DERSet, DERTaggedObject } from "./asn1-1.0.js"
-import { isHex, pemtohex, utf8tohex, hextopem, hextoutf8 } from "./base64x-1.1.js"
+import { isHex, pemtohex, utf8tohex, hextopem, hextoutf8, isBytes, bytestohex } from "./base64x-1.1.js"
 import { name2obj } from "./asn1oid.js"
 import { Time, AlgorithmIdentifier, X500Name, } from "./asn1x509-1.0.js"
 import { hashHex, Signature } from "./crypto-1.1.js"
-import { getVbyList, getTLVbyList, getIdxbyList, getChildIdx, getTLV, oidname } from "./asn1hex-1.1.js"
+import { getVbyList, getTLVbyList, getIdxbyList, getChildIdx, getTLV, oidname, bertoder, checkDER } from "./asn1hex-1.1.js"
 import { KeyObject, getKey } from "./keyutil-1.0.js"
 import { Dictionary, isArrayOfStrings, isDictionary } from "./../../../include/type.js"
 import { SignaturePolicyIdentifier } from "./asn1cades-1.0.js"
@@ -515,6 +515,9 @@ export class AttributeList extends ASN1Object {
  *    signature SignatureValue,
  *    unsignedAttrs [1] IMPLICIT UnsignedAttributes OPTIONAL }
  * </pre>
+ * EdDSA signature algorithms Ed25519 and Ed448 are also supported.
+ * As for RFC 8419, 'sha512' shall be used as digest algorithm
+ * for Ed25519 and 'shake256' for Ed448.
  * @example
  * o = new SignerInfo();
  * o.setSignerIdentifier(certPEMstring);
@@ -943,6 +946,18 @@ export class SignedData extends ASN1Object {
  *     signerPrvKey: prvPEM
  *   }]
  * });
+ *
+ * // Ed25519 signer of RFC 8419
+ * let sd = CMSUtil.newSignedData({
+ *   content: {str: "jsrsasign"},
+ *   certs: [certPEM],
+ *   signerInfos: [{
+ *     hashAlg: 'sha512',
+ *     signerCert: certPEM,
+ *     sigAlg: 'Ed25519',
+ *     signerPrvKey: prvPEM
+ *   }]
+ * });
  */
 export function newSignedData(param) {
 	let sd = new SignedData();
@@ -1224,9 +1239,12 @@ function verifySignerInfo(hCMS, result, si, idx) {
  * This method provides validation for CMS SignedData.
  * Following parameters can be applied:
  * <ul>
- * <li>cms - hexadecimal data of DER CMS SignedData (aka. PKCS#7 or p7s)</li>
+ * <li>cms - hexadecimal string or byte array of DER CMS SignedData (aka. PKCS#7 or p7s)</li>
  *     to verify (OPTION)</li>
+ * <li>strict - true to reject CMS SignedData which is not strictly DER encoded (OPTION)</li>
  * </ul>
+ * BER encoded CMS SignedData is converted to DER by {@link bertoder}.
+ * In strict mode, an error is thrown by {@link checkDER} instead.
  * @example
  * CMSUtil.verifySignedData({ cms: "3082058a..." }) 
  * &rarr;
@@ -1244,7 +1262,11 @@ export function verifySignedData(param) {
 		!isHex(param['cms'])) {
 	}
 
-	let hCMS = param['cms'];
+	let hCMS = isBytes(param['cms']) ?
+		bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( param['cms'] )) :
+		/** @type {string} */ ( param['cms'] );
+	if (param['strict'] === true) checkDER(hCMS);
+	hCMS = bertoder(hCMS);
 
 	let result = /** @type {Dictionary} */ ( { 'isValid': false, 'parse': {} } );
 	parseSignedData(hCMS, result['parse']);
@@ -96,6 +96,7 @@ export class CertificationRequest extends ASN1Object {
      * @example
      * csr = new CertificationRequest({'csrinfo': csri});
      * csr.sign("SHA256withRSA", prvKeyObj);
+     * csr.sign("Ed25519", edPrvKeyObj); // Ed25519 signature of RFC 8410
      */
 	sign(sigAlgName, prvKeyObj) {
 		if (this.prvKey == null) this.prvKey = prvKeyObj;
@@ -188,7 +189,7 @@ export class CertificationRequestInfo extends ASN1Object {
 	}
 
 	/**
-	 * set subject public key info by RSA/ECDSA/DSA key parameter
+	 * set subject public key info by RSA/ECDSA/DSA/EdDSA key parameter
 	 * @param {string | KeyObject | Dictionary} keyParam public key parameter which passed to {@link getKey} argument
 	 * @description
 	 * @example
@@ -269,7 +270,7 @@ export class CertificationRequestInfo extends ASN1Object {
  * <ul>
  * <li>subject - parameter to be passed to {@link X500Name}</li>
  * <li>sbjpubkey - parameter to be passed to {@link getKey}</li>
- * <li>sigalg - signature algorithm name (ex. SHA256withRSA)</li>
+ * <li>sigalg - signature algorithm name (ex. SHA256withRSA, Ed25519)</li>
  * <li>sbjprvkey - parameter to be passed to {@link getKey}</li>
  * </ul>
  *
@@ -309,6 +310,15 @@ export class CertificationRequestInfo extends ASN1Object {
  *   sigalg: "SHA256withRSA",
  *   sbjprvkey: prvKeyPEM
  * });
+ *
+ * // 5) with Ed25519 keypair
+ * kp = generateKeypair("OKP", "Ed25519");
+ * pem = newCSRPEM({
+ *   subject: {str: '/C=US/O=Test/CN=example.com'},
+ *   sbjpubkey: kp.pubKeyObj,
+ *   sigalg: "Ed25519",
+ *   sbjprvkey: kp.prvKeyObj
+ * });
  */
 export function newCSRPEM(param) {
 	if (param['subject'] === undefined) throw "parameter subject undefined";
@@ -347,7 +357,7 @@ export function newCSRPEM(param) {
  * <ul>
  * <li>subject.name - subject name string (ex. /C=US/O=Test)</li>
  * <li>subject.hex - hexadecimal string of X.500 Name of subject</li>
- * <li>pubkey.obj - subject public key object such as RSAKeyEx, ECDSA, DSA</li>
+ * <li>pubkey.obj - subject public key object such as RSAKeyEx, ECDSA, DSA, EdDSA</li>
  * <li>pubkey.hex - hexadecimal string of subject public key</li>
  * </ul>
  *
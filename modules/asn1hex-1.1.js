@@ -13,10 +13,10 @@
 
 "use strict";
 
-import { oidHexToInt, ASN1Object } from "./asn1-1.0.js"
-import { isHex, hextoutf8 } from "./base64x-1.1.js"
-import { oid2name } from "./asn1oid.js"
-import { BigInteger } from "./../../js-bn/modules/jsbn.js"
+import { oidHexToInt, oidIntToHex, parseTagHex, roidHexToInt, roidIntToHex, realHexToNumber, realToHex, newObject, ASN1Object } from "./asn1-1.0.js"
+import { isHex, hextoutf8, utf8tohex, hextorstr, hextoucs2, ucs2tohex, hextoucs4, ucs4tohex } from "./base64x-1.1.js"
+import { oid2name, name2oid } from "./asn1oid.js"
+import * as ASN1Bytes from "./asn1bytes-1.0.js"
 import { Dictionary, isNumber } from "./../../../include/type.js"
 
 /*
@@ -27,9 +27,7 @@ import { Dictionary, isNumber } from "./../../../include/type.js"
  *   f('02818003...', 2) ... 8180 ... 2bytes
  *   f('3080....0000', 2) ... 80 ... -1
  *
- *   Requirements:
- *   - ASN.1 type octet length MUST be 1. 
- *     (i.e. ASN.1 primitives like SET, SEQUENCE, INTEGER, OCTETSTRING ...)
+ *   f('9f1f0100', 2) ... 01 ... 1byte  (tag [31] of 2 bytes)
  */
 
 /**
@@ -37,11 +35,14 @@ import { Dictionary, isNumber } from "./../../../include/type.js"
  * @description
  * This module provides a parser for hexadecimal string of
  * DER encoded ASN.1 binary data.
+ * Navigation functions are thin wrappers of {@link asn1bytes-1.0.js}
+ * which decodes ASN.1 data by byte index.
  * Here are major methods of this module.
  * <ul>
  * <li><b>ACCESS BY POSITION</b>
  *   <ul>
  *   <li>{@link getTLV} - get ASN.1 TLV at specified position</li>
+ *   <li>{@link getT} - get ASN.1 T at specified position</li>
  *   <li>{@link getV} - get ASN.1 V at specified position</li>
  *   <li>{@link getVlen} - get integer ASN.1 L at specified position</li>
  *   <li>{@link getVidx} - get ASN.1 V position from its ASN.1 TLV position</li>
@@ -61,17 +62,75 @@ import { Dictionary, isNumber } from "./../../../include/type.js"
  *   <li>{@link getTLVbyList} - get ASN.1 TLV at specified list index</li>
  *   <li>{@link getVbyList} - get ASN.1 V at specified nth list index with checking expected tag</li>
  *   <li>{@link getIdxbyList} - get index at specified list index</li>
+ *   <li>{@link query} - get all ASN.1 objects matching path query</li>
+ *   </ul>
+ * </li>
+ * <li><b>EDIT ASN.1 STRUCTURE</b>
+ *   <ul>
+ *   <li>{@link replaceTLV} - replace ASN.1 object with fixing lengths of ancestors</li>
+ *   <li>{@link insertTLV} - insert child ASN.1 object with fixing lengths of ancestors</li>
+ *   <li>{@link deleteTLV} - delete ASN.1 object with fixing lengths of ancestors</li>
  *   </ul>
  * </li>
  * <li><b>UTILITIES</b>
  *   <ul>
  *   <li>{@link dump} - dump ASN.1 structure</li>
+ *   <li>{@link dumpJSON} - dump ASN.1 structure as JSON tree</li>
+ *   <li>{@link dumpOpenSSL} - dump ASN.1 structure as "openssl asn1parse -i"</li>
+ *   <li>{@link dumpHex} - dump ASN.1 structure as annotated hexadecimal</li>
+ *   <li>{@link diff} - get structural differences between two ASN.1 data</li>
+ *   <li>{@link dumpDiff} - dump structural differences between two ASN.1 data</li>
+ *   <li>{@link parse} - parse ASN.1 structure to JSON parameter of {@link newObject}</li>
+ *   <li>{@link parseObject} - parse ASN.1 structure to {@link ASN1Object}</li>
+ *   <li>{@link bertoder} - convert BER encoded ASN.1 data to DER</li>
+ *   <li>{@link hasBERForm} - check if indefinite length or constructed string is used</li>
+ *   <li>{@link validateDER} - report violations of DER rules</li>
  *   <li>{@link isASN1HEX} - check whether ASN.1 hexadecimal string or not</li>
  *   <li>{@link hextooidstr} - convert hexadecimal string of OID to dotted integer list</li>
  *   </ul>
  * </li>
  * </ul>
+ * Nesting depth, number of elements and value length are bounded by decode limits
+ * of {@link asn1bytes-1.0.js}. When a limit is exceeded, parsing functions throw
+ * {@link ASN1DecodeLimitError}. Limits can be changed by {@link setDecodeLimits}.
+ */
+
+export { ASN1DecodeLimitError, setDecodeLimits, getDecodeLimits } from "./asn1bytes-1.0.js"
+
+/**
+ * convert byte index to string index
+ * @param {number} i byte index or negative number for malformed length
+ * @return {number} string index or negative number as is
+ */
+function toStringIdx(i) {
+	return (i < 0) ? i : i * 2;
+}
+
+/**
+ * get byte length for ASN.1 T(tag) bytes<br/>
+ * @param {string} s hexadecimal string of ASN.1 DER encoded data
+ * @param {number} idx string index
+ * @return {number} byte length for ASN.1 T(tag) bytes or -2 for malformed tag
+ * @example
+ * getTblen('020100', 0) &rarr; 1 for '02'
+ * getTblen('9f1f0100', 0) &rarr; 2 for '9f1f' [31]
  */
+export function getTblen(s, idx) {
+	return ASN1Bytes.getTblen(s, idx / 2);
+}
+
+/**
+ * get hexadecimal string for ASN.1 T(tag) bytes<br/>
+ * @param {string} s hexadecimal string of ASN.1 DER encoded data
+ * @param {number} idx string index
+ * @return {string} hexadecimal string for ASN.1 T(tag) bytes
+ * @example
+ * getT('020100', 0) &rarr; '02'
+ * getT('9f1f0100', 0) &rarr; '9f1f'
+ */
+export function getT(s, idx) {
+	return /** @type {string} */ ( ASN1Bytes.getT(s, idx / 2) );
+}
 
 /**
  * get byte length for ASN.1 L(length) bytes<br/>
@@ -87,11 +146,7 @@ import { Dictionary, isNumber } from "./../../../include/type.js"
  * getLblen('02ffab...', 0) &rarr; -2 for malformed ASN.1 length
  */
 export function getLblen(s, idx) {
-	if (s.substr(idx + 2, 1) != '8') return 1;
-	let i = parseInt(s.substr(idx + 3, 1), 10);
-	if (i == 0) return -1;             // length octet '80' indefinite length
-	if (0 < i && i < 10) return i + 1; // including '8?' octet;
-	return -2;                         // malformed format
+	return ASN1Bytes.getLblen(s, idx / 2);
 }
 
 /**
@@ -99,11 +154,14 @@ export function getLblen(s, idx) {
  * @param {string} s hexadecimal string of ASN.1 DER encoded data
  * @param {number} idx string index to get L of ASN.1 object
  * @return {string} hexadecimal string for ASN.1 L(length) bytes
+ * @description
+ * For BER indefinite length, '80' is returned.
  */
 export function getL(s, idx) {
 	let len = getLblen(s, idx);
+	if (len == -1) return '80';
 	if (len < 1) return '';
-	return s.substr(idx + 2, len * 2);
+	return s.substr(idx + getTblen(s, idx) * 2, len * 2);
 }
 
 /**
@@ -111,6 +169,11 @@ export function getL(s, idx) {
  * @param {string} s hexadecimal string of ASN.1 DER encoded data
  * @param {number} idx string index
  * @return ASN.1 L(length) integer value
+ * @description
+ * For BER indefinite length, byte length of contents up to
+ * end-of-contents octets '0000' is returned.
+ * When length is malformed or end-of-contents octets can't be found,
+ * -1 is returned.
  */
 /*
  getting ASN.1 length value at the position 'idx' of
@@ -121,15 +184,7 @@ export function getL(s, idx) {
  f('02818003...', 0) ... 8180 ... 128
  */
 export function getVblen(s, idx) {
-	let hLen, bi;
-	hLen = getL(s, idx);
-	if (hLen == '') return -1;
-	if (hLen.substr(0, 1) === '8') {
-		bi = new BigInteger(hLen.substr(2), 16);
-	} else {
-		bi = new BigInteger(hLen, 16);
-	}
-	return bi.intValue();
+	return ASN1Bytes.getVblen(s, idx / 2);
 }
 
 /**
@@ -138,9 +193,7 @@ export function getVblen(s, idx) {
  * @param {number} idx string index
  */
 export function getVidx(s, idx) {
-	let l_len = getLblen(s, idx);
-	if (l_len < 0) return l_len;
-	return idx + (l_len + 1) * 2;
+	return toStringIdx(ASN1Bytes.getVidx(s, idx / 2));
 }
 
 /**
@@ -150,9 +203,7 @@ export function getVidx(s, idx) {
  * @return {string} hexadecimal string of ASN.1 value.
  */
 export function getV(s, idx) {
-	let idx1 = getVidx(s, idx);
-	let blen = getVblen(s, idx);
-	return s.substr(idx1, blen * 2);
+	return /** @type {string} */ ( ASN1Bytes.getV(s, idx / 2) );
 }
 
 /**
@@ -162,7 +213,7 @@ export function getV(s, idx) {
  * @return {string} hexadecimal string of ASN.1 TLV.
  */
 export function getTLV(s, idx) {
-	return s.substr(idx, 2) + getL(s, idx) + getV(s, idx);
+	return /** @type {string} */ ( ASN1Bytes.getTLV(s, idx / 2) );
 }
 
 // ========== sibling methods ================================
@@ -178,11 +229,10 @@ export function getTLV(s, idx) {
  *     020103 :idx=4
  *           020104 :next sibling idx=10
  * getNextSiblingIdx("3006020103020104", 4) & rarr 10
+ * getNextSiblingIdx("30800201030000020104", 0) & rarr 14 // BER indefinite length
  */
 export function getNextSiblingIdx(s, idx) {
-	let idx1 = getVidx(s, idx);
-	let blen = getVblen(s, idx);
-	return idx1 + blen * 2;
+	return toStringIdx(ASN1Bytes.getNextSiblingIdx(s, idx / 2));
 }
 
 // ========== children methods ===============================
@@ -204,28 +254,8 @@ export function getNextSiblingIdx(s, idx) {
  * getChildIdx("3006020104020105", 0) &rArr; [4, 10] // SEQUENCE(INT4,INT5)
  */
 export function getChildIdx(h, pos) {
-	/** @type {Array<number>} */ let a = new Array();
-	let p0 = getVidx(h, pos);
-	if (h.substr(pos, 2) == "03") {
-		a.push(p0 + 2); // BITSTRING value without unusedbits
-	} else {
-		a.push(p0);
-	}
-
-	let blen = getVblen(h, pos);
-	let p = p0;
-	let k = 0;
-	while (1) {
-		let pNext = getNextSiblingIdx(h, p);
-		if (pNext == null || (pNext - p0 >= (blen * 2))) break;
-		if (k >= 200) break;
-
-		a.push(pNext);
-		p = pNext;
-
-		k++;
-	}
-
+	let a = ASN1Bytes.getChildIdx(h, pos / 2);
+	for (let i = 0; i < a.length; i++) a[i] = toStringIdx(a[i]);
 	return a;
 }
 
@@ -267,9 +297,9 @@ export function getIdxbyList(h, currentIndex, nthList, checkingTag) {
 	let firstNth, a;
 	if (nthList.length == 0) {
 		if (checkingTag !== undefined) {
-			if (h.substr(currentIndex, 2) !== checkingTag) {
+			if (getT(h, currentIndex) !== checkingTag) {
 				throw "checking tag doesn't match: " +
-				h.substr(currentIndex, 2) + "!=" + checkingTag;
+				getT(h, currentIndex) + "!=" + checkingTag;
 			}
 		}
 		return currentIndex;
@@ -295,9 +325,9 @@ export function getTLVbyList(h, currentIndex, nthList, checkingTag) {
 		throw "can't find nthList object";
 	}
 	if (checkingTag !== undefined) {
-		if (h.substr(idx, 2) != checkingTag) {
+		if (getT(h, idx) != checkingTag) {
 			throw "checking tag doesn't match: " +
-			h.substr(idx, 2) + "!=" + checkingTag;
+			getT(h, idx) + "!=" + checkingTag;
 		}
 	}
 	return getTLV(h, idx);
@@ -329,6 +359,311 @@ export function getVbyList(h, currentIndex, nthList, checkingTag, removeUnusedbi
 	return v;
 }
 
+/**
+ * get string indexes of child ASN.1 objects for {@link query}
+ * @param {string} h hexadecimal string of ASN.1 DER encoded data
+ * @param {number} idx string index of ASN.1 object
+ * @return {Array<number>} array of child indexes
+ * @description
+ * Children of a constructed ASN.1 object are its elements.
+ * OCTET STRING and BIT STRING without unused bits have children
+ * only when they encapsulate ASN.1 data. Other primitive objects have no children.
+ */
+function getQueryChildIdx(h, idx) {
+	let hT = getT(h, idx);
+	if ((parseInt(hT.substr(0, 2), 16) & 0x20) != 0) {
+		let a = getAllChildIdx(h, idx);
+		return (a === null) ? [] : a;
+	}
+	if (hT != "04" && hT != "03") return [];
+
+	let hV = getV(h, idx);
+	let p = getVidx(h, idx);
+	if (hT == "03") {
+		if (hV.substr(0, 2) != "00") return [];
+		hV = hV.substr(2);
+		p += 2;
+	}
+	if (hV.length == 0 || !isASN1HEXList(hV)) return [];
+	/** @type {Array<number>} */ let a = [];
+	for (let q = 0; q < hV.length; q = getNextSiblingIdx(hV, q)) {
+		a.push(p + q);
+		ASN1Bytes.checkDecodeElements(a.length);
+	}
+	return a;
+}
+
+/**
+ * parse path of {@link query} to array of steps
+ * @param {string} path query path (ex. "/0/7/0/*[oid=2.5.29.17]/1")
+ * @return {Array<Dictionary>} array of steps which have 'nth' (-1 for wildcard), 'tag' and 'oid'
+ */
+function parseQueryPath(path) {
+	if (typeof path != "string" || path.substr(0, 1) != "/")
+		throw "malformed query path: " + path;
+
+	/** @type {Array<Dictionary>} */ let aStep = [];
+	if (path == "/") return aStep;
+
+	let aToken = path.substr(1).split("/");
+	for (let i = 0; i < aToken.length; i++) {
+		let m = aToken[i].match(/^(\d+|\*)((?:\[[a-z]+=[^\]]+\])*)$/);
+		if (m === null) throw "malformed query path: " + path;
+
+		/** @type {Dictionary} */ let oStep = /** @type {Dictionary} */ ( { 'nth': (m[1] == "*") ? -1 : parseInt(m[1], 10) } );
+		let aPred = m[2].match(/\[[a-z]+=[^\]]+\]/g);
+		if (aPred !== null) {
+			for (let j = 0; j < aPred.length; j++) {
+				let key = aPred[j].substring(1, aPred[j].indexOf("="));
+				let value = aPred[j].substring(aPred[j].indexOf("=") + 1, aPred[j].length - 1);
+				if (key == "tag") {
+					if (!isHex(value)) throw "malformed query path: " + path;
+					oStep['tag'] = value.toLowerCase();
+				} else if (key == "oid") {
+					let oid = /^[0-9]+(\.[0-9]+)+$/.test(value) ? value : name2oid(value);
+					if (oid === '') throw "unknown OID name in query path: " + value;
+					oStep['oid'] = oidIntToHex(oid);
+				} else {
+					throw "unknown predicate in query path: " + key;
+				}
+			}
+		}
+		aStep.push(oStep);
+	}
+	return aStep;
+}
+
+/**
+ * check whether ASN.1 object matches predicates of query step
+ * @param {string} h hexadecimal string of ASN.1 DER encoded data
+ * @param {number} idx string index of ASN.1 object
+ * @param {Dictionary} oStep query step
+ * @return {boolean} true if ASN.1 object matches
+ */
+function matchQueryStep(h, idx, oStep) {
+	if (oStep['tag'] !== undefined && getT(h, idx) != oStep['tag']) return false;
+	if (oStep['oid'] !== undefined) {
+		if (getT(h, idx) == "06") return (getV(h, idx) == oStep['oid']);
+		let aIdx = getQueryChildIdx(h, idx);
+		for (let i = 0; i < aIdx.length; i++) {
+			if (getT(h, aIdx[i]) == "06" && getV(h, aIdx[i]) == oStep['oid']) return true;
+		}
+		return false;
+	}
+	return true;
+}
+
+/**
+ * get all ASN.1 objects matching path query<br/>
+ * @param {string} h hexadecimal string of ASN.1 DER encoded data
+ * @param {string} path query path (ex. "/0/7/0/*[oid=2.5.29.17]/1")
+ * @param {number=} idx string index of root ASN.1 object (DEFAULT: 0)
+ * @return {Array<Dictionary>} array of matches which have 'idx', 'path' and 'tlv'
+ * @description
+ * This method is a readable alternative of {@link getIdxbyList}.
+ * The path "/" refers the root ASN.1 object and each following
+ * step separated by "/" selects its children:
+ * <ul>
+ * <li>n - nth child (starting from 0)</li>
+ * <li>* - any child</li>
+ * <li>[tag=hex] - child with the tag such as "a3" or "30"</li>
+ * <li>[oid=value] - child which is or has direct child of
+ * ObjectIdentifier with dotted value or name such as "2.5.29.17" or "subjectAltName"</li>
+ * </ul>
+ * Predicates follow a child index or wildcard and can be combined.
+ * Encapsulated ASN.1 data in OCTET STRING and BIT STRING is
+ * treated as children as {@link getChildIdx} does.<br/>
+ * Each match has following members:
+ * <ul>
+ * <li>idx - string index of the ASN.1 object in "h"</li>
+ * <li>path - array of child indexes which is also a "nthList" for {@link getIdxbyList}</li>
+ * <li>tlv - hexadecimal string of the ASN.1 object</li>
+ * </ul>
+ * An empty array is returned when no ASN.1 object matches.
+ * @example
+ * // subjectAltName extension value of X.509 certificate
+ * query(certHex, "/0/*[tag=a3]/0/*[oid=subjectAltName]/*[tag=04]")
+ * &rarr; [{idx: 1100, path: [0, 7, 0, 3, 1], tlv: "0417..."}]
+ * // all RDN attribute values of subject
+ * query(certHex, "/0/5/*[tag=31]/0/1")
+ * query("3006020101020102", "/*") &rarr; [{idx: 4, path: [0], tlv: "020101"}, {idx: 10, path: [1], tlv: "020102"}]
+ */
+export function query(h, path, idx) {
+	if (idx === undefined) idx = 0;
+	let aStep = parseQueryPath(path);
+
+	/** @type {Array<Dictionary>} */ let aMatch = [ /** @type {Dictionary} */ ( { 'idx': idx, 'path': [] } ) ];
+	for (let i = 0; i < aStep.length && aMatch.length > 0; i++) {
+		ASN1Bytes.checkDecodeDepth(i + 1);
+		let nth = /** @type {number} */ ( aStep[i]['nth'] );
+		/** @type {Array<Dictionary>} */ let aNext = [];
+		for (let j = 0; j < aMatch.length; j++) {
+			let aIdx = getQueryChildIdx(h, /** @type {number} */ ( aMatch[j]['idx'] ));
+			for (let k = 0; k < aIdx.length; k++) {
+				if (nth >= 0 && k != nth) continue;
+				if (!matchQueryStep(h, aIdx[k], aStep[i])) continue;
+				aNext.push(/** @type {Dictionary} */ ( {
+					'idx': aIdx[k],
+					'path': /** @type {Array<number>} */ ( aMatch[j]['path'] ).concat([k])
+				} ));
+				ASN1Bytes.checkDecodeElements(aNext.length);
+			}
+		}
+		aMatch = aNext;
+	}
+
+	for (let i = 0; i < aMatch.length; i++) {
+		aMatch[i]['tlv'] = getTLV(h, /** @type {number} */ ( aMatch[i]['idx'] ));
+	}
+	return aMatch;
+}
+
+/**
+ * get string indexes of ancestors of ASN.1 object
+ * @param {string} h hexadecimal string of ASN.1 DER encoded data
+ * @param {number} idx string index of ASN.1 object
+ * @return {Array<number>} array of string indexes from outermost ancestor to parent
+ * @throws {string} if there is no ASN.1 object at idx
+ */
+function getAncestorIdx(h, idx) {
+	/** @type {Array<number>} */ let aAncestor = [];
+
+	// top level ASN.1 objects
+	let p = 0;
+	while (p < idx) {
+		let pNext = getNextSiblingIdx(h, p);
+		if (getLblen(h, p) == -2 || pNext <= p) break;
+		if (idx < pNext) break;
+		p = pNext;
+	}
+
+	while (p != idx) {
+		if (p > idx || getLblen(h, p) == -2) throw "no ASN.1 object at index: " + idx;
+		aAncestor.push(p);
+		ASN1Bytes.checkDecodeDepth(aAncestor.length);
+		let aIdx = getQueryChildIdx(h, p);
+		let pChild = -1;
+		for (let i = 0; i < aIdx.length && aIdx[i] <= idx; i++) {
+			pChild = aIdx[i];
+		}
+		if (pChild < 0 || getNextSiblingIdx(h, pChild) <= idx) throw "no ASN.1 object at index: " + idx;
+		p = pChild;
+	}
+	return aAncestor;
+}
+
+/**
+ * replace hexadecimal string range in ASN.1 data and fix lengths of ancestors
+ * @param {string} h hexadecimal string of ASN.1 DER encoded data
+ * @param {Array<number>} aAncestor string indexes of ancestors of replaced range
+ * @param {number} start start string index of replaced range
+ * @param {number} end end string index of replaced range
+ * @param {string} hNew hexadecimal string to put into the range
+ * @return {string} hexadecimal string of edited ASN.1 data
+ */
+function spliceTLV(h, aAncestor, start, end, hNew) {
+	let delta = (hNew.length - (end - start)) / 2;
+	let s = h.substr(0, start) + hNew + h.substr(end);
+
+	// ancestor headers precede the edited range so that their indexes are kept
+	for (let i = aAncestor.length - 1; i >= 0; i--) {
+		let idx = aAncestor[i];
+		let lblen = getLblen(h, idx);
+		if (lblen == -1) continue; // BER indefinite length doesn't need any change
+		let hL = lengthHex(getVblen(h, idx) + delta);
+		let lidx = idx + getTblen(h, idx) * 2;
+		s = s.substr(0, lidx) + hL + s.substr(lidx + lblen * 2);
+		delta += hL.length / 2 - lblen;
+	}
+	return s;
+}
+
+/**
+ * replace ASN.1 object and fix lengths of its ancestors<br/>
+ * @param {string} h hexadecimal string of ASN.1 DER encoded data
+ * @param {number} idx string index of ASN.1 object to replace
+ * @param {string | ASN1Object} hexOrObj hexadecimal string of new ASN.1 TLV or ASN1Object object
+ * @return {string} hexadecimal string of edited ASN.1 data
+ * @throws {string} if there is no ASN.1 object at idx
+ * @description
+ * This method replaces a ASN.1 TLV at string index "idx" and
+ * re-computes lengths of all enclosing ASN.1 objects including
+ * OCTET STRING and BIT STRING encapsulating ASN.1 data so that
+ * one field can be changed without rebuilding whole ASN.1 structure.
+ * Indefinite lengths of BER encoded ancestors are kept as is.
+ * Note that indexes after the edited position are changed
+ * in the returned data.
+ * @example
+ * replaceTLV("3006020101020102", 10, "02020100") &rarr; "300702010102020100"
+ * // replace subjectAltName extension value
+ * idx = query(certHex, "/0/7/0/*[oid=subjectAltName]/*[tag=04]")[0]['idx'];
+ * certHex2 = replaceTLV(certHex, idx, newObject({octstr: {obj: {seq: [{tag: {tag: "82", obj: {ia5str: "b.example.com"}, explicit: false}}]}}}));
+ */
+export function replaceTLV(h, idx, hexOrObj) {
+	let hTLV = (hexOrObj instanceof ASN1Object) ? hexOrObj.getEncodedHex() : hexOrObj;
+	let aAncestor = getAncestorIdx(h, idx);
+	return spliceTLV(h, aAncestor, idx, getNextSiblingIdx(h, idx), hTLV);
+}
+
+/**
+ * insert ASN.1 object to children of constructed ASN.1 object and fix lengths of its ancestors<br/>
+ * @param {string} h hexadecimal string of ASN.1 DER encoded data
+ * @param {number} idx string index of parent ASN.1 object
+ * @param {number} nth position of inserted child, -1 or number of children to append
+ * @param {string | ASN1Object} hexOrObj hexadecimal string of new ASN.1 TLV or ASN1Object object
+ * @return {string} hexadecimal string of edited ASN.1 data
+ * @throws {string} if there is no ASN.1 object at idx or nth is out of range
+ * @description
+ * This method inserts a ASN.1 TLV as "nth" child of a constructed ASN.1 object
+ * such as SEQUENCE, SET or explicitly tagged object and
+ * re-computes lengths of the parent and all its ancestors.
+ * Elements of SET are not sorted.
+ * See {@link replaceTLV} for length fix-ups.
+ * @example
+ * insertTLV("3003020101", 0, -1, "020102") &rarr; "3006020101020102"
+ * insertTLV("3003020101", 0, 0, "0101ff") &rarr; "30060101ff020101"
+ * // add a certificate to CMS SignedData
+ * idx = query(sdHex, "/1/0/*[tag=a0]")[0]['idx'];
+ * sdHex2 = insertTLV(sdHex, idx, -1, certHex);
+ */
+export function insertTLV(h, idx, nth, hexOrObj) {
+	let hTLV = (hexOrObj instanceof ASN1Object) ? hexOrObj.getEncodedHex() : hexOrObj;
+	let aAncestor = getAncestorIdx(h, idx);
+	if ((parseInt(h.substr(idx, 2), 16) & 0x20) == 0)
+		throw "ASN.1 object is not constructed at index: " + idx;
+
+	let aIdx = (getVblen(h, idx) == 0) ? [] : getQueryChildIdx(h, idx);
+	if (getVblen(h, idx) > 0 && aIdx.length == 0)
+		throw "malformed ASN.1 value at index: " + idx;
+	if (nth < 0) nth = aIdx.length;
+	if (nth > aIdx.length) throw "nth is out of range: " + nth;
+
+	let p = (nth < aIdx.length) ? aIdx[nth] : getVidx(h, idx) + getVblen(h, idx) * 2;
+	aAncestor.push(idx);
+	return spliceTLV(h, aAncestor, p, p, hTLV);
+}
+
+/**
+ * delete ASN.1 object and fix lengths of its ancestors<br/>
+ * @param {string} h hexadecimal string of ASN.1 DER encoded data
+ * @param {number} idx string index of ASN.1 object to delete
+ * @return {string} hexadecimal string of edited ASN.1 data
+ * @throws {string} if there is no ASN.1 object at idx
+ * @description
+ * This method removes a ASN.1 TLV at string index "idx" and
+ * re-computes lengths of all its ancestors.
+ * See {@link replaceTLV} for length fix-ups.
+ * @example
+ * deleteTLV("3006020101020102", 4) &rarr; "3003020102"
+ * // remove unsigned attributes of first SignerInfo in CMS SignedData
+ * idx = query(sdHex, "/1/0/*[tag=31]/0/*[tag=a1]")[0]['idx'];
+ * sdHex2 = deleteTLV(sdHex, idx);
+ */
+export function deleteTLV(h, idx) {
+	let aAncestor = getAncestorIdx(h, idx);
+	return spliceTLV(h, aAncestor, idx, getNextSiblingIdx(h, idx), "");
+}
+
 /**
  * @param {string} s 
  * @param {number} len 
@@ -468,6 +803,7 @@ export function dump(hexOrObj, flags, idx, indent) {
 	if (flags === undefined) flags = /** @type {Dictionary} */ ( { "ommit_long_octet": 32 } );
 	if (idx === undefined) idx = 0;
 	if (indent === undefined) indent = "";
+	ASN1Bytes.checkDecodeDepth(indent.length / 2);
 	let skipLongHexOctets = isNumber(flags['ommit_long_octet']) ? /** @type {number} */ ( flags['ommit_long_octet'] ) : 32;
 
 	if (hex.substr(idx, 2) == "01") {
@@ -510,9 +846,32 @@ export function dump(hexOrObj, flags, idx, indent) {
 			return indent + "ObjectIdentifier (" + oidSpc + ")\n";
 		}
 	}
+	if (hex.substr(idx, 2) == "09") {
+		let v = getV(hex, idx);
+		try {
+			return indent + "REAL " + realHexToNumber(v) + "\n";
+		} catch (ex) {
+			return indent + "REAL " + v + "\n";
+		}
+	}
+	if (hex.substr(idx, 2) == "0a") {
+		let v = getV(hex, idx);
+		return indent + "ENUMERATED " + skipLongHex(v, skipLongHexOctets) + "\n";
+	}
 	if (hex.substr(idx, 2) == "0c") {
 		return indent + "UTF8String '" + hextoutf8(getV(hex, idx)) + "'\n";
 	}
+	if (hex.substr(idx, 2) == "0d") {
+		let v = getV(hex, idx);
+		try {
+			return indent + "RelativeOID (" + roidHexToInt(v).replace(/\./g, ' ') + ")\n";
+		} catch (ex) {
+			return indent + "RelativeOID " + v + "\n";
+		}
+	}
+	if (hex.substr(idx, 2) == "12") {
+		return indent + "NumericString '" + hextoutf8(getV(hex, idx)) + "'\n";
+	}
 	if (hex.substr(idx, 2) == "13") {
 		return indent + "PrintableString '" + hextoutf8(getV(hex, idx)) + "'\n";
 	}
@@ -528,8 +887,32 @@ export function dump(hexOrObj, flags, idx, indent) {
 	if (hex.substr(idx, 2) == "18") {
 		return indent + "GeneralizedTime " + hextoutf8(getV(hex, idx)) + "\n";
 	}
+	if (hex.substr(idx, 2) == "1a") {
+		return indent + "VisibleString '" + hextoutf8(getV(hex, idx)) + "'\n";
+	}
+	if (hex.substr(idx, 2) == "1b") {
+		return indent + "GeneralString '" + hextoutf8(getV(hex, idx)) + "'\n";
+	}
+	if (hex.substr(idx, 2) == "1c" || hex.substr(idx, 2) == "1e") {
+		let isBMP = (hex.substr(idx, 2) == "1e");
+		let v = getV(hex, idx);
+		let name = isBMP ? "BMPString " : "UniversalString ";
+		try {
+			return indent + name + "'" + (isBMP ? hextoucs2(v) : hextoucs4(v)) + "'\n";
+		} catch (ex) {
+			return indent + name + v + "\n";
+		}
+	}
+	if (hex.substr(idx, 2) == "23" || hex.substr(idx, 2) == "24") { // BER constructed string
+		let s = indent + ((hex.substr(idx, 2) == "23") ? "BITSTRING" : "OCTETSTRING") + ", constructed\n";
+		let aIdx = getChildIdx(hex, idx);
+		for (let i = 0; i < aIdx.length; i++) {
+			s = s + dump(hex, flags, aIdx[i], indent + "  ");
+		}
+		return s;
+	}
 	if (hex.substr(idx, 2) == "30") {
-		if (hex.substr(idx, 4) == "3000") {
+		if (getVblen(hex, idx) == 0) {
 			return indent + "SEQUENCE {}\n";
 		}
 
@@ -560,11 +943,14 @@ export function dump(hexOrObj, flags, idx, indent) {
 		}
 		return s;
 	}
-	let tag = parseInt(hex.substr(idx, 2), 16);
-	if ((tag & 128) != 0) { // context specific 
-		let tagNumber = tag & 31;
+	let hT = getT(hex, idx);
+	let tag = parseInt(hT.substr(0, 2), 16);
+	if ((tag & 0xc0) != 0) { // context specific, application or private
+		let oTag = parseTagHex(hT);
+		let tagNumber = /** @type {number} */ ( oTag['number'] );
+		let hTagName = "[" + ((oTag['class'] == 'context') ? "" : oTag['class'].toUpperCase() + " ") + tagNumber + "]";
 		if ((tag & 32) != 0) { // structured tag
-			let s = indent + "[" + tagNumber + "]\n";
+			let s = indent + hTagName + "\n";
 			let aIdx = getChildIdx(hex, idx);
 			for (let i = 0; i < aIdx.length; i++) {
 				s = s + dump(hex, flags, aIdx[i], indent + "  ");
@@ -576,18 +962,1326 @@ export function dump(hexOrObj, flags, idx, indent) {
 				v = hextoutf8(v);
 			}
 			if (flags['x509ExtName'] === "subjectAltName" &&
-				tagNumber == 2) {
+				oTag['class'] == 'context' && tagNumber == 2) {
 				v = hextoutf8(v);
 			}
 
-			let s = indent + "[" + tagNumber + "] " + v + "\n";
+			let s = indent + hTagName + " " + v + "\n";
 			return s;
 		}
 	}
-	return indent + "UNKNOWN(" + hex.substr(idx, 2) + ") " +
+	return indent + "UNKNOWN(" + hT + ") " +
 		getV(hex, idx) + "\n";
 }
 
+/**
+ * name of ASN.1 universal types used by {@link dumpJSON} and {@link dumpHex}
+ * @type {Object<number, string>}
+ */
+const DUMP_TYPE_NAME = {
+	0: 'EOC',
+	1: 'BOOLEAN',
+	2: 'INTEGER',
+	3: 'BITSTRING',
+	4: 'OCTETSTRING',
+	5: 'NULL',
+	6: 'ObjectIdentifier',
+	9: 'REAL',
+	10: 'ENUMERATED',
+	12: 'UTF8String',
+	13: 'RelativeOID',
+	16: 'SEQUENCE',
+	17: 'SET',
+	18: 'NumericString',
+	19: 'PrintableString',
+	20: 'TeletexString',
+	22: 'IA5String',
+	23: 'UTCTime',
+	24: 'GeneralizedTime',
+	26: 'VisibleString',
+	27: 'GeneralString',
+	28: 'UniversalString',
+	30: 'BMPString'
+};
+
+/**
+ * name of ASN.1 universal types printed by OpenSSL asn1parse for {@link dumpOpenSSL}
+ * @type {Array<string>}
+ */
+const OPENSSL_TYPE_NAME = [
+	"EOC", "BOOLEAN", "INTEGER", "BIT STRING", "OCTET STRING",
+	"NULL", "OBJECT", "OBJECT DESCRIPTOR", "EXTERNAL", "REAL",
+	"ENUMERATED", "<ASN1 11>", "UTF8STRING", "<ASN1 13>", "<ASN1 14>",
+	"<ASN1 15>", "SEQUENCE", "SET", "NUMERICSTRING", "PRINTABLESTRING",
+	"T61STRING", "VIDEOTEXSTRING", "IA5STRING", "UTCTIME", "GENERALIZEDTIME",
+	"GRAPHICSTRING", "VISIBLESTRING", "GENERALSTRING", "UNIVERSALSTRING", "<ASN1 29>",
+	"BMPSTRING"
+];
+
+/**
+ * get limit of octets for long values from dump flags
+ * @param {Dictionary | undefined} flags associative array of flags for dump
+ * @param {number} defaultLimit limit used when flag is not specified, 0 for no limit
+ * @return {number} number of octets or 0 for no limit
+ */
+function getLongOctetLimit(flags, defaultLimit) {
+	if (flags === undefined || flags['ommit_long_octet'] === undefined) return defaultLimit;
+	return isNumber(flags['ommit_long_octet']) ? /** @type {number} */ ( flags['ommit_long_octet'] ) : 0;
+}
+
+/**
+ * get position and length information of ASN.1 TLV for dump
+ * @param {string} h hexadecimal string of ASN.1 data
+ * @param {number} idx string index of ASN.1 TLV
+ * @return {Dictionary | null} dictionary with 'tag', 'hl', 'l' (-1 for indefinite length), 'vidx' and 'end' or null if malformed
+ */
+function getDumpHeader(h, idx) {
+	let tblen = getTblen(h, idx);
+	let lblen = getLblen(h, idx);
+	if (tblen < 0 || lblen == -2) return null;
+	let vblen = getVblen(h, idx);
+	if (vblen < 0) return null;
+	let vidx = getVidx(h, idx);
+	let end = vidx + vblen * 2 + ((lblen == -1) ? 4 : 0);
+	if (end > h.length) return null;
+	return /** @type {Dictionary} */ ( {
+		'tag': getT(h, idx),
+		'hl': tblen + ((lblen == -1) ? 1 : lblen),
+		'l': (lblen == -1) ? -1 : vblen,
+		'vidx': vidx,
+		'vblen': vblen,
+		'end': end
+	} );
+}
+
+/**
+ * get type name of ASN.1 tag in {@link dump} notation
+ * @param {string} hT hexadecimal string of ASN.1 tag
+ * @return {string} type name (ex. "SEQUENCE", "[0]", "[APPLICATION 1]")
+ */
+function getDumpTypeName(hT) {
+	let oTag = parseTagHex(hT);
+	let tagNumber = /** @type {number} */ ( oTag['number'] );
+	if (oTag['class'] != 'universal')
+		return "[" + ((oTag['class'] == 'context') ? "" : oTag['class'].toUpperCase() + " ") + tagNumber + "]";
+	let name = DUMP_TYPE_NAME[tagNumber];
+	return (name !== undefined) ? name : "UNKNOWN(" + hT + ")";
+}
+
+/**
+ * get decoded value of primitive ASN.1 TLV in {@link dump} notation
+ * @param {string} hT hexadecimal string of ASN.1 tag
+ * @param {string} hV hexadecimal string of ASN.1 value
+ * @param {number} limit number of octets for long values or 0 for no limit
+ * @return {string} decoded value
+ */
+function getDumpValue(hT, hV, limit) {
+	let skip = (limit > 0) ? function(/** string */ h) { return skipLongHex(h, limit); } : function(/** string */ h) { return h; };
+	try {
+		switch (hT) {
+			case "01": return (hV == "00") ? "FALSE" : "TRUE";
+			case "05": return "";
+			case "06": return oidHexToInt(hV);
+			case "09": return "" + realHexToNumber(hV);
+			case "0d": return roidHexToInt(hV);
+			case "0c": case "12": case "13": case "14": case "16":
+			case "17": case "18": case "1a": case "1b":
+				return hextoutf8(hV);
+			case "1c": return hextoucs4(hV);
+			case "1e": return hextoucs2(hV);
+		}
+	} catch (ex) {}
+	return skip(hV);
+}
+
+/**
+ * build JSON tree node of ASN.1 TLV for {@link dumpJSON}
+ * @param {string} h hexadecimal string of ASN.1 data
+ * @param {number} idx string index of ASN.1 TLV
+ * @param {number} offset byte offset of h in whole data
+ * @param {number} depth depth of ASN.1 TLV
+ * @param {number} limit number of octets for long values or 0 for no limit
+ * @return {Dictionary} JSON tree node
+ */
+function dumpJSONTLV(h, idx, offset, depth, limit) {
+	ASN1Bytes.checkDecodeDepth(depth);
+	/** @type {Dictionary} */ let node = /** @type {Dictionary} */ ( {
+		'offset': offset + idx / 2,
+		'depth': depth
+	} );
+
+	let oHdr = getDumpHeader(h, idx);
+	if (oHdr === null) {
+		node['error'] = "malformed ASN.1";
+		node['hex'] = h.substr(idx);
+		return node;
+	}
+
+	let hT = /** @type {string} */ ( oHdr['tag'] );
+	let vidx = /** @type {number} */ ( oHdr['vidx'] );
+	let constructed = ((parseInt(hT.substr(0, 2), 16) & 0x20) != 0);
+	node['tag'] = hT;
+	node['type'] = getDumpTypeName(hT);
+	node['constructed'] = constructed;
+	node['hl'] = oHdr['hl'];
+	node['l'] = oHdr['l'];
+
+	let hV = h.substr(vidx, /** @type {number} */ ( oHdr['vblen'] ) * 2);
+	if (constructed) {
+		let aIdx = getAllChildIdx(h, idx);
+		if (aIdx === null) {
+			node['error'] = "malformed ASN.1 value";
+			node['hex'] = hV;
+			return node;
+		}
+		/** @type {Array<Dictionary>} */ let children = [];
+		for (let i = 0; i < aIdx.length; i++) {
+			children.push(dumpJSONTLV(h, aIdx[i], offset, depth + 1, limit));
+		}
+		node['children'] = children;
+		return node;
+	}
+
+	node['value'] = getDumpValue(hT, hV, limit);
+	if (hT == "06") {
+		node['name'] = oidname(hV);
+	} else if (hT == "04" && hV.length > 0 && isASN1HEX(hV)) {
+		node['encapsulates'] = dumpJSONTLV(hV, 0, offset + vidx / 2, depth + 1, limit);
+	}
+	return node;
+}
+
+/**
+ * get JSON tree of ASN.1 structure from hexadecimal ASN.1 data<br/>
+ * @param {string | ASN1Object} hexOrObj hexadecmal string of ASN.1 data or ASN1Object object
+ * @param {Dictionary=} flags associative array of flags for dump (OPTION)
+ * @return {Dictionary} JSON tree of ASN.1 structure
+ * @description
+ * This method builds a tree of plain objects which can be
+ * serialized by JSON.stringify. Each node has following members:
+ * <ul>
+ * <li>offset - byte offset of ASN.1 TLV</li>
+ * <li>depth - nesting depth of ASN.1 TLV</li>
+ * <li>tag - hexadecimal string of ASN.1 tag</li>
+ * <li>type - type name such as "SEQUENCE" or "[0]" as {@link dump}</li>
+ * <li>constructed - true for constructed ASN.1 TLV</li>
+ * <li>hl - byte length of ASN.1 tag and length</li>
+ * <li>l - byte length of ASN.1 value or -1 for BER indefinite length</li>
+ * <li>children - array of child nodes for constructed ASN.1 TLV</li>
+ * <li>value - decoded value for primitive ASN.1 TLV</li>
+ * <li>name - OID name for ObjectIdentifier</li>
+ * <li>encapsulates - node of ASN.1 data encapsulated in OCTET STRING</li>
+ * <li>error, hex - error message and raw value for malformed ASN.1 data</li>
+ * </ul>
+ * Long hexadecimal values are shortened as {@link dump}
+ * by "ommit_long_octet" flag which is 32 by default.
+ * Set it to 0 to get whole values.
+ * @example
+ * dumpJSON("3006020101010100")
+ * &rarr;
+ * {offset: 0, depth: 0, tag: "30", type: "SEQUENCE", constructed: true, hl: 2, l: 6,
+ *  children: [
+ *   {offset: 2, depth: 1, tag: "02", type: "INTEGER", constructed: false, hl: 2, l: 1, value: "01"},
+ *   {offset: 5, depth: 1, tag: "01", type: "BOOLEAN", constructed: false, hl: 2, l: 1, value: "FALSE"}]}
+ */
+export function dumpJSON(hexOrObj, flags) {
+	let hex = (hexOrObj instanceof ASN1Object) ? hexOrObj.getEncodedHex() : hexOrObj;
+	return dumpJSONTLV(hex, 0, 0, 0, getLongOctetLimit(flags, 32));
+}
+
+/**
+ * get value column of OpenSSL asn1parse for primitive ASN.1 TLV
+ * @param {string} hT hexadecimal string of ASN.1 tag
+ * @param {string} hV hexadecimal string of ASN.1 value
+ * @param {number} limit number of octets for long values or 0 for no limit
+ * @return {string} value column
+ */
+function getOpenSSLValue(hT, hV, limit) {
+	switch (hT) {
+		case "01":
+			if (hV.length != 2) return "Bad boolean";
+			return ":" + parseInt(hV, 16);
+		case "02": case "0a": {
+			if (hV.length == 0) return (hT == "02") ? "BAD INTEGER" : "BAD ENUMERATED";
+			let s = ":";
+			let hMag = hV;
+			if (parseInt(hV.substr(0, 1), 16) >= 8) { // negative, get magnitude of two's complement
+				s = s + "-";
+				let a = [];
+				let carry = 1;
+				for (let i = hV.length - 2; i >= 0; i -= 2) {
+					let n = (~parseInt(hV.substr(i, 2), 16) & 0xff) + carry;
+					carry = n >> 8;
+					a.unshift(("0" + (n & 0xff).toString(16)).slice(-2));
+				}
+				hMag = a.join("");
+			}
+			hMag = hMag.replace(/^(00)+/, "");
+			if (hMag == "") hMag = "00";
+			if (limit > 0) hMag = skipLongHex(hMag, limit);
+			return s + hMag.toUpperCase();
+		}
+		case "04": {
+			if (hV.length == 0) return "";
+			let sV = hextorstr(hV);
+			if (/^[\x20-\x7e\t\r\n]*$/.test(sV)) return ":" + sV;
+			return "[HEX DUMP]:" + ((limit > 0) ? skipLongHex(hV, limit) : hV).toUpperCase();
+		}
+		case "06":
+			return ":" + oidname(hV);
+		case "0c":
+			try {
+				return ":" + hextoutf8(hV);
+			} catch (ex) {
+				return ":" + hextorstr(hV);
+			}
+		case "12": case "13": case "14": case "16":
+		case "17": case "18": case "1a":
+			return ":" + hextorstr(hV);
+	}
+	return "";
+}
+
+/**
+ * append lines of OpenSSL asn1parse output for ASN.1 TLV
+ * @param {string} h hexadecimal string of ASN.1 data
+ * @param {number} idx string index of ASN.1 TLV
+ * @param {number} depth depth of ASN.1 TLV
+ * @param {boolean} indent true to indent type names by depth
+ * @param {number} limit number of octets for long values or 0 for no limit
+ * @param {Array<string>} a array of output lines
+ * @return {boolean} false if malformed ASN.1 data was found
+ */
+function dumpOpenSSLTLV(h, idx, depth, indent, limit, a) {
+	ASN1Bytes.checkDecodeDepth(depth);
+	let oHdr = getDumpHeader(h, idx);
+	if (oHdr === null) {
+		a.push("Error in encoding");
+		return false;
+	}
+
+	let hT = /** @type {string} */ ( oHdr['tag'] );
+	let l = /** @type {number} */ ( oHdr['l'] );
+	let constructed = ((parseInt(hT.substr(0, 2), 16) & 0x20) != 0);
+	let oTag = parseTagHex(hT);
+	let tagNumber = /** @type {number} */ ( oTag['number'] );
+	let name;
+	if (oTag['class'] == 'universal') {
+		name = (tagNumber < OPENSSL_TYPE_NAME.length) ? OPENSSL_TYPE_NAME[tagNumber] : "<ASN1 " + tagNumber + ">";
+	} else {
+		name = {'context': "cont", 'application': "appl", 'private': "priv"}[oTag['class']] + " [ " + tagNumber + " ] ";
+	}
+
+	let s = ("     " + (idx / 2)).slice(-5) + ":d=" + (depth + " ").substr(0, Math.max(2, ("" + depth).length)) +
+		" hl=" + oHdr['hl'] + " l=" + ((l < 0) ? "inf " : ("    " + l).slice(-4)) + " " +
+		(constructed ? "cons: " : "prim: ");
+	if (indent) s = s + " ".repeat(depth);
+	s = s + (name + " ".repeat(18)).substr(0, Math.max(18, name.length));
+
+	let vidx = /** @type {number} */ ( oHdr['vidx'] );
+	let hV = h.substr(vidx, /** @type {number} */ ( oHdr['vblen'] ) * 2);
+	if (!constructed) {
+		a.push(s + getOpenSSLValue(hT, hV, limit));
+		return true;
+	}
+	a.push(s);
+
+	let aIdx = getAllChildIdx(h, idx);
+	if (aIdx === null) {
+		a.push("Error in encoding");
+		return false;
+	}
+	for (let i = 0; i < aIdx.length; i++) {
+		if (!dumpOpenSSLTLV(h, aIdx[i], depth + 1, indent, limit, a)) return false;
+	}
+	if (l < 0) { // end-of-contents of BER indefinite length
+		let sEOC = ("     " + ((vidx + hV.length) / 2)).slice(-5) + ":d=" + ((depth + 1) + " ").substr(0, Math.max(2, ("" + (depth + 1)).length)) +
+			" hl=2 l=   0 prim: ";
+		if (indent) sEOC = sEOC + " ".repeat(depth + 1);
+		a.push(sEOC + ("EOC" + " ".repeat(18)).substr(0, 18));
+	}
+	return true;
+}
+
+/**
+ * get string of ASN.1 dump compatible with OpenSSL asn1parse command<br/>
+ * @param {string | ASN1Object} hexOrObj hexadecmal string of ASN.1 data or ASN1Object object
+ * @param {Dictionary=} flags associative array of flags for dump (OPTION)
+ * @return {string} string of ASN.1 dump
+ * @description
+ * This method returns the same text as "openssl asn1parse -i"
+ * which has byte offset, depth, header length, value length,
+ * type name and value for each ASN.1 TLV.
+ * Following flags are supported:
+ * <ul>
+ * <li>indent - false to omit indentation as "openssl asn1parse" without "-i" (DEFAULT: true)</li>
+ * <li>ommit_long_octet - number of octets to show for long INTEGER and OCTET STRING as {@link dump} (DEFAULT: no limit)</li>
+ * </ul>
+ * @example
+ * dumpOpenSSL("3006020101010100")
+ * &rarr;
+ *     0:d=0  hl=2 l=   6 cons: SEQUENCE          
+ *     2:d=1  hl=2 l=   1 prim:  INTEGER           :01
+ *     5:d=1  hl=2 l=   1 prim:  BOOLEAN           :0
+ */
+export function dumpOpenSSL(hexOrObj, flags) {
+	let hex = (hexOrObj instanceof ASN1Object) ? hexOrObj.getEncodedHex() : hexOrObj;
+	let indent = (flags === undefined || flags['indent'] !== false);
+	/** @type {Array<string>} */ let a = [];
+	let idx = 0;
+	while (idx < hex.length) {
+		if (!dumpOpenSSLTLV(hex, idx, 0, indent, getLongOctetLimit(flags, 0), a)) break;
+		idx = /** @type {number} */ ( getDumpHeader(hex, idx)['end'] );
+	}
+	return a.join("\n") + "\n";
+}
+
+/**
+ * append rows of annotated hexadecimal dump for ASN.1 TLV
+ * @param {string} h hexadecimal string of ASN.1 data
+ * @param {number} idx string index of ASN.1 TLV
+ * @param {number} depth depth of ASN.1 TLV
+ * @param {number} limit number of octets for long values or 0 for no limit
+ * @param {Array<Array<string|number>>} a array of rows which are [string index, indented bytes, annotation]
+ * @return {boolean} false if malformed ASN.1 data was found
+ */
+function dumpHexTLV(h, idx, depth, limit, a) {
+	ASN1Bytes.checkDecodeDepth(depth);
+	let sIndent = "  ".repeat(depth);
+	let bytes = function(/** string */ hex) { return hex.replace(/(..)(?!$)/g, "$1 "); };
+
+	let oHdr = getDumpHeader(h, idx);
+	if (oHdr === null) {
+		a.push([idx, sIndent + bytes(h.substr(idx, 32)) + ((h.length - idx > 32) ? " .." : ""), "malformed ASN.1"]);
+		return false;
+	}
+
+	let hT = /** @type {string} */ ( oHdr['tag'] );
+	let vidx = /** @type {number} */ ( oHdr['vidx'] );
+	let hV = h.substr(vidx, /** @type {number} */ ( oHdr['vblen'] ) * 2);
+	let constructed = ((parseInt(hT.substr(0, 2), 16) & 0x20) != 0);
+	let name = getDumpTypeName(hT);
+	let aIdx = constructed ? getAllChildIdx(h, idx) : null;
+
+	if (constructed && aIdx !== null) {
+		a.push([idx, sIndent + bytes(h.substring(idx, vidx)), name]);
+		for (let i = 0; i < aIdx.length; i++) {
+			if (!dumpHexTLV(h, aIdx[i], depth + 1, limit, a)) return false;
+		}
+		if (oHdr['l'] == -1) a.push([vidx + hV.length, sIndent + "  00 00", "EOC"]);
+		return true;
+	}
+
+	let note = name;
+	if (constructed) {
+		note = note + " malformed ASN.1 value";
+	} else {
+		let v = getDumpValue(hT, hV, limit);
+		if (hT == "06") v = oidname(hV) + ((oidname(hV) != v) ? " (" + v + ")" : "");
+		if (v != "") note = note + " " + v;
+	}
+
+	// header and leading value bytes on first row, rest of value 16 bytes per row
+	let pEnd = vidx + hV.length;
+	let pSkip = (limit > 0 && hV.length > limit * 4) ? vidx + limit * 2 : pEnd;
+	let hFirst = h.substring(idx, Math.min(Math.max(vidx, idx + 32), pSkip));
+	a.push([idx, sIndent + bytes(hFirst), note]);
+	let p = idx + hFirst.length;
+	for (; p < pSkip; p += 32) {
+		a.push([p, sIndent + "  " + bytes(h.substring(p, Math.min(p + 32, pSkip))), ""]);
+	}
+	if (pSkip < pEnd) {
+		let pTail = Math.max(pSkip, pEnd - limit * 2);
+		a.push([pSkip, sIndent + "  ..", "(total " + hV.length / 2 + " bytes)"]);
+		for (p = pTail; p < pEnd; p += 32) {
+			a.push([p, sIndent + "  " + bytes(h.substring(p, Math.min(p + 32, pEnd))), ""]);
+		}
+	}
+	return true;
+}
+
+/**
+ * get string of annotated hexadecimal dump from hexadecimal ASN.1 data<br/>
+ * @param {string | ASN1Object} hexOrObj hexadecmal string of ASN.1 data or ASN1Object object
+ * @param {Dictionary=} flags associative array of flags for dump (OPTION)
+ * @return {string} string of annotated hexadecimal dump
+ * @description
+ * This method shows bytes of ASN.1 data with byte offsets.
+ * Each ASN.1 TLV starts a new row indented by its depth and
+ * rows are annotated by type name and decoded value as {@link dump}.
+ * Values longer than "ommit_long_octet" flag (DEFAULT: 32) octets
+ * are shown only at their head and tail. Set it to 0 to show all bytes.
+ * @example
+ * dumpHex("3006020101010100")
+ * &rarr;
+ * 0000  30 06           ; SEQUENCE
+ * 0002    02 01 01      ; INTEGER 01
+ * 0005    01 01 00      ; BOOLEAN FALSE
+ */
+export function dumpHex(hexOrObj, flags) {
+	let hex = (hexOrObj instanceof ASN1Object) ? hexOrObj.getEncodedHex() : hexOrObj;
+	let limit = getLongOctetLimit(flags, 32);
+
+	/** @type {Array<Array<string|number>>} */ let a = [];
+	let idx = 0;
+	while (idx < hex.length) {
+		if (!dumpHexTLV(hex, idx, 0, limit, a)) break;
+		idx = /** @type {number} */ ( getDumpHeader(hex, idx)['end'] );
+	}
+
+	let offsetLen = Math.max(4, (hex.length / 2).toString(16).length);
+	let width = 0;
+	for (let i = 0; i < a.length; i++) {
+		width = Math.max(width, ("" + a[i][1]).length);
+	}
+	let s = "";
+	for (let i = 0; i < a.length; i++) {
+		let sOffset = ("0".repeat(offsetLen) + (/** @type {number} */ ( a[i][0] ) / 2).toString(16)).slice(-offsetLen);
+		let sLine = sOffset + "  " + a[i][1];
+		if (a[i][2] !== "") sLine = sLine + " ".repeat(width - ("" + a[i][1]).length) + " ; " + a[i][2];
+		s = s + sLine + "\n";
+	}
+	return s;
+}
+
+/**
+ * get description of ASN.1 TLV for {@link diff}
+ * @param {string} h hexadecimal string of ASN.1 data
+ * @param {number} idx string index of ASN.1 TLV
+ * @param {string} path path of ASN.1 TLV
+ * @param {number} limit number of octets for long values or 0 for no limit
+ * @return {Dictionary} dictionary with 'path', 'offset', 'tag', 'type' and 'value' for primitive
+ */
+function getDiffNode(h, idx, path, limit) {
+	/** @type {Dictionary} */ let node = /** @type {Dictionary} */ ( { 'path': path, 'offset': idx / 2 } );
+	let oHdr = getDumpHeader(h, idx);
+	if (oHdr === null) {
+		node['type'] = "malformed ASN.1";
+		node['value'] = (limit > 0) ? skipLongHex(h.substr(idx), limit) : h.substr(idx);
+		return node;
+	}
+	let hT = /** @type {string} */ ( oHdr['tag'] );
+	node['tag'] = hT;
+	node['type'] = getDumpTypeName(hT);
+	if ((parseInt(hT.substr(0, 2), 16) & 0x20) == 0) {
+		let hV = h.substr(/** @type {number} */ ( oHdr['vidx'] ), /** @type {number} */ ( oHdr['vblen'] ) * 2);
+		node['value'] = getDumpValue(hT, hV, limit);
+		if (hT == "06") node['name'] = oidname(hV);
+	}
+	return node;
+}
+
+/**
+ * get nesting depth of path
+ * @param {string} path path of ASN.1 TLV (ex. '/0/2')
+ * @return {number} nesting depth, 0 for '/'
+ */
+function getPathDepth(path) {
+	return (path == "/") ? 0 : path.split("/").length - 1;
+}
+
+/**
+ * get child path for {@link diff}
+ * @param {string} path path of parent ASN.1 TLV
+ * @param {number} nth index of child
+ * @return {string} path of child
+ */
+function getDiffChildPath(path, nth) {
+	return ((path == "/") ? "" : path) + "/" + nth;
+}
+
+/**
+ * append differences of child ASN.1 TLVs for {@link diff}
+ * @param {string} h1 hexadecimal string of old ASN.1 data
+ * @param {Array<number>} a1 string indexes of old children
+ * @param {string} path1 path of old parent
+ * @param {string} h2 hexadecimal string of new ASN.1 data
+ * @param {Array<number>} a2 string indexes of new children
+ * @param {string} path2 path of new parent
+ * @param {number} limit number of octets for long values or 0 for no limit
+ * @param {Array<Dictionary>} result array of differences
+ */
+function diffChildren(h1, a1, path1, h2, a2, path2, limit, result) {
+	let t1 = a1.map(function(/** number */ idx) { return getTLV(h1, idx); });
+	let t2 = a2.map(function(/** number */ idx) { return getTLV(h2, idx); });
+
+	// longest common subsequence of unchanged children
+	/** @type {Array<Array<number>>} */ let lcs = [];
+	for (let i = t1.length; i >= 0; i--) {
+		lcs[i] = [];
+		for (let j = t2.length; j >= 0; j--) {
+			if (i == t1.length || j == t2.length) lcs[i][j] = 0;
+			else if (t1[i] == t2[j]) lcs[i][j] = lcs[i + 1][j + 1] + 1;
+			else lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+		}
+	}
+
+	let i = 0, j = 0;
+	while (i < t1.length || j < t2.length) {
+		if (i < t1.length && j < t2.length && t1[i] == t2[j]) {
+			i++; j++;
+			continue;
+		}
+
+		// find gap until next unchanged child
+		let iEnd = i, jEnd = j;
+		while (iEnd < t1.length || jEnd < t2.length) {
+			if (iEnd < t1.length && jEnd < t2.length && t1[iEnd] == t2[jEnd] &&
+				lcs[iEnd][jEnd] == lcs[i][j]) break;
+			if (jEnd >= t2.length || (iEnd < t1.length && lcs[iEnd + 1][jEnd] >= lcs[iEnd][jEnd + 1])) iEnd++;
+			else jEnd++;
+		}
+
+		// pair children with the same tag in the gap, others are removed or added
+		while (i < iEnd) {
+			let hT = getT(h1, a1[i]);
+			let k = j;
+			while (k < jEnd && getT(h2, a2[k]) != hT) k++;
+			if (k == jEnd && iEnd - i == jEnd - j) k = j; // same number of children left, compare by position
+			if (k == jEnd) {
+				result.push(/** @type {Dictionary} */ ( { 'op': "removed", 'path': getDiffChildPath(path1, i),
+					'old': getDiffNode(h1, a1[i], getDiffChildPath(path1, i), limit) } ));
+				i++;
+				continue;
+			}
+			for (; j < k; j++) {
+				result.push(/** @type {Dictionary} */ ( { 'op': "added", 'path': getDiffChildPath(path2, j),
+					'new': getDiffNode(h2, a2[j], getDiffChildPath(path2, j), limit) } ));
+			}
+			diffTLV(h1, a1[i], getDiffChildPath(path1, i), h2, a2[j], getDiffChildPath(path2, j), limit, result);
+			i++; j++;
+		}
+		for (; j < jEnd; j++) {
+			result.push(/** @type {Dictionary} */ ( { 'op': "added", 'path': getDiffChildPath(path2, j),
+				'new': getDiffNode(h2, a2[j], getDiffChildPath(path2, j), limit) } ));
+		}
+	}
+}
+
+/**
+ * append differences of ASN.1 TLVs for {@link diff}
+ * @param {string} h1 hexadecimal string of old ASN.1 data
+ * @param {number} idx1 string index of old ASN.1 TLV
+ * @param {string} path1 path of old ASN.1 TLV
+ * @param {string} h2 hexadecimal string of new ASN.1 data
+ * @param {number} idx2 string index of new ASN.1 TLV
+ * @param {string} path2 path of new ASN.1 TLV
+ * @param {number} limit number of octets for long values or 0 for no limit
+ * @param {Array<Dictionary>} result array of differences
+ */
+function diffTLV(h1, idx1, path1, h2, idx2, path2, limit, result) {
+	ASN1Bytes.checkDecodeDepth(getPathDepth(path1));
+	let oHdr1 = getDumpHeader(h1, idx1);
+	let oHdr2 = getDumpHeader(h2, idx2);
+	if (oHdr1 !== null && oHdr2 !== null) {
+		if (getTLV(h1, idx1) == getTLV(h2, idx2)) return;
+
+		let hT1 = /** @type {string} */ ( oHdr1['tag'] );
+		let hT2 = /** @type {string} */ ( oHdr2['tag'] );
+		if (hT1 == hT2) {
+			let a1 = getQueryChildIdx(h1, idx1);
+			let a2 = getQueryChildIdx(h2, idx2);
+			if ((parseInt(hT1.substr(0, 2), 16) & 0x20) != 0 || (a1.length > 0 && a2.length > 0)) {
+				diffChildren(h1, a1, path1, h2, a2, path2, limit, result);
+				return;
+			}
+		}
+	} else if (h1.substr(idx1) == h2.substr(idx2)) {
+		return;
+	}
+
+	result.push(/** @type {Dictionary} */ ( { 'op': "changed", 'path': path1,
+		'old': getDiffNode(h1, idx1, path1, limit),
+		'new': getDiffNode(h2, idx2, path2, limit) } ));
+}
+
+/**
+ * get structural differences between two ASN.1 data<br/>
+ * @param {string | ASN1Object} hexOrObj1 hexadecmal string of old ASN.1 data or ASN1Object object
+ * @param {string | ASN1Object} hexOrObj2 hexadecmal string of new ASN.1 data or ASN1Object object
+ * @param {Dictionary=} flags associative array of flags for dump (OPTION)
+ * @return {Array<Dictionary>} array of differences, empty if structures are the same
+ * @description
+ * This method compares two ASN.1 structures node by node
+ * and reports differences in document order. Each difference
+ * has following members:
+ * <ul>
+ * <li>op - "changed", "removed" or "added"</li>
+ * <li>path - path of the node in old data, or in new data for "added",
+ * which can be used with {@link query}</li>
+ * <li>old - description of the node in old data (for "changed" and "removed")</li>
+ * <li>new - description of the node in new data (for "changed" and "added")</li>
+ * </ul>
+ * The description of a node has 'path', byte 'offset', hexadecimal 'tag',
+ * 'type' name, decoded 'value' for primitive node and OID 'name' as {@link dumpJSON}.
+ * Children of constructed nodes and encapsulated ASN.1 data in
+ * OCTET STRING or BIT STRING are compared recursively and
+ * unchanged children are matched even if some children are inserted or removed.
+ * Differences of length encoding only such as BER indefinite length are not reported.
+ * Long hexadecimal values are shortened by "ommit_long_octet" flag as {@link dump}.
+ * Use {@link dumpDiff} to get the differences as text.
+ * @example
+ * diff("3006020101020102", "3006020101020103")
+ * &rarr;
+ * [{op: "changed", path: "/1",
+ *   old: {path: "/1", offset: 5, tag: "02", type: "INTEGER", value: "02"},
+ *   new: {path: "/1", offset: 5, tag: "02", type: "INTEGER", value: "03"}}]
+ */
+export function diff(hexOrObj1, hexOrObj2, flags) {
+	let h1 = (hexOrObj1 instanceof ASN1Object) ? hexOrObj1.getEncodedHex() : hexOrObj1;
+	let h2 = (hexOrObj2 instanceof ASN1Object) ? hexOrObj2.getEncodedHex() : hexOrObj2;
+	/** @type {Array<Dictionary>} */ let result = [];
+	diffTLV(h1, 0, "/", h2, 0, "/", getLongOctetLimit(flags, 32), result);
+	return result;
+}
+
+/**
+ * get text of node description for {@link dumpDiff}
+ * @param {Dictionary} node node description of {@link diff}
+ * @param {boolean} withType true to prepend type name
+ * @return {string} text of node
+ */
+function getDiffNodeText(node, withType) {
+	let s = withType ? /** @type {string} */ ( node['type'] ) : "";
+	let value = node['value'];
+	if (node['name'] !== undefined && node['name'] != value) value = node['name'] + " (" + value + ")";
+	if (value !== undefined && value !== "")
+		s = s + (withType ? " " : "") + value;
+	return s;
+}
+
+/**
+ * get string of structural differences between two ASN.1 data<br/>
+ * @param {string | ASN1Object} hexOrObj1 hexadecmal string of old ASN.1 data or ASN1Object object
+ * @param {string | ASN1Object} hexOrObj2 hexadecmal string of new ASN.1 data or ASN1Object object
+ * @param {Dictionary=} flags associative array of flags for dump (OPTION)
+ * @return {string} text of differences, empty if structures are the same
+ * @description
+ * This method returns the result of {@link diff} as text.
+ * Each line starts with "~" for changed, "-" for removed
+ * or "+" for added node and its path.
+ * @example
+ * dumpDiff(certHex1, certHex2)
+ * &rarr;
+ * ~ /0/1 INTEGER 01 -> 02
+ * - /0/7/0/2 SEQUENCE
+ * + /0/7/0/2 ObjectIdentifier subjectAltName (2.5.29.17)
+ */
+export function dumpDiff(hexOrObj1, hexOrObj2, flags) {
+	let a = diff(hexOrObj1, hexOrObj2, flags);
+	let s = "";
+	for (let i = 0; i < a.length; i++) {
+		let oOld = /** @type {Dictionary} */ ( a[i]['old'] );
+		let oNew = /** @type {Dictionary} */ ( a[i]['new'] );
+		if (a[i]['op'] == "removed") {
+			s = s + "- " + a[i]['path'] + " " + getDiffNodeText(oOld, true) + "\n";
+		} else if (a[i]['op'] == "added") {
+			s = s + "+ " + a[i]['path'] + " " + getDiffNodeText(oNew, true) + "\n";
+		} else {
+			let sameType = (oOld['tag'] == oNew['tag'] && oNew['value'] !== undefined);
+			s = s + "~ " + a[i]['path'] + " " + getDiffNodeText(oOld, true) + " -> " +
+				getDiffNodeText(oNew, !sameType) + "\n";
+		}
+	}
+	return s;
+}
+
+/**
+ * get minimal hexadecimal string of ASN.1 L(length) for value byte length
+ * @param {number} n byte length of ASN.1 value
+ * @return {string} hexadecimal string of ASN.1 L(length)
+ */
+function lengthHex(n) {
+	let hN = n.toString(16);
+	if (hN.length % 2 == 1) hN = "0" + hN;
+	if (n < 128) return hN;
+	return (128 + hN.length / 2).toString(16) + hN;
+}
+
+/**
+ * get string indexes of all child ASN.1 objects in a constructed ASN.1 value
+ * @param {string} h hexadecimal string of ASN.1 DER encoded data
+ * @param {number} idx string index of constructed ASN.1 object
+ * @return {Array<number> | null} array of child indexes or null if value is not a concatenation of ASN.1 TLVs
+ */
+function getAllChildIdx(h, idx) {
+	/** @type {Array<number>} */ let a = [];
+	let p = getVidx(h, idx);
+	let pEnd = p + getVblen(h, idx) * 2;
+	while (p < pEnd) {
+		if (getLblen(h, p) == -2) return null;
+		a.push(p);
+		ASN1Bytes.checkDecodeElements(a.length);
+		let pNext = getNextSiblingIdx(h, p);
+		if (pNext <= p) return null;
+		p = pNext;
+	}
+	if (p != pEnd) return null;
+	return a;
+}
+
+/**
+ * JSON key of ASN.1 universal string and time types for {@link newObject}
+ * @type {Object<string, string>}
+ */
+const PARSE_STRING_KEY = {
+	'0c': 'utf8str',
+	'12': 'numstr',
+	'13': 'prnstr',
+	'14': 'telstr',
+	'16': 'ia5str',
+	'17': 'utctime',
+	'18': 'gentime',
+	'1a': 'visstr',
+	'1b': 'genstr',
+	'1c': 'unistr',
+	'1e': 'bmpstr'
+};
+
+/**
+ * parse ASN.1 TLV to JSON parameter
+ * @param {string} h lower case hexadecimal string of ASN.1 DER encoded data
+ * @param {number} idx string index of ASN.1 TLV
+ * @param {number} depth nesting depth of ASN.1 TLV
+ * @return {Dictionary} JSON parameter for {@link newObject}
+ */
+function parseTLV(h, idx, depth) {
+	ASN1Bytes.checkDecodeDepth(depth);
+	let tag = getT(h, idx);
+
+	if (getLblen(h, idx) == -2 || getVblen(h, idx) < 0 || getNextSiblingIdx(h, idx) > h.length) {
+		return /** @type {Dictionary} */ ( { 'asn1': { 'tlv': h.substr(idx) } } );
+	}
+
+	let hV = getV(h, idx);
+	let raw = /** @type {Dictionary} */ ( { 'asn1': { 'tlv': getTLV(h, idx) } } );
+	if (getL(h, idx) != lengthHex(hV.length / 2)) return raw; // BER or not minimal length
+
+	if (tag == "01") {
+		if (hV == "ff") return /** @type {Dictionary} */ ( { 'bool': true } );
+		if (hV == "00") return /** @type {Dictionary} */ ( { 'bool': false } );
+		return /** @type {Dictionary} */ ( { 'bool': { 'hex': hV } } );
+	}
+	if (tag == "02") return /** @type {Dictionary} */ ( { 'int': { 'hex': hV } } );
+	if (tag == "03") return /** @type {Dictionary} */ ( { 'bitstr': { 'hex': hV } } );
+	if (tag == "04") return /** @type {Dictionary} */ ( { 'octstr': { 'hex': hV } } );
+	if (tag == "05") {
+		if (hV != "") return raw;
+		return /** @type {Dictionary} */ ( { 'null': '' } );
+	}
+	if (tag == "06") {
+		try {
+			let oid = oidHexToInt(hV);
+			if (oid.match(/^[0-2]\.[0-9.]+$/) && oidIntToHex(oid) == hV) return /** @type {Dictionary} */ ( { 'oid': oid } );
+		} catch (ex) {}
+		return /** @type {Dictionary} */ ( { 'oid': { 'hex': hV } } );
+	}
+	if (tag == "09") {
+		try {
+			let v = realHexToNumber(hV);
+			if (isFinite(v) && !(v === 0 && 1 / v < 0) && realToHex(v) == hV) return /** @type {Dictionary} */ ( { 'real': v } );
+		} catch (ex) {}
+		return /** @type {Dictionary} */ ( { 'real': { 'hex': hV } } );
+	}
+	if (tag == "0a") return /** @type {Dictionary} */ ( { 'enum': { 'hex': hV } } );
+	if (tag == "0d") {
+		try {
+			let roid = roidHexToInt(hV);
+			if (roid != "" && roidIntToHex(roid) == hV) return /** @type {Dictionary} */ ( { 'roid': roid } );
+		} catch (ex) {}
+		return /** @type {Dictionary} */ ( { 'roid': { 'hex': hV } } );
+	}
+
+	let strKey = PARSE_STRING_KEY[tag];
+	if (strKey !== undefined) {
+		let r = /** @type {Dictionary} */ ( {} );
+		if (tag == "17" || tag == "18") {
+			r[strKey] = { 'str': hextorstr(hV) };
+			return r;
+		}
+		try {
+			let s;
+			if (tag == "1c") {
+				s = hextoucs4(hV);
+				if (ucs4tohex(s) != hV) throw "not canonical UCS-4";
+			} else if (tag == "1e") {
+				s = hextoucs2(hV);
+				if (ucs2tohex(s) != hV) throw "not canonical UCS-2";
+			} else {
+				s = hextoutf8(hV);
+				if (utf8tohex(s).toLowerCase() != hV) throw "not canonical UTF-8";
+			}
+			r[strKey] = { 'str': s };
+		} catch (ex) {
+			r[strKey] = { 'hex': hV };
+		}
+		return r;
+	}
+
+	if (tag == "30" || tag == "31") {
+		let aIdx = getAllChildIdx(h, idx);
+		if (aIdx === null) return raw;
+
+		/** @type {Array<Dictionary>} */ let a = [];
+		/** @type {Array<string>} */ let aTLV = [];
+		for (let i = 0; i < aIdx.length; i++) {
+			a.push(parseTLV(h, aIdx[i], depth + 1));
+			aTLV.push(getTLV(h, aIdx[i]));
+		}
+		if (tag == "30") return /** @type {Dictionary} */ ( { 'seq': a } );
+
+		if (aTLV.join('') == aTLV.slice().sort().join(''))
+			return /** @type {Dictionary} */ ( { 'set': a } );
+		return /** @type {Dictionary} */ ( { 'set': { 'array': a, 'sortflag': false } } );
+	}
+
+	let iTag = parseInt(tag.substr(0, 2), 16);
+	if ((iTag & 0xc0) != 0) { // context specific, application or private
+		if ((iTag & 32) != 0) { // structured tag
+			let aIdx = getAllChildIdx(h, idx);
+			if (aIdx === null) return raw;
+
+			if (aIdx.length == 1) {
+				return /** @type {Dictionary} */ ( {
+					'tag': { 'tag': tag, 'explicit': true, 'obj': parseTLV(h, aIdx[0], depth + 1) }
+				} );
+			}
+			/** @type {Array<Dictionary>} */ let a = [];
+			for (let i = 0; i < aIdx.length; i++) {
+				a.push(parseTLV(h, aIdx[i], depth + 1));
+			}
+			return /** @type {Dictionary} */ ( {
+				'tag': { 'tag': tag, 'explicit': false, 'obj': { 'seq': a } }
+			} );
+		} else { // primitive tag
+			return /** @type {Dictionary} */ ( {
+				'tag': { 'tag': tag, 'explicit': false, 'obj': { 'octstr': { 'hex': hV } } }
+			} );
+		}
+	}
+
+	return raw;
+}
+
+/**
+ * parse hexadecimal ASN.1 data to JSON parameter of {@link newObject}
+ * @param {string} h hexadecimal string of ASN.1 DER encoded data
+ * @param {number=} idx string index of ASN.1 TLV to parse (OPTION, DEFAULT 0)
+ * @return {Dictionary} JSON parameter for {@link newObject}
+ * @description
+ * This method is the inverse of {@link newObject} and {@link jsonToASN1HEX}.
+ * It converts ASN.1 DER encoded data to the JSON notation
+ * so that it can be modified and encoded again.
+ * Unmodified result encoded by {@link jsonToASN1HEX} is
+ * identical to the input:
+ * <ul>
+ * <li>INTEGER, ENUMERATED, BIT STRING and OCTET STRING values are kept by 'hex'</li>
+ * <li>string values are decoded to 'str' only if they are proper UTF-8
+ * (UCS-4 for UniversalString and UCS-2 for BMPString), otherwise 'hex' is used</li>
+ * <li>REAL value is parsed as number only if it is finite and DER encoded, otherwise 'hex' is used</li>
+ * <li>context specific, application and private tags are parsed as 'tag'.
+ * Structured tag with one element is parsed as explicit tag and
+ * structured tag with other number of elements as implicit SEQUENCE.
+ * Primitive tag is parsed as implicit OCTET STRING.</li>
+ * <li>SET which elements are not sorted is parsed with 'sortflag' false</li>
+ * <li>unsupported type or non-DER length is kept as is by 'asn1'</li>
+ * </ul>
+ * @example
+ * parse("3006020103130161")
+ * &rarr; {'seq': [{'int': {'hex': '03'}}, {'prnstr': {'str': 'a'}}]}
+ * parse("a0030201ff")
+ * &rarr; {'tag': {'tag': 'a0', 'explicit': true, 'obj': {'int': {'hex': 'ff'}}}}
+ * parse("06032b0601")
+ * &rarr; {'oid': '1.3.6.1'}
+ * // parse, modify and encode again
+ * let p = parse(hCert);
+ * p['seq'][0]['seq'][1] = {'int': 1234};
+ * let hCert2 = jsonToASN1HEX(p);
+ */
+export function parse(h, idx) {
+	if (idx === undefined) idx = 0;
+	return parseTLV(h.toLowerCase(), idx, 0);
+}
+
+/**
+ * parse hexadecimal ASN.1 data to ASN1Object
+ * @param {string} h hexadecimal string of ASN.1 DER encoded data
+ * @param {number=} idx string index of ASN.1 TLV to parse (OPTION, DEFAULT 0)
+ * @return {ASN1Object} ASN1Object such as {@link DERSequence} or {@link DERInteger}
+ * @description
+ * This method parses ASN.1 data by {@link parse} and
+ * generates ASN1Object from its result by {@link newObject}.
+ * @example
+ * let o = parseObject("3006020103130161"); // DERSequence
+ * o.getEncodedHex() &rarr; "3006020103130161"
+ */
+export function parseObject(h, idx) {
+	return newObject(parse(h, idx));
+}
+
+/**
+ * universal string types which may have constructed encoding in BER
+ * @type {string}
+ */
+const BER_CONSTRUCTED_STRING_TAGS = ":23:24:2c:32:33:34:35:36:37:38:39:3a:3b:3c:3d:3e:";
+
+/**
+ * collect values of primitive segments of BER constructed string
+ * @param {string} h hexadecimal string of ASN.1 BER encoded data
+ * @param {number} idx string index of string segment
+ * @param {Array<string>} a array to add hexadecimal segment values to
+ * @param {number} depth nesting depth of string segment
+ */
+function collectBERSegments(h, idx, a, depth) {
+	ASN1Bytes.checkDecodeDepth(depth);
+	if ((parseInt(h.substr(idx, 2), 16) & 32) == 0) {
+		a.push(getV(h, idx));
+		return;
+	}
+	let aIdx = getAllChildIdx(h, idx);
+	if (aIdx === null) throw "malformed BER constructed string at " + idx;
+	for (let i = 0; i < aIdx.length; i++) {
+		collectBERSegments(h, aIdx[i], a, depth + 1);
+	}
+}
+
+/**
+ * check whether ASN.1 TLV uses encoding forms allowed in BER only
+ * @param {string} h hexadecimal string of ASN.1 encoded data
+ * @param {number} idx string index of ASN.1 TLV
+ * @param {number} depth nesting depth of ASN.1 TLV
+ * @return {boolean} true if indefinite length or constructed string is used
+ */
+function hasBERFormTLV(h, idx, depth) {
+	ASN1Bytes.checkDecodeDepth(depth);
+	let lblen = getLblen(h, idx);
+	if (lblen == -1) return true;
+	if (lblen < 0) return false;
+
+	let tag = getT(h, idx);
+	if ((parseInt(tag.substr(0, 2), 16) & 32) == 0) return false;
+	if (BER_CONSTRUCTED_STRING_TAGS.indexOf(":" + tag + ":") != -1) return true;
+
+	let aIdx = getAllChildIdx(h, idx);
+	if (aIdx === null) return false;
+	for (let i = 0; i < aIdx.length; i++) {
+		if (hasBERFormTLV(h, aIdx[i], depth + 1)) return true;
+	}
+	return false;
+}
+
+/**
+ * check whether ASN.1 data uses encoding forms allowed in BER only<br/>
+ * @param {string} h hexadecimal string of ASN.1 encoded data
+ * @return {boolean} true if indefinite length or constructed string is used
+ * @description
+ * This method checks the first ASN.1 object of hexadecimal string
+ * for indefinite lengths and constructed BIT STRING, OCTET STRING or
+ * character strings which shall be normalized by {@link bertoder}.
+ * Other DER violations such as non-minimal length octets are not
+ * reported by this method. Use {@link validateDER} for them.
+ * @example
+ * hasBERForm("30800201050000") &rarr; true
+ * hasBERForm("24800401610401620000") &rarr; true
+ * hasBERForm("028101ff") &rarr; false
+ * hasBERForm("3003020105") &rarr; false
+ */
+export function hasBERForm(h) {
+	return hasBERFormTLV(h.toLowerCase(), 0, 0);
+}
+
+/**
+ * convert BER encoded ASN.1 TLV to DER
+ * @param {string} h hexadecimal string of ASN.1 BER encoded data
+ * @param {number} idx string index of ASN.1 TLV
+ * @param {number} depth nesting depth of ASN.1 TLV
+ * @return {string} hexadecimal string of DER encoded ASN.1 TLV
+ */
+function bertoderTLV(h, idx, depth) {
+	ASN1Bytes.checkDecodeDepth(depth);
+	let tag = getT(h, idx);
+	if (getLblen(h, idx) == -2 || getVblen(h, idx) < 0 || getNextSiblingIdx(h, idx) > h.length)
+		throw "malformed ASN.1 length at " + idx;
+	if (!hasBERFormTLV(h, idx, depth)) return getTLV(h, idx);
+
+	let iTag = parseInt(tag.substr(0, 2), 16);
+	if ((iTag & 32) == 0) { // primitive
+		let hV = getV(h, idx);
+		return tag + lengthHex(hV.length / 2) + hV;
+	}
+
+	if (BER_CONSTRUCTED_STRING_TAGS.indexOf(":" + tag + ":") != -1) {
+		/** @type {Array<string>} */ let a = [];
+		collectBERSegments(h, idx, a, depth);
+		let hV = "";
+		if (tag == "23") { // BIT STRING: unused bits of the last segment only
+			for (let i = 0; i < a.length; i++) hV += a[i].substr(2);
+			hV = ((a.length > 0) ? a[a.length - 1].substr(0, 2) : "00") + hV;
+		} else {
+			hV = a.join('');
+		}
+		let hTag = ("0" + (iTag & ~32).toString(16)).slice(-2);
+		return hTag + lengthHex(hV.length / 2) + hV;
+	}
+
+	let aIdx = getAllChildIdx(h, idx);
+	if (aIdx === null) throw "malformed ASN.1 structure at " + idx;
+	let hV = "";
+	for (let i = 0; i < aIdx.length; i++) {
+		hV += bertoderTLV(h, aIdx[i], depth + 1);
+	}
+	return tag + lengthHex(hV.length / 2) + hV;
+}
+
+/**
+ * convert BER encoded ASN.1 data to DER<br/>
+ * @param {string} h hexadecimal string of ASN.1 BER or DER encoded data
+ * @return {string} hexadecimal string of normalized data
+ * @throws {string} if ASN.1 length or structure is malformed
+ * @description
+ * This method normalizes BER encoding which is used by
+ * some CMS, PKCS#12 and S/MIME implementations so that
+ * DER parsers in this library can accept it:
+ * <ul>
+ * <li>indefinite lengths are replaced by definite lengths</li>
+ * <li>constructed BIT STRING, OCTET STRING and character strings
+ * are concatenated to primitive ones</li>
+ * </ul>
+ * Only ASN.1 objects which use those forms and their ancestors
+ * are re-encoded with minimal length octets. Other objects such as
+ * signed TBSCertificate are kept byte for byte since
+ * signatures may have been calculated for them.
+ * Order of SET elements is also kept as is.
+ * Data after the first ASN.1 object is kept as is.
+ * When {@link hasBERForm} is false, given string is returned without
+ * any change. Use {@link checkDER} to reject data which is not DER.
+ * @example
+ * bertoder("30800201050000") &rarr; "3003020105"
+ * bertoder("24800401610401620000") &rarr; "04026162"
+ * bertoder("3080028101050000") &rarr; "300402810105"
+ * bertoder("028101ff") &rarr; "028101ff"
+ */
+export function bertoder(h) {
+	if (!hasBERForm(h)) return h;
+	h = h.toLowerCase();
+	return bertoderTLV(h, 0, 0) + h.substr(getNextSiblingIdx(h, 0));
+}
+
+/**
+ * universal tag numbers of types which shall have primitive encoding in DER
+ * @type {string}
+ */
+const DER_PRIMITIVE_TAGS = ":01:02:03:04:05:06:07:09:0a:0c:0d:0e:12:13:14:15:16:17:18:19:1a:1b:1c:1d:1e:";
+
+/**
+ * validate DER rules of ASN.1 TLV and its descendants
+ * @param {string} h lower case hexadecimal string of ASN.1 encoded data
+ * @param {number} idx string index of ASN.1 TLV
+ * @param {number} limit string index of end of parent value
+ * @param {string} path path of ASN.1 TLV (ex. '/0/2')
+ * @param {Array<Dictionary>} errors array to add violations
+ * @return {number} string index of next TLV or -1 if data can't be navigated anymore
+ */
+function validateDERTLV(h, idx, limit, path, errors) {
+	ASN1Bytes.checkDecodeDepth(getPathDepth(path));
+	/** @param {string} msg */
+	let add = function(msg) {
+		errors.push(/** @type {Dictionary} */ ( { 'offset': idx / 2, 'path': path, 'error': msg } ));
+	};
+
+	if (idx + 4 > limit) {
+		add("truncated TLV");
+		return -1;
+	}
+	let hT = getT(h, idx);
+	if (hT == "") {
+		add("malformed tag");
+		return -1;
+	}
+	let tag = parseInt(hT.substr(0, 2), 16);
+	let lblen = getLblen(h, idx);
+	if (lblen == -2) {
+		add("malformed length");
+		return -1;
+	}
+	let vblen = getVblen(h, idx);
+	if (vblen < 0) {
+		add((lblen == -1) ? "end-of-contents octets not found" : "length exceeds data");
+		return -1;
+	}
+	let vidx = getVidx(h, idx);
+	let end = vidx + vblen * 2;
+	let next = (lblen == -1) ? end + 4 : end;
+	if (next > limit) {
+		add("length exceeds data");
+		return -1;
+	}
+
+	if (lblen == -1) {
+		add("indefinite length");
+	} else if (lblen > 1 && (vblen < 128 || h.substr(idx + 4, 2) == "00")) {
+		add("length is not minimally encoded");
+	}
+
+	if ((tag & 0x1f) == 0x1f && /** @type {number} */ ( parseTagHex(hT)['number'] ) < 31)
+		add("tag number is not minimally encoded");
+	let hV = h.substring(vidx, end);
+
+	if ((tag & 0x20) != 0) { // constructed
+		if (hT.length == 2 && (tag & 0xc0) == 0 && DER_PRIMITIVE_TAGS.indexOf(":" + ("0" + (tag & 0x1f).toString(16)).slice(-2) + ":") != -1)
+			add("constructed encoding of primitive type");
+
+		let prevTLV = null;
+		for (let p = vidx, i = 0; p < end; i++) {
+			let childPath = ((path == "/") ? "" : path) + "/" + i;
+			let pNext = validateDERTLV(h, p, end, childPath, errors);
+			if (pNext < 0) break;
+			let hTLV = h.substring(p, pNext);
+			if (tag == 0x31 && prevTLV !== null && prevTLV > hTLV) {
+				errors.push(/** @type {Dictionary} */ ( {
+					'offset': p / 2, 'path': childPath, 'error': "SET elements are not sorted"
+				} ));
+			}
+			prevTLV = hTLV;
+			p = pNext;
+		}
+		return next;
+	}
+
+	if ((tag & 0xc0) != 0 || hT.length > 2) return next; // not universal or high tag number
+	if (tag == 0x10 || tag == 0x11) {
+		add("primitive encoding of constructed type");
+		return next;
+	}
+
+	if (tag == 0x00) {
+		add("unexpected end-of-contents octets");
+	} else if (tag == 0x01) {
+		if (hV.length != 2) {
+			add("BOOLEAN length shall be 1");
+		} else if (hV != "00" && hV != "ff") {
+			add("BOOLEAN value shall be 00 or ff");
+		}
+	} else if (tag == 0x02 || tag == 0x0a) {
+		let name = (tag == 0x02) ? "INTEGER" : "ENUMERATED";
+		if (hV.length == 0) {
+			add(name + " value is empty");
+		} else if (hV.length > 2) {
+			let b1 = parseInt(hV.substr(2, 2), 16);
+			if ((hV.substr(0, 2) == "00" && b1 < 0x80) || (hV.substr(0, 2) == "ff" && b1 >= 0x80))
+				add(name + " value is not minimally encoded");
+		}
+	} else if (tag == 0x03) {
+		if (hV.length == 0) {
+			add("BIT STRING value is empty");
+		} else {
+			let unused = parseInt(hV.substr(0, 2), 16);
+			if (unused > 7 || (hV.length == 2 && unused != 0)) {
+				add("BIT STRING unused bits count is invalid");
+			} else if (unused > 0 && (parseInt(hV.substr(-2), 16) & ((1 << unused) - 1)) != 0) {
+				add("BIT STRING unused bits are not zero");
+			}
+		}
+	} else if (tag == 0x05) {
+		if (hV.length != 0) add("NULL value shall be empty");
+	} else if (tag == 0x06 || tag == 0x0d) {
+		let name = (tag == 0x06) ? "OBJECT IDENTIFIER" : "RELATIVE-OID";
+		if (hV.length == 0) {
+			add(name + " value is empty");
+		} else if (parseInt(hV.substr(-2), 16) >= 0x80) {
+			add(name + " value is truncated");
+		} else {
+			for (let i = 0; i < hV.length; i += 2) {
+				if (hV.substr(i, 2) == "80" && (i == 0 || parseInt(hV.substr(i - 2, 2), 16) < 0x80)) {
+					add(name + " subidentifier is not minimally encoded");
+					break;
+				}
+			}
+		}
+	} else if (tag == 0x09) {
+		if (hV.length > 0 && (parseInt(hV.substr(0, 2), 16) & 0xc0) != 0) { // binary or special value
+			try {
+				if (realToHex(realHexToNumber(hV)) != hV) add("REAL value is not DER encoded");
+			} catch (ex) {
+				add("REAL value is malformed");
+			}
+		}
+	} else if (tag == 0x17) {
+		if (!hextorstr(hV).match(/^[0-9]{12}Z$/)) add("UTCTime shall be YYMMDDHHMMSSZ");
+	} else if (tag == 0x18) {
+		if (!hextorstr(hV).match(/^[0-9]{14}(\.[0-9]*[1-9])?Z$/))
+			add("GeneralizedTime shall be YYYYMMDDHHMMSS[.f]Z without trailing zeros of fraction");
+	}
+	return next;
+}
+
+/**
+ * validate ASN.1 data against DER rules
+ * @param {string} h hexadecimal string of ASN.1 data
+ * @return {Array<Dictionary>} array of violations, empty if data is DER encoded
+ * @description
+ * This method checks ASN.1 data and its descendants for
+ * canonical DER encoding and reports every violation found.
+ * Each violation is a dictionary with following properties:
+ * <ul>
+ * <li>offset - byte offset of ASN.1 TLV in the data</li>
+ * <li>path - path of child indexes from the top ASN.1 object
+ * (ex. '/' for the top object, '/0/2' for the third child of its first child)</li>
+ * <li>error - description of the violation</li>
+ * </ul>
+ * Following rules are checked:
+ * <ul>
+ * <li>definite and minimal length</li>
+ * <li>primitive encoding of simple types and strings</li>
+ * <li>minimal INTEGER and ENUMERATED values</li>
+ * <li>BOOLEAN value shall be 00 or ff</li>
+ * <li>unused bits of BIT STRING shall be zero</li>
+ * <li>empty NULL, minimal OBJECT IDENTIFIER and RELATIVE-OID subidentifiers</li>
+ * <li>binary REAL in base 2 with odd mantissa</li>
+ * <li>UTCTime and GeneralizedTime in Zulu time with seconds</li>
+ * <li>elements of SET shall be sorted by their encodings</li>
+ * <li>no data after the top ASN.1 object</li>
+ * </ul>
+ * Values of context specific, application and private tags are
+ * checked only when they are constructed.
+ * @example
+ * validateDER("3003020105") &rarr; []
+ * validateDER("3081030201050000")
+ * &rarr; [{'offset': 0, 'path': '/', 'error': 'length is not minimally encoded'},
+ *     {'offset': 6, 'path': '/', 'error': 'data after ASN.1 object'}]
+ * validateDER("300402020005")
+ * &rarr; [{'offset': 2, 'path': '/0', 'error': 'INTEGER value is not minimally encoded'}]
+ */
+export function validateDER(h) {
+	/** @type {Array<Dictionary>} */ let errors = [];
+	if (!isHex(h) || h.length == 0) {
+		errors.push(/** @type {Dictionary} */ ( { 'offset': 0, 'path': '/', 'error': "input is not hexadecimal" } ));
+		return errors;
+	}
+	h = h.toLowerCase();
+	let next = validateDERTLV(h, 0, h.length, "/", errors);
+	if (next > 0 && next < h.length)
+		errors.push(/** @type {Dictionary} */ ( { 'offset': next / 2, 'path': '/', 'error': "data after ASN.1 object" } ));
+	return errors;
+}
+
+/**
+ * check ASN.1 data is strictly DER encoded
+ * @param {string} h hexadecimal string of ASN.1 data
+ * @throws {string} description of the first violation found by {@link validateDER}
+ * @example
+ * checkDER("3003020105"); // OK
+ * checkDER("30800201050000"); // throws "not DER: indefinite length at offset 0 (/)"
+ */
+export function checkDER(h) {
+	let errors = validateDER(h);
+	if (errors.length == 0) return;
+	let e = errors[0];
+	let msg = "not DER: " + e['error'] + " at offset " + e['offset'] + " (" + e['path'] + ")";
+	if (errors.length > 1) msg += " and " + (errors.length - 1) + " more";
+	throw msg;
+}
+
 /**
  * check wheather the string is ASN.1 hexadecimal string or not
  * @param {string} hex string to check whether it is hexadecmal string for ASN.1 DER or not
@@ -600,19 +2294,48 @@ export function dump(hexOrObj, flags, idx, indent) {
  * isASN1HEX('0203012345ff') &rarr; false // TOO LONG VALUE
  * isASN1HEX('02030123') &rarr; false // TOO SHORT VALUE
  * isASN1HEX('fa3bcd') &rarr; false // WRONG FOR ASN.1
+ * isASN1HEX('30800201050000') &rarr; true // BER INDEFINITE LENGTH
  */
 export function isASN1HEX(hex) {
 	if (hex.length % 2 == 1) return false;
 
-	let intL = getVblen(hex, 0);
-	let tV = hex.substr(0, 2);
-	let lV = getL(hex, 0);
-	let hVLength = hex.length - tV.length - lV.length;
-	if (hVLength == intL * 2) return true;
+	try {
+		let intL = getVblen(hex, 0);
+		if (intL < 0) return false;
+		if (getNextSiblingIdx(hex, 0) == hex.length) return true;
+	} catch (ex) {
+		if (ex instanceof ASN1Bytes.ASN1DecodeLimitError) return false;
+		throw ex;
+	}
 
 	return false;
 }
 
+/**
+ * check whether hexadecimal string is a concatenation of ASN.1 TLVs or not
+ * @param {string} hex hexadecimal string
+ * @return {boolean} true if it is a concatenation of one or more ASN.1 TLVs
+ * @description
+ * Like {@link isASN1HEX}, data exceeding decode limits is not regarded as ASN.1.
+ */
+function isASN1HEXList(hex) {
+	if (hex.length == 0 || hex.length % 2 == 1) return false;
+
+	try {
+		let p = 0;
+		while (p < hex.length) {
+			if (getLblen(hex, p) == -2) return false;
+			let pNext = getNextSiblingIdx(hex, p);
+			if (pNext <= p || pNext > hex.length) return false;
+			p = pNext;
+		}
+	} catch (ex) {
+		if (ex instanceof ASN1Bytes.ASN1DecodeLimitError) return false;
+		throw ex;
+	}
+	return true;
+}
+
 /**
  * get hexacedimal string from PEM format data<br/>
  * @param {string} oidDotOrHex number dot notation(i.e. 1.2.3) or hexadecimal string for OID
@@ -16,10 +16,10 @@
 import { ASN1Object, DERInteger, DEROctetString, DERSequence } from "./asn1-1.0.js"
 import { AlgorithmIdentifier } from "./asn1x509-1.0.js"
 import { hashHex } from "./crypto-1.1.js"
-import { getTLVbyList, getIdxbyList, getVbyList, getV } from "./asn1hex-1.1.js"
+import { getTLVbyList, getIdxbyList, getVbyList, getV, bertoder } from "./asn1hex-1.1.js"
 import { Dictionary } from "./../../../include/type.js"
 import { X509 } from "./x509-1.1.js"
-import { hextoutf8 } from "./base64x-1.1.js"
+import { hextoutf8, isBytes, bytestohex } from "./base64x-1.1.js"
 
 /**
  * ASN.1 module for OCSP protocol<br/>
@@ -407,11 +407,12 @@ export function getRequestHex(issuerCert, subjectCert, alg) {
 
 /**
  * parse OCSPResponse<br/>
- * @param {string} h hexadecimal string of DER OCSPResponse
+ * @param {string | Uint8Array | ArrayBuffer} h hexadecimal string or byte array of DER OCSPResponse
  * @return {Dictionary} JSON object of parsed OCSPResponse
  * @description
  * This static method parse a hexadecimal string of DER OCSPResponse and
  * returns JSON object of its parsed result.
+ * BER encoded OCSPResponse is also accepted.
  * Its result has following properties:
  * <ul>
  * <li>responseStatus - integer of responseStatus</li>
@@ -425,6 +426,8 @@ export function getRequestHex(issuerCert, subjectCert, alg) {
 export function getOCSPResponseInfo(h) {
 	let result = /** @type {Dictionary} */ ( {} );
 	try {
+		if (isBytes(h)) h = bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( h ));
+		h = bertoder(/** @type {string} */ ( h ));
 		let v = getVbyList(h, 0, [0], "0a");
 		result['responseStatus'] = parseInt(v, 16);
 	} catch (ex) { };
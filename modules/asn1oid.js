@@ -18,6 +18,10 @@ export const oidhex2name = {
 	'2a864886f70d010101': 'rsaEncryption',
 	'2a8648ce3d0201': 'ecPublicKey',
 	'2a8648ce380401': 'dsa',
+	'2b6570': 'Ed25519',
+	'2b6571': 'Ed448',
+	'2b656e': 'X25519',
+	'2b656f': 'X448',
 	'2a8648ce3d030107': 'secp256r1',
 	'2b8104001f': 'secp192k1',
 	'2b81040021': 'secp224r1',
@@ -75,6 +79,14 @@ const name2oidList = {
 	'md5': '1.2.840.113549.2.5',
 	'md2': '1.3.14.7.2.2.1',
 	'ripemd160': '1.3.36.3.2.1',
+	'sha512/224': '2.16.840.1.101.3.4.2.5',
+	'sha512/256': '2.16.840.1.101.3.4.2.6',
+	'sha3-224': '2.16.840.1.101.3.4.2.7',
+	'sha3-256': '2.16.840.1.101.3.4.2.8',
+	'sha3-384': '2.16.840.1.101.3.4.2.9',
+	'sha3-512': '2.16.840.1.101.3.4.2.10',
+	'shake128': '2.16.840.1.101.3.4.2.11',
+	'shake256': '2.16.840.1.101.3.4.2.12',
 
 	'MD2withRSA': '1.2.840.113549.1.1.2',
 	'MD4withRSA': '1.2.840.113549.1.1.3',
@@ -84,17 +96,38 @@ const name2oidList = {
 	'SHA256withRSA': '1.2.840.113549.1.1.11',
 	'SHA384withRSA': '1.2.840.113549.1.1.12',
 	'SHA512withRSA': '1.2.840.113549.1.1.13',
+	'SHA512/224withRSA': '1.2.840.113549.1.1.15',
+	'SHA512/256withRSA': '1.2.840.113549.1.1.16',
+	'SHA3-224withRSA': '2.16.840.1.101.3.4.3.13',
+	'SHA3-256withRSA': '2.16.840.1.101.3.4.3.14',
+	'SHA3-384withRSA': '2.16.840.1.101.3.4.3.15',
+	'SHA3-512withRSA': '2.16.840.1.101.3.4.3.16',
 
 	'SHA1withECDSA': '1.2.840.10045.4.1',
 	'SHA224withECDSA': '1.2.840.10045.4.3.1',
 	'SHA256withECDSA': '1.2.840.10045.4.3.2',
 	'SHA384withECDSA': '1.2.840.10045.4.3.3',
 	'SHA512withECDSA': '1.2.840.10045.4.3.4',
+	'SHA3-224withECDSA': '2.16.840.1.101.3.4.3.9',
+	'SHA3-256withECDSA': '2.16.840.1.101.3.4.3.10',
+	'SHA3-384withECDSA': '2.16.840.1.101.3.4.3.11',
+	'SHA3-512withECDSA': '2.16.840.1.101.3.4.3.12',
+	'SHAKE128withECDSA': '1.3.6.1.5.5.7.6.32',
+	'SHAKE256withECDSA': '1.3.6.1.5.5.7.6.33',
 
 	'dsa': '1.2.840.10040.4.1',
 	'SHA1withDSA': '1.2.840.10040.4.3',
 	'SHA224withDSA': '2.16.840.1.101.3.4.3.1',
 	'SHA256withDSA': '2.16.840.1.101.3.4.3.2',
+	'SHA3-224withDSA': '2.16.840.1.101.3.4.3.5',
+	'SHA3-256withDSA': '2.16.840.1.101.3.4.3.6',
+	'SHA3-384withDSA': '2.16.840.1.101.3.4.3.7',
+	'SHA3-512withDSA': '2.16.840.1.101.3.4.3.8',
+
+	'X25519': '1.3.101.110', // RFC 8410
+	'X448': '1.3.101.111',
+	'Ed25519': '1.3.101.112',
+	'Ed448': '1.3.101.113',
 
 	'rsaEncryption': '1.2.840.113549.1.1.1',
 
@@ -153,6 +186,11 @@ const name2oidList = {
 
 	'pkcs5PBES2': '1.2.840.113549.1.5.13',
 	'pkcs5PBKDF2': '1.2.840.113549.1.5.12',
+	'hmacWithSHA1': '1.2.840.113549.2.7',
+	'hmacWithSHA224': '1.2.840.113549.2.8',
+	'hmacWithSHA256': '1.2.840.113549.2.9',
+	'hmacWithSHA384': '1.2.840.113549.2.10',
+	'hmacWithSHA512': '1.2.840.113549.2.11',
 
 	'des-EDE3-CBC': '1.2.840.113549.3.7',
 
@@ -263,3 +301,191 @@ export function name2oid(name) {
 	if (list[name] === undefined) return '';
 	return list[name];
 }
+
+/**
+ * OID and its description registered by {@link registerOID}
+ * @type {Object<string, string>}
+ */
+const oid2descList = {};
+
+/**
+ * get description of OID<br/>
+ * @param {string} oid dot noted Object Identifer string (ex. 1.2.3.4)
+ * @return {string} description if registered otherwise empty string
+ * @example
+ * registerOID("myPolicy", "1.3.6.1.4.1.99999.1", undefined, "My Certificate Policy");
+ * oid2desc("1.3.6.1.4.1.99999.1") &rarr; 'My Certificate Policy'
+ */
+export function oid2desc(oid) {
+	if (oid2descList[oid] === undefined) return '';
+	return oid2descList[oid];
+}
+
+/**
+ * register OID name, short attribute type name and description<br/>
+ * @param {string} name OID name (ex. 'myExtension')
+ * @param {string} oid dot noted Object Identifer string (ex. 1.3.6.1.4.1.99999.1)
+ * @param {string=} atype short attribute type name for distinguished names (OPTION)
+ * @param {string=} description description of OID (OPTION)
+ * @throws {string} if OID is malformed or name or atype is already registered for another OID
+ * @description
+ * This method registers a OID at runtime so that it can be
+ * used by name in {@link name2oid}, {@link name2obj} and newObject and
+ * it is shown by name in {@link oid2name}, dump, X509.getInfo and so on.
+ * Registering the same name for the same OID again is allowed.
+ * A OID already registered by another name gets the new name as an alias
+ * and {@link oid2name} still returns the first name.
+ * @example
+ * registerOID("myExtension", "1.3.6.1.4.1.99999.1");
+ * registerOID("employeeNumber", "2.16.840.1.113730.3.1.3", "EMPNO", "Employee Number");
+ * name2oid("myExtension") &rarr; "1.3.6.1.4.1.99999.1"
+ * atype2obj("EMPNO") &rarr; DERObjectIdentifier of 2.16.840.1.113730.3.1.3
+ * registerOID("myExtension", "1.3.6.1.4.1.99999.2"); // throws collision
+ */
+export function registerOID(name, oid, atype, description) {
+	if (typeof name != "string" || name === "")
+		throw "OID name shall be non empty string";
+	if (typeof oid != "string" || !/^[0-2](\.(0|[1-9][0-9]*))+$/.test(oid))
+		throw "malformed OID for " + name + ": " + oid;
+	if (name2oidList[name] !== undefined && name2oidList[name] != oid)
+		throw "OID name already registered: " + name + " for " + name2oidList[name];
+	if (atype !== undefined && atype2oidList[atype] !== undefined && atype2oidList[atype] != oid)
+		throw "AttributeType name already registered: " + atype + " for " + atype2oidList[atype];
+
+	name2oidList[name] = oid;
+	if (atype !== undefined) atype2oidList[atype] = oid;
+	if (description !== undefined) oid2descList[oid] = description;
+}
+
+/**
+ * register associative array of OID names and OIDs<br/>
+ * @param {Object<string, string>} oids associative array of OID name and dot noted OID
+ * @throws {string} if any of OIDs can't be registered
+ * @description
+ * This method registers OIDs by {@link registerOID}.
+ * OIDs are checked before registration so that nothing is registered
+ * if one of them has a collision.
+ * @example
+ * registerOIDs({"myExtension": "1.3.6.1.4.1.99999.1", "myPolicy": "1.3.6.1.4.1.99999.2"});
+ */
+export function registerOIDs(oids) {
+	for (let name in oids) {
+		if (name2oidList[name] !== undefined && name2oidList[name] != oids[name])
+			throw "OID name already registered: " + name + " for " + name2oidList[name];
+	}
+	for (let name in oids) {
+		registerOID(name, oids[name]);
+	}
+}
+
+/**
+ * register OIDs defined in OpenSSL oid.txt or objects.txt file<br/>
+ * @param {string} text content of oid.txt or objects.txt file
+ * @param {Dictionary=} flags associative array of flags (OPTION)
+ * @return {Array<string>} array of registered OID names
+ * @throws {string} if a line is malformed or has a collision
+ * @description
+ * This method loads two formats of OpenSSL OID definitions:
+ * <ul>
+ * <li>oid.txt for "oid_file" configuration which has
+ * dot noted OID, short name and long name in each line
+ * (ex. "1.3.6.1.4.1.99999.1 myExtension My Extension")</li>
+ * <li>objects.txt of OpenSSL source which has OID, short name and long name
+ * separated by ":" and OID can start with a name defined before
+ * (ex. "1 2 840 113549 : rsadsi : RSA Data Security, Inc.",
+ * "rsadsi 1 : pkcs : RSA Data Security, Inc. PKCS").
+ * !Alias and !Cname directives are supported</li>
+ * </ul>
+ * Short name is registered as OID name and long name as description.
+ * Long name is used as OID name when short name is empty.
+ * Lines starting with "#" are comments.
+ * Nothing is registered when an error is thrown.
+ * Following flags are supported:
+ * <ul>
+ * <li>skip_conflicts - true to skip names already registered
+ * for another OID instead of throwing an error (DEFAULT: false)</li>
+ * </ul>
+ * @example
+ * loadOIDFile("1.3.6.1.4.1.99999.1 myExtension My Extension\n") &rarr; ["myExtension"]
+ * oid2desc("1.3.6.1.4.1.99999.1") &rarr; "My Extension"
+ * loadOIDFile(fs.readFileSync("objects.txt", "utf8"), {'skip_conflicts': true});
+ */
+export function loadOIDFile(text, flags) {
+	let skipConflicts = (flags !== undefined && flags['skip_conflicts'] === true);
+	/** @type {Array<string>} */ let names = [];
+	/** @type {Object<string, string>} */ let symbols = {};
+	let cname = null;
+
+	/** @type {Array<Array<string>>} */ let entries = [];
+	let register = function(/** string */ name, /** string */ oid, /** string */ desc) {
+		entries.push([name, oid, desc]);
+	};
+
+	let resolve = function(/** string */ s, /** number */ lineNo) {
+		let a = s.trim().split(/\s+/);
+		if (!/^[0-9]+$/.test(a[0])) {
+			if (symbols[a[0]] === undefined) throw "undefined OID name at line " + lineNo + ": " + a[0];
+			a[0] = symbols[a[0]];
+		}
+		for (let i = 1; i < a.length; i++) {
+			if (!/^[0-9]+$/.test(a[i])) throw "malformed OID at line " + lineNo + ": " + s;
+		}
+		return a.join(".");
+	};
+
+	let lines = text.split(/\r?\n/);
+	for (let i = 0; i < lines.length; i++) {
+		let line = lines[i].replace(/#.*$/, "").trim();
+		if (line === "") continue;
+
+		if (line.charAt(0) == "!") { // objects.txt directives
+			let a = line.split(/\s+/);
+			if (a[0] == "!Alias" && a.length >= 3) {
+				symbols[a[1]] = resolve(a.slice(2).join(" "), i + 1);
+			} else if (a[0] == "!Cname" && a.length == 2) {
+				cname = a[1];
+			}
+			continue;
+		}
+
+		if (line.indexOf(":") != -1) { // objects.txt
+			let a = line.split(":");
+			let sn = a[1].trim();
+			let ln = (a.length > 2) ? a.slice(2).join(":").trim() : sn;
+			if (a[0].trim() === "") { // object without OID
+				cname = null;
+				continue;
+			}
+			let oid = resolve(a[0], i + 1);
+			let name = (sn !== "") ? sn : ln;
+			if (name === "") throw "no OID name at line " + (i + 1);
+			symbols[name] = oid;
+			if (ln !== "") symbols[ln] = oid;
+			if (cname !== null) symbols[cname] = oid;
+			cname = null;
+			register(name, oid, ln);
+		} else { // oid.txt
+			let m = line.match(/^([0-9.]+)\s+(\S+)(?:\s+(.*))?$/);
+			if (m === null) throw "malformed OID definition at line " + (i + 1) + ": " + line;
+			register(m[2], m[1], (m[3] !== undefined) ? m[3] : m[2]);
+		}
+	}
+
+	// check all collisions before registration
+	/** @type {Object<string, string>} */ let loaded = {};
+	for (let i = 0; i < entries.length; i++) {
+		let name = entries[i][0], oid = entries[i][1];
+		let registered = (loaded[name] !== undefined) ? loaded[name] : name2oidList[name];
+		if (registered !== undefined && registered != oid) {
+			if (!skipConflicts) throw "OID name already registered: " + name + " for " + registered;
+			entries.splice(i--, 1);
+			continue;
+		}
+		loaded[name] = oid;
+	}
+	for (let i = 0; i < entries.length; i++) {
+		registerOID(entries[i][0], entries[i][1], undefined, entries[i][2]);
+		names.push(entries[i][0]);
+	}
+	return names;
+}
@@ -0,0 +1,1345 @@
+/*
+ * asn1schema.js - ASN.1 module compiler to schema encoder/decoder
+ *
+ * Copyright (c) 2020 Sergei Sovik <sergeisovik@yahoo.com>
+ *
+ * This software is licensed under the terms of the MIT License.
+ * https://kjur.github.io/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+"use strict";
+
+import { BigInteger } from "./../../js-bn/modules/jsbn.js"
+import { ASN1Object, DERBoolean, DERInteger, DERBitString, DEROctetString, DERNull, DERObjectIdentifier, DERReal, DEREnumerated, DERUTF8String, DERRelativeOID, DERNumericString, DERPrintableString, DERTeletexString, DERIA5String, DERUTCTime, DERGeneralizedTime, DERVisibleString, DERGeneralString, DERUniversalString, DERBMPString, DERSequence, DERSet, DERTaggedObject, integerToByteHex, bigIntToMinTwosComplementsHex, tagToHex, roidHexToInt, realHexToNumber } from "./asn1-1.0.js"
+import { getT, getV, getTLV, getVblen, getChildIdx, hextooidstr, bertoder } from "./asn1hex-1.1.js"
+import { checkDecodeDepth } from "./asn1bytes-1.0.js"
+import { isHex, hextoutf8, hextorstr, rstrtohex, hextoucs2, hextoucs4 } from "./base64x-1.1.js"
+import { Dictionary, isString, isNumber, isBoolean, isArray, isDictionary } from "./../../../include/type.js"
+
+/**
+ * ASN.1 module compiler
+ * <p>
+ * This module compiles ASN.1 module text into schema objects
+ * which encode typed JSON values by DER classes of {@link asn1-1.0.js} and
+ * decode ASN.1 data by {@link asn1hex-1.1.js} into the same typed JSON.
+ * So a new structure can be added by its ASN.1 definition only.
+ * <h4>SUPPORTED NOTATION</h4>
+ * <ul>
+ * <li>module header with DEFINITIONS, EXPLICIT/IMPLICIT/AUTOMATIC TAGS,
+ * EXPORTS and IMPORTS (imported types are resolved by other compiled modules)</li>
+ * <li>BOOLEAN, INTEGER and ENUMERATED with named numbers, BIT STRING with named bits,
+ * OCTET STRING, NULL, OBJECT IDENTIFIER, RELATIVE-OID, REAL, UTF8String, NumericString,
+ * PrintableString, TeletexString, IA5String, VisibleString, GeneralString, UniversalString,
+ * BMPString, UTCTime, GeneralizedTime, ANY</li>
+ * <li>SEQUENCE, SET, CHOICE, SEQUENCE OF, SET OF</li>
+ * <li>OPTIONAL, DEFAULT, COMPONENTS OF, extension markers</li>
+ * <li>tagged types [n], [APPLICATION n], [PRIVATE n] with IMPLICIT or EXPLICIT</li>
+ * <li>OBJECT IDENTIFIER and INTEGER value assignments</li>
+ * </ul>
+ * Constraints are skipped and not checked.
+ * Parameterized types and information object classes are not supported.
+ * <h4>TYPED JSON</h4>
+ * <ul>
+ * <li>BOOLEAN - boolean</li>
+ * <li>INTEGER, ENUMERATED - name of named number, number or {'hex': ...} for big integer</li>
+ * <li>BIT STRING - array of names of set named bits or {'hex': ...} including unused bits</li>
+ * <li>OCTET STRING - hexadecimal string</li>
+ * <li>NULL - null</li>
+ * <li>OBJECT IDENTIFIER, RELATIVE-OID - dot noted string (ex. '2.5.4.3')</li>
+ * <li>REAL - number</li>
+ * <li>character strings and times - string</li>
+ * <li>ANY - hexadecimal string of ASN.1 TLV</li>
+ * <li>SEQUENCE, SET - dictionary of components</li>
+ * <li>SEQUENCE OF, SET OF - array</li>
+ * <li>CHOICE - dictionary with one alternative</li>
+ * </ul>
+ * <h4>JSON ENCODING RULES</h4>
+ * {@link ASN1Type#toJER} and {@link ASN1Type#fromJER} convert between
+ * ASN.1 data and JER (ITU-T X.697) values. JER differs from typed JSON in:
+ * <ul>
+ * <li>INTEGER - number or decimal string if it exceeds safe integer of JavaScript</li>
+ * <li>ENUMERATED - identifier</li>
+ * <li>BIT STRING - {'value': hexadecimal string, 'length': number of bits}</li>
+ * <li>OCTET STRING - upper case hexadecimal string</li>
+ * <li>REAL - number, "INF", "-INF", "NaN" or "-0"</li>
+ * </ul>
+ * Tags are not represented in JER. Since constraints are skipped,
+ * fixed size BIT STRING is also encoded as object.
+ * ANY is represented by hexadecimal string of ASN.1 TLV.
+ * </p>
+ * @example
+ * let m = new ASN1Module(
+ *   "TSP DEFINITIONS IMPLICIT TAGS ::= BEGIN " +
+ *   "Accuracy ::= SEQUENCE { " +
+ *   "  seconds INTEGER OPTIONAL, " +
+ *   "  millis [0] INTEGER (1..999) OPTIONAL, " +
+ *   "  micros [1] INTEGER (1..999) OPTIONAL } " +
+ *   "END");
+ * m.encode("Accuracy", {'seconds': 1, 'millis': 500}).getEncodedHex() &rarr; "3007020101800201f4"
+ * m.decode("Accuracy", "3007020101800201f4") &rarr; {'seconds': 1, 'millis': 500}
+ * JSON.stringify(m.toJER("Accuracy", "3007020101800201f4")) &rarr; '{"seconds":1,"millis":500}'
+ */
+
+/**
+ * universal tags of simple types
+ * @type {Object<string, number>}
+ */
+const UNIVERSAL_TAG = {
+	'BOOLEAN': 0x01,
+	'INTEGER': 0x02,
+	'BIT STRING': 0x03,
+	'OCTET STRING': 0x04,
+	'NULL': 0x05,
+	'OBJECT IDENTIFIER': 0x06,
+	'REAL': 0x09,
+	'ENUMERATED': 0x0a,
+	'UTF8String': 0x0c,
+	'RELATIVE-OID': 0x0d,
+	'NumericString': 0x12,
+	'PrintableString': 0x13,
+	'TeletexString': 0x14,
+	'T61String': 0x14,
+	'IA5String': 0x16,
+	'UTCTime': 0x17,
+	'GeneralizedTime': 0x18,
+	'VisibleString': 0x1a,
+	'ISO646String': 0x1a,
+	'GeneralString': 0x1b,
+	'UniversalString': 0x1c,
+	'BMPString': 0x1e,
+	'SEQUENCE': 0x30,
+	'SET': 0x31,
+	'SEQUENCE OF': 0x30,
+	'SET OF': 0x31
+};
+
+/**
+ * tag class keywords
+ * @type {Object<string, string>}
+ */
+const TAG_CLASS = {
+	'UNIVERSAL': 'universal',
+	'APPLICATION': 'application',
+	'PRIVATE': 'private'
+};
+
+/**
+ * get hexadecimal string of ASN.1 tag without constructed bit
+ * @param {string} hT hexadecimal string of ASN.1 tag
+ * @return {string} hexadecimal string of ASN.1 tag with constructed bit cleared
+ */
+function primitiveTag(hT) {
+	return integerToByteHex(parseInt(hT.substr(0, 2), 16) & 0xdf) + hT.substr(2);
+}
+
+/**
+ * split ASN.1 module text to tokens
+ * @param {string} text ASN.1 module text
+ * @return {Array<string>} tokens
+ */
+function tokenize(text) {
+	/** @type {Array<string>} */ let a = [];
+	let re = /\s+|--[\s\S]*?(?:--|\n|$)|\/\*[\s\S]*?\*\/|(::=|\.\.\.|\.\.|\[\[|\]\]|[{}()\[\],|;:.@!<^]|"(?:[^"]|"")*"|'[01]*'B|'[0-9A-Fa-f]*'H|-?[0-9]+|[A-Za-z&][A-Za-z0-9]*(?:-[A-Za-z0-9]+)*)|([\s\S])/g;
+	let m;
+	while ((m = re.exec(text)) !== null) {
+		if (m[2] !== undefined) throw "unexpected character in ASN.1 module: " + m[2];
+		if (m[1] !== undefined) a.push(m[1]);
+	}
+	return a;
+}
+
+/**
+ * @param {string} s token
+ * @return {boolean} true if token is a type reference
+ */
+function isTypeReference(s) {
+	return /^[A-Z][A-Za-z0-9-]*$/.test(s);
+}
+
+/**
+ * @param {string} s token
+ * @return {boolean} true if token is an identifier or value reference
+ */
+function isIdentifier(s) {
+	return /^[a-z][A-Za-z0-9-]*$/.test(s);
+}
+
+/**
+ * compiled ASN.1 type
+ * @description
+ * This class represents a type of {@link ASN1Module} and
+ * converts between typed JSON and ASN.1.
+ * It is not intended to be created directly.
+ * @example
+ * let t = m.getType("Accuracy");
+ * t.encode({'seconds': 1}).getEncodedHex() &rarr; "3003020101"
+ * t.decode("3003020101") &rarr; {'seconds': 1}
+ */
+export class ASN1Type {
+	/**
+	 * @param {ASN1Module} module module which defines this type
+	 * @param {string} kind kind of type (ex. 'INTEGER', 'SEQUENCE', 'TAGGED' or 'REF')
+	 */
+	constructor(module, kind) {
+		/** @private @type {ASN1Module} */ this.module = module;
+		/** @type {string} */ this.kind = kind;
+		/** @type {Object<string, number> | null} */ this.named = null;
+		/** @type {Array<Dictionary> | null} */ this.components = null;
+		/** @type {boolean} */ this.extensible = false;
+		/** @type {ASN1Type | null} */ this.inner = null;
+		/** @type {string} */ this.ref = '';
+		/** @type {string} */ this.tagClass = 'context';
+		/** @type {number} */ this.tagNumber = 0;
+		/** @type {boolean} */ this.isExplicit = true;
+	}
+
+	/**
+	 * get type following type references
+	 * @return {ASN1Type} resolved type
+	 */
+	resolve() {
+		let t = this;
+		for (let i = 0; t.kind == 'REF'; i++) {
+			if (i > 64) throw "circular type reference: " + this.ref;
+			t = t.module.getType(t.ref);
+		}
+		return t;
+	}
+
+	/**
+	 * check whether implicit tagging is effective
+	 * @private
+	 * @return {boolean} true if tagged type is encoded implicitly
+	 * @description
+	 * Implicit tag of untagged CHOICE or ANY is treated as explicit.
+	 */
+	isImplicit() {
+		if (this.isExplicit) return false;
+		let k = /** @type {ASN1Type} */ ( this.inner ).resolve().kind;
+		return k != 'CHOICE' && k != 'ANY';
+	}
+
+	/**
+	 * check whether encoding of this type is constructed
+	 * @private
+	 * @return {boolean} true if constructed
+	 */
+	isConstructed() {
+		let t = this.resolve();
+		if (t.kind == 'TAGGED') {
+			if (!t.isImplicit()) return true;
+			return /** @type {ASN1Type} */ ( t.inner ).isConstructed();
+		}
+		return t.kind == 'SEQUENCE' || t.kind == 'SET' || t.kind == 'SEQUENCE OF' || t.kind == 'SET OF';
+	}
+
+	/**
+	 * check whether ASN.1 tag matches this type
+	 * @private
+	 * @param {string} hT hexadecimal string of ASN.1 tag
+	 * @return {boolean} true if matches
+	 */
+	matchesTag(hT) {
+		let t = this.resolve();
+		if (t.kind == 'ANY') return true;
+		if (t.kind == 'CHOICE') {
+			let a = t.getComponents();
+			for (let i = 0; i < a.length; i++) {
+				if (/** @type {ASN1Type} */ ( a[i]['type'] ).matchesTag(hT)) return true;
+			}
+			return false;
+		}
+		return primitiveTag(hT) == primitiveTag(t.getTag());
+	}
+
+	/**
+	 * get ASN.1 tag of this type
+	 * @private
+	 * @return {string} hexadecimal string of ASN.1 tag
+	 */
+	getTag() {
+		if (this.kind == 'TAGGED') {
+			return tagToHex(this.tagClass, this.tagNumber, this.isConstructed());
+		}
+		let tag = UNIVERSAL_TAG[this.kind];
+		if (tag === undefined) throw "no tag for type: " + this.kind;
+		return integerToByteHex(tag);
+	}
+
+	/**
+	 * get components of SEQUENCE, SET or CHOICE with COMPONENTS OF expanded
+	 * @private
+	 * @return {Array<Dictionary>} components
+	 */
+	getComponents() {
+		/** @type {Array<Dictionary>} */ let a = [];
+		let comps = /** @type {Array<Dictionary>} */ ( this.components );
+		for (let i = 0; i < comps.length; i++) {
+			if (comps[i]['componentsOf'] !== undefined) {
+				let t = /** @type {ASN1Type} */ ( comps[i]['componentsOf'] ).resolve();
+				a = a.concat(t.getComponents());
+			} else {
+				a.push(comps[i]);
+			}
+		}
+		return a;
+	}
+
+	/**
+	 * encode typed JSON value to ASN1Object
+	 * @param {*} value typed JSON value
+	 * @return {ASN1Object} ASN1Object of DER classes
+	 */
+	encode(value) {
+		let t = this.resolve();
+		switch (t.kind) {
+			case 'TAGGED': {
+				let obj = /** @type {ASN1Type} */ ( t.inner ).encode(value);
+				return new DERTaggedObject(/** @type {Dictionary} */ ( { 'explicit': !t.isImplicit(), 'tag': t.getTag(), 'obj': obj } ));
+			}
+			case 'BOOLEAN':
+				if (!isBoolean(value)) throw "BOOLEAN value shall be boolean";
+				return new DERBoolean(/** @type {Dictionary} */ ( { 'bool': value } ));
+			case 'INTEGER':
+				if (isDictionary(value)) return new DERInteger(/** @type {Dictionary} */ ( value ));
+				return new DERInteger(/** @type {Dictionary} */ ( { 'int': t.toNumber(value) } ));
+			case 'ENUMERATED':
+				if (isDictionary(value)) return new DEREnumerated(/** @type {Dictionary} */ ( value ));
+				return new DEREnumerated(/** @type {Dictionary} */ ( { 'int': t.toNumber(value) } ));
+			case 'BIT STRING':
+				return t.encodeBitString(value);
+			case 'OCTET STRING':
+				if (!isString(value)) throw "OCTET STRING value shall be hexadecimal string";
+				return new DEROctetString(/** @type {Dictionary} */ ( { 'hex': value } ));
+			case 'NULL':
+				return new DERNull();
+			case 'OBJECT IDENTIFIER':
+				return new DERObjectIdentifier(/** @type {Dictionary} */ ( { 'oid': value } ));
+			case 'RELATIVE-OID':
+				return new DERRelativeOID(/** @type {Dictionary} */ ( { 'roid': value } ));
+			case 'REAL':
+				if (!isNumber(value)) throw "REAL value shall be number";
+				return new DERReal(/** @type {Dictionary} */ ( { 'real': value } ));
+			case 'UTF8String':
+				return new DERUTF8String(/** @type {Dictionary} */ ( { 'str': value } ));
+			case 'NumericString':
+				return new DERNumericString(/** @type {Dictionary} */ ( { 'str': value } ));
+			case 'PrintableString':
+				return new DERPrintableString(/** @type {Dictionary} */ ( { 'str': value } ));
+			case 'TeletexString':
+			case 'T61String':
+				return new DERTeletexString(/** @type {Dictionary} */ ( { 'hex': rstrtohex(String(value)) } ));
+			case 'IA5String':
+				return new DERIA5String(/** @type {Dictionary} */ ( { 'str': value } ));
+			case 'VisibleString':
+			case 'ISO646String':
+				return new DERVisibleString(/** @type {Dictionary} */ ( { 'str': value } ));
+			case 'GeneralString':
+				return new DERGeneralString(/** @type {Dictionary} */ ( { 'hex': rstrtohex(String(value)) } ));
+			case 'UniversalString':
+				return new DERUniversalString(/** @type {Dictionary} */ ( { 'str': value } ));
+			case 'BMPString':
+				return new DERBMPString(/** @type {Dictionary} */ ( { 'str': value } ));
+			case 'UTCTime':
+				return new DERUTCTime(/** @type {Dictionary} */ ( { 'str': value } ));
+			case 'GeneralizedTime':
+				return new DERGeneralizedTime(/** @type {Dictionary} */ ( { 'str': value } ));
+			case 'ANY':
+				if (!isString(value)) throw "ANY value shall be hexadecimal string of ASN.1 TLV";
+				return new ASN1Object(/** @type {Dictionary} */ ( { 'tlv': value } ));
+			case 'SEQUENCE':
+			case 'SET':
+				return t.encodeComponents(value);
+			case 'SEQUENCE OF':
+			case 'SET OF': {
+				if (!isArray(value)) throw t.kind + " value shall be array";
+				/** @type {Array<ASN1Object>} */ let a = [];
+				for (let i = 0; i < value.length; i++) {
+					a.push(/** @type {ASN1Type} */ ( t.inner ).encode(value[i]));
+				}
+				if (t.kind == 'SET OF') return new DERSet(/** @type {Dictionary} */ ( { 'array': a } ));
+				return new DERSequence(/** @type {Dictionary} */ ( { 'array': a } ));
+			}
+			case 'CHOICE': {
+				if (!isDictionary(value)) throw "CHOICE value shall be dictionary";
+				let comps = t.getComponents();
+				for (let i = 0; i < comps.length; i++) {
+					if (value[comps[i]['name']] !== undefined)
+						return /** @type {ASN1Type} */ ( comps[i]['type'] ).encode(value[comps[i]['name']]);
+				}
+				throw "no alternative of CHOICE in value: " + JSON.stringify(value);
+			}
+		}
+		throw "unsupported type: " + t.kind;
+	}
+
+	/**
+	 * encode SEQUENCE or SET
+	 * @private
+	 * @param {*} value dictionary of components
+	 * @return {ASN1Object} DERSequence or DERSet
+	 */
+	encodeComponents(value) {
+		if (!isDictionary(value)) throw this.kind + " value shall be dictionary";
+		let comps = this.getComponents();
+		/** @type {Array<ASN1Object>} */ let a = [];
+		for (let i = 0; i < comps.length; i++) {
+			let name = comps[i]['name'];
+			let type = /** @type {ASN1Type} */ ( comps[i]['type'] );
+			let v = value[name];
+			if (v === undefined) {
+				if (comps[i]['optional'] || comps[i]['default'] !== undefined) continue;
+				throw "missing component: " + name;
+			}
+			if (comps[i]['default'] !== undefined && type.isEqual(v, this.getDefault(comps[i]))) continue;
+			a.push(type.encode(v));
+		}
+		if (this.kind == 'SET') return new DERSet(/** @type {Dictionary} */ ( { 'array': a } ));
+		return new DERSequence(/** @type {Dictionary} */ ( { 'array': a } ));
+	}
+
+	/**
+	 * encode BIT STRING
+	 * @private
+	 * @param {*} value array of named bits or dictionary of {@link DERBitString} parameters
+	 * @return {ASN1Object} DERBitString
+	 */
+	encodeBitString(value) {
+		if (isDictionary(value)) return new DERBitString(/** @type {Dictionary} */ ( value ));
+		if (!isArray(value) || this.named === null) throw "BIT STRING value shall be array of named bits or dictionary";
+
+		let bin = "";
+		for (let i = 0; i < value.length; i++) {
+			let n = this.toNumber(value[i]);
+			while (bin.length <= n) bin += "0";
+			bin = bin.substr(0, n) + "1" + bin.substr(n + 1);
+		}
+		if (bin == "") return new DERBitString(/** @type {Dictionary} */ ( { 'hex': '00' } ));
+		return new DERBitString(/** @type {Dictionary} */ ( { 'bin': bin } ));
+	}
+
+	/**
+	 * convert named number to number
+	 * @private
+	 * @param {*} value name or number
+	 * @return {number} number
+	 */
+	toNumber(value) {
+		if (isNumber(value)) return /** @type {number} */ ( value );
+		if (this.named !== null && isString(value) && this.named[value] !== undefined)
+			return this.named[value];
+		throw "unknown named number: " + value;
+	}
+
+	/**
+	 * compare typed JSON values
+	 * @private
+	 * @param {*} v1 value
+	 * @param {*} v2 value
+	 * @return {boolean} true if equal
+	 */
+	isEqual(v1, v2) {
+		let t = this.resolve();
+		if (t.kind == 'TAGGED') return /** @type {ASN1Type} */ ( t.inner ).isEqual(v1, v2);
+		if (t.kind == 'INTEGER' || t.kind == 'ENUMERATED') {
+			if (isDictionary(v1) || isDictionary(v2)) return JSON.stringify(v1) == JSON.stringify(v2);
+			return t.toNumber(v1) == t.toNumber(v2);
+		}
+		if (t.kind == 'BIT STRING' && isArray(v1) && isArray(v2)) {
+			return t.encodeBitString(v1).getEncodedHex() == t.encodeBitString(v2).getEncodedHex();
+		}
+		return JSON.stringify(v1) == JSON.stringify(v2);
+	}
+
+	/**
+	 * get typed JSON value of DEFAULT of component
+	 * @private
+	 * @param {Dictionary} comp component
+	 * @return {*} default value
+	 */
+	getDefault(comp) {
+		if (comp['defaultValue'] === undefined) {
+			comp['defaultValue'] = /** @type {ASN1Type} */ ( comp['type'] ).valueFromTokens(/** @type {Array<string>} */ ( comp['default'] ));
+		}
+		return comp['defaultValue'];
+	}
+
+	/**
+	 * convert value notation tokens to typed JSON value
+	 * @private
+	 * @param {Array<string>} a tokens of value notation
+	 * @return {*} typed JSON value
+	 */
+	valueFromTokens(a) {
+		let t = this.resolve();
+		let k = t.kind;
+		if (k == 'TAGGED') return /** @type {ASN1Type} */ ( t.inner ).valueFromTokens(a);
+		let s = a.join(' ');
+		if (k == 'BOOLEAN' && (s == 'TRUE' || s == 'FALSE')) return s == 'TRUE';
+		if (k == 'INTEGER' || k == 'ENUMERATED') {
+			if (/^-?[0-9]+$/.test(s)) return t.fromNumber(parseInt(s, 10));
+			if (t.named !== null && t.named[s] !== undefined) return s;
+			let v = this.module.getValue(s);
+			if (isNumber(v)) return t.fromNumber(/** @type {number} */ ( v ));
+		}
+		if (k == 'BIT STRING' && t.named !== null && a[0] == '{') {
+			/** @type {Array<string>} */ let names = [];
+			for (let i = 1; i < a.length - 1; i++) {
+				if (a[i] != ',') names.push(a[i]);
+			}
+			return names;
+		}
+		if ((k == 'SEQUENCE OF' || k == 'SET OF') && s == '{ }') return [];
+		if (k == 'OCTET STRING' && /^'[0-9A-Fa-f]*'H$/.test(s)) return s.slice(1, -2).toLowerCase();
+		if (k == 'OBJECT IDENTIFIER') return this.module.oidFromTokens(a);
+		if (/^".*"$/.test(s)) return s.slice(1, -1).replace(/""/g, '"');
+		throw "unsupported DEFAULT value for " + k + ": " + s;
+	}
+
+	/**
+	 * convert number to typed JSON value of INTEGER or ENUMERATED
+	 * @private
+	 * @param {number} n number
+	 * @return {string | number} name of named number or number
+	 */
+	fromNumber(n) {
+		if (this.named !== null) {
+			for (let name in this.named) {
+				if (this.named[name] === n) return name;
+			}
+		}
+		return n;
+	}
+
+	/**
+	 * decode ASN.1 data to typed JSON value
+	 * @param {string} h hexadecimal string of ASN.1 DER or BER encoded data
+	 * @param {number=} idx string index of ASN.1 TLV to decode (OPTION, DEFAULT 0)
+	 * @return {*} typed JSON value
+	 */
+	decode(h, idx) {
+		if (idx === undefined) idx = 0;
+		return this.decodeAt(bertoder(getTLV(h, idx)), 0, false, 0);
+	}
+
+	/**
+	 * decode ASN.1 TLV at string index to typed JSON value
+	 * @private
+	 * @param {string} h lower case hexadecimal string of ASN.1 DER encoded data
+	 * @param {number} idx string index of ASN.1 TLV
+	 * @param {boolean} implicit true if tag was already checked by outer implicit tag
+	 * @param {number} depth nesting depth of ASN.1 TLV
+	 * @return {*} typed JSON value
+	 */
+	decodeAt(h, idx, implicit, depth) {
+		checkDecodeDepth(depth);
+		let t = this.resolve();
+		let k = t.kind;
+		let hT = getT(h, idx);
+
+		if (k == 'CHOICE') {
+			let comps = t.getComponents();
+			for (let i = 0; i < comps.length; i++) {
+				let type = /** @type {ASN1Type} */ ( comps[i]['type'] );
+				if (type.matchesTag(hT)) {
+					let r = /** @type {Dictionary} */ ( {} );
+					r[comps[i]['name']] = type.decodeAt(h, idx, false, depth);
+					return r;
+				}
+			}
+			throw "no alternative of CHOICE for tag " + hT + " at " + idx;
+		}
+		if (k == 'ANY') return getTLV(h, idx);
+
+		if (!implicit && primitiveTag(hT) != primitiveTag(t.getTag()))
+			throw "tag mismatch at " + idx + ": " + hT + " for " + k;
+
+		if (k == 'TAGGED') {
+			let inner = /** @type {ASN1Type} */ ( t.inner );
+			if (t.isImplicit()) return inner.decodeAt(h, idx, true, depth);
+			let a = childIdx(h, idx);
+			if (a.length != 1) throw "explicit tag shall have one element at " + idx;
+			return inner.decodeAt(h, a[0], false, depth + 1);
+		}
+
+		let hV = getV(h, idx);
+		switch (k) {
+			case 'BOOLEAN':
+				return hV != "00";
+			case 'INTEGER':
+			case 'ENUMERATED':
+				if (hV.length > 12) return /** @type {Dictionary} */ ( { 'hex': hV } );
+				let n = parseInt(hV, 16);
+				if (parseInt(hV.substr(0, 1), 16) >= 8) n -= Math.pow(2, hV.length * 4);
+				return t.fromNumber(n);
+			case 'BIT STRING':
+				return t.decodeBitString(hV);
+			case 'OCTET STRING':
+				return hV;
+			case 'NULL':
+				return null;
+			case 'OBJECT IDENTIFIER':
+				return hextooidstr(hV);
+			case 'RELATIVE-OID':
+				return roidHexToInt(hV);
+			case 'REAL':
+				return realHexToNumber(hV);
+			case 'UTF8String':
+				return hextoutf8(hV);
+			case 'UniversalString':
+				return hextoucs4(hV);
+			case 'BMPString':
+				return hextoucs2(hV);
+			case 'NumericString':
+			case 'PrintableString':
+			case 'TeletexString':
+			case 'T61String':
+			case 'IA5String':
+			case 'VisibleString':
+			case 'ISO646String':
+			case 'GeneralString':
+			case 'UTCTime':
+			case 'GeneralizedTime':
+				return hextorstr(hV);
+			case 'SEQUENCE':
+				return t.decodeSequence(h, idx, depth);
+			case 'SET':
+				return t.decodeSet(h, idx, depth);
+			case 'SEQUENCE OF':
+			case 'SET OF': {
+				let a = childIdx(h, idx);
+				/** @type {Array<*>} */ let r = [];
+				for (let i = 0; i < a.length; i++) {
+					r.push(/** @type {ASN1Type} */ ( t.inner ).decodeAt(h, a[i], false, depth + 1));
+				}
+				return r;
+			}
+		}
+		throw "unsupported type: " + k;
+	}
+
+	/**
+	 * decode BIT STRING value
+	 * @private
+	 * @param {string} hV hexadecimal string of BIT STRING value including unused bits
+	 * @return {*} array of named bits or {'hex': hV}
+	 */
+	decodeBitString(hV) {
+		if (this.named === null) return /** @type {Dictionary} */ ( { 'hex': hV } );
+		/** @type {Array<string | number>} */ let a = [];
+		let nBits = (hV.length - 2) * 4 - parseInt(hV.substr(0, 2), 16);
+		for (let i = 0; i < nBits; i++) {
+			let b = parseInt(hV.substr(2 + Math.floor(i / 8) * 2, 2), 16);
+			if (b & (0x80 >> (i % 8))) a.push(this.fromNumber(i));
+		}
+		return a;
+	}
+
+	/**
+	 * decode SEQUENCE
+	 * @private
+	 * @param {string} h hexadecimal string of ASN.1 DER encoded data
+	 * @param {number} idx string index of SEQUENCE
+	 * @param {number} depth nesting depth of SEQUENCE
+	 * @return {Dictionary} dictionary of components
+	 */
+	decodeSequence(h, idx, depth) {
+		let a = childIdx(h, idx);
+		let comps = this.getComponents();
+		let r = /** @type {Dictionary} */ ( {} );
+		let p = 0;
+		for (let i = 0; i < comps.length; i++) {
+			let type = /** @type {ASN1Type} */ ( comps[i]['type'] );
+			if (p < a.length && type.matchesTag(getT(h, a[p]))) {
+				r[comps[i]['name']] = type.decodeAt(h, a[p], false, depth + 1);
+				p++;
+			} else if (comps[i]['default'] !== undefined) {
+				r[comps[i]['name']] = this.getDefault(comps[i]);
+			} else if (!comps[i]['optional']) {
+				throw "missing component: " + comps[i]['name'];
+			}
+		}
+		if (p < a.length && !this.extensible)
+			throw "unexpected element in SEQUENCE at " + a[p];
+		return r;
+	}
+
+	/**
+	 * decode SET
+	 * @private
+	 * @param {string} h hexadecimal string of ASN.1 DER encoded data
+	 * @param {number} idx string index of SET
+	 * @param {number} depth nesting depth of SET
+	 * @return {Dictionary} dictionary of components
+	 */
+	decodeSet(h, idx, depth) {
+		let a = childIdx(h, idx);
+		let comps = this.getComponents();
+		let r = /** @type {Dictionary} */ ( {} );
+		for (let p = 0; p < a.length; p++) {
+			let hT = getT(h, a[p]);
+			let found = false;
+			for (let i = 0; i < comps.length; i++) {
+				let type = /** @type {ASN1Type} */ ( comps[i]['type'] );
+				if (r[comps[i]['name']] === undefined && type.matchesTag(hT)) {
+					r[comps[i]['name']] = type.decodeAt(h, a[p], false, depth + 1);
+					found = true;
+					break;
+				}
+			}
+			if (!found && !this.extensible) throw "unexpected element in SET at " + a[p];
+		}
+		let rSorted = /** @type {Dictionary} */ ( {} );
+		for (let i = 0; i < comps.length; i++) {
+			let name = comps[i]['name'];
+			if (r[name] !== undefined) {
+				rSorted[name] = r[name];
+			} else if (comps[i]['default'] !== undefined) {
+				rSorted[name] = this.getDefault(comps[i]);
+			} else if (!comps[i]['optional']) {
+				throw "missing component: " + name;
+			}
+		}
+		return rSorted;
+	}
+
+	/**
+	 * convert ASN.1 data to JER value
+	 * @param {string | ASN1Object} hexOrObj hexadecimal string of ASN.1 DER or BER encoded data or ASN1Object object
+	 * @return {*} JER value which can be serialized by JSON.stringify
+	 * @description
+	 * See {@link ASN1Module} for mapping of ASN.1 types to JER.
+	 * @example
+	 * t.toJER("3007020101800201f4") &rarr; {'seconds': 1, 'millis': 500}
+	 */
+	toJER(hexOrObj) {
+		let h = (hexOrObj instanceof ASN1Object) ? hexOrObj.getEncodedHex() : hexOrObj;
+		return this.toJERValue(this.decode(h));
+	}
+
+	/**
+	 * convert JER value to ASN1Object
+	 * @param {*} jer JER value (ex. result of JSON.parse)
+	 * @return {ASN1Object} ASN1Object of DER classes
+	 * @example
+	 * t.fromJER({'seconds': 1, 'millis': 500}).getEncodedHex() &rarr; "3007020101800201f4"
+	 */
+	fromJER(jer) {
+		return this.encode(this.fromJERValue(jer));
+	}
+
+	/**
+	 * convert typed JSON value to JER value
+	 * @private
+	 * @param {*} value typed JSON value
+	 * @return {*} JER value
+	 */
+	toJERValue(value) {
+		let t = this.resolve();
+		switch (t.kind) {
+			case 'TAGGED':
+				return /** @type {ASN1Type} */ ( t.inner ).toJERValue(value);
+			case 'INTEGER':
+				return integerHexToJER(t.encode(value).getValueHex());
+			case 'ENUMERATED': {
+				let n = integerHexToJER(t.encode(value).getValueHex());
+				return isNumber(n) ? t.fromNumber(/** @type {number} */ ( n )) : n;
+			}
+			case 'BIT STRING': {
+				let hV = t.encodeBitString(value).getValueHex();
+				return /** @type {Dictionary} */ ( {
+					'value': hV.substr(2).toUpperCase(),
+					'length': (hV.length - 2) * 4 - parseInt(hV.substr(0, 2), 16)
+				} );
+			}
+			case 'OCTET STRING':
+				return String(value).toUpperCase();
+			case 'REAL':
+				if (isNaN(value)) return "NaN";
+				if (value === Infinity) return "INF";
+				if (value === -Infinity) return "-INF";
+				if (value === 0 && 1 / value < 0) return "-0";
+				return value;
+			case 'SEQUENCE':
+			case 'SET': {
+				let comps = t.getComponents();
+				let r = /** @type {Dictionary} */ ( {} );
+				for (let i = 0; i < comps.length; i++) {
+					let name = comps[i]['name'];
+					if (value[name] !== undefined)
+						r[name] = /** @type {ASN1Type} */ ( comps[i]['type'] ).toJERValue(value[name]);
+				}
+				return r;
+			}
+			case 'SEQUENCE OF':
+			case 'SET OF': {
+				/** @type {Array<*>} */ let a = [];
+				for (let i = 0; i < value.length; i++) {
+					a.push(/** @type {ASN1Type} */ ( t.inner ).toJERValue(value[i]));
+				}
+				return a;
+			}
+			case 'CHOICE': {
+				let comps = t.getComponents();
+				for (let i = 0; i < comps.length; i++) {
+					let name = comps[i]['name'];
+					if (value[name] !== undefined) {
+						let r = /** @type {Dictionary} */ ( {} );
+						r[name] = /** @type {ASN1Type} */ ( comps[i]['type'] ).toJERValue(value[name]);
+						return r;
+					}
+				}
+				throw "no alternative of CHOICE in value: " + JSON.stringify(value);
+			}
+		}
+		return value;
+	}
+
+	/**
+	 * convert JER value to typed JSON value
+	 * @private
+	 * @param {*} jer JER value
+	 * @return {*} typed JSON value
+	 */
+	fromJERValue(jer) {
+		let t = this.resolve();
+		switch (t.kind) {
+			case 'TAGGED':
+				return /** @type {ASN1Type} */ ( t.inner ).fromJERValue(jer);
+			case 'INTEGER':
+			case 'ENUMERATED':
+				if (isString(jer) && /^-?[0-9]+$/.test(jer))
+					return /** @type {Dictionary} */ ( { 'hex': bigIntToMinTwosComplementsHex(new BigInteger(jer, 10)) } );
+				if (t.kind == 'INTEGER' && !isNumber(jer)) throw "JER INTEGER shall be number";
+				return jer;
+			case 'BIT STRING': {
+				let hBits = isDictionary(jer) ? jer['value'] : jer;
+				if (!isString(hBits) || !isHex(hBits)) throw "JER BIT STRING shall have hexadecimal value";
+				let len = isDictionary(jer) ? jer['length'] : hBits.length * 4;
+				let unused = hBits.length * 4 - len;
+				if (!isNumber(len) || unused < 0 || unused > 7 || (hBits.length == 0 && len != 0))
+					throw "wrong length of JER BIT STRING: " + len;
+				return /** @type {Dictionary} */ ( { 'hex': integerToByteHex(unused) + hBits.toLowerCase() } );
+			}
+			case 'OCTET STRING':
+				if (!isString(jer) || !isHex(jer)) throw "JER OCTET STRING shall be hexadecimal string";
+				return jer.toLowerCase();
+			case 'REAL':
+				if (jer === "NaN") return NaN;
+				if (jer === "INF") return Infinity;
+				if (jer === "-INF") return -Infinity;
+				if (jer === "-0") return -0;
+				return jer;
+			case 'SEQUENCE':
+			case 'SET': {
+				if (!isDictionary(jer)) throw "JER " + t.kind + " shall be object";
+				let comps = t.getComponents();
+				let r = /** @type {Dictionary} */ ( {} );
+				for (let i = 0; i < comps.length; i++) {
+					let name = comps[i]['name'];
+					if (jer[name] !== undefined)
+						r[name] = /** @type {ASN1Type} */ ( comps[i]['type'] ).fromJERValue(jer[name]);
+				}
+				if (!t.extensible) {
+					for (let name in jer) {
+						if (r[name] === undefined) throw "unknown component in JER " + t.kind + ": " + name;
+					}
+				}
+				return r;
+			}
+			case 'SEQUENCE OF':
+			case 'SET OF': {
+				if (!isArray(jer)) throw "JER " + t.kind + " shall be array";
+				/** @type {Array<*>} */ let a = [];
+				for (let i = 0; i < jer.length; i++) {
+					a.push(/** @type {ASN1Type} */ ( t.inner ).fromJERValue(jer[i]));
+				}
+				return a;
+			}
+			case 'CHOICE': {
+				if (!isDictionary(jer) || Object.keys(jer).length != 1) throw "JER CHOICE shall be object with one member";
+				let comps = t.getComponents();
+				for (let i = 0; i < comps.length; i++) {
+					let name = comps[i]['name'];
+					if (jer[name] !== undefined) {
+						let r = /** @type {Dictionary} */ ( {} );
+						r[name] = /** @type {ASN1Type} */ ( comps[i]['type'] ).fromJERValue(jer[name]);
+						return r;
+					}
+				}
+				throw "no alternative of CHOICE in JER: " + Object.keys(jer)[0];
+			}
+		}
+		return jer;
+	}
+}
+
+/**
+ * convert hexadecimal string of INTEGER value to JER number
+ * @param {string} hV hexadecimal string of two's complement INTEGER value
+ * @return {number | string} number or decimal string if it exceeds safe integer of JavaScript
+ */
+function integerHexToJER(hV) {
+	if (hV.length <= 12) {
+		let n = parseInt(hV, 16);
+		if (parseInt(hV.substr(0, 1), 16) >= 8) n -= Math.pow(2, hV.length * 4);
+		return n;
+	}
+	let bi = new BigInteger(hV, 16);
+	if (parseInt(hV.substr(0, 1), 16) >= 8) bi = bi.subtract(BigInteger.ONE().shiftLeft(hV.length * 4));
+	let s = bi.toString(10);
+	let n = parseInt(s, 10);
+	return (Math.abs(n) <= Number.MAX_SAFE_INTEGER) ? n : s;
+}
+
+/**
+ * get string indexes of child ASN.1 objects
+ * @param {string} h hexadecimal string of ASN.1 DER encoded data
+ * @param {number} idx string index of constructed ASN.1 object
+ * @return {Array<number>} array of child indexes, empty for empty value
+ */
+function childIdx(h, idx) {
+	if (getVblen(h, idx) == 0) return [];
+	return getChildIdx(h, idx);
+}
+
+/**
+ * compiled ASN.1 module
+ * @description
+ * This class compiles ASN.1 module text. Types of the module
+ * are available by {@link ASN1Module#getType} and
+ * OBJECT IDENTIFIER or INTEGER values by {@link ASN1Module#getValue}.
+ * Module header can be omitted for a list of type assignments.
+ * Types which are not defined in the module are looked up
+ * in modules specified by 'imports'.
+ * @example
+ * let pkix = new ASN1Module(
+ *   "AlgorithmIdentifier ::= SEQUENCE { algorithm OBJECT IDENTIFIER, parameters ANY OPTIONAL }");
+ * let m = new ASN1Module(
+ *   "MessageImprint ::= SEQUENCE { hashAlgorithm AlgorithmIdentifier, hashedMessage OCTET STRING }",
+ *   [pkix]);
+ * m.decode("MessageImprint", "3031300d0609608648016503040201050004...")
+ * &rarr; {'hashAlgorithm': {'algorithm': '2.16.840.1.101.3.4.2.1', 'parameters': '0500'},
+ *         'hashedMessage': '...'}
+ */
+export class ASN1Module {
+	/**
+	 * @param {string} text ASN.1 module text
+	 * @param {Array<ASN1Module>=} imports modules to resolve imported types (OPTION)
+	 */
+	constructor(text, imports) {
+		/** @type {string} */ this.name = '';
+		/** @type {Object<string, ASN1Type>} */ this.types = {};
+		/** @type {Object<string, (string | number)>} */ this.values = {};
+		/** @private @type {Array<ASN1Module>} */ this.imports = (imports !== undefined) ? imports : [];
+		/** @private @type {string} */ this.tagDefault = 'EXPLICIT';
+		/** @private @type {Array<string>} */ this.tokens = tokenize(text);
+		/** @private @type {number} */ this.pos = 0;
+
+		this.parseModule();
+	}
+
+	/**
+	 * get compiled type by name
+	 * @param {string} name type reference name
+	 * @return {ASN1Type} compiled type
+	 * @throws {string} if type is not defined
+	 */
+	getType(name) {
+		if (this.types[name] !== undefined) return this.types[name];
+		for (let i = 0; i < this.imports.length; i++) {
+			if (this.imports[i].types[name] !== undefined) return this.imports[i].types[name];
+		}
+		throw "undefined type: " + name;
+	}
+
+	/**
+	 * get value of value assignment by name
+	 * @param {string} name value reference name
+	 * @return {string | number | undefined} dot noted OID, number or undefined if not defined
+	 */
+	getValue(name) {
+		if (this.values[name] !== undefined) return this.values[name];
+		for (let i = 0; i < this.imports.length; i++) {
+			if (this.imports[i].values[name] !== undefined) return this.imports[i].values[name];
+		}
+		return undefined;
+	}
+
+	/**
+	 * encode typed JSON value by type name
+	 * @param {string} name type reference name
+	 * @param {*} value typed JSON value
+	 * @return {ASN1Object} ASN1Object of DER classes
+	 */
+	encode(name, value) {
+		return this.getType(name).encode(value);
+	}
+
+	/**
+	 * decode ASN.1 data by type name
+	 * @param {string} name type reference name
+	 * @param {string} h hexadecimal string of ASN.1 DER or BER encoded data
+	 * @param {number=} idx string index of ASN.1 TLV to decode (OPTION, DEFAULT 0)
+	 * @return {*} typed JSON value
+	 */
+	decode(name, h, idx) {
+		return this.getType(name).decode(h, idx);
+	}
+
+	/**
+	 * convert ASN.1 data to JER value by type name
+	 * @param {string} name type reference name
+	 * @param {string | ASN1Object} hexOrObj hexadecimal string of ASN.1 DER or BER encoded data or ASN1Object object
+	 * @return {*} JER value which can be serialized by JSON.stringify
+	 */
+	toJER(name, hexOrObj) {
+		return this.getType(name).toJER(hexOrObj);
+	}
+
+	/**
+	 * convert JER value to ASN1Object by type name
+	 * @param {string} name type reference name
+	 * @param {*} jer JER value (ex. result of JSON.parse)
+	 * @return {ASN1Object} ASN1Object of DER classes
+	 */
+	fromJER(name, jer) {
+		return this.getType(name).fromJER(jer);
+	}
+
+	// ========== parser ==========================================
+
+	/**
+	 * @private
+	 * @return {string} next token without consuming it or empty string at end
+	 */
+	peek() {
+		return (this.pos < this.tokens.length) ? this.tokens[this.pos] : '';
+	}
+
+	/**
+	 * @private
+	 * @return {string} consumed token
+	 */
+	next() {
+		if (this.pos >= this.tokens.length) throw "unexpected end of ASN.1 module";
+		return this.tokens[this.pos++];
+	}
+
+	/**
+	 * @private
+	 * @param {string} s expected token
+	 */
+	expect(s) {
+		let t = this.next();
+		if (t != s) throw "'" + s + "' expected but '" + t + "' found in ASN.1 module";
+	}
+
+	/**
+	 * @private
+	 * @return {Array<string>} tokens between balanced brackets including brackets
+	 */
+	skipBalanced() {
+		let open = this.peek();
+		let close = (open == '{') ? '}' : (open == '(') ? ')' : ']';
+		/** @type {Array<string>} */ let a = [];
+		let depth = 0;
+		do {
+			let t = this.next();
+			if (t == open) depth++;
+			if (t == close) depth--;
+			a.push(t);
+		} while (depth > 0);
+		return a;
+	}
+
+	/**
+	 * @private
+	 */
+	parseModule() {
+		let t0 = this.peek();
+		let t1 = (this.pos + 1 < this.tokens.length) ? this.tokens[this.pos + 1] : '';
+		let hasHeader = isTypeReference(t0) && (t1 == 'DEFINITIONS' || t1 == '{');
+
+		if (hasHeader) {
+			this.name = this.next();
+			if (this.peek() == '{') this.skipBalanced();
+			this.expect('DEFINITIONS');
+			let p = this.peek();
+			if (p == 'EXPLICIT' || p == 'IMPLICIT' || p == 'AUTOMATIC') {
+				this.tagDefault = this.next();
+				this.expect('TAGS');
+			}
+			if (this.peek() == 'EXTENSIBILITY') {
+				this.next();
+				this.expect('IMPLIED');
+			}
+			this.expect('::=');
+			this.expect('BEGIN');
+			while (this.peek() == 'EXPORTS' || this.peek() == 'IMPORTS') {
+				while (this.next() != ';');
+			}
+		}
+
+		while (this.pos < this.tokens.length) {
+			if (this.peek() == 'END') {
+				this.next();
+				break;
+			}
+			this.parseAssignment();
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	parseAssignment() {
+		let name = this.next();
+		if (isTypeReference(name)) {
+			if (this.peek() != '::=') throw "unsupported assignment of " + name;
+			this.next();
+			this.types[name] = this.parseType();
+		} else if (isIdentifier(name)) {
+			let type = this.parseType();
+			this.expect('::=');
+			let a = (this.peek() == '{') ? this.skipBalanced() : [this.next()];
+			if (type.kind == 'OBJECT IDENTIFIER') {
+				this.values[name] = this.oidFromTokens(a);
+			} else if (type.kind == 'INTEGER' && /^-?[0-9]+$/.test(a[0])) {
+				this.values[name] = parseInt(a[0], 10);
+			}
+		} else {
+			throw "unexpected token in ASN.1 module: " + name;
+		}
+	}
+
+	/**
+	 * convert OBJECT IDENTIFIER value notation to dot noted OID
+	 * @param {Array<string>} a tokens of OBJECT IDENTIFIER value
+	 * @return {string} dot noted OID
+	 */
+	oidFromTokens(a) {
+		/** @type {Array<string>} */ let r = [];
+		for (let i = 1; i < a.length - 1; i++) {
+			let t = a[i];
+			if (/^[0-9]+$/.test(t)) {
+				r.push(t);
+			} else if (a[i + 1] == '(') {
+				r.push(a[i + 2]);
+				i += 3;
+			} else {
+				let v = this.getValue(t);
+				if (v === undefined) v = { 'itu-t': '0', 'ccitt': '0', 'iso': '1', 'joint-iso-itu-t': '2', 'joint-iso-ccitt': '2' }[t];
+				if (v === undefined) throw "undefined OBJECT IDENTIFIER value: " + t;
+				r.push(String(v));
+			}
+		}
+		return r.join('.');
+	}
+
+	/**
+	 * @private
+	 * @return {ASN1Type} parsed type
+	 */
+	parseType() {
+		/** @type {ASN1Type} */ let t;
+		if (this.peek() == '[') {
+			this.next();
+			t = new ASN1Type(this, 'TAGGED');
+			if (TAG_CLASS[this.peek()] !== undefined) t.tagClass = TAG_CLASS[this.next()];
+			let n = this.next();
+			if (/^[0-9]+$/.test(n)) {
+				t.tagNumber = parseInt(n, 10);
+			} else if (isNumber(this.getValue(n))) {
+				t.tagNumber = /** @type {number} */ ( this.getValue(n) );
+			} else {
+				throw "tag number expected: " + n;
+			}
+			this.expect(']');
+			let p = this.peek();
+			if (p == 'IMPLICIT' || p == 'EXPLICIT') {
+				t.isExplicit = (this.next() == 'EXPLICIT');
+			} else {
+				t.isExplicit = (this.tagDefault == 'EXPLICIT');
+			}
+			t.inner = this.parseType();
+			return t;
+		}
+
+		t = this.parseBuiltinType();
+		this.skipConstraints();
+		return t;
+	}
+
+	/**
+	 * @private
+	 */
+	skipConstraints() {
+		while (this.peek() == '(' || this.peek() == 'SIZE') {
+			if (this.peek() == 'SIZE') this.next();
+			this.skipBalanced();
+		}
+	}
+
+	/**
+	 * @private
+	 * @return {ASN1Type} parsed type
+	 */
+	parseBuiltinType() {
+		let s = this.next();
+		if (s == 'BIT' || s == 'OCTET') {
+			this.expect('STRING');
+			s = s + ' STRING';
+		} else if (s == 'OBJECT') {
+			this.expect('IDENTIFIER');
+			s = 'OBJECT IDENTIFIER';
+		}
+
+		let t = new ASN1Type(this, s);
+		switch (s) {
+			case 'INTEGER':
+			case 'BIT STRING':
+				if (this.peek() == '{') t.named = this.parseNamedNumbers(false);
+				return t;
+			case 'ENUMERATED':
+				t.named = this.parseNamedNumbers(true);
+				return t;
+			case 'ANY':
+				if (this.peek() == 'DEFINED') {
+					this.next();
+					this.expect('BY');
+					this.next();
+				}
+				return t;
+			case 'SEQUENCE':
+			case 'SET':
+				if (this.peek() == '{') {
+					this.parseComponents(t, true);
+					return t;
+				}
+				this.skipConstraints();
+				this.expect('OF');
+				if (isIdentifier(this.peek())) this.next(); // element identifier
+				t.kind = s + ' OF';
+				t.inner = this.parseType();
+				return t;
+			case 'CHOICE':
+				this.parseComponents(t, false);
+				return t;
+		}
+		if (UNIVERSAL_TAG[s] !== undefined) return t;
+		if (isTypeReference(s)) {
+			if (this.peek() == '.') { // external type reference Module.Type
+				this.next();
+				s = this.next();
+			}
+			if (this.peek() == '{') throw "parameterized type is not supported: " + s;
+			t.kind = 'REF';
+			t.ref = s;
+			return t;
+		}
+		throw "unsupported type: " + s;
+	}
+
+	/**
+	 * @private
+	 * @param {boolean} isEnum true for ENUMERATED which allows names without numbers
+	 * @return {Object<string, number>} dictionary of named numbers
+	 */
+	parseNamedNumbers(isEnum) {
+		/** @type {Object<string, number>} */ let r = {};
+		let auto = 0;
+		this.expect('{');
+		while (this.peek() != '}') {
+			let name = this.next();
+			if (name == ',') continue;
+			if (name == '...') {
+				if (this.peek() == '!') this.skipException();
+				continue;
+			}
+			if (this.peek() == '(') {
+				this.next();
+				let v = this.next();
+				let n = /^-?[0-9]+$/.test(v) ? parseInt(v, 10) : this.getValue(v);
+				if (!isNumber(n)) throw "number expected for " + name + ": " + v;
+				r[name] = /** @type {number} */ ( n );
+				this.expect(')');
+			} else if (isEnum) {
+				while (Object.values(r).indexOf(auto) != -1) auto++;
+				r[name] = auto;
+			} else {
+				throw "number expected for " + name;
+			}
+		}
+		this.next();
+		return r;
+	}
+
+	/**
+	 * @private
+	 */
+	skipException() {
+		this.next();
+		if (this.peek() == '(' || this.peek() == '{') {
+			this.skipBalanced();
+		} else {
+			this.next();
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {ASN1Type} t SEQUENCE, SET or CHOICE type to set components
+	 * @param {boolean} allowOptional true for SEQUENCE or SET
+	 */
+	parseComponents(t, allowOptional) {
+		/** @type {Array<Dictionary>} */ let a = [];
+		this.expect('{');
+		while (this.peek() != '}') {
+			let s = this.next();
+			if (s == ',' || s == '[[' || s == ']]') continue;
+			if (s == '...') {
+				t.extensible = true;
+				if (this.peek() == '!') this.skipException();
+				continue;
+			}
+			if (s == 'COMPONENTS') {
+				this.expect('OF');
+				a.push(/** @type {Dictionary} */ ( { 'componentsOf': this.parseType() } ));
+				continue;
+			}
+			if (!isIdentifier(s)) throw "component identifier expected: " + s;
+
+			let comp = /** @type {Dictionary} */ ( { 'name': s, 'type': this.parseType(), 'optional': false } );
+			if (allowOptional && this.peek() == 'OPTIONAL') {
+				this.next();
+				comp['optional'] = true;
+			} else if (allowOptional && this.peek() == 'DEFAULT') {
+				this.next();
+				comp['default'] = (this.peek() == '{') ? this.skipBalanced() : [this.next()];
+			}
+			a.push(comp);
+		}
+		this.next();
+
+		if (this.tagDefault == 'AUTOMATIC') {
+			let tagged = false;
+			for (let i = 0; i < a.length; i++) {
+				if (a[i]['type'] !== undefined && /** @type {ASN1Type} */ ( a[i]['type'] ).kind == 'TAGGED') tagged = true;
+			}
+			for (let i = 0, n = 0; !tagged && i < a.length; i++) {
+				if (a[i]['type'] === undefined) continue;
+				let tt = new ASN1Type(this, 'TAGGED');
+				tt.tagNumber = n++;
+				tt.isExplicit = false;
+				tt.inner = /** @type {ASN1Type} */ ( a[i]['type'] );
+				a[i]['type'] = tt;
+			}
+		}
+
+		t.components = a;
+	}
+}
@@ -17,7 +17,8 @@ import { ASN1Object, DERBoolean, DERInteger, DERBitString, DEROctetString, DEROb
 import { oid2name } from "./asn1oid.js"
 import { AlgorithmIdentifier, X500Name } from "./asn1x509-1.0.js"
 import { hashHex } from "./crypto-1.1.js"
-import { getChildIdx, getV, getTLV, hextooidstr, getIdxbyList } from "./asn1hex-1.1.js"
+import { getChildIdx, getV, getTLV, hextooidstr, getIdxbyList, bertoder } from "./asn1hex-1.1.js"
+import { isBytes, bytestohex } from "./base64x-1.1.js"
 import { Dictionary } from "./../../../include/type.js"
 import { SignedData, SigningCertificate, ContentInfo, EncapsulatedContentInfo } from "./asn1cms-1.0.js"
 
@@ -71,6 +72,10 @@ export class Accuracy extends ASN1Object {
 			if (typeof params['millis'] == "number") this.millis = params['millis'];
 			if (typeof params['micros'] == "number") this.micros = params['micros'];
 		}
+		if (this.millis != null && !(1 <= this.millis && this.millis <= 999))
+			throw "Accuracy millis shall be 1..999: " + this.millis;
+		if (this.micros != null && !(1 <= this.micros && this.micros <= 999))
+			throw "Accuracy micros shall be 1..999: " + this.micros;
 	}
 
 	/**
@@ -245,11 +250,16 @@ export class TimeStampReq extends ASN1Object {
  *    tsa             [0] GeneralName          OPTIONAL,
  *    extensions      [1] IMPLICIT Extensions  OPTIONAL   }
  * </pre>
+ * 'genTime' is a parameter of {@link DERGeneralizedTime}.
+ * When it is omitted or has no 'str' nor 'date', current time is used.
+ * Fraction of seconds is written when 'millis' (or 'withMillis') is true
+ * or 'accuracy' has 'millis' or 'micros' since
+ * accuracy finer than a second is meaningless without it.
  * @example
  * o = new TSTInfo({
  *     policy:    '1.2.3.4.5',
  *     messageImprint: {hashAlg: 'sha256', hashMsgHex: '1abc...'},
- *     genTime:   {withMillis: true},     // OPTION
+ *     genTime:   {millis: true},         // OPTION
  *     accuracy:  {micros: 500},          // OPTION
  *     ordering:  true,                   // OPITON
  *     nonce:     {hex: '52fab1...'},     // OPTION
@@ -285,9 +295,14 @@ export class TSTInfo extends ASN1Object {
 			if (params['serialNumber'] !== undefined) {
 				this.dSerialNumber = new DERInteger(params['serialNumber']);
 			}
-			if (params['genTime'] !== undefined) {
-				this.dGenTime = new DERGeneralizedTime(params['genTime']);
+			let genTime = /** @type {Dictionary} */ ( (typeof params['genTime'] == "string") ?
+				{ 'str': params['genTime'] } : Object.assign({}, params['genTime']) );
+			if (genTime['withMillis'] === true ||
+				(params['accuracy'] !== undefined &&
+				 (params['accuracy']['millis'] !== undefined || params['accuracy']['micros'] !== undefined))) {
+				genTime['millis'] = true;
 			}
+			this.dGenTime = new DERGeneralizedTime(genTime);
 			if (params['accuracy'] !== undefined) {
 				this.dAccuracy = new Accuracy(params['accuracy']);
 			}
@@ -736,7 +751,7 @@ export function newTimeStampToken(param) {
 
 /**
  * parse hexadecimal string of TimeStampReq
- * @param {string} reqHex hexadecimal string of TimeStampReq
+ * @param {string | Uint8Array | ArrayBuffer} reqHex hexadecimal string or byte array of TimeStampReq
  * @return {Dictionary} JSON object of parsed parameters
  * @description
  * This method parses a hexadecimal string of TimeStampReq
@@ -753,6 +768,7 @@ export function newTimeStampToken(param) {
 export function parseTimeStampReq(reqHex) {
 	let json = /** @type {Dictionary} */ ( {} );
 	json['certreq'] = false;
+	if (isBytes(reqHex)) reqHex = bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( reqHex ));
 
 	let idxList = getChildIdx(reqHex, 0);
 
@@ -782,11 +798,12 @@ export function parseTimeStampReq(reqHex) {
 
 /**
  * parse hexadecimal string of MessageImprint
- * @param {string} miHex hexadecimal string of MessageImprint
+ * @param {string | Uint8Array | ArrayBuffer} miHex hexadecimal string or byte array of MessageImprint
  * @return {Dictionary} JSON object of parsed parameters
  * @description
  * This method parses a hexadecimal string of MessageImprint
- * and returns parsed their fields:
+ * and returns parsed their fields.
+ * BER encoded MessageImprint is also accepted:
  * @example
  * let json = TSPUtil.parseMessageImprint("302602...");
  * // resulted DUMP of above 'json':
@@ -796,6 +813,8 @@ export function parseTimeStampReq(reqHex) {
 export function parseMessageImprint(miHex) {
 	let json = /** @type {Dictionary} */ ( {} );
 
+	if (isBytes(miHex)) miHex = bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( miHex ));
+	miHex = bertoder(/** @type {string} */ ( miHex ));
 	if (miHex.substr(0, 2) != "30")
 		throw "head of messageImprint hex shall be '30'";
 
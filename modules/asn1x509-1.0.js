@@ -19,6 +19,8 @@ import { KEYUSAGE_NAME, X509 } from "./x509-1.1.js"
 import { hextob64nl, pemtohex, intarystrtohex, ipv6tohex } from "./base64x-1.1.js"
 import { DSA } from "./dsa-2.0.js"
 import { ECDSA } from "./ecdsa-modified-1.0.js"
+import { EdDSA } from "./eddsa-1.0.js"
+import { XDH } from "./xdh-1.0.js"
 import { KeyObject, getKey } from "./keyutil-1.0.js"
 import { RSAKeyEx } from "./rsaex.js"
 import { Signature } from "./crypto-1.1.js"
@@ -75,10 +77,11 @@ import { Dictionary, isBoolean, isNumber, isListOfDictionaries, isDictionary, is
  * following properties:
  * <ul>
  * <li>tbscertobj - specify {@link TBSCertificate} object</li>
- * <li>prvkeyobj - specify {@link RSAKeyEx}, {@link ECDSA} or {@link DSA} object for CA private key to sign the certificate</li>
+ * <li>prvkeyobj - specify {@link RSAKeyEx}, {@link ECDSA}, {@link DSA} or {@link EdDSA} object for CA private key to sign the certificate</li>
  * </ul>
  * NOTE1: 'params' can be omitted.<br/>
- * NOTE2: DSA/ECDSA is also supported for CA signging key from asn1x509 1.0.6.
+ * NOTE2: DSA/ECDSA is also supported for CA signging key from asn1x509 1.0.6.<br/>
+ * NOTE3: EdDSA CA signing key is supported with 'Ed25519' or 'Ed448' signature algorithm name.
  * @example
  * let caKey = getKey(caKeyPEM); // CA's private key
  * let cert = new KJUR.asn1x509.Certificate({'tbscertobj': tbs, 'prvkeyobj': caKey});
@@ -108,7 +111,7 @@ export class Certificate extends ASN1Object {
 				this.asn1TBSCert = /** @type {TBSCertificate} */ ( params['tbscertobj'] );
 			}
 			let key = params['prvkeyobj'];
-			if ((key !== undefined) && (key instanceof RSAKeyEx || key instanceof DSA || key instanceof ECDSA)) {
+			if ((key !== undefined) && (key instanceof RSAKeyEx || key instanceof DSA || key instanceof ECDSA || key instanceof EdDSA)) {
 				this.prvKey = /** @type {KeyObject} */ ( params['prvkeyobj'] );
 			}
 		}
@@ -1045,7 +1048,7 @@ export class CRL extends ASN1Object {
 				this.asn1TBSCertList = /** @type {TBSCertList} */ ( params['tbsobj'] );
 			}
 			let prvkeyobj = params['prvkeyobj'];
-			if (isString(prvkeyobj) || prvkeyobj instanceof RSAKeyEx || prvkeyobj instanceof DSA || prvkeyobj instanceof ECDSA) {
+			if (isString(prvkeyobj) || prvkeyobj instanceof RSAKeyEx || prvkeyobj instanceof DSA || prvkeyobj instanceof ECDSA || prvkeyobj instanceof EdDSA) {
 				this.prvKey = /** @type {string | KeyObject} */ ( params['prvkeyobj'] );
 			}
 		}
@@ -1731,14 +1734,19 @@ export class AttributeTypeAndValue extends ASN1Object {
  * <li>{@link RSAKeyEx} object</li>
  * <li>{@link ECDSA} object</li>
  * <li>{@link DSA} object</li>
+ * <li>{@link EdDSA} object</li>
+ * <li>{@link XDH} object</li>
  * </ul>
  * NOTE1: 'params' can be omitted.<br/>
  * NOTE2: DSA/ECDSA key object is also supported since asn1x509 1.0.6.<br/>
+ * NOTE3: EdDSA and XDH public key is encoded without algorithm parameters by RFC 8410.<br/>
  * <h4>EXAMPLE</h4>
  * @example
  * spki = new SubjectPublicKeyInfo(RSAKeyEx_object);
  * spki = new SubjectPublicKeyInfo(KJURcryptoECDSA_object);
  * spki = new SubjectPublicKeyInfo(KJURcryptoDSA_object);
+ * spki = new SubjectPublicKeyInfo(EdDSA_object);
+ * spki = new SubjectPublicKeyInfo(XDH_object);
  */
 export class SubjectPublicKeyInfo extends ASN1Object {
 	/**
@@ -1779,7 +1787,7 @@ export class SubjectPublicKeyInfo extends ASN1Object {
 	}
 
     /**
-     * @param {KeyObject} key {@link RSAKeyEx}, {@link ECDSA} or {@link DSA} object
+     * @param {KeyObject} key {@link RSAKeyEx}, {@link ECDSA}, {@link DSA}, {@link EdDSA} or {@link XDH} object
      * @description
      * @example
      * spki = new SubjectPublicKeyInfo();
@@ -1827,17 +1835,44 @@ export class SubjectPublicKeyInfo extends ASN1Object {
 					new DERBitString(/** @type {Dictionary} */ ( { 'hex': '00' + pubInt.getEncodedHex() } ));
 			}
 		} catch (ex) { };
+
+		try {
+			if (key instanceof EdDSA || key instanceof XDH) {
+				this.asn1AlgId = new AlgorithmIdentifier(/** @type {Dictionary} */ ( { 'name': key.curveName } ));
+				this.asn1SubjPKey = new DERBitString(/** @type {Dictionary} */ ( { 'hex': '00' + key.getPublicKeyHex() } ));
+			}
+		} catch (ex) { };
 	}
 }
 
+/**
+ * get time type of Date object by RFC 5280 rule
+ * @param {Date} d Date object
+ * @return {string} 'utc' for years from 1950 to 2049 otherwise 'gen'
+ */
+function getTimeTypeOfDate(d) {
+	let year = d.getUTCFullYear();
+	return (1950 <= year && year < 2050) ? "utc" : "gen";
+}
+
 /**
  * Time ASN.1 structure class
  * @description
  * <br/>
+ * When 'type' is not specified, it is decided as following:
+ * <ul>
+ * <li>'str' - 'gen' for 4 digit year (ex. '20130508235959Z') otherwise 'utc'</li>
+ * <li>'date' or current time - 'utc' for years from 1950 to 2049 otherwise 'gen'
+ *     as RFC 5280 section 4.1.2.5 requires</li>
+ * </ul>
+ * To indicate no well-defined expiration date of RFC 5280,
+ * GeneralizedTime '99991231235959Z' can be specified by 'str'.
  * <h4>EXAMPLES</h4>
  * @example
  * let t1 = new Time{'str': '130508235959Z'} // UTCTime by default
  * let t2 = new Time{'type': 'gen',  'str': '20130508235959Z'} // GeneralizedTime
+ * let t3 = new Time{'date': new Date(Date.UTC(2050, 0, 1))} // GeneralizedTime since 2050
+ * let t4 = new Time{'str': '99991231235959Z'} // no well-defined expiration date
  */
 export class Time extends ASN1Object {
 	/**
@@ -1854,14 +1889,17 @@ export class Time extends ASN1Object {
 		if (params !== undefined) {
 			if (isString(params['type'])) {
 				this.type = /** @type {string} */ ( params['type'] );
+			} else if (isString(params['str'])) {
+				let str = /** @type {string} */ ( params['str'] );
+				if (str.match(/^[0-9]{14}/)) this.type = "gen";
+			} else if (params['date'] instanceof Date) {
+				this.type = getTimeTypeOfDate(/** @type {Date} */ ( params['date'] ));
 			} else {
-				if (isString(params['str'])) {
-					let str = /** @type {string} */ ( params['str'] );
-					if (str.match(/^[0-9]{12}Z$/)) this.type = "utc";
-					if (str.match(/^[0-9]{14}Z$/)) this.type = "gen";
-				}
+				this.type = getTimeTypeOfDate(new Date());
 			}
 			this.timeParams = params;
+		} else {
+			this.type = getTimeTypeOfDate(new Date());
 		}
 	}
 
@@ -1920,6 +1958,10 @@ export class Time extends ASN1Object {
  * algId = new AlgorithmIdentifier({'name': "rsaEncryption"});
  * // SHA256withRSA and set parameter empty by force
  * algId = new AlgorithmIdentifier({'name': "SHA256withRSA", 'paramempty': true});
+ * // parameter is omitted automatically for SHA-3 and SHAKE hash algorithms.
+ * algId = new AlgorithmIdentifier({'name': "sha3-256"});
+ * // parameter is omitted automatically for Ed25519, Ed448, X25519 and X448.
+ * algId = new AlgorithmIdentifier({'name': "Ed25519"});
  */
 export class AlgorithmIdentifier extends ASN1Object {
 	/**
@@ -1946,13 +1988,18 @@ export class AlgorithmIdentifier extends ASN1Object {
 		}
 	
 		// set algorithm parameters will be ommitted for
-		// "*withDSA" or "*withECDSA" otherwise will be NULL.
+		// "*withDSA", "*withECDSA", SHA-3 or SHAKE hash
+		// algorithms (NIST CSOR and RFC 8702) and Ed25519, Ed448,
+		// X25519 or X448 (RFC 8410) otherwise will be NULL.
 		if (this.asn1Params === null &&
 			this.paramEmpty === false &&
 			this.nameAlg !== null) {
 			let lcNameAlg = this.nameAlg.toLowerCase();
 			if (lcNameAlg.substr(-7, 7) !== "withdsa" &&
-				lcNameAlg.substr(-9, 9) !== "withecdsa") {
+				lcNameAlg.substr(-9, 9) !== "withecdsa" &&
+				!/^(sha3-|shake)[0-9]+$/.test(lcNameAlg) &&
+				lcNameAlg !== "ed25519" && lcNameAlg !== "ed448" &&
+				lcNameAlg !== "x25519" && lcNameAlg !== "x448") {
 				this.asn1Params = new DERNull();
 			}
 		}
@@ -2377,6 +2424,17 @@ export class DistributionPoint extends ASN1Object {
  *   ],
  *   'cakey': [prvkey, pass]}
  * );
+ * // -- or -- Ed25519 certificate signed by Ed25519 CA key
+ * let certPEM = newCertPEM({
+ *   'serial': {'int': 5},
+ *   'sigalg': {'name': 'Ed25519'},
+ *   'issuer': {'str': '/C=US/O=a'},
+ *   'notbefore': {'str': '130504235959Z'},
+ *   'notafter': {'str': '140504235959Z'},
+ *   'subject': {'str': '/C=US/O=b'},
+ *   'sbjpubkey': edPubKeyObj,
+ *   'cakey': edPrvKeyObj
+ * });
  * // -- or --
  * let certPEM = newCertPEM({
  *   'serial': {'int': 1},
@@ -2435,7 +2493,7 @@ export function newCertPEM(param) {
 		throw "subject name undefined.";
 
 	let sbjpubkey = param['sbjpubkey'];
-	if ((sbjpubkey !== undefined) && (isString(sbjpubkey) || isDictionary(sbjpubkey) || sbjpubkey instanceof RSAKeyEx || sbjpubkey instanceof DSA || sbjpubkey instanceof ECDSA))
+	if ((sbjpubkey !== undefined) && (isString(sbjpubkey) || isDictionary(sbjpubkey) || sbjpubkey instanceof RSAKeyEx || sbjpubkey instanceof DSA || sbjpubkey instanceof ECDSA || sbjpubkey instanceof EdDSA || sbjpubkey instanceof XDH))
 		o.setSubjectPublicKeyByGetKey(/** @type {string | KeyObject | Dictionary} */ ( param['sbjpubkey'] ));
 	else
 		throw "subject public key undefined.";
@@ -2461,9 +2519,9 @@ export function newCertPEM(param) {
 
 	if (param['cakey']) {
 		let tmpkey = param['cakey'];
-		if ((tmpkey instanceof RSAKeyEx || tmpkey instanceof DSA || tmpkey instanceof ECDSA) && (tmpkey.isPrivate === true)) {
+		if ((tmpkey instanceof RSAKeyEx || tmpkey instanceof DSA || tmpkey instanceof ECDSA || tmpkey instanceof EdDSA) && (tmpkey.isPrivate === true)) {
 			caKey = tmpkey;
-		} else if (isString(tmpkey) || isDictionary(tmpkey) || tmpkey instanceof RSAKeyEx || tmpkey instanceof DSA || tmpkey instanceof ECDSA) {
+		} else if (isString(tmpkey) || isDictionary(tmpkey) || tmpkey instanceof RSAKeyEx || tmpkey instanceof DSA || tmpkey instanceof ECDSA || tmpkey instanceof EdDSA) {
 			caKey = getKey(/** @type {string | KeyObject | Dictionary} */ ( tmpkey ));
 		}
 		if (caKey !== null) {
@@ -12,6 +12,9 @@
 "use strict";
 
 import { RSAKeyEx } from "./rsaex.js"
+import { hextorstr, rstrtohex, hextoUint8Array, isBytes, bytestohex } from "./base64x-1.1.js"
+import { DEFAULTPROVIDER } from "./crypto-1.1.js"
+import { getNodeCrypto, getNodeKey } from "./nodecrypto-1.0.js"
 
 /**
  * Cipher module to encrypt and decrypt data<br/>
@@ -26,26 +29,70 @@ import { RSAKeyEx } from "./rsaex.js"
  * <li>RSAOAEP512 - RSA/ECB/OAEPWithSHA-512AndMGF1Padding(*)</li>
  * </ul>
  * NOTE: (*) is not supported in Java JCE.<br/>
+ * Provider can be 'jsrsa' (default) or 'nodecrypto'. 'nodecrypto' provider
+ * encrypts and decrypts RSAOAEP* algorithms by Node.js crypto module
+ * when it is available. RSA PKCS#1 v1.5 algorithm is always processed
+ * by RSAKeyEx since recent Node.js disables its decryption.
+ * Default provider follows {@link DEFAULTPROVIDER}.<br/>
  * Currently this module supports only RSA encryption and decryption. 
  * However it is planning to implement also symmetric ciphers near in the future.
  * @example
  */
 
- /**
+/**
+ * get OAEP hash algorithm name of canonicalized cipher algorithm name
+ * @param {string} algName2 canonicalized cipher algorithm name (ex. RSAOAEP256)
+ * @return {string | null} hash algorithm name (ex. sha256) or null if not OAEP
+ */
+function getOAEPHashAlg(algName2) {
+	if (algName2 === "RSAOAEP") return "sha1";
+	let a = algName2.match(/^RSAOAEP(\d+)$/);
+	return (a !== null) ? "sha" + a[1] : null;
+}
+
+/**
+ * encrypt or decrypt by RSA OAEP of Node.js crypto module
+ * @param {string} hex hexadecimal string of input
+ * @param {RSAKeyEx} keyObj RSAKeyEx public key for encryption or private key for decryption
+ * @param {string} hashAlg OAEP hash algorithm name (ex. sha256)
+ * @return {string | null} hexadecimal string of output or null if Node.js crypto module can't process the key
+ * @throws {Error} if encryption or decryption failed
+ */
+function cryptOAEPByNode(hex, keyObj, hashAlg) {
+	let c = getNodeCrypto();
+	let nodeKey = (c !== null) ? getNodeKey(keyObj) : null;
+	if (nodeKey === null) return null;
+
+	let opts = { 'key': nodeKey, 'padding': c['constants']['RSA_PKCS1_OAEP_PADDING'], 'oaepHash': hashAlg };
+	if (keyObj.isPrivate) return bytestohex(c['privateDecrypt'](opts, hextoUint8Array(hex)));
+	return bytestohex(c['publicEncrypt'](opts, hextoUint8Array(hex)));
+}
+
+/**
  * encrypt raw string by specified key and algorithm<br/>
- * @param {string} s input string to encrypt
+ * @param {string | Uint8Array | ArrayBuffer} s input string or byte array to encrypt
  * @param {RSAKeyEx} keyObj RSAKeyEx object or hexadecimal string of symmetric cipher key
  * @param {string} algName short/long algorithm name for encryption/decryption 
+ * @param {string=} prov provider name 'jsrsa' or 'nodecrypto' (OPTION)
  * @return {string | null} hexadecimal encrypted string
  * @description
  * This static method encrypts raw string with specified key and algorithm.
  * @example 
  * encrypt("aaa", pubRSAKeyExObj) &rarr; "1abc2d..."
  * encrypt("aaa", pubRSAKeyExObj, "RSAOAEP") &rarr; "23ab02..."
+ * encrypt("aaa", pubRSAKeyExObj, "RSAOAEP256", "nodecrypto") &rarr; "3b0c1f..."
+ * encrypt(new Uint8Array([0x61, 0x61, 0x61]), pubRSAKeyExObj) &rarr; "1abc2d..."
  */
-export function encrypt(s, keyObj, algName) {
+export function encrypt(s, keyObj, algName, prov) {
+	if (isBytes(s)) s = hextorstr(bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( s )));
 	if (keyObj instanceof RSAKeyEx && keyObj.isPublic) {
 		let algName2 = getAlgByKeyAndName(keyObj, algName);
+		if (prov === undefined) prov = DEFAULTPROVIDER[algName2];
+		let hashAlg = getOAEPHashAlg(algName2);
+		if (prov == 'nodecrypto' && hashAlg !== null) {
+			let hEnc = cryptOAEPByNode(rstrtohex(/** @type {string} */ ( s )), keyObj, hashAlg);
+			if (hEnc !== null) return hEnc;
+		}
 		if (algName2 === "RSA") return keyObj.encrypt(s);
 		if (algName2 === "RSAOAEP") return keyObj.encryptOAEP(s, "sha1");
 
@@ -60,19 +107,33 @@ export function encrypt(s, keyObj, algName) {
 
 /**
  * decrypt encrypted hexadecimal string with specified key and algorithm<br/>
- * @param {string} hex hexadecial string of encrypted message
+ * @param {string | Uint8Array | ArrayBuffer} hex hexadecial string or byte array of encrypted message
  * @param {RSAKeyEx} keyObj RSAKeyEx object or hexadecimal string of symmetric cipher key
  * @param {string} algName short/long algorithm name for encryption/decryption
+ * @param {string=} prov provider name 'jsrsa' or 'nodecrypto' (OPTION)
  * @return {string | null} hexadecimal encrypted string
  * @description
  * This static method decrypts encrypted hexadecimal string with specified key and algorithm.
  * @example 
  * decrypt("aaa", prvRSAKeyExObj) &rarr; "1abc2d..."
  * decrypt("aaa", prvRSAKeyExObj, "RSAOAEP) &rarr; "23ab02..."
+ * decrypt("3b0c1f...", prvRSAKeyExObj, "RSAOAEP256", "nodecrypto") &rarr; "aaa"
  */
-export function decrypt(hex, keyObj, algName) {
+export function decrypt(hex, keyObj, algName, prov) {
+	if (isBytes(hex)) hex = bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( hex ));
 	if (keyObj instanceof RSAKeyEx && keyObj.isPrivate) {
 		let algName2 = getAlgByKeyAndName(keyObj, algName);
+		if (prov === undefined) prov = DEFAULTPROVIDER[algName2];
+		let hashAlg = getOAEPHashAlg(algName2);
+		if (prov == 'nodecrypto' && hashAlg !== null) {
+			let hDec;
+			try {
+				hDec = cryptOAEPByNode(/** @type {string} */ ( hex ), keyObj, hashAlg);
+			} catch (ex) {
+				return null; // decryption error as the same as RSAKeyEx
+			}
+			if (hDec !== null) return hextorstr(hDec);
+		}
 		if (algName2 === "RSA") return keyObj.decrypt(hex);
 		if (algName2 === "RSAOAEP") return keyObj.decryptOAEP(hex, "sha1");
 
@@ -85,6 +146,44 @@ export function decrypt(hex, keyObj, algName) {
 	}
 }
 
+/**
+ * encrypt byte array by specified key and algorithm<br/>
+ * @param {Uint8Array | ArrayBuffer} bytes input byte array to encrypt
+ * @param {RSAKeyEx} keyObj RSAKeyEx object or hexadecimal string of symmetric cipher key
+ * @param {string} algName short/long algorithm name for encryption/decryption 
+ * @param {string=} prov provider name 'jsrsa' or 'nodecrypto' (OPTION)
+ * @return {Uint8Array} encrypted byte array
+ * @description
+ * This static method is the same as {@link encrypt} except that
+ * it returns encrypted message as byte array.
+ * @example 
+ * encryptBytes(new Uint8Array([0x61, 0x61]), pubRSAKeyExObj) &rarr; Uint8Array [...]
+ */
+export function encryptBytes(bytes, keyObj, algName, prov) {
+	let hEnc = encrypt(bytes, keyObj, algName, prov);
+	if (hEnc === null) throw "Cipher.encryptBytes: encryption failed";
+	return hextoUint8Array(hEnc);
+}
+
+/**
+ * decrypt encrypted byte array with specified key and algorithm<br/>
+ * @param {Uint8Array | ArrayBuffer} bytes byte array of encrypted message
+ * @param {RSAKeyEx} keyObj RSAKeyEx object or hexadecimal string of symmetric cipher key
+ * @param {string} algName short/long algorithm name for encryption/decryption
+ * @param {string=} prov provider name 'jsrsa' or 'nodecrypto' (OPTION)
+ * @return {Uint8Array} decrypted byte array
+ * @description
+ * This static method is the same as {@link decrypt} except that
+ * it returns decrypted message as byte array.
+ * @example 
+ * decryptBytes(encryptedBytes, prvRSAKeyExObj) &rarr; Uint8Array [...]
+ */
+export function decryptBytes(bytes, keyObj, algName, prov) {
+	let sDec = decrypt(bytes, keyObj, algName, prov);
+	if (sDec === null) throw "Cipher.decryptBytes: decryption failed";
+	return hextoUint8Array(rstrtohex(sDec));
+}
+
 /**
  * get canonicalized encrypt/decrypt algorithm name by key and short/long algorithm name<br/>
  * @param {RSAKeyEx} keyObj RSAKeyEx object or hexadecimal string of symmetric cipher key
@@ -27,11 +27,14 @@ import { HMAC } from "./../../js-crypto/modules/hmac.js"
 import { WordArray } from "./../../js-crypto/modules/wordarray.js"
 import { BigInteger } from "./../../js-bn/modules/jsbn.js"
 import { DSA } from "./dsa-2.0.js"
-import { BAtohex, rstrtohex, utf8tohex, b64utohex } from "./base64x-1.1.js"
+import { BAtohex, rstrtohex, utf8tohex, b64utohex, hextob64u, isBytes, bytestohex, hextoUint8Array } from "./base64x-1.1.js"
 import { b64tohex } from "./../../js-bn/modules/base64.js"
 import { KeyObject, getKey } from "./keyutil-1.0.js"
 import { ECDSA } from "./ecdsa-modified-1.0.js"
+import { EdDSA } from "./eddsa-1.0.js"
 import { RSAKeyEx } from "./rsaex.js"
+import { getNodeCrypto, getNodeHashName, getNodeKey } from "./nodecrypto-1.0.js"
+import { HasherEx, HasherSHA3, HasherSHAKE, HasherSHA512T, HMACEx } from "./hasherex-1.0.js"
 import { Dictionary, isString, isDictionary, isNumber } from "./../../../include/type.js"
 
 /**
@@ -61,11 +64,25 @@ export const DIGESTINFOHEAD = {
 	'md2': "3020300c06082a864886f70d020205000410",
 	'md5': "3020300c06082a864886f70d020505000410",
 	'ripemd160': "3021300906052b2403020105000414",
+	'sha512/224': "302d300d06096086480165030402050500041c",
+	'sha512/256': "3031300d060960864801650304020605000420",
+	'sha3-224': "302d300d06096086480165030402070500041c",
+	'sha3-256': "3031300d060960864801650304020805000420",
+	'sha3-384': "3041300d060960864801650304020905000430",
+	'sha3-512': "3051300d060960864801650304020a05000440",
 };
 
 /**
- * Associative array of default provider name for each hash and signature algorithms
+ * list of hash algorithm names supported by MessageDigest
+ * @type {string}
+ */
+const HASH_ALG_LIST = ':md5:sha1:sha224:sha256:sha384:sha512:ripemd160:sha512/224:sha512/256:sha3-224:sha3-256:sha3-384:sha3-512:shake128:shake256:';
+
+/**
+ * Associative array of default provider name for each hash, signature and cipher algorithms
  * @type {Object<string, string>}
+ * @description
+ * Default providers can be changed at once by {@link setDefaultProvider}.
  */
 export const DEFAULTPROVIDER = {
 	'md5': 'cryptojs',
@@ -75,6 +92,14 @@ export const DEFAULTPROVIDER = {
 	'sha384': 'cryptojs',
 	'sha512': 'cryptojs',
 	'ripemd160': 'cryptojs',
+	'sha512/224': 'cryptojs',
+	'sha512/256': 'cryptojs',
+	'sha3-224': 'cryptojs',
+	'sha3-256': 'cryptojs',
+	'sha3-384': 'cryptojs',
+	'sha3-512': 'cryptojs',
+	'shake128': 'cryptojs',
+	'shake256': 'cryptojs',
 	'hmacmd5': 'cryptojs',
 	'hmacsha1': 'cryptojs',
 	'hmacsha224': 'cryptojs',
@@ -82,6 +107,12 @@ export const DEFAULTPROVIDER = {
 	'hmacsha384': 'cryptojs',
 	'hmacsha512': 'cryptojs',
 	'hmacripemd160': 'cryptojs',
+	'hmacsha512/224': 'cryptojs',
+	'hmacsha512/256': 'cryptojs',
+	'hmacsha3-224': 'cryptojs',
+	'hmacsha3-256': 'cryptojs',
+	'hmacsha3-384': 'cryptojs',
+	'hmacsha3-512': 'cryptojs',
 
 	'MD5withRSA': 'cryptojs/jsrsa',
 	'SHA1withRSA': 'cryptojs/jsrsa',
@@ -90,6 +121,12 @@ export const DEFAULTPROVIDER = {
 	'SHA384withRSA': 'cryptojs/jsrsa',
 	'SHA512withRSA': 'cryptojs/jsrsa',
 	'RIPEMD160withRSA': 'cryptojs/jsrsa',
+	'SHA512/224withRSA': 'cryptojs/jsrsa',
+	'SHA512/256withRSA': 'cryptojs/jsrsa',
+	'SHA3-224withRSA': 'cryptojs/jsrsa',
+	'SHA3-256withRSA': 'cryptojs/jsrsa',
+	'SHA3-384withRSA': 'cryptojs/jsrsa',
+	'SHA3-512withRSA': 'cryptojs/jsrsa',
 
 	'MD5withECDSA': 'cryptojs/jsrsa',
 	'SHA1withECDSA': 'cryptojs/jsrsa',
@@ -98,10 +135,18 @@ export const DEFAULTPROVIDER = {
 	'SHA384withECDSA': 'cryptojs/jsrsa',
 	'SHA512withECDSA': 'cryptojs/jsrsa',
 	'RIPEMD160withECDSA': 'cryptojs/jsrsa',
+	'SHA3-224withECDSA': 'cryptojs/jsrsa',
+	'SHA3-256withECDSA': 'cryptojs/jsrsa',
+	'SHA3-384withECDSA': 'cryptojs/jsrsa',
+	'SHA3-512withECDSA': 'cryptojs/jsrsa',
+	'SHAKE128withECDSA': 'cryptojs/jsrsa',
+	'SHAKE256withECDSA': 'cryptojs/jsrsa',
 
 	'SHA1withDSA': 'cryptojs/jsrsa',
 	'SHA224withDSA': 'cryptojs/jsrsa',
 	'SHA256withDSA': 'cryptojs/jsrsa',
+	'SHA3-224withDSA': 'cryptojs/jsrsa',
+	'SHA3-256withDSA': 'cryptojs/jsrsa',
 
 	'MD5withRSAandMGF1': 'cryptojs/jsrsa',
 	'SHA1withRSAandMGF1': 'cryptojs/jsrsa',
@@ -110,11 +155,60 @@ export const DEFAULTPROVIDER = {
 	'SHA384withRSAandMGF1': 'cryptojs/jsrsa',
 	'SHA512withRSAandMGF1': 'cryptojs/jsrsa',
 	'RIPEMD160withRSAandMGF1': 'cryptojs/jsrsa',
+	'SHA512/224withRSAandMGF1': 'cryptojs/jsrsa',
+	'SHA512/256withRSAandMGF1': 'cryptojs/jsrsa',
+	'SHA3-224withRSAandMGF1': 'cryptojs/jsrsa',
+	'SHA3-256withRSAandMGF1': 'cryptojs/jsrsa',
+	'SHA3-384withRSAandMGF1': 'cryptojs/jsrsa',
+	'SHA3-512withRSAandMGF1': 'cryptojs/jsrsa',
+
+	'Ed25519': 'cryptojs/jsrsa',
+	'Ed448': 'cryptojs/jsrsa',
+
+	'RSA': 'jsrsa',
+	'RSAOAEP': 'jsrsa',
+	'RSAOAEP224': 'jsrsa',
+	'RSAOAEP256': 'jsrsa',
+	'RSAOAEP384': 'jsrsa',
+	'RSAOAEP512': 'jsrsa',
 };
 
+/**
+ * set default provider for all algorithms<br/>
+ * @param {string} prov provider name 'cryptojs', 'webcrypto' or 'nodecrypto'
+ * @throws {string} if provider is not supported
+ * @description
+ * This function changes {@link DEFAULTPROVIDER} for all hash, Mac,
+ * signature and cipher algorithms at once so that
+ * {@link MessageDigest}, {@link Mac}, {@link Signature} and
+ * {@link encrypt}/{@link decrypt} of Cipher module without explicit provider
+ * use the specified one. 'cryptojs' means the default JavaScript implementation.
+ * Since 'webcrypto' provider doesn't support cipher algorithms,
+ * the JavaScript implementation is used for them.
+ * @example
+ * // use Node.js crypto module on a server
+ * setDefaultProvider('nodecrypto');
+ * // restore default
+ * setDefaultProvider('cryptojs');
+ */
+export function setDefaultProvider(prov) {
+	if (prov != 'cryptojs' && prov != 'webcrypto' && prov != 'nodecrypto')
+		throw "provider not supported: " + prov;
+
+	for (let alg in DEFAULTPROVIDER) {
+		if (alg.indexOf("with") != -1 || alg.substr(0, 2) == "Ed") {
+			DEFAULTPROVIDER[alg] = (prov == 'cryptojs') ? 'cryptojs/jsrsa' : prov;
+		} else if (alg.substr(0, 3) == "RSA") {
+			DEFAULTPROVIDER[alg] = (prov == 'nodecrypto') ? 'nodecrypto' : 'jsrsa';
+		} else {
+			DEFAULTPROVIDER[alg] = prov;
+		}
+	}
+}
+
 /**
  * @param {string} alg 
- * @returns {Hasher | null}
+ * @returns {Hasher | HasherEx | null}
  */
 function createHasher(alg) {
 	switch (alg) {
@@ -125,10 +219,189 @@ function createHasher(alg) {
 		case 'sha384': return new HasherSHA384();
 		case 'sha512': return new HasherSHA512();
 		case 'ripemd160': return new HasherRIPEMD160();
+		case 'sha512/224': return new HasherSHA512T(224);
+		case 'sha512/256': return new HasherSHA512T(256);
+		case 'sha3-224': return new HasherSHA3(224);
+		case 'sha3-256': return new HasherSHA3(256);
+		case 'sha3-384': return new HasherSHA3(384);
+		case 'sha3-512': return new HasherSHA3(512);
+		case 'shake128': return new HasherSHAKE(128, HASHLENGTH['shake128'] * 8);
+		case 'shake256': return new HasherSHAKE(256, HASHLENGTH['shake256'] * 8);
 		default: return null;
 	}
 }
 
+// === WebCrypto ===========================================================
+
+/**
+ * WebCrypto hash algorithm names for each hash algorithm
+ * @type {Object<string, string>}
+ */
+const WEBCRYPTO_HASH = {
+	'sha1': "SHA-1",
+	'sha256': "SHA-256",
+	'sha384': "SHA-384",
+	'sha512': "SHA-512"
+};
+
+/**
+ * get WebCrypto SubtleCrypto object of current environment
+ * @return {SubtleCrypto | null} SubtleCrypto object or null if WebCrypto is unavailable
+ */
+function getSubtleCrypto() {
+	if (typeof globalThis === "undefined") return null;
+	let c = globalThis['crypto'];
+	if (c === undefined || c === null || c['subtle'] === undefined || c['subtle'] === null) return null;
+	return /** @type {SubtleCrypto} */ ( c['subtle'] );
+}
+
+/**
+ * call a function and get its result or exception as Promise
+ * @param {function():*} func function to call
+ * @return {Promise} Promise resolved by result or rejected by exception of the function
+ */
+function promiseOf(func) {
+	try {
+		return Promise.resolve(func());
+	} catch (ex) {
+		return Promise.reject(ex);
+	}
+}
+
+/**
+ * get fixed length hexadecimal string of non-negative integer
+ * @param {string} h hexadecimal string of integer
+ * @param {number} len byte length
+ * @return {string | null} hexadecimal string of len bytes or null if integer is too large
+ */
+function fixedLengthHex(h, len) {
+	h = h.replace(/^0+/, '');
+	if (h.length > len * 2) return null;
+	return "0".repeat(len * 2 - h.length) + h;
+}
+
+/**
+ * get Base64URL encoded string of integer for JWK
+ * @param {BigInteger | number} i integer
+ * @return {string} Base64URL encoded string of big endian integer
+ */
+function inttob64u(i) {
+	let h = i.toString(16);
+	if (h.length % 2 == 1) h = "0" + h;
+	return hextob64u(h);
+}
+
+/**
+ * get WebCrypto curve name of ECDSA key
+ * @param {ECDSA} ec ECDSA key object
+ * @return {string | null} "P-256", "P-384", "P-521" or null if not supported
+ */
+function getWebCryptoCurveName(ec) {
+	let name = ec.getShortNISTPCurveName();
+	if (name !== null) return name;
+	let s = ec.curveName;
+	if (s === "secp521r1" || s === "NIST P-521" || s === "P-521") return "P-521";
+	return null;
+}
+
+/**
+ * get WebCrypto algorithm and JWK for signature key
+ * @param {KeyObject} keyObj RSAKeyEx or ECDSA key object
+ * @param {string} pubkeyAlgName public key algorithm name of Signature ('rsa', 'rsaandmgf1' or 'ecdsa')
+ * @param {string} mdAlgName hash algorithm name (ex. 'sha256')
+ * @param {number} pssSaltLen RSA-PSS salt length
+ * @param {boolean} isSign true for signing and false for verification
+ * @return {Dictionary | null} dictionary of 'alg', 'jwk' and 'len' or null if WebCrypto can't use the key
+ * @description
+ * Property 'alg' is a WebCrypto algorithm dictionary for importKey, sign and verify
+ * and 'len' is a byte length of RSA modulus or EC field element.
+ */
+function getWebCryptoKeyParams(keyObj, pubkeyAlgName, mdAlgName, pssSaltLen, isSign) {
+	let hash = WEBCRYPTO_HASH[mdAlgName];
+	if (hash === undefined) return null;
+
+	if (keyObj instanceof RSAKeyEx && (pubkeyAlgName === "rsa" || pubkeyAlgName === "rsaandmgf1")) {
+		if (keyObj.n == null) return null;
+		let jwk = /** @type {Dictionary} */ ( { 'kty': "RSA", 'n': inttob64u(keyObj.n), 'e': inttob64u(keyObj.e) } );
+		if (isSign) {
+			// WebCrypto requires CRT parameters for RSA private key
+			if (keyObj.d == null || keyObj.p == null || keyObj.q == null ||
+				keyObj.dmp1 == null || keyObj.dmq1 == null || keyObj.coeff == null)
+				return null;
+			jwk['d'] = inttob64u(keyObj.d);
+			jwk['p'] = inttob64u(keyObj.p);
+			jwk['q'] = inttob64u(keyObj.q);
+			jwk['dp'] = inttob64u(keyObj.dmp1);
+			jwk['dq'] = inttob64u(keyObj.dmq1);
+			jwk['qi'] = inttob64u(keyObj.coeff);
+		}
+
+		let len = (keyObj.n.bitLength() + 7) >> 3;
+		let alg = /** @type {Dictionary} */ ( { 'name': "RSASSA-PKCS1-v1_5", 'hash': hash } );
+		if (pubkeyAlgName === "rsaandmgf1") {
+			let hLen = HASHLENGTH[mdAlgName];
+			let saltLen = pssSaltLen;
+			if (saltLen === -1) {
+				saltLen = hLen;
+			} else if (saltLen === -2) {
+				// salt length auto recovery on verification is not supported by WebCrypto
+				if (!isSign) return null;
+				saltLen = Math.ceil((keyObj.n.bitLength() - 1) / 8) - hLen - 2;
+			} else if (saltLen < -2) {
+				return null;
+			}
+			alg = /** @type {Dictionary} */ ( { 'name': "RSA-PSS", 'hash': hash, 'saltLength': saltLen } );
+		}
+		return /** @type {Dictionary} */ ( { 'alg': alg, 'jwk': jwk, 'len': len } );
+	}
+
+	if (keyObj instanceof ECDSA && pubkeyAlgName === "ecdsa") {
+		let crv = getWebCryptoCurveName(keyObj);
+		let hPub = keyObj.pubKeyHex;
+		// WebCrypto requires public key also for EC private key
+		if (crv === null || hPub === null || hPub.substr(0, 2) !== "04") return null;
+
+		let len = (keyObj.ecparams.keylen + 7) >> 3;
+		if (hPub.length !== 2 + len * 4) return null;
+		let jwk = /** @type {Dictionary} */ ( {
+			'kty': "EC",
+			'crv': crv,
+			'x': hextob64u(hPub.substr(2, len * 2)),
+			'y': hextob64u(hPub.substr(2 + len * 2))
+		} );
+		if (isSign) {
+			if (keyObj.prvKeyHex === null) return null;
+			let hPrv = fixedLengthHex(keyObj.prvKeyHex, len);
+			if (hPrv === null) return null;
+			jwk['d'] = hextob64u(hPrv);
+		}
+
+		let alg = /** @type {Dictionary} */ ( { 'name': "ECDSA", 'namedCurve': crv, 'hash': hash } );
+		return /** @type {Dictionary} */ ( { 'alg': alg, 'jwk': jwk, 'len': len } );
+	}
+
+	return null;
+}
+
+/**
+ * convert ASN.1 DER encoded ECDSA signature to IEEE P1363 one for WebCrypto
+ * @param {string} hSig hexadecimal string of ASN.1 DER encoded ECDSA signature value
+ * @param {number} len byte length of EC field element
+ * @return {string | null} hexadecimal string of concatenated r and s or null if malformed
+ */
+function derSigToP1363Hex(hSig, len) {
+	let p;
+	try {
+		p = ECDSA.parseSigHexInHexRS(hSig);
+	} catch (ex) {
+		return null;
+	}
+	let hR = fixedLengthHex(p.r, len);
+	let hS = fixedLengthHex(p.s, len);
+	if (hR === null || hS === null) return null;
+	return hR + hS;
+}
+
 /**
  * get hexadecimal DigestInfo
  * @param {string} hHash hexadecimal hash value
@@ -188,6 +461,17 @@ export function hashHex(sHex, alg) {
 	return md.digestHex(sHex);
 }
 
+/**
+ * get hash of byte array with specified algorithm
+ * @param {Uint8Array | ArrayBuffer} bytes input byte array to be hashed
+ * @param {string} alg hash algorithm name
+ * @return {Uint8Array} hash value
+ */
+export function hashBytes(bytes, alg) {
+	let md = new MessageDigest(/** @type {Dictionary} */ ( { 'alg': alg } ));
+	return md.digestBytes(bytes);
+}
+
 /**
  * get hexadecimal SHA1 hash of string
  * @param {string} s input string to be hashed
@@ -351,6 +635,91 @@ export function getRandomBigIntegerMinToMax(biMin, biMax) {
 	return biRand.add(biMin);
 }
 
+/**
+ * get deterministic nonce of DSA or ECDSA signature by RFC 6979<br/>
+ * @param {BigInteger} biQ order q of DSA or order n of EC base point
+ * @param {BigInteger} biX private key x of DSA or d of ECDSA
+ * @param {string} hHash hexadecimal string of message hash
+ * @param {string} alg hash algorithm name of message hash (ex. 'sha256')
+ * @param {number=} nSkip number of candidates to skip (DEFAULT 0)
+ * @return {BigInteger} nonce k where 0 &lt; k &lt; q
+ * @throws {string} if HMAC of the hash algorithm is not supported
+ * @description
+ * This function generates per-message secret number k by HMAC_DRBG
+ * of RFC 6979 section 3.2 keyed by private key and message hash, so that
+ * the same key and message always make the same signature without random number generator.
+ * HMAC of the same hash algorithm as message hash is used.
+ * When k makes r or s zero, signer shall call again with nSkip incremented
+ * to get next candidate of section 3.2 step h.3.
+ * @example
+ * // RFC 6979 A.2.5 ECDSA with P-256 and SHA-256 for message "sample"
+ * getRFC6979Nonce(biN, biD, "af2bdbe1aa9b6ec1e2ade1d694f41fc71a831d0268e9891562113d8a62add1bf", 'sha256') &rarr;
+ * BigInteger of a6e3c57dd01abe90086538398355dd4c3b17aa873382b0f24d6129493d8aad60
+ */
+export function getRFC6979Nonce(biQ, biX, hHash, alg, nSkip) {
+	let hashAlg = /** @type {string} */ ( MessageDigest.getCanonicalAlgName(alg) );
+	let hashLen = HASHLENGTH[hashAlg];
+	if (hashLen === undefined) throw "RFC 6979 unsupported hash alg: " + alg;
+	if (nSkip === undefined) nSkip = 0;
+
+	let qlen = biQ.bitLength();
+	let rlen = Math.ceil(qlen / 8) * 2;
+	/**
+	 * @param {string} h
+	 * @return {BigInteger}
+	 */
+	let bits2int = function (h) {
+		let bi = new BigInteger(h, 16);
+		return (h.length * 4 > qlen) ? bi.shiftRight(h.length * 4 - qlen) : bi;
+	};
+	/**
+	 * @param {BigInteger} bi
+	 * @return {string}
+	 */
+	let int2octets = function (bi) {
+		let h = bi.toString(16);
+		while (h.length < rlen) h = "0" + h;
+		return h;
+	};
+	/**
+	 * @param {string} hKey
+	 * @param {string} hData
+	 * @return {string}
+	 */
+	let hmac = function (hKey, hData) {
+		let mac = new Mac(/** @type {Dictionary} */ ( { 'alg': "hmac" + hashAlg, 'pass': { 'hex': hKey } } ));
+		return mac.doFinalHex(hData);
+	};
+
+	// step b. - g.
+	let hX = int2octets(biX);
+	let hH = int2octets(bits2int(hHash).mod(biQ));
+	let hV = "", hK = "";
+	for (let i = 0; i < hashLen; i++) {
+		hV += "01";
+		hK += "00";
+	}
+	hK = hmac(hK, hV + "00" + hX + hH);
+	hV = hmac(hK, hV);
+	hK = hmac(hK, hV + "01" + hX + hH);
+	hV = hmac(hK, hV);
+
+	// step h.
+	for (let i = 0; ; i++) {
+		let hT = "";
+		while (hT.length * 4 < qlen) {
+			hV = hmac(hK, hV);
+			hT += hV;
+		}
+		let k = bits2int(hT);
+		if (k.signum() > 0 && k.compareTo(biQ) < 0) {
+			if (i >= nSkip) return k;
+		}
+		hK = hmac(hK, hV + "00");
+		hV = hmac(hK, hV);
+	}
+}
+
 // === Mac ===============================================================
 
 export const HASHLENGTH = {
@@ -360,7 +729,15 @@ export const HASHLENGTH = {
 	'sha256': 32,
 	'sha384': 48,
 	'sha512': 64,
-	'ripemd160': 20
+	'ripemd160': 20,
+	'sha512/224': 28,
+	'sha512/256': 32,
+	'sha3-224': 28,
+	'sha3-256': 32,
+	'sha3-384': 48,
+	'sha3-512': 64,
+	'shake128': 32,
+	'shake256': 64
 };
 
 /**
@@ -376,8 +753,26 @@ export const HASHLENGTH = {
  * <li>sha384 - cryptojs</li>
  * <li>sha512 - cryptojs</li>
  * <li>ripemd160 - cryptojs</li>
+ * <li>sha512/224, sha512/256 - cryptojs</li>
+ * <li>sha3-224, sha3-256, sha3-384, sha3-512 - cryptojs</li>
+ * <li>shake128, shake256 - cryptojs</li>
  * <li>sha256 - sjcl (NEW from crypto.js 1.0.4)</li>
+ * <li>all above except sjcl - webcrypto</li>
+ * <li>all above except sjcl - nodecrypto</li>
  * </ul>
+ * SHAKE128 and SHAKE256 output 256 and 512 bits respectively
+ * as the same as RFC 8702. SHA-3, SHAKE and SHA-512/t are
+ * implemented in {@link HasherSHA3}, {@link HasherSHAKE} and {@link HasherSHA512T}.
+ * <br/>
+ * 'nodecrypto' provider calculates hash value by Node.js crypto module.
+ * When it is unavailable or doesn't support the hash algorithm,
+ * this falls back to the JavaScript implementation.
+ * <br/>
+ * 'webcrypto' provider calculates hash value by WebCrypto API
+ * crypto.subtle.digest in {@link MessageDigest#digestAsync}
+ * for SHA-1 and SHA-2 except SHA-224. Other hash algorithms,
+ * an environment without WebCrypto API and synchronous methods
+ * such as {@link MessageDigest#digest} fall back to the JavaScript implementation.
  * @example
  * // CryptoJS provider sample
  * let md = new MessageDigest({alg: "sha1", prov: "cryptojs"});
@@ -389,6 +784,11 @@ export const HASHLENGTH = {
  * md.updateString('aaa')
  * let mdHex = md.digest()
  *
+ * // WebCrypto provider sample
+ * let md = new MessageDigest({alg: "sha256", prov: "webcrypto"});
+ * md.updateString('aaa')
+ * md.digestAsync().then(function (mdHex) { ... });
+ *
  * // HASHLENGTH property
  * HASHLENGTH['sha1'] &rarr 20
  * HASHLENGTH['sha512'] &rarr 64
@@ -401,12 +801,19 @@ export class MessageDigest {
 		/** @type {Hasher | null} */ this.md = null;
 		/** @type {string | null} */ this.algName = null;
 		/** @type {string | null} */ this.provName = null;
+		/** @private @type {Array<string> | null} */ this.aHex = null; // buffered data for webcrypto
+		/** @private @type {string | null} */ this.webHashName = null; // WebCrypto hash name for webcrypto
+		/** @private @type {Object | null} */ this.nodeMd = null; // Node.js Hash object for nodecrypto
+		/** @private @type {string | null} */ this.nodeAlgName = null; // Node.js hash name for nodecrypto
 
 		if (params !== undefined) {
 			if (isString(params['alg'])) {
 				this.algName = /** @type {string} */ ( params['alg'] );
-				if (!isString(params['prov']))
+				if (!isString(params['prov'])) {
 					this.provName = DEFAULTPROVIDER[/** @type {string} */ ( this.algName )];
+				} else {
+					this.provName = /** @type {string} */ ( params['prov'] );
+				}
 				this.setAlgAndProvider(/** @type {string} */ ( this.algName ), /** @type {string} */ ( this.provName ));
 			}
 		}
@@ -423,10 +830,18 @@ export class MessageDigest {
 	 * @example
 	 * MessageDigest.getCanonicalAlgName("SHA-1") &rarr "sha1"
 	 * MessageDigest.getCanonicalAlgName("MD5")   &rarr "md5"
+	 * MessageDigest.getCanonicalAlgName("SHA3-256") &rarr "sha3-256"
+	 * MessageDigest.getCanonicalAlgName("SHA-512/256") &rarr "sha512/256"
+	 * MessageDigest.getCanonicalAlgName("sha512-224") &rarr "sha512/224"
+	 * MessageDigest.getCanonicalAlgName("SHAKE-128") &rarr "shake128"
 	 */
 	static getCanonicalAlgName(alg) {
 		if (typeof alg === "string") {
 			alg = alg.toLowerCase();
+			let m = alg.match(/^sha-?3-?(224|256|384|512)$/);
+			if (m !== null) return "sha3-" + m[1];
+			m = alg.match(/^sha-?512[-\/_](224|256)$/);
+			if (m !== null) return "sha512/" + m[1];
 			alg = alg.replace(/-/, '');
 		}
 		return alg;
@@ -464,6 +879,9 @@ export class MessageDigest {
      * <li>SHA384</li>
      * <li>SHA512</li>
      * <li>RIPEMD160</li>
+     * <li>SHA512/224, SHA512/256</li>
+     * <li>SHA3-224, SHA3-256, SHA3-384, SHA3-512</li>
+     * <li>SHAKE128, SHAKE256</li>
      * </ul>
      * NOTE: Since jsrsasign 6.2.0 crypto 1.1.10, this method ignores
      * upper or lower cases. Also any hyphens (i.e. "-") will be ignored
@@ -474,22 +892,63 @@ export class MessageDigest {
      * md.setAlgAndProvider('SHA1');
      * // for RIPEMD160
      * md.setAlgAndProvider('ripemd160', 'cryptojs');
+     * // for SHA256 by WebCrypto API
+     * md.setAlgAndProvider('sha256', 'webcrypto');
+     * // for SHA256 by Node.js crypto module
+     * md.setAlgAndProvider('sha256', 'nodecrypto');
      */
 	setAlgAndProvider(alg, prov) {
 		alg = MessageDigest.getCanonicalAlgName(alg);
 
 		if (alg !== null && prov === undefined) prov = DEFAULTPROVIDER[alg];
 
-		// for cryptojs
-		if (':md5:sha1:sha224:sha256:sha384:sha512:ripemd160:'.indexOf(alg) != -1 && prov == 'cryptojs') {
+		// for cryptojs, webcrypto and nodecrypto (both fall back to cryptojs)
+		if (HASH_ALG_LIST.indexOf(':' + alg + ':') != -1 &&
+			(prov == 'cryptojs' || prov == 'webcrypto' || prov == 'nodecrypto')) {
 			try {
 				this.md = createHasher(alg);
 			} catch (ex) {
 				throw "setAlgAndProvider hash alg set fail alg=" + alg + "/" + ex;
 			}
+			this.aHex = (prov == 'webcrypto') ? [] : null;
+			this.webHashName = (prov == 'webcrypto' && WEBCRYPTO_HASH[alg] !== undefined) ? WEBCRYPTO_HASH[alg] : null;
+			this.nodeAlgName = (prov == 'nodecrypto') ? getNodeHashName(alg) : null;
+			this.nodeMd = (this.nodeAlgName !== null) ? this.createNodeMd() : null;
 		}
 	}
 
+	/**
+	 * @private
+	 * @return {Object} new Node.js Hash object for nodecrypto provider
+	 */
+	createNodeMd() {
+		let name = /** @type {string} */ ( this.nodeAlgName );
+		// output length of SHAKE is the same as HASHLENGTH
+		let opts = (name.substr(0, 5) == "shake") ? { 'outputLength': HASHLENGTH[name] } : undefined;
+		return getNodeCrypto()['createHash'](name, opts);
+	}
+
+	/**
+	 * update hash by buffered data of webcrypto provider
+	 * @private
+	 */
+	flushBuffer() {
+		if (this.aHex === null || this.aHex.length == 0) return;
+		this.md.update(Hex.parse(this.aHex.join('')));
+		this.aHex = [];
+	}
+
+	/**
+	 * get and clear buffered data of webcrypto provider
+	 * @private
+	 * @return {string} hexadecimal string of buffered data
+	 */
+	takeBufferHex() {
+		let hex = this.aHex.join('');
+		this.aHex = [];
+		return hex;
+	}
+
 	/**
      * update digest by specified string
      * @param {string} str string to update
@@ -500,6 +959,14 @@ export class MessageDigest {
 	updateString(str) {
 		if (this.md === null)
 			throw "updateString(str) not supported for this alg/prov: " + this.algName + "/" + this.provName;
+		if (this.aHex !== null) {
+			this.aHex.push(utf8tohex(str));
+			return;
+		}
+		if (this.nodeMd !== null) {
+			this.nodeMd['update'](str, 'utf8');
+			return;
+		}
 		this.md.update(str);
 	}
 
@@ -513,10 +980,31 @@ export class MessageDigest {
 	updateHex(hex) {
 		if (this.md === null)
 			throw "updateHex(hex) not supported for this alg/prov: " + this.algName + "/" + this.provName;
+		if (this.aHex !== null) {
+			this.aHex.push(hex);
+			return;
+		}
+		if (this.nodeMd !== null) {
+			this.nodeMd['update'](hex, 'hex');
+			return;
+		}
 		let wHex = Hex.parse(hex);
 		this.md.update(wHex);
 	}
 
+	/**
+     * update digest by specified byte array
+     * @param {Uint8Array | ArrayBuffer} bytes byte array to update
+     * @description
+     * @example
+     * md.updateBytes(new Uint8Array([0x0a, 0xfe, 0x36]));
+	 */
+	updateBytes(bytes) {
+		if (this.md === null)
+			throw "updateBytes(bytes) not supported for this alg/prov: " + this.algName + "/" + this.provName;
+		this.updateHex(bytestohex(bytes));
+	}
+
     /**
      * completes hash calculation and returns hash result
      * @description
@@ -526,10 +1014,40 @@ export class MessageDigest {
 	digest() {
 		if (this.md === null)
 			throw "digest() not supported for this alg/prov: " + this.algName + "/" + this.provName;
+		if (this.nodeMd !== null) {
+			let hHash = this.nodeMd['digest']('hex');
+			this.nodeMd = this.createNodeMd();
+			return hHash;
+		}
+		this.flushBuffer();
 		let hash = this.md.finalize();
 		return hash.toString(Hex);
 	}
 
+	/**
+	 * completes hash calculation asynchronously and returns hash result
+	 * @return {Promise<string>} Promise of hexadecimal hash value
+	 * @description
+	 * For 'webcrypto' provider, hash value is calculated by WebCrypto API
+	 * when it is available and supports the hash algorithm.
+	 * Otherwise this is the same as {@link MessageDigest#digest}.
+	 * @example
+	 * md.digestAsync().then(function (mdHex) { ... })
+	 */
+	digestAsync() {
+		if (this.md === null)
+			return Promise.reject("digestAsync() not supported for this alg/prov: " + this.algName + "/" + this.provName);
+		let subtle = getSubtleCrypto();
+		if (subtle === null || this.webHashName === null) {
+			let self = this;
+			return promiseOf(function () { return self.digest(); });
+		}
+		let data = hextoUint8Array(this.takeBufferHex());
+		return subtle.digest(this.webHashName, data).then(function (buf) {
+			return bytestohex(buf);
+		});
+	}
+
 	/**
      * performs final update on the digest using string, then completes the digest computation
      * @param {string} str string to final update
@@ -557,6 +1075,22 @@ export class MessageDigest {
 		this.updateHex(hex);
 		return this.digest();
 	}
+
+	/**
+     * performs final update on the digest using byte array if specified, then completes the digest computation
+     * @param {(Uint8Array | ArrayBuffer)=} bytes byte array to final update (OPTION)
+     * @return {Uint8Array} hash value
+     * @description
+     * @example
+     * md.digestBytes(new Uint8Array([0x0f, 0x2a, 0xbd])) &rarr; Uint8Array [...]
+     * md.digestBytes() &rarr; Uint8Array [...]
+	 */
+	digestBytes(bytes) {
+		if (this.md === null)
+			throw "digestBytes(bytes) not supported for this alg/prov: " + this.algName + "/" + this.provName;
+		if (bytes !== undefined) this.updateBytes(bytes);
+		return hextoUint8Array(this.digest());
+	}
 }
 
 // === Mac ===============================================================
@@ -573,7 +1107,17 @@ export class MessageDigest {
  * <li>hmacsha256 - cryptojs</li>
  * <li>hmacsha384 - cryptojs</li>
  * <li>hmacsha512 - cryptojs</li>
+ * <li>hmacsha512/224, hmacsha512/256 - cryptojs</li>
+ * <li>hmacsha3-224, hmacsha3-256, hmacsha3-384, hmacsha3-512 - cryptojs</li>
+ * <li>all above and hmacripemd160 - webcrypto</li>
+ * <li>all above and hmacripemd160 - nodecrypto</li>
  * </ul>
+ * 'nodecrypto' provider calculates HMAC by Node.js crypto module when it is available.
+ * <br/>
+ * 'webcrypto' provider calculates HMAC by WebCrypto API in {@link Mac#doFinalAsync}
+ * for HmacSHA1, HmacSHA256, HmacSHA384 and HmacSHA512. Otherwise
+ * it falls back to the JavaScript implementation.
+ * <br/>
  * NOTE: HmacSHA224 and HmacSHA384 issue was fixed since jsrsasign 4.1.4.
  * Please use 'ext/cryptojs-312-core-fix*.js' instead of 'core.js' of original CryptoJS
  * to avoid those issue.
@@ -594,26 +1138,38 @@ export class MessageDigest {
  * let mac = new Mac({alg: "HmacSHA256", "pass": {"rstr": "\x61\x61"}});
  * let mac = new Mac({alg: "HmacSHA256", "pass": {"b64":  "Mi02/+...a=="}});
  * let mac = new Mac({alg: "HmacSHA256", "pass": {"b64u": "Mi02_-...a"}});
+ *
+ * // WebCrypto provider
+ * let mac = new Mac({alg: "HmacSHA256", "prov": "webcrypto", "pass": {"hex": "6161"}});
+ * mac.updateString('aaa')
+ * mac.doFinalAsync().then(function (macHex) { ... });
  */
 export class Mac {
 	/**
 	 * @param {Dictionary=} params 
 	 */
 	constructor(params) {
-		/** @type {HMAC | null} */ this.mac = null;
+		/** @type {HMAC | HMACEx | null} */ this.mac = null;
 		/** @type {WordArray | null} */ this.pass = null;
 		/** @type {string | null} */ this.algName = null;
 		/** @type {string | null} */ this.provName = null;
 		/** @type {string | null} */ this.algProv = null;
+		/** @private @type {Array<string> | null} */ this.aHex = null; // buffered data for webcrypto
+		/** @private @type {string | null} */ this.webHashName = null; // WebCrypto hash name for webcrypto
+		/** @private @type {Object | null} */ this.nodeMac = null; // Node.js Hmac object for nodecrypto
+		/** @private @type {string | null} */ this.nodeHashName = null; // Node.js hash name for nodecrypto
 
 		if (params !== undefined) {
-			if (isString(params['pass']) || isDictionary(params['pass'])) {
-				this.setPassword(/** @type {string | Dictionary} */ ( params['pass'] ));
+			if (isString(params['pass']) || isDictionary(params['pass']) || isBytes(params['pass'])) {
+				this.setPassword(/** @type {string | Dictionary | Uint8Array | ArrayBuffer} */ ( params['pass'] ));
 			}
 			if (isString(params['alg'])) {
 				this.algName = /** @type {string} */ ( params['alg'] );
-				if (params['prov'] === undefined)
+				if (params['prov'] === undefined) {
 					this.provName = DEFAULTPROVIDER[this.algName];
+				} else {
+					this.provName = /** @type {string} */ ( params['prov'] );
+				}
 				this.setAlgAndProvider(this.algName, /** @type {string} */ ( this.provName ));
 			}
 		}
@@ -638,17 +1194,47 @@ export class Mac {
 
 		let hashAlg = alg.substr(4);
 
-		// for cryptojs
-		if (':md5:sha1:sha224:sha256:sha384:sha512:ripemd160:'.indexOf(hashAlg) != -1 && prov == 'cryptojs') {
+		// for cryptojs, webcrypto and nodecrypto (both fall back to cryptojs)
+		// HMAC is not defined for SHAKE
+		if (HASH_ALG_LIST.indexOf(':' + hashAlg + ':') != -1 && hashAlg.substr(0, 5) != "shake" &&
+			(prov == 'cryptojs' || prov == 'webcrypto' || prov == 'nodecrypto')) {
 			try {
 				let mdObj = createHasher(hashAlg);
-				this.mac = new HMAC(mdObj, this.pass);
+				this.mac = (mdObj instanceof HasherEx) ? new HMACEx(mdObj, this.pass) : new HMAC(mdObj, this.pass);
 			} catch (ex) {
 				throw "setAlgAndProvider hash alg set fail hashAlg=" + hashAlg + "/" + ex;
 			}
+			this.aHex = (prov == 'webcrypto') ? [] : null;
+			this.webHashName = (prov == 'webcrypto' && WEBCRYPTO_HASH[hashAlg] !== undefined) ? WEBCRYPTO_HASH[hashAlg] : null;
+			this.nodeHashName = (prov == 'nodecrypto') ? getNodeHashName(hashAlg) : null;
+			this.nodeMac = null;
 		}
 	}
 
+	/**
+	 * get Node.js Hmac object of nodecrypto provider which is created by current password
+	 * @private
+	 * @return {Object} Node.js Hmac object
+	 */
+	getNodeMac() {
+		if (this.nodeMac === null) {
+			let hPass = (this.pass !== null) ? this.pass.toString(Hex) : "";
+			this.nodeMac = getNodeCrypto()['createHmac'](this.nodeHashName, hextoUint8Array(hPass));
+		}
+		return this.nodeMac;
+	}
+
+	/**
+	 * get and clear buffered data of webcrypto provider
+	 * @private
+	 * @return {string} hexadecimal string of buffered data
+	 */
+	takeBufferHex() {
+		let hex = this.aHex.join('');
+		this.aHex = [];
+		return hex;
+	}
+
     /**
      * update digest by specified string
      * @param {string} str string to update
@@ -659,6 +1245,14 @@ export class Mac {
 	updateString(str) {
 		if (this.mac === null)
 			throw "updateString(str) not supported for this alg/prov: " + this.algProv;
+		if (this.aHex !== null) {
+			this.aHex.push(utf8tohex(str));
+			return;
+		}
+		if (this.nodeHashName !== null) {
+			this.getNodeMac()['update'](str, 'utf8');
+			return;
+		}
 		this.mac.update(str);
 	}
 
@@ -672,10 +1266,31 @@ export class Mac {
 	updateHex(hex) {
 		if (this.mac === null)
 			throw "updateHex(hex) not supported for this alg/prov: " + this.algProv;
+		if (this.aHex !== null) {
+			this.aHex.push(hex);
+			return;
+		}
+		if (this.nodeHashName !== null) {
+			this.getNodeMac()['update'](hex, 'hex');
+			return;
+		}
 		let wHex = Hex.parse(hex);
 		this.mac.update(wHex);
 	}
 
+    /**
+     * update digest by specified byte array
+     * @param {Uint8Array | ArrayBuffer} bytes byte array to update
+     * @description
+     * @example
+     * mac.updateBytes(new Uint8Array([0x0a, 0xfe, 0x36]));
+     */
+	updateBytes(bytes) {
+		if (this.mac === null)
+			throw "updateBytes(bytes) not supported for this alg/prov: " + this.algProv;
+		this.updateHex(bytestohex(bytes));
+	}
+
     /**
      * completes hash calculation and returns hash result
      * @description
@@ -685,10 +1300,46 @@ export class Mac {
 	doFinal() {
 		if (this.mac === null)
 			throw "digest() not supported for this alg/prov: " + this.algProv;
+		if (this.nodeHashName !== null) {
+			let hMac = this.getNodeMac()['digest']('hex');
+			this.nodeMac = null;
+			return hMac;
+		}
+		if (this.aHex !== null && this.aHex.length > 0)
+			this.mac.update(Hex.parse(this.takeBufferHex()));
 		let hash = this.mac.finalize();
 		return hash.toString(Hex);
 	}
 
+    /**
+     * completes Mac calculation asynchronously and returns Mac result
+     * @return {Promise<string>} Promise of hexadecimal Mac value
+     * @description
+     * For 'webcrypto' provider, Mac value is calculated by WebCrypto API
+     * when it is available and supports the hash algorithm.
+     * Otherwise this is the same as {@link Mac#doFinal}.
+     * @example
+     * mac.doFinalAsync().then(function (macHex) { ... })
+     */
+	doFinalAsync() {
+		if (this.mac === null)
+			return Promise.reject("doFinalAsync() not supported for this alg/prov: " + this.algProv);
+		let subtle = getSubtleCrypto();
+		let hPass = (this.pass !== null) ? this.pass.toString(Hex) : "";
+		// WebCrypto doesn't accept empty HMAC key
+		if (subtle === null || this.webHashName === null || hPass.length == 0) {
+			let self = this;
+			return promiseOf(function () { return self.doFinal(); });
+		}
+		let alg = /** @type {Dictionary} */ ( { 'name': "HMAC", 'hash': this.webHashName } );
+		let data = hextoUint8Array(this.takeBufferHex());
+		return subtle.importKey("raw", hextoUint8Array(hPass), alg, false, ["sign"]).then(function (key) {
+			return subtle.sign(alg, key, data);
+		}).then(function (buf) {
+			return bytestohex(buf);
+		});
+	}
+
     /**
      * performs final update on the digest using string, then completes the digest computation
      * @param {string} str string to final update
@@ -718,9 +1369,25 @@ export class Mac {
 		return this.doFinal();
 	}
 
+    /**
+     * performs final update on the digest using byte array if specified, 
+     * then completes the digest computation
+     * @param {(Uint8Array | ArrayBuffer)=} bytes byte array to final update (OPTION)
+     * @return {Uint8Array} Mac value
+     * @description
+     * @example
+     * mac.doFinalBytes(new Uint8Array([0x0f, 0x2a, 0xbd])) &rarr; Uint8Array [...]
+     */
+	doFinalBytes(bytes) {
+		if (this.mac === null)
+			throw "doFinalBytes(bytes) not supported for this alg/prov: " + this.algProv;
+		if (bytes !== undefined) this.updateBytes(bytes);
+		return hextoUint8Array(this.doFinal());
+	}
+
     /**
      * set password for Mac
-     * @param {Object<string,string> | string} pass password for Mac
+     * @param {Object<string,string> | string | Uint8Array | ArrayBuffer} pass password for Mac
      * @description
      * This method will set password for (H)Mac internally.
      * Argument 'pass' can be specified as following:
@@ -728,10 +1395,11 @@ export class Mac {
      * <li>even length string of 0..9, a..f or A-F: implicitly specified as hexadecimal string</li>
      * <li>not above string: implicitly specified as raw string</li>
      * <li>{rstr: "\x65\x70"}: explicitly specified as raw string</li>
-     * <li>{hex: "6570"}: explicitly specified as hexacedimal string</li>
+     * <li>{hex: "6570"}: explicitly specified as hexacedimal string (empty string for empty password)</li>
      * <li>{utf8: "秘密"}: explicitly specified as UTF8 string</li>
      * <li>{b64: "Mi78..=="}: explicitly specified as Base64 string</li>
      * <li>{b64u: "Mi7-_"}: explicitly specified as Base64URL string</li>
+     * <li>Uint8Array or ArrayBuffer: explicitly specified as byte array</li>
      * </ul>
      * It is *STRONGLY RECOMMENDED* that explicit representation of password argument
      * to avoid ambiguity. For example string  "6161" can mean a string "6161" or 
@@ -754,6 +1422,8 @@ export class Mac {
      * mac.setPassword({"b64": "Mb+c3f/=="});
      * // set password by explicit Base64URL string
      * mac.setPassword({"b64u": "Mb-c3f_"});
+     * // set password by byte array
+     * mac.setPassword(new Uint8Array([0x65, 0x70, 0xb9, 0x0b]));
      */
 	setPassword(pass) {
 		// internal this.pass shall be CryptoJS DWord Object for CryptoJS bug
@@ -763,6 +1433,11 @@ export class Mac {
 		// by CryptoJS DWord which is not described in the manual
 		// it seems to work. (fixed since crypto 1.1.7)
 
+		if (isBytes(pass)) {
+			this.pass = Hex.parse(bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( pass )));
+			return;
+		}
+
 		if (typeof pass == 'string') {
 			let hPass = pass;
 			if (pass.length % 2 == 1 || !pass.match(/^[0-9A-Fa-f]+$/)) { // raw str
@@ -772,12 +1447,12 @@ export class Mac {
 			return;
 		}
 
-		if (pass != 'object')
+		if (typeof pass != 'object')
 			throw "Mac unsupported password type: " + pass;
 
 		/** @type {string | null} */ let hPass = null;
 		if (pass['hex'] !== undefined) {
-			if (pass['hex'].length % 2 != 0 || !pass['hex'].match(/^[0-9A-Fa-f]+$/))
+			if (pass['hex'].length % 2 != 0 || !pass['hex'].match(/^[0-9A-Fa-f]*$/))
 				throw "Mac: wrong hex password: " + pass['hex'];
 			hPass = pass['hex'];
 		}
@@ -793,6 +1468,248 @@ export class Mac {
 	}
 }
 
+// === Password based key derivation ======================================
+
+/**
+ * get hexadecimal string of passcode for password based key derivation
+ * @param {string | Uint8Array | ArrayBuffer} passcode UTF-8 string or byte array of passcode
+ * @return {string} hexadecimal string of passcode
+ */
+function getPasscodeHex(passcode) {
+	if (isBytes(passcode)) return bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( passcode ));
+	if (typeof passcode != "string") throw "unsupported passcode type: " + passcode;
+	return utf8tohex(passcode);
+}
+
+/**
+ * get hexadecimal string of salt for password based key derivation
+ * @param {string | Uint8Array | ArrayBuffer} salt hexadecimal string or byte array of salt
+ * @return {string} hexadecimal string of salt
+ */
+function getSaltHex(salt) {
+	if (isBytes(salt)) return bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( salt ));
+	if (typeof salt != "string" || salt.length % 2 != 0 || !/^[0-9A-Fa-f]*$/.test(salt))
+		throw "salt shall be hexadecimal string or byte array: " + salt;
+	return salt;
+}
+
+/**
+ * get hexadecimal string of 32 bit words
+ * @param {Array<number> | Uint32Array} words 32 bit words
+ * @param {number} n number of bytes
+ * @return {string} hexadecimal string of n bytes
+ */
+function wordstohex(words, n) {
+	let s = "";
+	for (let i = 0; i < words.length && s.length < n * 2; i++) {
+		s += ("0000000" + (words[i] >>> 0).toString(16)).slice(-8);
+	}
+	return s.substr(0, n * 2);
+}
+
+/**
+ * PKCS#5 PBKDF2 password based key derivation function<br/>
+ * @param {string | Uint8Array | ArrayBuffer} passcode UTF-8 string or byte array of passcode
+ * @param {string | Uint8Array | ArrayBuffer} salt hexadecimal string or byte array of salt
+ * @param {number} iter iteration count
+ * @param {number} len byte length of key to derive
+ * @param {string=} alg hash algorithm name of HMAC PRF (DEFAULT 'sha1')
+ * @param {string=} prov provider name 'cryptojs' or 'nodecrypto' (DEFAULT provider of HMAC)
+ * @return {string} hexadecimal string of derived key
+ * @throws {string} if hash algorithm or parameter is not supported
+ * @description
+ * This function derives key by PBKDF2 of RFC 8018 section 5.2 with
+ * HMAC of any hash algorithm supported by {@link Mac} such as
+ * 'sha1', 'sha224', 'sha256', 'sha384' and 'sha512'.
+ * For 'nodecrypto' provider, key is derived by pbkdf2Sync of Node.js crypto
+ * module when it is available.
+ * @example
+ * // RFC 6070 test vector
+ * pbkdf2("password", "73616c74", 4096, 20) &rarr; "4b007901b765489abead49d926f721d065a429c1"
+ * pbkdf2("password", "73616c74", 10000, 32, 'sha256') &rarr; "5ec02b91..."
+ * pbkdf2(new Uint8Array([...]), saltBytes, 100000, 64, 'sha512', 'nodecrypto')
+ */
+export function pbkdf2(passcode, salt, iter, len, alg, prov) {
+	let hashAlg = /** @type {string} */ ( MessageDigest.getCanonicalAlgName((alg !== undefined) ? alg : 'sha1') );
+	let hashLen = HASHLENGTH[hashAlg];
+	if (HASH_ALG_LIST.indexOf(':' + hashAlg + ':') == -1 || hashAlg.substr(0, 5) == "shake")
+		throw "pbkdf2 unsupported hash alg: " + alg;
+	if (!(iter >= 1) || Math.floor(iter) != iter)
+		throw "pbkdf2 wrong iteration count: " + iter;
+	if (!(len >= 0) || Math.ceil(len / hashLen) > 0xffffffff)
+		throw "pbkdf2 wrong key length: " + len;
+	if (prov === undefined) prov = DEFAULTPROVIDER['hmac' + hashAlg];
+
+	let hPass = getPasscodeHex(passcode);
+	let hSalt = getSaltHex(salt);
+
+	let nodeHashName = (prov == 'nodecrypto') ? getNodeHashName(hashAlg) : null;
+	if (nodeHashName !== null) {
+		return bytestohex(getNodeCrypto()['pbkdf2Sync'](hextoUint8Array(hPass), hextoUint8Array(hSalt),
+			iter, len, nodeHashName));
+	}
+
+	let mdObj = createHasher(hashAlg);
+	let wPass = Hex.parse(hPass);
+	let mac = (mdObj instanceof HasherEx) ? new HMACEx(mdObj, wPass) : new HMAC(mdObj, wPass);
+	let nWord = Math.ceil(hashLen / 4);
+	let hKey = "";
+	for (let i = 1; hKey.length < len * 2; i++) {
+		mac.update(Hex.parse(hSalt + ("0000000" + i.toString(16)).slice(-8)));
+		let u = mac.finalize();
+		mac.reset();
+		let t = u.words.slice(0, nWord);
+		for (let j = 1; j < iter; j++) {
+			mac.update(u);
+			u = mac.finalize();
+			mac.reset();
+			for (let k = 0; k < nWord; k++) t[k] ^= u.words[k];
+		}
+		hKey += wordstohex(t, hashLen);
+	}
+	return hKey.substr(0, len * 2);
+}
+
+/**
+ * Salsa20/8 core function of RFC 7914 section 3
+ * @param {Uint32Array} b 16 words of input and output
+ * @param {Uint32Array} x 16 words of work area
+ */
+function salsa208(b, x) {
+	x.set(b);
+	for (let i = 0; i < 8; i += 2) {
+		let t;
+		t = x[0] + x[12]; x[4] ^= (t << 7) | (t >>> 25);
+		t = x[4] + x[0]; x[8] ^= (t << 9) | (t >>> 23);
+		t = x[8] + x[4]; x[12] ^= (t << 13) | (t >>> 19);
+		t = x[12] + x[8]; x[0] ^= (t << 18) | (t >>> 14);
+		t = x[5] + x[1]; x[9] ^= (t << 7) | (t >>> 25);
+		t = x[9] + x[5]; x[13] ^= (t << 9) | (t >>> 23);
+		t = x[13] + x[9]; x[1] ^= (t << 13) | (t >>> 19);
+		t = x[1] + x[13]; x[5] ^= (t << 18) | (t >>> 14);
+		t = x[10] + x[6]; x[14] ^= (t << 7) | (t >>> 25);
+		t = x[14] + x[10]; x[2] ^= (t << 9) | (t >>> 23);
+		t = x[2] + x[14]; x[6] ^= (t << 13) | (t >>> 19);
+		t = x[6] + x[2]; x[10] ^= (t << 18) | (t >>> 14);
+		t = x[15] + x[11]; x[3] ^= (t << 7) | (t >>> 25);
+		t = x[3] + x[15]; x[7] ^= (t << 9) | (t >>> 23);
+		t = x[7] + x[3]; x[11] ^= (t << 13) | (t >>> 19);
+		t = x[11] + x[7]; x[15] ^= (t << 18) | (t >>> 14);
+		t = x[0] + x[3]; x[1] ^= (t << 7) | (t >>> 25);
+		t = x[1] + x[0]; x[2] ^= (t << 9) | (t >>> 23);
+		t = x[2] + x[1]; x[3] ^= (t << 13) | (t >>> 19);
+		t = x[3] + x[2]; x[0] ^= (t << 18) | (t >>> 14);
+		t = x[5] + x[4]; x[6] ^= (t << 7) | (t >>> 25);
+		t = x[6] + x[5]; x[7] ^= (t << 9) | (t >>> 23);
+		t = x[7] + x[6]; x[4] ^= (t << 13) | (t >>> 19);
+		t = x[4] + x[7]; x[5] ^= (t << 18) | (t >>> 14);
+		t = x[10] + x[9]; x[11] ^= (t << 7) | (t >>> 25);
+		t = x[11] + x[10]; x[8] ^= (t << 9) | (t >>> 23);
+		t = x[8] + x[11]; x[9] ^= (t << 13) | (t >>> 19);
+		t = x[9] + x[8]; x[10] ^= (t << 18) | (t >>> 14);
+		t = x[15] + x[14]; x[12] ^= (t << 7) | (t >>> 25);
+		t = x[12] + x[15]; x[13] ^= (t << 9) | (t >>> 23);
+		t = x[13] + x[12]; x[14] ^= (t << 13) | (t >>> 19);
+		t = x[14] + x[13]; x[15] ^= (t << 18) | (t >>> 14);
+	}
+	for (let i = 0; i < 16; i++) b[i] = (b[i] + x[i]) | 0;
+}
+
+/**
+ * scryptBlockMix of RFC 7914 section 4
+ * @param {Uint32Array} b 32 * r words of input
+ * @param {Uint32Array} y 32 * r words of output
+ * @param {number} r block size parameter
+ * @param {Uint32Array} t 16 words of work area
+ * @param {Uint32Array} x 16 words of work area
+ */
+function blockMix(b, y, r, t, x) {
+	t.set(b.subarray((2 * r - 1) * 16, 2 * r * 16));
+	for (let i = 0; i < 2 * r; i++) {
+		for (let j = 0; j < 16; j++) t[j] ^= b[i * 16 + j];
+		salsa208(t, x);
+		// even blocks to first half and odd blocks to second half
+		y.set(t, ((i & 1) * r + (i >>> 1)) * 16);
+	}
+}
+
+/**
+ * scryptROMix of RFC 7914 section 5
+ * @param {Uint32Array} b 32 * r words of input and output
+ * @param {number} r block size parameter
+ * @param {number} n CPU/memory cost parameter
+ */
+function roMix(b, r, n) {
+	let blockLen = 32 * r;
+	let v = new Uint32Array(blockLen * n);
+	let y = new Uint32Array(blockLen);
+	let t = new Uint32Array(16);
+	let x = new Uint32Array(16);
+	for (let i = 0; i < n; i++) {
+		v.set(b, i * blockLen);
+		blockMix(b, y, r, t, x);
+		b.set(y);
+	}
+	for (let i = 0; i < n; i++) {
+		// Integerify by little endian lower 32 bit of last 64 bytes
+		let j = b[(2 * r - 1) * 16] & (n - 1);
+		for (let k = 0; k < blockLen; k++) b[k] ^= v[j * blockLen + k];
+		blockMix(b, y, r, t, x);
+		b.set(y);
+	}
+}
+
+/**
+ * RFC 7914 scrypt password based key derivation function<br/>
+ * @param {string | Uint8Array | ArrayBuffer} passcode UTF-8 string or byte array of passcode
+ * @param {string | Uint8Array | ArrayBuffer} salt hexadecimal string or byte array of salt
+ * @param {number} n CPU/memory cost parameter which is power of 2
+ * @param {number} r block size parameter
+ * @param {number} p parallelization parameter
+ * @param {number} len byte length of key to derive
+ * @param {string=} prov provider name 'cryptojs' or 'nodecrypto' (DEFAULT provider of HmacSHA256)
+ * @return {string} hexadecimal string of derived key
+ * @throws {string} if parameter is not supported
+ * @description
+ * This function derives key by scrypt of RFC 7914 which uses
+ * {@link pbkdf2} with HMAC-SHA256 and memory of 128 * n * r bytes.
+ * For 'nodecrypto' provider, key is derived by scryptSync of Node.js crypto
+ * module when it is available.
+ * @example
+ * // RFC 7914 section 12 test vector
+ * scrypt("password", "4e61436c", 1024, 8, 16, 64) &rarr; "fdbabe1c9d3472007856e7190d01e9fe..."
+ */
+export function scrypt(passcode, salt, n, r, p, len, prov) {
+	if (!(n > 1) || (n & (n - 1)) != 0 || n > 0x40000000)
+		throw "scrypt N shall be power of 2 greater than 1: " + n;
+	if (!(r >= 1) || !(p >= 1) || Math.floor(r) != r || Math.floor(p) != p || r * p >= 0x40000000)
+		throw "scrypt wrong r or p: " + r + "/" + p;
+	if (r < 4 && n >= Math.pow(2, 16 * r))
+		throw "scrypt N shall be less than 2^(128 * r / 8): " + n;
+	if (prov === undefined) prov = DEFAULTPROVIDER['hmacsha256'];
+
+	let hPass = getPasscodeHex(passcode);
+	let hSalt = getSaltHex(salt);
+
+	if (prov == 'nodecrypto' && getNodeCrypto() !== null) {
+		return bytestohex(getNodeCrypto()['scryptSync'](hextoUint8Array(hPass), hextoUint8Array(hSalt), len, {
+			'N': n, 'r': r, 'p': p, 'maxmem': 128 * r * (n + p + 2) + 0x100000
+		}));
+	}
+
+	let hB = pbkdf2(hextoUint8Array(hPass), hSalt, 1, p * 128 * r, 'sha256', 'cryptojs');
+	let bytes = hextoUint8Array(hB);
+	let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	let b = new Uint32Array(32 * r);
+	for (let i = 0; i < p; i++) {
+		// words of scrypt are little endian
+		for (let k = 0; k < 32 * r; k++) b[k] = view.getUint32((i * 32 * r + k) * 4, true);
+		roMix(b, r, n);
+		for (let k = 0; k < 32 * r; k++) view.setUint32((i * 32 * r + k) * 4, b[k], true);
+	}
+	return pbkdf2(hextoUint8Array(hPass), bytes, 1, len, 'sha256', 'cryptojs');
+}
+
 // ====== Signature class =========================================================
 /**
  * Signature class which is very similar to java.security.Signature class
@@ -801,8 +1718,8 @@ export class Mac {
  * <br/>
  * As for params of constructor's argument, it can be specify following attributes:
  * <ul>
- * <li>alg - signature algorithm name (ex. {MD5,SHA1,SHA224,SHA256,SHA384,SHA512,RIPEMD160}with{RSA,ECDSA,DSA})</li>
- * <li>provider - currently 'cryptojs/jsrsa' only</li>
+ * <li>alg - signature algorithm name (ex. {MD5,SHA1,SHA224,SHA256,SHA384,SHA512,RIPEMD160}with{RSA,ECDSA,DSA}, Ed25519, Ed448)</li>
+ * <li>provider - 'cryptojs/jsrsa', 'webcrypto' or 'nodecrypto'</li>
  * </ul>
  * <h4>SUPPORTED ALGORITHMS AND PROVIDERS</h4>
  * This Signature class supports following signature algorithm and provider names:
@@ -831,6 +1748,10 @@ export class Mac {
  * <li>SHA1withDSA - cryptojs/jsrsa</li>
  * <li>SHA224withDSA - cryptojs/jsrsa</li>
  * <li>SHA256withDSA - cryptojs/jsrsa</li>
+ * <li>SHA3-224withDSA, SHA3-256withDSA - cryptojs/jsrsa</li>
+ * <li>{SHA512/224,SHA512/256,SHA3-224,SHA3-256,SHA3-384,SHA3-512}with{RSA,RSAandMGF1} - cryptojs/jsrsa</li>
+ * <li>{SHA3-224,SHA3-256,SHA3-384,SHA3-512,SHAKE128,SHAKE256}withECDSA - cryptojs/jsrsa</li>
+ * <li>Ed25519, Ed448 - cryptojs/jsrsa</li>
  * </ul>
  * Here are supported elliptic cryptographic curve names and their aliases for ECDSA:
  * <ul>
@@ -839,6 +1760,32 @@ export class Mac {
  * <li>secp384r1, NIST P-384, P-384</li>
  * </ul>
  * NOTE1: DSA signing algorithm is also supported since crypto 1.1.5.
+ * <br/>
+ * NOTE2: All above algorithms are also supported by 'webcrypto' provider.
+ * It signs and verifies by WebCrypto API in {@link Signature#signAsync} and
+ * {@link Signature#verifyAsync} for RSASSA-PKCS1-v1_5, RSA-PSS and ECDSA
+ * with NIST P-256, P-384 and P-521 curves and SHA-1, SHA-256, SHA-384 or SHA-512.
+ * RSAKeyEx and ECDSA key objects are converted to CryptoKey and
+ * ECDSA signature values are converted between ASN.1 DER and IEEE P1363 automatically.
+ * Other algorithms and keys, an environment without WebCrypto API and
+ * synchronous methods fall back to the JavaScript implementation.
+ * <br/>
+ * NOTE3: All above algorithms are also supported by 'nodecrypto' provider.
+ * It signs and verifies by Node.js crypto module when the module
+ * supports the hash algorithm and the key which is given to {@link Signature#init}
+ * before any update. RSAKeyEx, ECDSA and DSA key objects are converted
+ * to Node.js KeyObject automatically. Otherwise it falls back to the JavaScript implementation.
+ * <br/>
+ * NOTE4: ECDSA and DSA signatures are generated with RFC 6979 deterministic
+ * nonce instead of random one when 'deterministic' parameter is true.
+ * Then signing always falls back to the JavaScript implementation
+ * since WebCrypto API and Node.js crypto module don't support it.
+ * <br/>
+ * NOTE5: EdDSA algorithms Ed25519 and Ed448 of RFC 8032 sign a message
+ * itself instead of its hash value. Then updated data is kept in this
+ * object until {@link Signature#sign} or {@link Signature#verify}.
+ * They are supported by 'nodecrypto' provider too but
+ * 'webcrypto' provider always uses the JavaScript implementation.
  * <h4>EXAMPLES</h4>
  * @example
  * // RSA signature generation
@@ -864,23 +1811,42 @@ export class Mac {
  * sig.init(certPEM);
  * sig.updateString('aaa');
  * let isValid = sig.verify(sigValueHex);
+ *
+ * // RFC 6979 deterministic ECDSA signing
+ * let sig = new Signature({'alg':'SHA256withECDSA', 'deterministic': true});
+ * sig.init(prvKeyPEM);
+ * sig.updateString('aaa');
+ * let sigValueHex = sig.sign(); // always the same value for the same key and message
+ *
+ * // ECDSA signing by WebCrypto API
+ * let sig = new Signature({'alg':'SHA256withECDSA', 'prov':'webcrypto'});
+ * sig.init(prvKeyPEM);
+ * sig.updateString('aaa');
+ * sig.signAsync().then(function (sigValueHex) { ... });
+ *
+ * // Ed25519 signing
+ * let sig = new Signature({'alg':'Ed25519'});
+ * sig.init(prvKeyPEM);
+ * sig.updateString('aaa');
+ * let sigValueHex = sig.sign();
  */
 export class Signature {
 	/**
  	 * @param {Dictionary=} params parameters for constructor
 	 */
 	constructor(params) {
-		/** @type {KeyObject | null} */ this.prvKey = null; // RSAKeyEx/ECDSA/DSA object for signing
-		/** @type {KeyObject | null} */ this.pubKey = null; // RSAKeyEx/ECDSA/DSA object for verifying
+		/** @type {KeyObject | null} */ this.prvKey = null; // RSAKeyEx/ECDSA/DSA/EdDSA object for signing
+		/** @type {KeyObject | null} */ this.pubKey = null; // RSAKeyEx/ECDSA/DSA/EdDSA object for verifying
 
 		/** @type {MessageDigest | null} */ this.md = null; // MessageDigest object
 		/** @type {string | null} */ this.algName = null;
 		/** @type {string | null} */ this.provName = null;
 		/** @type {string | null} */ this.algProvName = null;
 		/** @type {string | null} */ this.mdAlgName = null;
-		/** @type {string | null} */ this.pubkeyAlgName = null;	// rsa,ecdsa,rsaandmgf1(=rsapss)
+		/** @type {string | null} */ this.pubkeyAlgName = null;	// rsa,ecdsa,rsaandmgf1(=rsapss),eddsa
 		/** @type {string | null} */ this.state = null;
 		/** @type {number} */ this.pssSaltLen = -1;
+		/** @type {boolean} */ this.deterministic = false; // true for RFC 6979 ECDSA and DSA
 
 		/** @type {string | null} */ this.sHashHex = null; // hex hash value for hex
 		/** @type {string | null} */ this.hDigestInfo = null;
@@ -889,6 +1855,12 @@ export class Signature {
 
 		/** @type {Dictionary | undefined} */ this.initParams = params;
 
+		/** @private @type {string | null} */ this.nodeHashName = null; // Node.js hash name for nodecrypto
+		/** @private @type {Object | null} */ this.nodeKey = null; // Node.js KeyObject for nodecrypto
+		/** @private @type {Object | null} */ this.nodeSig = null; // Node.js Sign or Verify object for nodecrypto
+		/** @private @type {boolean} */ this.isUpdated = false; // true if MessageDigest has data
+		/** @private @type {Array<string> | null} */ this.aMsgHex = null; // message for EdDSA which signs message itself
+
 		if (params !== undefined) {
 			if (isString(params['alg'])) {
 				this.algName = /** @type {string} */ ( params['alg'] );
@@ -903,14 +1875,15 @@ export class Signature {
 			}
 	
 			if (isNumber(params['psssaltlen'])) this.pssSaltLen = /** @type {number} */ ( params['psssaltlen'] );
+			if (params['deterministic'] === true) this.deterministic = true;
 	
 			let prvkeypem = params['prvkeypem'];
-			if ((prvkeypem !== undefined) && (isString(prvkeypem) || isDictionary(prvkeypem) || prvkeypem instanceof RSAKeyEx || prvkeypem instanceof DSA || prvkeypem instanceof ECDSA)) {
+			if ((prvkeypem !== undefined) && (isString(prvkeypem) || isDictionary(prvkeypem) || isBytes(prvkeypem) || prvkeypem instanceof RSAKeyEx || prvkeypem instanceof DSA || prvkeypem instanceof ECDSA || prvkeypem instanceof EdDSA)) {
 				if (params['prvkeypas'] !== undefined) {
 					throw "both prvkeypem and prvkeypas parameters not supported";
 				} else {
 					try {
-						let prvKey = getKey(/** @type {string | KeyObject | Dictionary} */ ( params['prvkeypem'] ));
+						let prvKey = getKey(/** @type {string | KeyObject | Dictionary | Uint8Array | ArrayBuffer} */ ( params['prvkeypem'] ));
 						this.init(prvKey);
 					} catch (ex) {
 						throw "fatal error to load pem private key: " + ex;
@@ -926,6 +1899,9 @@ export class Signature {
 		if (matchResult) {
 			this.mdAlgName = matchResult[1].toLowerCase();
 			this.pubkeyAlgName = matchResult[2].toLowerCase();
+		} else if (EdDSA.getName(this.algName) !== null) {
+			this.mdAlgName = null;
+			this.pubkeyAlgName = "eddsa";
 		}
 	}
 
@@ -950,25 +1926,117 @@ export class Signature {
      * @description
      * @example
      * md.setAlgAndProvider('SHA1withRSA', 'cryptojs/jsrsa');
+     * md.setAlgAndProvider('SHA256withRSA', 'webcrypto');
+     * md.setAlgAndProvider('SHA256withECDSA', 'nodecrypto');
+     * md.setAlgAndProvider('Ed25519', 'cryptojs/jsrsa');
      */
 	setAlgAndProvider(alg, prov) {
 		this.setAlgNames();
-		if (prov != 'cryptojs/jsrsa')
+		if (prov != 'cryptojs/jsrsa' && prov != 'webcrypto' && prov != 'nodecrypto')
 			throw "provider not supported: " + prov;
 
-		if (':md5:sha1:sha224:sha256:sha384:sha512:ripemd160:'.indexOf(this.mdAlgName) != -1) {
+		// EdDSA doesn't use MessageDigest
+		this.aMsgHex = (this.pubkeyAlgName === "eddsa") ? [] : null;
+
+		if (HASH_ALG_LIST.indexOf(':' + this.mdAlgName + ':') != -1) {
 			try {
-				this.md = new MessageDigest(/** @type {Dictionary} */ ( { 'alg': this.mdAlgName } ));
+				this.md = new MessageDigest(/** @type {Dictionary} */ ( {
+					'alg': this.mdAlgName,
+					'prov': (prov == 'webcrypto' || prov == 'nodecrypto') ? prov : 'cryptojs'
+				} ));
 			} catch (ex) {
 				throw "setAlgAndProvider hash alg set fail alg=" +
 				this.mdAlgName + "/" + ex;
 			}
 		}
+
+		// Node.js Sign and Verify don't support SHAKE
+		this.nodeHashName = (prov == 'nodecrypto' && this.mdAlgName !== null && this.mdAlgName.substr(0, 5) != "shake") ?
+			getNodeHashName(/** @type {string} */ ( this.mdAlgName )) : null;
+	}
+
+	/**
+	 * prepare Node.js Sign or Verify object for a key if nodecrypto provider can use it
+	 * @private
+	 * @param {KeyObject} keyObj key object for signing or verifying
+	 */
+	initNodeSig(keyObj) {
+		this.nodeKey = null;
+		this.nodeSig = null;
+		// data which is already updated can't be moved from MessageDigest
+		if (this.nodeHashName === null || this.isUpdated) return;
+
+		let pubkeyAlgName = this.pubkeyAlgName;
+		// Node.js doesn't support RFC 6979 deterministic signature
+		if (this.deterministic && this.state == "SIGN" && (pubkeyAlgName === "ecdsa" || pubkeyAlgName === "dsa"))
+			return;
+		if (!((keyObj instanceof RSAKeyEx && (pubkeyAlgName === "rsa" || pubkeyAlgName === "rsaandmgf1")) ||
+			(keyObj instanceof ECDSA && pubkeyAlgName === "ecdsa") ||
+			(keyObj instanceof DSA && pubkeyAlgName === "dsa")))
+			return;
+
+		let nodeKey = getNodeKey(keyObj);
+		if (nodeKey === null) return;
+		this.nodeKey = nodeKey;
+		this.nodeSig = this.createNodeSig();
+	}
+
+	/**
+	 * @private
+	 * @return {Object} new Node.js Sign or Verify object for current state
+	 */
+	createNodeSig() {
+		let c = getNodeCrypto();
+		return (this.state == "SIGN") ? c['createSign'](this.nodeHashName) : c['createVerify'](this.nodeHashName);
+	}
+
+	/**
+	 * get key options of Node.js Sign or Verify object
+	 * @private
+	 * @return {Dictionary} key options
+	 */
+	getNodeKeyOptions() {
+		let opts = /** @type {Dictionary} */ ( { 'key': this.nodeKey } );
+		if (this.pubkeyAlgName === "rsaandmgf1") {
+			let constants = getNodeCrypto()['constants'];
+			opts['padding'] = constants['RSA_PKCS1_PSS_PADDING'];
+			if (this.pssSaltLen === -1) {
+				opts['saltLength'] = constants['RSA_PSS_SALTLEN_DIGEST'];
+			} else if (this.pssSaltLen === -2) {
+				opts['saltLength'] = (this.state == "SIGN") ?
+					constants['RSA_PSS_SALTLEN_MAX_SIGN'] : constants['RSA_PSS_SALTLEN_AUTO'];
+			} else {
+				opts['saltLength'] = this.pssSaltLen;
+			}
+		}
+		return opts;
+	}
+
+	/**
+	 * take updated message for EdDSA and clear it for next signing or verifying
+	 * @private
+	 * @return {string} hexadecimal string of message
+	 */
+	takeMessageHex() {
+		let hMsg = this.aMsgHex.join("");
+		this.aMsgHex = [];
+		return hMsg;
+	}
+
+	/**
+	 * @private
+	 * @param {KeyObject | null} keyObj key object for signing or verifying
+	 * @return {EdDSA} EdDSA key object of the curve for this algorithm
+	 */
+	getEdDSAKey(keyObj) {
+		if (!(keyObj instanceof EdDSA) || keyObj.curveName !== EdDSA.getName(/** @type {string} */ ( this.algName )))
+			throw "Signature: unsupported key for alg: " + this.algName;
+		return keyObj;
 	}
 
     /**
      * Initialize this object for signing or verifying depends on key
-     * @param {KeyObject | string | Dictionary} key specifying public or private key as plain/encrypted PKCS#5/8 PEM file, certificate PEM or {@link RSAKeyEx}, {@link DSA} or {@link ECDSA} object
+     * @param {KeyObject | string | Dictionary | Uint8Array | ArrayBuffer} key specifying public or private key as plain/encrypted PKCS#5/8 PEM file, certificate PEM or {@link RSAKeyEx}, {@link DSA}, {@link ECDSA} or {@link EdDSA} object
      * @param {string=} pass (OPTION) passcode for encrypted private key
      * @description
      * This method is very useful initialize method for Signature class since
@@ -977,28 +2045,31 @@ export class Signature {
      * As for 'key',  following argument type are supported:
      * <h5>signing</h5>
      * <ul>
-     * <li>PEM formatted PKCS#8 encrypted RSA/ECDSA private key concluding "BEGIN ENCRYPTED PRIVATE KEY"</li>
+     * <li>PEM formatted PKCS#8 encrypted RSA/ECDSA/EdDSA private key concluding "BEGIN ENCRYPTED PRIVATE KEY"</li>
      * <li>PEM formatted PKCS#5 encrypted RSA/DSA private key concluding "BEGIN RSA/DSA PRIVATE KEY" and ",ENCRYPTED"</li>
-     * <li>PEM formatted PKCS#8 plain RSA/ECDSA private key concluding "BEGIN PRIVATE KEY"</li>
+     * <li>PEM formatted PKCS#8 plain RSA/ECDSA/EdDSA private key concluding "BEGIN PRIVATE KEY"</li>
      * <li>PEM formatted PKCS#5 plain RSA/DSA private key concluding "BEGIN RSA/DSA PRIVATE KEY" without ",ENCRYPTED"</li>
      * <li>RSAKeyEx object of private key</li>
      * <li>ECDSA object of private key</li>
      * <li>DSA object of private key</li>
+     * <li>EdDSA object of private key</li>
      * </ul>
+     * PEM data can also be specified as byte array such as file contents.
      * <h5>verification</h5>
      * <ul>
-     * <li>PEM formatted PKCS#8 RSA/EC/DSA public key concluding "BEGIN PUBLIC KEY"</li>
-     * <li>PEM formatted X.509 certificate with RSA/EC/DSA public key concluding
+     * <li>PEM formatted PKCS#8 RSA/EC/DSA/EdDSA public key concluding "BEGIN PUBLIC KEY"</li>
+     * <li>PEM formatted X.509 certificate with RSA/EC/DSA/EdDSA public key concluding
      *     "BEGIN CERTIFICATE", "BEGIN X509 CERTIFICATE" or "BEGIN TRUSTED CERTIFICATE".</li>
      * <li>RSAKeyEx object of public key</li>
      * <li>ECDSA object of public key</li>
      * <li>DSA object of public key</li>
+     * <li>EdDSA object of public key</li>
      * </ul>
      * @example
      * sig.init(sCertPEM)
      */
 	init(key, pass) {
-		if (this.md === null)
+		if (this.md === null && this.aMsgHex === null)
 			throw "init(key, pass) not supported for this alg:prov=" + this.algProvName;
 
 		/** @type {KeyObject | null} */ let keyObj = null;
@@ -1021,6 +2092,7 @@ export class Signature {
 		} else {
 			throw "init failed.:" + keyObj;
 		}
+		this.initNodeSig(keyObj);
 	}
 
     /**
@@ -1031,10 +2103,19 @@ export class Signature {
      * sig.updateString('aaa')
      */
 	updateString(str) {
-		if (this.md === null)
+		if (this.md === null && this.aMsgHex === null)
 			throw "updateString(str) not supported for this alg:prov=" + this.algProvName;
 
+		if (this.aMsgHex !== null) {
+			this.aMsgHex.push(utf8tohex(str));
+			return;
+		}
+		if (this.nodeSig !== null) {
+			this.nodeSig['update'](str, 'utf8');
+			return;
+		}
 		this.md.updateString(str);
+		this.isUpdated = true;
 	}
 
     /**
@@ -1045,10 +2126,33 @@ export class Signature {
      * sig.updateHex('1f2f3f')
      */
 	updateHex(hex) {
-		if (this.md === null)
+		if (this.md === null && this.aMsgHex === null)
 			throw "updateHex(hex) not supported for this alg:prov=" + this.algProvName;
 
+		if (this.aMsgHex !== null) {
+			this.aMsgHex.push(hex);
+			return;
+		}
+		if (this.nodeSig !== null) {
+			this.nodeSig['update'](hex, 'hex');
+			return;
+		}
 		this.md.updateHex(hex);
+		this.isUpdated = true;
+	}
+
+    /**
+     * Updates the data to be signed or verified by a byte array
+     * @param {Uint8Array | ArrayBuffer} bytes byte array to use for the update
+     * @description
+     * @example
+     * sig.updateBytes(new Uint8Array([0x1f, 0x2f, 0x3f]))
+     */
+	updateBytes(bytes) {
+		if (this.md === null && this.aMsgHex === null)
+			throw "updateBytes(bytes) not supported for this alg:prov=" + this.algProvName;
+
+		this.updateHex(bytestohex(bytes));
 	}
 
     /**
@@ -1059,14 +2163,35 @@ export class Signature {
      * let hSigValue = sig.sign()
      */
 	sign() {
-		if ((this.md === null) || (this.mdAlgName === null))
+		if ((this.md === null || this.mdAlgName === null) && this.aMsgHex === null)
 			throw "sign() not supported for this alg:prov=" + this.algProvName;
 
+		if (this.aMsgHex !== null) {
+			let hMsg = this.takeMessageHex();
+			let key = this.getEdDSAKey(this.prvKey);
+			let nodeKey = (this.provName == 'nodecrypto') ? getNodeKey(key) : null;
+			if (nodeKey !== null) {
+				this.hSign = bytestohex(getNodeCrypto()['sign'](null, hextoUint8Array(hMsg), nodeKey));
+			} else {
+				this.hSign = key.signWithMessage(hMsg);
+			}
+			return this.hSign;
+		}
+
+		if (this.nodeSig !== null && this.state == "SIGN") {
+			this.hSign = this.nodeSig['sign'](this.getNodeKeyOptions(), 'hex');
+			this.nodeSig = this.createNodeSig();
+			return this.hSign;
+		}
+
+		this.isUpdated = false;
 		this.sHashHex = /** @type {string} */ ( this.md.digest() );
+		// hash algorithm of RFC 6979 deterministic nonce for ECDSA and DSA
+		let nonceAlg = this.deterministic ? this.mdAlgName : undefined;
 		if (typeof this.ecprvhex != "undefined" &&
 			typeof this.eccurvename != "undefined") {
 			let ec = new ECDSA(/** @type {Dictionary} */ ( { 'curve': this.eccurvename } ));
-			this.hSign = ec.signHex(this.sHashHex, this.ecprvhex);
+			this.hSign = ec.signHex(this.sHashHex, this.ecprvhex, nonceAlg);
 		} else if (this.prvKey instanceof RSAKeyEx &&
 			this.pubkeyAlgName === "rsaandmgf1") {
 			this.hSign = this.prvKey.signWithMessageHashPSS(this.sHashHex,
@@ -1077,9 +2202,9 @@ export class Signature {
 			this.hSign = this.prvKey.signWithMessageHash(this.sHashHex,
 				this.mdAlgName);
 		} else if (this.prvKey instanceof ECDSA) {
-			this.hSign = this.prvKey.signWithMessageHash(this.sHashHex);
+			this.hSign = this.prvKey.signWithMessageHash(this.sHashHex, nonceAlg);
 		} else if (this.prvKey instanceof DSA) {
-			this.hSign = this.prvKey.signWithMessageHash(this.sHashHex);
+			this.hSign = this.prvKey.signWithMessageHash(this.sHashHex, nonceAlg);
 		} else {
 			throw "Signature: unsupported private key alg: " + this.pubkeyAlgName;
 		}
@@ -1095,7 +2220,7 @@ export class Signature {
      * let hSigValue = sig.signString('aaa')
      */
 	signString(str) {
-		if (this.md === null)
+		if (this.md === null && this.aMsgHex === null)
 			throw "digestString(str) not supported for this alg:prov=" + this.algProvName;
 
 		this.updateString(str);
@@ -1111,25 +2236,120 @@ export class Signature {
      * let hSigValue = sig.signHex('1fdc33')
      */
 	signHex(hex) {
-		if (this.md === null)
+		if (this.md === null && this.aMsgHex === null)
 			throw "digestHex(hex) not supported for this alg:prov=" + this.algProvName;
 
 		this.updateHex(hex);
 		return this.sign();
 	}
 
+    /**
+     * performs final update on the sign using byte array if specified, then returns the signature bytes of all data updates
+     * @param {(Uint8Array | ArrayBuffer)=} bytes byte array to final update (OPTION)
+     * @return {Uint8Array} the signature bytes
+     * @description
+     * @example
+     * let sigValue = sig.signBytes(new Uint8Array([0x1f, 0xdc, 0x33]))
+     */
+	signBytes(bytes) {
+		if (this.md === null && this.aMsgHex === null)
+			throw "signBytes(bytes) not supported for this alg:prov=" + this.algProvName;
+
+		if (bytes !== undefined) this.updateBytes(bytes);
+		return hextoUint8Array(/** @type {string} */ ( this.sign() ));
+	}
+
+	/**
+	 * get WebCrypto algorithm and JWK of key if it can be used by WebCrypto API
+	 * @private
+	 * @param {KeyObject | null} keyObj key object for signing or verifying
+	 * @param {boolean} isSign true for signing and false for verification
+	 * @return {Dictionary | null} result of getWebCryptoKeyParams or null
+	 */
+	getWebCryptoParams(keyObj, isSign) {
+		if (this.md === null || this.md.webHashName === null || keyObj === null) return null;
+		// WebCrypto API doesn't support RFC 6979 deterministic signature
+		if (isSign && this.deterministic && this.pubkeyAlgName === "ecdsa") return null;
+		return getWebCryptoKeyParams(keyObj, /** @type {string} */ ( this.pubkeyAlgName ),
+			/** @type {string} */ ( this.mdAlgName ), this.pssSaltLen, isSign);
+	}
+
+    /**
+     * Returns the signature of all data updates asynchronously
+     * @return {Promise<string>} Promise of the signature bytes as a hexadecimal string
+     * @description
+     * For 'webcrypto' provider, signature is generated by WebCrypto API
+     * when it is available and supports the algorithm and the key.
+     * ECDSA signature value is ASN.1 DER encoded as the same as {@link Signature#sign}.
+     * Otherwise this is the same as {@link Signature#sign}.
+     * @example
+     * sig.signAsync().then(function (hSigValue) { ... })
+     */
+	signAsync() {
+		if ((this.md === null || this.mdAlgName === null) && this.aMsgHex === null)
+			return Promise.reject("signAsync() not supported for this alg:prov=" + this.algProvName);
+
+		let self = this;
+		let subtle = getSubtleCrypto();
+		let params = (subtle !== null) ? this.getWebCryptoParams(this.prvKey, true) : null;
+		if (params === null)
+			return promiseOf(function () { return self.sign(); });
+
+		let alg = params['alg'];
+		let data = hextoUint8Array(this.md.takeBufferHex());
+		return subtle.importKey("jwk", params['jwk'], alg, false, ["sign"]).then(function (key) {
+			return subtle.sign(alg, key, data);
+		}).then(function (buf) {
+			let hSig = bytestohex(buf);
+			if (alg['name'] == "ECDSA") {
+				hSig = ECDSA.hexRSSigToASN1Sig(hSig.substr(0, hSig.length / 2), hSig.substr(hSig.length / 2));
+			}
+			self.hSign = hSig;
+			return hSig;
+		});
+	}
+
     /**
      * verifies the passed-in signature.
-     * @param {string} hSigVal string to final update
+     * @param {string | Uint8Array | ArrayBuffer} hSigVal hexadecimal string or byte array of signature value
      * @return {boolean} true if the signature was verified, otherwise false
      * @description
      * @example
      * let isValid = sig.verify('1fbcefdca4823a7(snip)')
+     * let isValid = sig.verify(new Uint8Array([0x1f, 0xbc, ...]))
      */
 	verify(hSigVal) {
-		if ((this.md === null) || (this.mdAlgName === null))
+		if ((this.md === null || this.mdAlgName === null) && this.aMsgHex === null)
 			throw "verify(hSigVal) not supported for this alg:prov=" + this.algProvName;
+		if (isBytes(hSigVal)) hSigVal = bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( hSigVal ));
+
+		if (this.aMsgHex !== null) {
+			let hMsg = this.takeMessageHex();
+			let key = this.getEdDSAKey(this.pubKey);
+			let nodeKey = (this.provName == 'nodecrypto') ? getNodeKey(key) : null;
+			if (nodeKey !== null) {
+				try {
+					return getNodeCrypto()['verify'](null, hextoUint8Array(hMsg), nodeKey,
+						hextoUint8Array(/** @type {string} */ ( hSigVal )));
+				} catch (ex) {
+					return false; // malformed signature value
+				}
+			}
+			return key.verifyWithMessage(hMsg, /** @type {string} */ ( hSigVal )) || false;
+		}
 
+		if (this.nodeSig !== null && this.state == "VERIFY") {
+			let result = false;
+			try {
+				result = this.nodeSig['verify'](this.getNodeKeyOptions(), hSigVal, 'hex');
+			} catch (ex) {
+				result = false; // malformed signature value
+			}
+			this.nodeSig = this.createNodeSig();
+			return result;
+		}
+
+		this.isUpdated = false;
 		this.sHashHex = /** @type {string} */ ( this.md.digest() );
 		if (typeof this.ecpubhex != "undefined" &&
 			typeof this.eccurvename != "undefined") {
@@ -1150,4 +2370,42 @@ export class Signature {
 			throw "Signature: unsupported public key alg: " + this.pubkeyAlgName;
 		}
 	}
+
+    /**
+     * verifies the passed-in signature asynchronously
+     * @param {string | Uint8Array | ArrayBuffer} hSigVal hexadecimal string or byte array of signature value
+     * @return {Promise<boolean>} Promise of true if the signature was verified, otherwise false
+     * @description
+     * For 'webcrypto' provider, signature is verified by WebCrypto API
+     * when it is available and supports the algorithm and the key.
+     * ECDSA signature value shall be ASN.1 DER encoded as the same as {@link Signature#verify}.
+     * Otherwise this is the same as {@link Signature#verify}.
+     * NOTE: RSA-PSS signature with salt length -2 (auto recovery) is
+     * always verified by the JavaScript implementation.
+     * @example
+     * sig.verifyAsync('1fbcefdca4823a7(snip)').then(function (isValid) { ... })
+     */
+	verifyAsync(hSigVal) {
+		if ((this.md === null || this.mdAlgName === null) && this.aMsgHex === null)
+			return Promise.reject("verifyAsync(hSigVal) not supported for this alg:prov=" + this.algProvName);
+		if (isBytes(hSigVal)) hSigVal = bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( hSigVal ));
+
+		let self = this;
+		let subtle = getSubtleCrypto();
+		let params = (subtle !== null) ? this.getWebCryptoParams(this.pubKey, false) : null;
+		if (params === null)
+			return promiseOf(function () { return self.verify(hSigVal); });
+
+		let alg = params['alg'];
+		let len = params['len'];
+		let data = hextoUint8Array(this.md.takeBufferHex());
+		let hSig = (alg['name'] == "ECDSA") ?
+			derSigToP1363Hex(/** @type {string} */ ( hSigVal ), len) :
+			fixedLengthHex(/** @type {string} */ ( hSigVal ), len);
+		if (hSig === null) return Promise.resolve(false);
+
+		return subtle.importKey("jwk", params['jwk'], alg, false, ["verify"]).then(function (key) {
+			return subtle.verify(alg, key, hextoUint8Array(hSig), data);
+		});
+	}
 }
@@ -14,7 +14,7 @@
 "use strict";
 
 import { jsonToASN1HEX } from "./asn1-1.0.js"
-import { getRandomBigIntegerMinToMax, Signature } from "./crypto-1.1.js"
+import { getRandomBigIntegerMinToMax, getRFC6979Nonce, Signature } from "./crypto-1.1.js"
 import { getVbyList, isASN1HEX } from "./asn1hex-1.1.js"
 import { BigInteger } from "./../../js-bn/modules/jsbn.js"
 import { Dictionary } from "./../../../include/type.js"
@@ -120,29 +120,38 @@ export class DSA {
     /**
      * sign to hashed message by this DSA private key object
      * @param {string} sHashHex hexadecimal string of hashed message
+     * @param {string=} nonceAlg hash algorithm name of hashed message to generate
+     * RFC 6979 deterministic nonce (OPTION, DEFAULT random nonce)
      * @return {string} hexadecimal string of ASN.1 encoded DSA signature value
      */
-	signWithMessageHash(sHashHex) {
+	signWithMessageHash(sHashHex, nonceAlg) {
 		let p = this.p; // parameter p
 		let q = this.q; // parameter q
 		let g = this.g; // parameter g
 		//let y = this.y; // public key (p q g y)
 		let x = this.x; // private key
 
-		// NIST FIPS 186-4 4.5 DSA Per-Message Secret Number (p18)
-		// 1. get random k where 0 < k < q
-		let k = getRandomBigIntegerMinToMax(BigInteger.ONE().add(BigInteger.ONE()), q.subtract(BigInteger.ONE()));
-
 		// NIST FIPS 186-4 4.6 DSA Signature Generation (p19)
 		// 2. get z where the left most min(N, outlen) bits of Hash(M)
 		let hZ = sHashHex.substr(0, q.bitLength() / 4);
 		let z = new BigInteger(hZ, 16);
 
-		// 3. get r where (g^k mod p) mod q, r != 0
-		let r = (g.modPow(k, p)).mod(q);
-
-		// 4. get s where k^-1 (z + xr) mod q, s != 0
-		let s = (k.modInverse(q).multiply(z.add(x.multiply(r)))).mod(q);
+		/** @type {BigInteger} */ let r;
+		/** @type {BigInteger} */ let s;
+		let nSkip = 0;
+		do {
+			// NIST FIPS 186-4 4.5 DSA Per-Message Secret Number (p18)
+			// 1. get random k where 0 < k < q or RFC 6979 deterministic k
+			let k = (nonceAlg !== undefined) ?
+				getRFC6979Nonce(q, x, sHashHex, nonceAlg, nSkip++) :
+				getRandomBigIntegerMinToMax(BigInteger.ONE().add(BigInteger.ONE()), q.subtract(BigInteger.ONE()));
+
+			// 3. get r where (g^k mod p) mod q, r != 0
+			r = (g.modPow(k, p)).mod(q);
+
+			// 4. get s where k^-1 (z + xr) mod q, s != 0
+			s = (k.modInverse(q).multiply(z.add(x.multiply(r)))).mod(q);
+		} while (r.signum() == 0 || s.signum() == 0);
 
 		// 5. signature (r, s)
 		return jsonToASN1HEX(/** @type {Dictionary} */ ( {
@@ -16,6 +16,7 @@ import { ECPointFp } from "./../../js-bn/modules/ec.js"
 import { SecureRandom } from "./../../js-bn/modules/rng.js"
 import { ECParams, getByName } from "./ecparam-1.0.js"
 import { DERInteger, DERSequence } from "./asn1-1.0.js"
+import { getRFC6979Nonce } from "./crypto-1.1.js"
 import { Dictionary, isArray } from "./../../../include/type.js"
 
 /** @typedef {{
@@ -229,38 +230,61 @@ export class ECDSA {
 
 	/**
 	 * @param {string} hashHex 
+	 * @param {string=} nonceAlg hash algorithm name for RFC 6979 deterministic nonce (OPTION)
 	 * @returns {string | null}
 	 */
-	signWithMessageHash(hashHex) {
+	signWithMessageHash(hashHex, nonceAlg) {
 		if (this.prvKeyHex === null)
 			return null;
-		return this.signHex(hashHex, this.prvKeyHex);
+		return this.signHex(hashHex, this.prvKeyHex, nonceAlg);
+	}
+
+	/**
+	 * get integer of message hash truncated to bit length of order n
+	 * @private
+	 * @param {string} hashHex hexadecimal string of hash value
+	 * @return {BigInteger} integer e of SEC 1 section 4.1.3
+	 */
+	getHashBigInteger(hashHex) {
+		let e = new BigInteger(hashHex, 16);
+		let nBits = this.ecparams.n.bitLength();
+		if (hashHex.length * 4 > nBits) e = e.shiftRight(hashHex.length * 4 - nBits);
+		return e;
 	}
 
     /**
      * signing to message hash
      * @param {string} hashHex hexadecimal string of hash value of signing message
      * @param {string} privHex hexadecimal string of EC private key
+     * @param {string=} nonceAlg hash algorithm name of message hash to generate
+     * RFC 6979 deterministic nonce (OPTION, DEFAULT random nonce)
      * @return {string} hexadecimal string of ECDSA signature
+     * @description
+     * Hash value longer than order n of the curve is truncated to its bit length.
+     * When nonceAlg is specified, nonce k is generated by {@link getRFC6979Nonce}
+     * so that the same key and hash always make the same signature.
      * @example
      * let ec = new ECDSA({'curve': 'secp256r1'});
      * let sigValue = ec.signHex(hash, prvKey);
+     * // RFC 6979 deterministic signature
+     * let sigValue = ec.signHex(hash, prvKey, 'sha256');
      */
-	signHex(hashHex, privHex) {
+	signHex(hashHex, privHex, nonceAlg) {
 		let d = new BigInteger(privHex, 16);
 		let n = this.ecparams.n;
-		let e = new BigInteger(hashHex, 16);
+		let e = this.getHashBigInteger(hashHex);
 
 		/** @type {BigInteger} */ let r;
+		/** @type {BigInteger} */ let s;
 		/** @type {BigInteger} */ let k;
+		let nSkip = 0;
 		do {
-			k = this.getBigRandom(n);
+			k = (nonceAlg !== undefined) ? getRFC6979Nonce(n, d, hashHex, nonceAlg, nSkip++) : this.getBigRandom(n);
 			let G = this.ecparams.G;
 			let Q = G.multiply(k);
 			r = Q.getX().toBigInteger().mod(n);
-		} while (r.compareTo(BigInteger.ZERO()) <= 0);
-
-		let s = k.modInverse(n).multiply(e.add(d.multiply(r))).mod(n);
+			s = k.modInverse(n).multiply(e.add(d.multiply(r))).mod(n);
+		} while (r.compareTo(BigInteger.ZERO()) <= 0 || s.compareTo(BigInteger.ZERO()) <= 0);
 
 		return ECDSA.biRSSigToASN1Sig(r, s);
 	}
@@ -316,7 +340,7 @@ export class ECDSA {
 		s = obj.s;
 
 		let Q = ECPointFp.decodeFromHex(this.ecparams.curve, pubkeyHex);
-		let e = new BigInteger(hashHex, 16);
+		let e = this.getHashBigInteger(hashHex);
 
 		return this.verifyRaw(e, r, s, Q);
 	}
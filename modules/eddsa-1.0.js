@@ -0,0 +1,477 @@
+/*
+ * eddsa.js - EdDSA class for Ed25519 and Ed448 signature
+ *
+ * Copyright (c) 2020 Sergei Sovik <sergeisovik@yahoo.com>
+ *
+ * This software is licensed under the terms of the MIT License.
+ * https://kjur.github.io/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+"use strict";
+
+import { BigInteger } from "./../../js-bn/modules/jsbn.js"
+import { getChildIdx, getV, getVbyList, isASN1HEX } from "./asn1hex-1.1.js"
+import { hashHex, getRandomHexOfNbytes } from "./crypto-1.1.js"
+import { HasherSHAKE } from "./hasherex-1.0.js"
+import { Hex } from "./../../js-crypto/modules/enc-hex.js"
+import { hextoUint8Array, utf8tohex, lehextobi, bitolehex } from "./base64x-1.1.js"
+import { Dictionary } from "./../../../include/type.js"
+
+/** @typedef {{
+	edprvhex: string,
+	edpubhex: string
+}} EdKeyPairHex */ export var EdKeyPairHex;
+
+/** @typedef {{
+	name: string,
+	p: BigInteger,
+	a: BigInteger,
+	d: BigInteger,
+	n: BigInteger,
+	B: Array<BigInteger>,
+	len: number,
+	cbits: number,
+	sbits: number
+}} EdParams */ var EdParams;
+
+/**
+ * cache of curve parameters by curve name
+ * @type {Object<string, EdParams>}
+ */
+const edparams = {};
+
+/**
+ * get curve parameters of RFC 8032 section 5.1 and 5.2
+ * @param {string} name normalized curve name "Ed25519" or "Ed448"
+ * @return {EdParams} curve parameters
+ */
+function getEdParams(name) {
+	if (edparams[name] !== undefined) return edparams[name];
+
+	let one = BigInteger.ONE();
+	/** @type {EdParams} */ let c;
+	if (name === "Ed25519") {
+		let p = one.shiftLeft(255).subtract(new BigInteger("13", 16));
+		c = {
+			name: name,
+			p: p,
+			a: p.subtract(one),
+			d: new BigInteger("52036cee2b6ffe738cc740797779e89800700a4d4141d8ab75eb4dca135978a3", 16),
+			n: new BigInteger("1000000000000000000000000000000014def9dea2f79cd65812631a5cf5d3ed", 16),
+			B: [new BigInteger("216936d3cd6e53fec0a4e231fdd6dc5c692cc7609525a7b2c9562d608f25d51a", 16),
+				new BigInteger("6666666666666666666666666666666666666666666666666666666666666658", 16)],
+			len: 32,
+			cbits: 3,
+			sbits: 254
+		};
+	} else if (name === "Ed448") {
+		let p = one.shiftLeft(448).subtract(one.shiftLeft(224)).subtract(one);
+		c = {
+			name: name,
+			p: p,
+			a: one,
+			d: p.subtract(new BigInteger("98a9", 16)),
+			n: new BigInteger("3fffffffffffffffffffffffffffffffffffffffffffffffffffffff7cca23e9c44edb49aed63690216cc2728dc58f552378c292ab5844f3", 16),
+			B: [new BigInteger("4f1970c66bed0ded221d15a622bf36da9e146570470f1767ea6de324a3d3a46412ae1af72ab66511433b80e18b00938e2626a82bc70cc05e", 16),
+				new BigInteger("693f46716eb6bc248876203756c9c7624bea73736ca3984087789c1e05a0c2d73ad3ff1ce67c39c4fdbd132c4ed7c8ad9808795bf230fa14", 16)],
+			len: 57,
+			cbits: 2,
+			sbits: 447
+		};
+	} else {
+		throw "unsupported curve name: " + name;
+	}
+	edparams[name] = c;
+	return c;
+}
+
+// === Edwards curve arithmetic ============================================
+// Points are kept in extended coordinates [X, Y, Z, T] where
+// x = X/Z, y = Y/Z and x*y = T/Z (Hisil, Wong, Carter and Dawson).
+
+/**
+ * @param {EdParams} c curve parameters
+ * @param {Array<BigInteger>} P point
+ * @param {Array<BigInteger>} Q point
+ * @return {Array<BigInteger>} P + Q
+ */
+function pointAdd(c, P, Q) {
+	let p = c.p;
+	let A = P[0].multiply(Q[0]).mod(p);
+	let B = P[1].multiply(Q[1]).mod(p);
+	let C = P[3].multiply(c.d).mod(p).multiply(Q[3]).mod(p);
+	let D = P[2].multiply(Q[2]).mod(p);
+	let E = P[0].add(P[1]).multiply(Q[0].add(Q[1])).subtract(A).subtract(B).mod(p);
+	let F = D.subtract(C).mod(p);
+	let G = D.add(C).mod(p);
+	let H = B.subtract(c.a.multiply(A)).mod(p);
+	return [E.multiply(F).mod(p), G.multiply(H).mod(p), F.multiply(G).mod(p), E.multiply(H).mod(p)];
+}
+
+/**
+ * @param {EdParams} c curve parameters
+ * @param {BigInteger} k scalar
+ * @param {Array<BigInteger>} P point
+ * @return {Array<BigInteger>} k * P
+ */
+function pointMultiply(c, k, P) {
+	let R = [BigInteger.ZERO(), BigInteger.ONE(), BigInteger.ONE(), BigInteger.ZERO()];
+	for (let i = k.bitLength() - 1; i >= 0; i--) {
+		R = pointAdd(c, R, R);
+		if (k.testBit(i)) R = pointAdd(c, R, P);
+	}
+	return R;
+}
+
+/**
+ * @param {EdParams} c curve parameters
+ * @param {BigInteger} k scalar
+ * @return {Array<BigInteger>} k * B of base point B
+ */
+function baseMultiply(c, k) {
+	let B = [c.B[0], c.B[1], BigInteger.ONE(), c.B[0].multiply(c.B[1]).mod(c.p)];
+	return pointMultiply(c, k, B);
+}
+
+/**
+ * encode point by RFC 8032 section 5.1.2 or 5.2.2
+ * @param {EdParams} c curve parameters
+ * @param {Array<BigInteger>} P point
+ * @return {string} hexadecimal string of encoded point
+ */
+function encodePoint(c, P) {
+	let zInv = P[2].modInverse(c.p);
+	let x = P[0].multiply(zInv).mod(c.p);
+	let y = P[1].multiply(zInv).mod(c.p);
+	if (x.testBit(0)) y = y.add(BigInteger.ONE().shiftLeft(c.len * 8 - 1));
+	return bitolehex(y, c.len);
+}
+
+/**
+ * decode point by RFC 8032 section 5.1.3 or 5.2.3
+ * @param {EdParams} c curve parameters
+ * @param {string} h hexadecimal string of encoded point
+ * @return {Array<BigInteger> | null} point or null if it is not a valid encoding
+ */
+function decodePoint(c, h) {
+	if (h.length != c.len * 2) return null;
+	let p = c.p;
+	let one = BigInteger.ONE();
+	let v = lehextobi(h);
+	let bSign = v.testBit(c.len * 8 - 1);
+	let y = v.mod(one.shiftLeft(c.len * 8 - 1));
+	if (y.compareTo(p) >= 0) return null;
+
+	// x^2 = (y^2 - 1) / (d y^2 - a)
+	let y2 = y.multiply(y).mod(p);
+	let u = y2.subtract(one).mod(p);
+	let w = c.d.multiply(y2).subtract(c.a).mod(p);
+	let x2 = u.multiply(w.modInverse(p)).mod(p);
+	/** @type {BigInteger} */ let x;
+	if (p.testBit(1)) {
+		// p = 3 (mod 4)
+		x = x2.modPow(p.add(one).shiftRight(2), p);
+	} else {
+		// p = 5 (mod 8)
+		x = x2.modPow(p.add(new BigInteger("3", 16)).shiftRight(3), p);
+		if (x.multiply(x).mod(p).compareTo(x2) != 0)
+			x = x.multiply(new BigInteger("2", 16).modPow(p.subtract(one).shiftRight(2), p)).mod(p);
+	}
+	if (x.multiply(x).mod(p).compareTo(x2) != 0) return null;
+	if (x.signum() == 0 && bSign) return null;
+	if (x.testBit(0) != bSign) x = p.subtract(x);
+	return [x, y, one, x.multiply(y).mod(p)];
+}
+
+/**
+ * hash function H of Ed25519 (SHA-512) or Ed448 (SHAKE256 with 114 octets)
+ * @param {EdParams} c curve parameters
+ * @param {string} h hexadecimal string of data
+ * @return {string} hexadecimal string of hash value
+ */
+function edHash(c, h) {
+	if (c.name === "Ed25519") return hashHex(h, 'sha512');
+	return new HasherSHAKE(256, 912).finalize(hextoUint8Array(h)).toString(Hex);
+}
+
+/**
+ * get prefix of hash input dom2/dom4 for a context
+ * @param {EdParams} c curve parameters
+ * @param {string=} hContext hexadecimal string of context (OPTION)
+ * @return {string} hexadecimal string of prefix
+ */
+function edDom(c, hContext) {
+	if (hContext === undefined) hContext = "";
+	if (c.name === "Ed25519") {
+		if (hContext !== "") throw "context not supported for Ed25519";
+		return "";
+	}
+	if (hContext.length > 510) throw "context too long";
+	return utf8tohex("SigEd448") + "00" + ("0" + (hContext.length / 2).toString(16)).slice(-2) + hContext;
+}
+
+/**
+ * get secret scalar and prefix from private key by RFC 8032 section 5.1.5 or 5.2.5
+ * @param {EdParams} c curve parameters
+ * @param {string} hPrv hexadecimal string of private key
+ * @return {{s: BigInteger, prefix: string}} secret scalar and hexadecimal string of prefix
+ */
+function expandPrivateKey(c, hPrv) {
+	if (hPrv.length != c.len * 2) throw "malformed private key length";
+	let h = edHash(c, hPrv);
+	let one = BigInteger.ONE();
+	let s = lehextobi(h.substr(0, c.len * 2));
+	s = s.shiftRight(c.cbits).shiftLeft(c.cbits).mod(one.shiftLeft(c.sbits)).add(one.shiftLeft(c.sbits));
+	return { s: s, prefix: h.substr(c.len * 2) };
+}
+
+/**
+ * class for Ed25519 and Ed448 key generation, EdDSA signing and verification
+ * @description
+ * <p>
+ * CAUTION: Most of the case, you don't need to use this class except
+ * for generating an EdDSA key pair. Please use {@link Signature} class
+ * with 'Ed25519' or 'Ed448' algorithm instead.
+ * </p>
+ * <p>
+ * This class implements PureEdDSA of
+ * <a href="https://tools.ietf.org/html/rfc8032">RFC 8032</a>
+ * by JavaScript. Following curve names are supported:
+ * <ul>
+ * <li>Ed25519 - 32 bytes private and public key and 64 bytes signature</li>
+ * <li>Ed448 - 57 bytes private and public key and 114 bytes signature
+ * with optional context</li>
+ * </ul>
+ * Private key is the 'seed' of RFC 8032 and public key is an encoded point
+ * which are the same as PKCS#8 and SubjectPublicKeyInfo of RFC 8410 and
+ * OKP JSON Web Key of RFC 8037.
+ * </p>
+ * @example
+ * let ed = new EdDSA({'curve': 'Ed25519'});
+ * let keypair = ed.generateKeyPairHex();
+ * let hSig = ed.signWithMessage("616161");
+ * ed.verifyWithMessage("616161", hSig) &rarr; true
+ */
+export class EdDSA {
+	/**
+	 * @param {Dictionary=} params parameters (ex. {'curve': 'Ed25519', 'prv': hPrv, 'pub': hPub})
+	 */
+	constructor(params) {
+		/** @type {string} */ this.curveName = "Ed25519";	// curve name default
+		/** @type {string | null} */ this.prvKeyHex = null;
+		/** @type {string | null} */ this.pubKeyHex = null;
+
+		this.type = "OKP";
+		this.isPrivate = false;
+		this.isPublic = false;
+
+		if (params !== undefined) {
+			if (params['curve'] !== undefined) {
+				this.curveName = String(params['curve']);
+			}
+		}
+		this.setNamedCurve(this.curveName);
+		if (params !== undefined) {
+			if (params['prv'] !== undefined) this.setPrivateKeyHex(params['prv']);
+			if (params['pub'] !== undefined) this.setPublicKeyHex(params['pub']);
+		}
+	}
+
+	/**
+	 * @param {string} curveName curve name "Ed25519" or "Ed448"
+	 */
+	setNamedCurve(curveName) {
+		let name = EdDSA.getName(curveName);
+		if (name === null) throw "unsupported curve name: " + curveName;
+		this.curveName = name;
+		this.prvKeyHex = null;
+		this.pubKeyHex = null;
+	}
+
+	/**
+	 * @param {string} prvKeyHex hexadecimal string of private key
+	 */
+	setPrivateKeyHex(prvKeyHex) {
+		this.isPrivate = true;
+		this.prvKeyHex = prvKeyHex;
+	}
+
+	/**
+	 * @param {string} pubKeyHex hexadecimal string of public key
+	 */
+	setPublicKeyHex(pubKeyHex) {
+		this.isPublic = true;
+		this.pubKeyHex = pubKeyHex;
+	}
+
+	/**
+	 * get byte length of private and public key
+	 * @return {number} 32 for Ed25519 and 57 for Ed448
+	 */
+	getKeyLength() {
+		return getEdParams(this.curveName).len;
+	}
+
+	/**
+	 * get hexadecimal string of public key
+	 * @return {string | null} hexadecimal string of public key or null if neither public nor private key is set
+	 * @description
+	 * When only private key is set, public key is calculated from it.
+	 * @example
+	 * ed = new EdDSA({'curve': 'Ed25519', 'prv': prvHex});
+	 * ed.getPublicKeyHex() &rarr; "d75a9801..."
+	 */
+	getPublicKeyHex() {
+		if (this.pubKeyHex !== null) return this.pubKeyHex;
+		if (this.prvKeyHex === null) return null;
+		let c = getEdParams(this.curveName);
+		let prv = expandPrivateKey(c, this.prvKeyHex);
+		this.pubKeyHex = encodePoint(c, baseMultiply(c, prv.s));
+		return this.pubKeyHex;
+	}
+
+	/**
+	 * generate an EdDSA key pair
+	 * @return {EdKeyPairHex} associative array of hexadecimal string of private and public key
+	 * @example
+	 * let ed = new EdDSA({'curve': 'Ed448'});
+	 * let keypair = ed.generateKeyPairHex();
+	 * let pubhex = keypair.edpubhex; // hexadecimal string of public key
+	 * let prvhex = keypair.edprvhex; // hexadecimal string of private key
+	 */
+	generateKeyPairHex() {
+		let hPrv = getRandomHexOfNbytes(this.getKeyLength());
+		this.pubKeyHex = null;
+		this.setPrivateKeyHex(hPrv);
+		let hPub = /** @type {string} */ ( this.getPublicKeyHex() );
+		this.setPublicKeyHex(hPub);
+		return { edprvhex: hPrv, edpubhex: hPub };
+	}
+
+	/**
+	 * sign message by private key
+	 * @param {string} hMsg hexadecimal string of message
+	 * @param {string=} hContext hexadecimal string of context up to 255 bytes for Ed448 (OPTION)
+	 * @return {string | null} hexadecimal string of signature value or null without private key
+	 * @description
+	 * EdDSA signs a message itself instead of its hash value.
+	 * The same key and message always make the same signature.
+	 * @example
+	 * let ed = new EdDSA({'curve': 'Ed25519', 'prv': prvHex});
+	 * let hSig = ed.signWithMessage("616161");
+	 */
+	signWithMessage(hMsg, hContext) {
+		if (this.prvKeyHex === null) return null;
+		let c = getEdParams(this.curveName);
+		let hDom = edDom(c, hContext);
+		let prv = expandPrivateKey(c, this.prvKeyHex);
+		let hPub = /** @type {string} */ ( this.getPublicKeyHex() );
+
+		let r = lehextobi(edHash(c, hDom + prv.prefix + hMsg)).mod(c.n);
+		let hR = encodePoint(c, baseMultiply(c, r));
+		let k = lehextobi(edHash(c, hDom + hR + hPub + hMsg)).mod(c.n);
+		let S = r.add(k.multiply(prv.s)).mod(c.n);
+		return hR + bitolehex(S, c.len);
+	}
+
+	/**
+	 * verify signature of message by public key
+	 * @param {string} hMsg hexadecimal string of message
+	 * @param {string} hSig hexadecimal string of signature value
+	 * @param {string=} hContext hexadecimal string of context up to 255 bytes for Ed448 (OPTION)
+	 * @return {boolean | null} true if the signature is valid otherwise false or null without public key
+	 * @example
+	 * let ed = new EdDSA({'curve': 'Ed25519', 'pub': pubHex});
+	 * ed.verifyWithMessage("616161", hSig) &rarr; true
+	 */
+	verifyWithMessage(hMsg, hSig, hContext) {
+		if (this.pubKeyHex === null) return null;
+		let c = getEdParams(this.curveName);
+		let hDom = edDom(c, hContext);
+		if (hSig.length != c.len * 4) return false;
+
+		let hR = hSig.substr(0, c.len * 2).toLowerCase();
+		let S = lehextobi(hSig.substr(c.len * 2));
+		if (S.compareTo(c.n) >= 0) return false;
+		let A = decodePoint(c, this.pubKeyHex);
+		if (A === null || decodePoint(c, hR) === null) return false;
+
+		// check [S]B - [k]A = R
+		let hPub = this.pubKeyHex.toLowerCase();
+		let k = lehextobi(edHash(c, hDom + hR + hPub + hMsg)).mod(c.n);
+		let negA = [c.p.subtract(A[0]).mod(c.p), A[1], A[2], c.p.subtract(A[3]).mod(c.p)];
+		let Q = pointAdd(c, baseMultiply(c, S), pointMultiply(c, k, negA));
+		return encodePoint(c, Q) === hR;
+	}
+
+	/**
+	 * read an ASN.1 hexadecimal string of PKCS#8 EdDSA private key<br/>
+	 * @param {string} h hexadecimal string of PKCS#8 EdDSA private key
+	 * @description
+	 * Public key in OneAsymmetricKey of RFC 5958 is also read if it exists.
+	 */
+	readPKCS8PrvKeyHex(h) {
+		if (isASN1HEX(h) === false)
+			throw "not ASN.1 hex string";
+
+		/** @type {string} */ let hOID;
+		/** @type {string} */ let hPrv;
+		/** @type {string | null} */ let hPub = null;
+		try {
+			hOID = getVbyList(h, 0, [1, 0], "06");
+			hPrv = getVbyList(h, 0, [2, 0], "04");
+			let a = getChildIdx(h, 0);
+			for (let i = 3; i < a.length; i++) {
+				if (h.substr(a[i], 2) === "81") hPub = getV(h, a[i]).substr(2);
+			}
+		} catch (ex) {
+			throw "malformed PKCS#8 plain EdDSA private key";
+		}
+
+		this.setNamedCurve(hOID);
+		this.setPrivateKeyHex(hPrv);
+		if (hPub !== null) this.pubKeyHex = hPub;
+	}
+
+	/**
+	 * read an ASN.1 hexadecimal string of PKCS#8 EdDSA public key<br/>
+	 * @param {string} h hexadecimal string of PKCS#8 EdDSA public key
+	 */
+	readPKCS8PubKeyHex(h) {
+		if (isASN1HEX(h) === false)
+			throw "not ASN.1 hex string";
+
+		/** @type {string} */ let hOID;
+		/** @type {string} */ let hPub;
+		try {
+			hOID = getVbyList(h, 0, [0, 0], "06");
+			hPub = getVbyList(h, 0, [1], "03").substr(2);
+		} catch (ex) {
+			throw "malformed PKCS#8 EdDSA public key";
+		}
+
+		this.setNamedCurve(hOID);
+		this.setPublicKeyHex(hPub);
+	}
+
+	/**
+	 * static method to get normalized EdDSA curve name from curve name or hexadecimal OID value
+	 * @param {string} s curve name (ex. ed25519) or hexadecimal OID value (ex. 2b6570)
+	 * @return {string | null} normalized curve name "Ed25519" or "Ed448" or null if not supported
+	 * @example
+	 * EdDSA.getName("2b6570") &rarr; "Ed25519"
+	 * EdDSA.getName("ed448") &rarr; "Ed448"
+	 * EdDSA.getName("X25519") &rarr; null // not supported
+	 */
+	static getName(s) {
+		if (s === "2b6570") return "Ed25519"; // 1.3.101.112
+		if (s === "2b6571") return "Ed448"; // 1.3.101.113
+		let lc = s.toLowerCase();
+		if (lc === "ed25519") return "Ed25519";
+		if (lc === "ed448") return "Ed448";
+		return null;
+	}
+}
@@ -0,0 +1,538 @@
+/*
+ * hasherex.js - SHA-3, SHAKE and SHA-512/t hash algorithms
+ *
+ * Copyright (c) 2020 Sergei Sovik <sergeisovik@yahoo.com>
+ *
+ * This software is licensed under the terms of the MIT License.
+ * https://kjur.github.io/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+"use strict";
+
+import { Hex } from "./../../js-crypto/modules/enc-hex.js"
+import { WordArray } from "./../../js-crypto/modules/wordarray.js"
+import { utf8tohex, hextoUint8Array, bytestohex, isBytes } from "./base64x-1.1.js"
+
+/**
+ * Extended hash algorithm module
+ * @description
+ * This module provides hash algorithms which are not supported in js-crypto:
+ * <ul>
+ * <li>{@link HasherSHA3} - SHA3-224, SHA3-256, SHA3-384 and SHA3-512 (FIPS 202)</li>
+ * <li>{@link HasherSHAKE} - SHAKE128 and SHAKE256 with fixed output length (FIPS 202)</li>
+ * <li>{@link HasherSHA512T} - SHA-512/224 and SHA-512/256 (FIPS 180-4)</li>
+ * <li>{@link HMACEx} - HMAC for above hash algorithms</li>
+ * </ul>
+ * Those hashers have the same update/finalize/reset interface as
+ * js-crypto Hasher so that they can be used by {@link MessageDigest} and {@link Mac}.
+ */
+
+/**
+ * convert data of update to byte array
+ * @param {string | WordArray | Uint8Array | ArrayBuffer} data UTF-8 string, WordArray or byte array
+ * @return {Uint8Array} byte array
+ */
+function toBytes(data) {
+	if (typeof data == "string") return hextoUint8Array(utf8tohex(data));
+	if (data instanceof Uint8Array) return data;
+	if (isBytes(data)) return hextoUint8Array(bytestohex(/** @type {ArrayBuffer} */ ( data )));
+	return hextoUint8Array(/** @type {WordArray} */ ( data ).toString(Hex));
+}
+
+/**
+ * abstract block hasher class with js-crypto Hasher compatible interface
+ */
+export class HasherEx {
+	/**
+	 * @param {number} blockBytes block byte length
+	 */
+	constructor(blockBytes) {
+		/** @type {number} */ this.blockSize = blockBytes / 4; // in 32-bit words as the same as Hasher
+		/** @protected @type {number} */ this.blockBytes = blockBytes;
+		/** @protected @type {Uint8Array} */ this.buffer = new Uint8Array(blockBytes);
+		/** @protected @type {number} */ this.bufferLen = 0;
+		/** @protected @type {number} */ this.totalLen = 0;
+	}
+
+	/**
+	 * reset hasher to initial state
+	 */
+	reset() {
+		this.bufferLen = 0;
+		this.totalLen = 0;
+		this.doReset();
+	}
+
+	/**
+	 * update hasher by data
+	 * @param {string | WordArray | Uint8Array | ArrayBuffer} data UTF-8 string, WordArray or byte array
+	 * @return {HasherEx} this object
+	 */
+	update(data) {
+		this.updateBytes(toBytes(data));
+		return this;
+	}
+
+	/**
+	 * update hasher by byte array
+	 * @param {Uint8Array} bytes byte array
+	 */
+	updateBytes(bytes) {
+		let n = this.blockBytes;
+		let i = 0;
+		this.totalLen += bytes.length;
+		if (this.bufferLen > 0) {
+			while (this.bufferLen < n && i < bytes.length) this.buffer[this.bufferLen++] = bytes[i++];
+			if (this.bufferLen < n) return;
+			this.doBlock(this.buffer, 0);
+			this.bufferLen = 0;
+		}
+		for (; bytes.length - i >= n; i += n) this.doBlock(bytes, i);
+		while (i < bytes.length) this.buffer[this.bufferLen++] = bytes[i++];
+	}
+
+	/**
+	 * complete hash calculation with optional final data and reset hasher
+	 * @param {(string | WordArray | Uint8Array | ArrayBuffer)=} data final data (OPTION)
+	 * @return {WordArray} hash value
+	 */
+	finalize(data) {
+		if (data !== undefined) this.update(data);
+		let hHash = bytestohex(this.doFinalize());
+		this.reset();
+		return Hex.parse(hHash);
+	}
+
+	/** @protected */
+	doReset() {}
+
+	/**
+	 * @protected
+	 * @param {Uint8Array} bytes
+	 * @param {number} offset
+	 */
+	doBlock(bytes, offset) {}
+
+	/**
+	 * @protected
+	 * @return {Uint8Array}
+	 */
+	doFinalize() { return new Uint8Array(0); }
+}
+
+// === Keccak ==============================================================
+
+/**
+ * Keccak round constants as pairs of low and high 32-bit words
+ * @type {Array<number>}
+ */
+const KECCAK_RC = [
+	0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808a, 0x80000000, 0x80008000, 0x80000000,
+	0x0000808b, 0x00000000, 0x80000001, 0x00000000, 0x80008081, 0x80000000, 0x00008009, 0x80000000,
+	0x0000008a, 0x00000000, 0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a, 0x00000000,
+	0x8000808b, 0x00000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000, 0x00008003, 0x80000000,
+	0x00008002, 0x80000000, 0x00000080, 0x80000000, 0x0000800a, 0x00000000, 0x8000000a, 0x80000000,
+	0x80008081, 0x80000000, 0x00008080, 0x80000000, 0x80000001, 0x00000000, 0x80008008, 0x80000000
+];
+
+/**
+ * Keccak rotation offsets for each lane x + 5 * y
+ * @type {Array<number>}
+ */
+const KECCAK_ROT = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+
+/**
+ * Keccak-f[1600] permutation
+ * @param {Int32Array} s state of 25 lanes as pairs of low and high 32-bit words
+ * @param {Int32Array} b work area of the same size as state
+ */
+function keccakF(s, b) {
+	let c = new Int32Array(10);
+	for (let round = 0; round < 24; round++) {
+		// theta
+		for (let x = 0; x < 5; x++) {
+			c[2 * x] = s[2 * x] ^ s[2 * x + 10] ^ s[2 * x + 20] ^ s[2 * x + 30] ^ s[2 * x + 40];
+			c[2 * x + 1] = s[2 * x + 1] ^ s[2 * x + 11] ^ s[2 * x + 21] ^ s[2 * x + 31] ^ s[2 * x + 41];
+		}
+		for (let x = 0; x < 5; x++) {
+			let x1 = ((x + 1) % 5) * 2;
+			let x4 = ((x + 4) % 5) * 2;
+			let dl = c[x4] ^ ((c[x1] << 1) | (c[x1 + 1] >>> 31));
+			let dh = c[x4 + 1] ^ ((c[x1 + 1] << 1) | (c[x1] >>> 31));
+			for (let y = 0; y < 25; y += 5) {
+				s[2 * (x + y)] ^= dl;
+				s[2 * (x + y) + 1] ^= dh;
+			}
+		}
+		// rho and pi
+		for (let x = 0; x < 5; x++) {
+			for (let y = 0; y < 5; y++) {
+				let i = x + 5 * y;
+				let j = y + 5 * ((2 * x + 3 * y) % 5);
+				let l = s[2 * i], h = s[2 * i + 1], n = KECCAK_ROT[i];
+				if (n >= 32) {
+					let t = l; l = h; h = t;
+					n -= 32;
+				}
+				if (n == 0) {
+					b[2 * j] = l;
+					b[2 * j + 1] = h;
+				} else {
+					b[2 * j] = (l << n) | (h >>> (32 - n));
+					b[2 * j + 1] = (h << n) | (l >>> (32 - n));
+				}
+			}
+		}
+		// chi
+		for (let y = 0; y < 25; y += 5) {
+			for (let x = 0; x < 5; x++) {
+				let i = 2 * (x + y), i1 = 2 * ((x + 1) % 5 + y), i2 = 2 * ((x + 2) % 5 + y);
+				s[i] = b[i] ^ (~b[i1] & b[i2]);
+				s[i + 1] = b[i + 1] ^ (~b[i1 + 1] & b[i2 + 1]);
+			}
+		}
+		// iota
+		s[0] ^= KECCAK_RC[2 * round];
+		s[1] ^= KECCAK_RC[2 * round + 1];
+	}
+}
+
+/**
+ * Keccak sponge hasher class
+ */
+class HasherKeccak extends HasherEx {
+	/**
+	 * @param {number} rate rate byte length
+	 * @param {number} suffix domain separation bits with first padding bit (0x06 for SHA-3, 0x1f for SHAKE)
+	 * @param {number} outputLen output byte length
+	 */
+	constructor(rate, suffix, outputLen) {
+		super(rate);
+		/** @private @type {number} */ this.suffix = suffix;
+		/** @private @type {number} */ this.outputLen = outputLen;
+		/** @private @type {Int32Array} */ this.state = new Int32Array(50);
+		/** @private @type {Int32Array} */ this.work = new Int32Array(50);
+	}
+
+	/** @override */
+	doReset() {
+		this.state.fill(0);
+	}
+
+	/**
+	 * @override
+	 * @param {Uint8Array} bytes
+	 * @param {number} offset
+	 */
+	doBlock(bytes, offset) {
+		let s = this.state;
+		for (let i = 0; i < this.blockBytes; i++) {
+			s[i >> 2] ^= bytes[offset + i] << (8 * (i & 3));
+		}
+		keccakF(s, this.work);
+	}
+
+	/**
+	 * @override
+	 * @return {Uint8Array}
+	 */
+	doFinalize() {
+		let n = this.blockBytes;
+		let block = new Uint8Array(n);
+		block.set(this.buffer.subarray(0, this.bufferLen));
+		block[this.bufferLen] ^= this.suffix;
+		block[n - 1] ^= 0x80;
+		this.doBlock(block, 0);
+
+		let out = new Uint8Array(this.outputLen);
+		let s = this.state;
+		for (let i = 0; i < this.outputLen; i++) {
+			let j = i % n;
+			if (i > 0 && j == 0) keccakF(s, this.work);
+			out[i] = s[j >> 2] >>> (8 * (j & 3));
+		}
+		return out;
+	}
+}
+
+/**
+ * SHA-3 hasher class (FIPS 202)
+ * @example
+ * new HasherSHA3(256).finalize("abc").toString(Hex) &rarr; "3a985da7..."
+ */
+export class HasherSHA3 extends HasherKeccak {
+	/**
+	 * @param {number} bits hash bit length 224, 256, 384 or 512
+	 */
+	constructor(bits) {
+		if (bits != 224 && bits != 256 && bits != 384 && bits != 512)
+			throw "unsupported SHA-3 length: " + bits;
+		super(200 - bits / 4, 0x06, bits / 8);
+		this.reset();
+	}
+}
+
+/**
+ * SHAKE extendable output function class with fixed output length (FIPS 202)
+ * @example
+ * new HasherSHAKE(128, 256).finalize("abc").toString(Hex) &rarr; "5881092d..."
+ */
+export class HasherSHAKE extends HasherKeccak {
+	/**
+	 * @param {number} bits security strength 128 or 256
+	 * @param {number} outputBits output bit length which is multiple of 8
+	 */
+	constructor(bits, outputBits) {
+		if (bits != 128 && bits != 256)
+			throw "unsupported SHAKE strength: " + bits;
+		if (outputBits <= 0 || outputBits % 8 != 0)
+			throw "unsupported SHAKE output length: " + outputBits;
+		super(200 - bits / 4, 0x1f, outputBits / 8);
+		this.reset();
+	}
+}
+
+// === SHA-512/t ===========================================================
+
+/**
+ * SHA-512 round constants as pairs of high and low 32-bit words
+ * @type {Array<number>}
+ */
+const SHA512_K = [
+	0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+	0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+	0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+	0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+	0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+	0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+	0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+	0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+	0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+	0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+	0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+	0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+	0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+	0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+	0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+	0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+	0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+	0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+	0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+	0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+];
+
+/**
+ * SHA-512/t initial hash values as pairs of high and low 32-bit words (FIPS 180-4 5.3.6)
+ * @type {Object<number, Array<number>>}
+ */
+const SHA512T_IV = {
+	224: [
+		0x8c3d37c8, 0x19544da2, 0x73e19966, 0x89dcd4d6, 0x1dfab7ae, 0x32ff9c82, 0x679dd514, 0x582f9fcf,
+		0x0f6d2b69, 0x7bd44da8, 0x77e36f73, 0x04c48942, 0x3f9d85a8, 0x6a1d36c8, 0x1112e6ad, 0x91d692a1
+	],
+	256: [
+		0x22312194, 0xfc2bf72c, 0x9f555fa3, 0xc84c64c2, 0x2393b86b, 0x6f53b151, 0x96387719, 0x5940eabd,
+		0x96283ee2, 0xa88effe3, 0xbe5e1e25, 0x53863992, 0x2b0199fc, 0x2c85b8aa, 0x0eb72ddc, 0x81c52ca2
+	]
+};
+
+/**
+ * get high word of 64-bit right rotation
+ * @param {number} h high word
+ * @param {number} l low word
+ * @param {number} n rotation bits (0 &lt; n &lt; 64, n != 32)
+ * @return {number}
+ */
+function rotrH(h, l, n) {
+	return (n < 32) ? (h >>> n) | (l << (32 - n)) : (l >>> (n - 32)) | (h << (64 - n));
+}
+
+/**
+ * get low word of 64-bit right rotation
+ * @param {number} h high word
+ * @param {number} l low word
+ * @param {number} n rotation bits (0 &lt; n &lt; 64, n != 32)
+ * @return {number}
+ */
+function rotrL(h, l, n) {
+	return (n < 32) ? (l >>> n) | (h << (32 - n)) : (h >>> (n - 32)) | (l << (64 - n));
+}
+
+/**
+ * SHA-512/t hasher class (FIPS 180-4)
+ * @example
+ * new HasherSHA512T(256).finalize("abc").toString(Hex) &rarr; "53048e26..."
+ */
+export class HasherSHA512T extends HasherEx {
+	/**
+	 * @param {number} bits truncated hash bit length 224 or 256
+	 */
+	constructor(bits) {
+		if (SHA512T_IV[bits] === undefined)
+			throw "unsupported SHA-512/t length: " + bits;
+		super(128);
+		/** @private @type {number} */ this.bits = bits;
+		/** @private @type {Int32Array} */ this.hash = new Int32Array(16);
+		/** @private @type {Int32Array} */ this.w = new Int32Array(160);
+		this.reset();
+	}
+
+	/** @override */
+	doReset() {
+		this.hash.set(SHA512T_IV[this.bits]);
+	}
+
+	/**
+	 * @override
+	 * @param {Uint8Array} bytes
+	 * @param {number} offset
+	 */
+	doBlock(bytes, offset) {
+		let w = this.w;
+		for (let i = 0; i < 32; i++) {
+			let j = offset + 4 * i;
+			w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+		}
+		for (let t = 16; t < 80; t++) {
+			let h15 = w[2 * t - 30], l15 = w[2 * t - 29];
+			let h2 = w[2 * t - 4], l2 = w[2 * t - 3];
+			let s0h = rotrH(h15, l15, 1) ^ rotrH(h15, l15, 8) ^ (h15 >>> 7);
+			let s0l = rotrL(h15, l15, 1) ^ rotrL(h15, l15, 8) ^ ((l15 >>> 7) | (h15 << 25));
+			let s1h = rotrH(h2, l2, 19) ^ rotrH(h2, l2, 61) ^ (h2 >>> 6);
+			let s1l = rotrL(h2, l2, 19) ^ rotrL(h2, l2, 61) ^ ((l2 >>> 6) | (h2 << 26));
+			let l = (s1l >>> 0) + (w[2 * t - 13] >>> 0) + (s0l >>> 0) + (w[2 * t - 31] >>> 0);
+			w[2 * t] = s1h + w[2 * t - 14] + s0h + w[2 * t - 32] + ((l / 0x100000000) | 0);
+			w[2 * t + 1] = l;
+		}
+
+		let H = this.hash;
+		let ah = H[0], al = H[1], bh = H[2], bl = H[3], ch = H[4], cl = H[5], dh = H[6], dl = H[7];
+		let eh = H[8], el = H[9], fh = H[10], fl = H[11], gh = H[12], gl = H[13], hh = H[14], hl = H[15];
+		for (let t = 0; t < 80; t++) {
+			let S1h = rotrH(eh, el, 14) ^ rotrH(eh, el, 18) ^ rotrH(eh, el, 41);
+			let S1l = rotrL(eh, el, 14) ^ rotrL(eh, el, 18) ^ rotrL(eh, el, 41);
+			let chh = (eh & fh) ^ (~eh & gh);
+			let chl = (el & fl) ^ (~el & gl);
+			let l1 = (hl >>> 0) + (S1l >>> 0) + (chl >>> 0) + (SHA512_K[2 * t + 1] >>> 0) + (w[2 * t + 1] >>> 0);
+			let t1h = hh + S1h + chh + SHA512_K[2 * t] + w[2 * t] + ((l1 / 0x100000000) | 0);
+			let t1l = l1 | 0;
+
+			let S0h = rotrH(ah, al, 28) ^ rotrH(ah, al, 34) ^ rotrH(ah, al, 39);
+			let S0l = rotrL(ah, al, 28) ^ rotrL(ah, al, 34) ^ rotrL(ah, al, 39);
+			let majh = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+			let majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+			let l2 = (S0l >>> 0) + (majl >>> 0);
+			let t2h = S0h + majh + ((l2 / 0x100000000) | 0);
+			let t2l = l2 | 0;
+
+			hh = gh; hl = gl;
+			gh = fh; gl = fl;
+			fh = eh; fl = el;
+			let le = (dl >>> 0) + (t1l >>> 0);
+			eh = (dh + t1h + ((le / 0x100000000) | 0)) | 0; el = le | 0;
+			dh = ch; dl = cl;
+			ch = bh; cl = bl;
+			bh = ah; bl = al;
+			let la = (t1l >>> 0) + (t2l >>> 0);
+			ah = (t1h + t2h + ((la / 0x100000000) | 0)) | 0; al = la | 0;
+		}
+
+		let a = [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl];
+		for (let i = 0; i < 16; i += 2) {
+			let l = (H[i + 1] >>> 0) + (a[i + 1] >>> 0);
+			H[i] = H[i] + a[i] + ((l / 0x100000000) | 0);
+			H[i + 1] = l;
+		}
+	}
+
+	/**
+	 * @override
+	 * @return {Uint8Array}
+	 */
+	doFinalize() {
+		let block = new Uint8Array(this.bufferLen < 112 ? 128 : 256);
+		block.set(this.buffer.subarray(0, this.bufferLen));
+		block[this.bufferLen] = 0x80;
+		let n = block.length;
+		let bitsH = Math.floor(this.totalLen / 0x20000000);
+		let bitsL = (this.totalLen * 8) >>> 0;
+		for (let i = 0; i < 4; i++) {
+			block[n - 8 + i] = bitsH >>> (24 - 8 * i);
+			block[n - 4 + i] = bitsL >>> (24 - 8 * i);
+		}
+		for (let i = 0; i < n; i += 128) this.doBlock(block, i);
+
+		let out = new Uint8Array(this.bits / 8);
+		for (let i = 0; i < out.length; i++) {
+			out[i] = this.hash[i >> 2] >>> (24 - 8 * (i & 3));
+		}
+		return out;
+	}
+}
+
+// === HMAC ================================================================
+
+/**
+ * HMAC class for {@link HasherEx} hashers with js-crypto HMAC compatible interface
+ * @description
+ * Block size of SHA-3 HMAC is its rate as defined in FIPS 202.
+ * @example
+ * let mac = new HMACEx(new HasherSHA3(256), Hex.parse("6b6579"));
+ * mac.update("message");
+ * mac.finalize().toString(Hex) &rarr; "..."
+ */
+export class HMACEx {
+	/**
+	 * @param {HasherEx} hasher hasher object
+	 * @param {WordArray | null} key HMAC key
+	 */
+	constructor(hasher, key) {
+		/** @private @type {HasherEx} */ this.hasher = hasher;
+		let n = hasher.blockSize * 4;
+		let k = (key !== null && key !== undefined) ? toBytes(key) : new Uint8Array(0);
+		if (k.length > n) k = toBytes(hasher.finalize(k));
+
+		/** @private @type {Uint8Array} */ this.iKey = new Uint8Array(n);
+		/** @private @type {Uint8Array} */ this.oKey = new Uint8Array(n);
+		for (let i = 0; i < n; i++) {
+			let b = (i < k.length) ? k[i] : 0;
+			this.iKey[i] = b ^ 0x36;
+			this.oKey[i] = b ^ 0x5c;
+		}
+		this.reset();
+	}
+
+	/**
+	 * reset HMAC to initial state
+	 */
+	reset() {
+		this.hasher.reset();
+		this.hasher.updateBytes(this.iKey);
+	}
+
+	/**
+	 * update HMAC by data
+	 * @param {string | WordArray | Uint8Array | ArrayBuffer} data UTF-8 string, WordArray or byte array
+	 * @return {HMACEx} this object
+	 */
+	update(data) {
+		this.hasher.update(data);
+		return this;
+	}
+
+	/**
+	 * complete HMAC calculation with optional final data and reset
+	 * @param {(string | WordArray | Uint8Array | ArrayBuffer)=} data final data (OPTION)
+	 * @return {WordArray} HMAC value
+	 */
+	finalize(data) {
+		let inner = this.hasher.finalize(data);
+		this.hasher.updateBytes(this.oKey);
+		let hmac = this.hasher.finalize(inner);
+		this.reset();
+		return hmac;
+	}
+}
@@ -0,0 +1,277 @@
+/*
+ * kdf.js - key derivation functions
+ *
+ * Copyright (c) 2020 Sergei Sovik <sergeisovik@yahoo.com>
+ *
+ * This software is licensed under the terms of the MIT License.
+ * https://kjur.github.io/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+"use strict";
+
+import { MessageDigest, Mac, HASHLENGTH } from "./crypto-1.1.js"
+import { isBytes, bytestohex } from "./base64x-1.1.js"
+import { Dictionary } from "./../../../include/type.js"
+
+/**
+ * key derivation function module
+ * @description
+ * This module provides key derivation functions which are built on
+ * {@link MessageDigest} and {@link Mac} so that any hash algorithm and
+ * provider supported by those classes can be used.
+ * <ul>
+ * <li>{@link hkdf}, {@link hkdfExtract}, {@link hkdfExpand} - RFC 5869 HKDF</li>
+ * <li>{@link x963KDF} - ANSI X9.63 KDF (SEC 1 section 3.6.1)</li>
+ * <li>{@link concatKDF} - NIST SP 800-56A one-step KDF (Concat KDF) used in JWE ECDH-ES</li>
+ * <li>{@link counterKDF} - NIST SP 800-108 KDF in counter mode with HMAC</li>
+ * </ul>
+ * Password based key derivation functions {@link pbkdf2} and {@link scrypt}
+ * are provided by crypto-1.1.js.
+ * Input values are hexadecimal strings, Uint8Array or ArrayBuffer and
+ * derived keys are returned as hexadecimal strings.
+ * Hash algorithm names are the same as {@link MessageDigest}
+ * (ex. 'sha256', 'SHA-384', 'sha3-256').
+ * @example
+ * hkdf('sha256', "0b0b...0b", "0001...0c", "f0f1...f9", 42) &rarr; "3cb25f25..."
+ * concatKDF('sha256', hZ, hOtherInfo, 16) &rarr; "56aa8dea..."
+ */
+
+/**
+ * get hexadecimal string of KDF input
+ * @param {string | Uint8Array | ArrayBuffer | null | undefined} value input value
+ * @return {string} hexadecimal string (empty if value is null or undefined)
+ * @throws {string} if value is not a hexadecimal string nor byte array
+ */
+function toHex(value) {
+	if (value === undefined || value === null) return "";
+	if (isBytes(value)) return bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( value ));
+	if (typeof value != "string" || value.length % 2 != 0 || !/^[0-9A-Fa-f]*$/.test(value))
+		throw "KDF input shall be hexadecimal string or byte array: " + value;
+	return value;
+}
+
+/**
+ * get hexadecimal string of big endian counter
+ * @param {number} i counter value
+ * @param {number} bits bit length of counter
+ * @return {string} hexadecimal string of counter
+ */
+function counterToHex(i, bits) {
+	let h = i.toString(16);
+	while (h.length < bits / 4) h = "0" + h;
+	return h;
+}
+
+/**
+ * get canonical hash algorithm name and check its output length
+ * @param {string} alg hash algorithm name
+ * @return {string} canonical hash algorithm name
+ * @throws {string} if hash algorithm is not supported
+ */
+function getHashAlg(alg) {
+	let hashAlg = /** @type {string} */ ( MessageDigest.getCanonicalAlgName(alg) );
+	if (HASHLENGTH[hashAlg] === undefined) throw "KDF unsupported hash algorithm: " + alg;
+	return hashAlg;
+}
+
+/**
+ * derive key by repeating hash of counter and data
+ * @param {string} hashAlg canonical hash algorithm name
+ * @param {string} hHead hexadecimal string before counter
+ * @param {string} hTail hexadecimal string after counter
+ * @param {number} len byte length of key to derive
+ * @return {string} hexadecimal string of derived key
+ */
+function hashCounterKDF(hashAlg, hHead, hTail, len) {
+	let hashLen = HASHLENGTH[hashAlg];
+	// counter is 32 bit and shall not be wrapped
+	if (!(len >= 0) || Math.ceil(len / hashLen) > 0xffffffff)
+		throw "KDF wrong key length: " + len;
+
+	let hKey = "";
+	for (let i = 1; hKey.length < len * 2; i++) {
+		let md = new MessageDigest(/** @type {Dictionary} */ ( { 'alg': hashAlg } ));
+		hKey += md.digestHex(hHead + counterToHex(i, 32) + hTail);
+	}
+	return hKey.substr(0, len * 2);
+}
+
+/**
+ * RFC 5869 HKDF-Extract<br/>
+ * @param {string} alg hash algorithm name (ex. 'sha256')
+ * @param {string | Uint8Array | ArrayBuffer} hIKM input keying material
+ * @param {(string | Uint8Array | ArrayBuffer | null)=} hSalt salt (OPTION, DEFAULT zeros of hash length)
+ * @return {string} hexadecimal string of pseudorandom key
+ * @throws {string} if hash algorithm is not supported
+ * @example
+ * hkdfExtract('sha256', "0b0b0b...", "000102...0c") &rarr; "077709362c2e32df..."
+ */
+export function hkdfExtract(alg, hIKM, hSalt) {
+	let hashAlg = getHashAlg(alg);
+	let hSaltHex = toHex(hSalt);
+	if (hSaltHex.length == 0) hSaltHex = counterToHex(0, HASHLENGTH[hashAlg] * 8);
+
+	let mac = new Mac(/** @type {Dictionary} */ ( { 'alg': "hmac" + hashAlg, 'pass': { 'hex': hSaltHex } } ));
+	return mac.doFinalHex(toHex(hIKM));
+}
+
+/**
+ * RFC 5869 HKDF-Expand<br/>
+ * @param {string} alg hash algorithm name (ex. 'sha256')
+ * @param {string | Uint8Array | ArrayBuffer} hPRK pseudorandom key of at least hash length
+ * @param {(string | Uint8Array | ArrayBuffer | null)=} hInfo context and application specific information (OPTION)
+ * @param {number} len byte length of output keying material up to 255 times hash length
+ * @return {string} hexadecimal string of output keying material
+ * @throws {string} if hash algorithm is not supported or length is too long
+ * @example
+ * hkdfExpand('sha256', "077709362c2e32df...", "f0f1...f9", 42) &rarr; "3cb25f25faacd57a..."
+ */
+export function hkdfExpand(alg, hPRK, hInfo, len) {
+	let hashAlg = getHashAlg(alg);
+	let hashLen = HASHLENGTH[hashAlg];
+	if (!(len >= 0) || len > 255 * hashLen) throw "HKDF wrong key length: " + len;
+
+	let hPRKHex = toHex(hPRK);
+	if (hPRKHex.length < hashLen * 2) throw "HKDF PRK shorter than hash length: " + alg;
+	let hInfoHex = toHex(hInfo);
+
+	let hT = "";
+	let hOKM = "";
+	for (let i = 1; hOKM.length < len * 2; i++) {
+		let mac = new Mac(/** @type {Dictionary} */ ( { 'alg': "hmac" + hashAlg, 'pass': { 'hex': hPRKHex } } ));
+		hT = mac.doFinalHex(hT + hInfoHex + counterToHex(i, 8));
+		hOKM += hT;
+	}
+	return hOKM.substr(0, len * 2);
+}
+
+/**
+ * RFC 5869 HKDF (extract and expand)<br/>
+ * @param {string} alg hash algorithm name (ex. 'sha256')
+ * @param {string | Uint8Array | ArrayBuffer} hIKM input keying material
+ * @param {string | Uint8Array | ArrayBuffer | null} hSalt salt (empty or null for zeros of hash length)
+ * @param {string | Uint8Array | ArrayBuffer | null} hInfo context and application specific information
+ * @param {number} len byte length of output keying material up to 255 times hash length
+ * @return {string} hexadecimal string of output keying material
+ * @throws {string} if hash algorithm is not supported or length is too long
+ * @example
+ * // RFC 5869 A.1
+ * hkdf('sha256', "0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b",
+ *      "000102030405060708090a0b0c", "f0f1f2f3f4f5f6f7f8f9", 42) &rarr;
+ * "3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865"
+ */
+export function hkdf(alg, hIKM, hSalt, hInfo, len) {
+	return hkdfExpand(alg, hkdfExtract(alg, hIKM, hSalt), hInfo, len);
+}
+
+/**
+ * ANSI X9.63 key derivation function<br/>
+ * @param {string} alg hash algorithm name (ex. 'sha256')
+ * @param {string | Uint8Array | ArrayBuffer} hZ shared secret
+ * @param {string | Uint8Array | ArrayBuffer | null} hSharedInfo shared information (empty or null if not used)
+ * @param {number} len byte length of key to derive
+ * @return {string} hexadecimal string of derived key
+ * @throws {string} if hash algorithm is not supported or length is too long
+ * @description
+ * This function derives key by Hash(Z || counter || SharedInfo) with
+ * 32 bit big endian counter starting from 1 as defined in ANSI X9.63 and
+ * SEC 1 section 3.6.1.
+ * @example
+ * x963KDF('sha256', "96c05619d56c328ab95fe84b18264b08725b85e33fd34f08", "", 16) &rarr;
+ * "443024c3dae66b95e6f5670601558f71"
+ */
+export function x963KDF(alg, hZ, hSharedInfo, len) {
+	return hashCounterKDF(getHashAlg(alg), toHex(hZ), toHex(hSharedInfo), len);
+}
+
+/**
+ * NIST SP 800-56A one-step key derivation function (Concat KDF)<br/>
+ * @param {string} alg hash algorithm name (ex. 'sha256')
+ * @param {string | Uint8Array | ArrayBuffer} hZ shared secret
+ * @param {string | Uint8Array | ArrayBuffer | null} hOtherInfo other information (empty or null if not used)
+ * @param {number} len byte length of key to derive
+ * @return {string} hexadecimal string of derived key
+ * @throws {string} if hash algorithm is not supported or length is too long
+ * @description
+ * This function derives key by Hash(counter || Z || OtherInfo) with
+ * 32 bit big endian counter starting from 1 as defined in
+ * NIST SP 800-56A section 5.8.1 and SP 800-56C section 4.
+ * OtherInfo shall be concatenated by caller, for example
+ * AlgorithmID, PartyUInfo, PartyVInfo and SuppPubInfo of
+ * RFC 7518 section 4.6.2 for JWE ECDH-ES.
+ * @example
+ * // RFC 7518 Appendix C
+ * concatKDF('sha256', "9e56d91d817135d372834283bf84269cfb316ea3da806a48f6daa7798cfe90c4",
+ *           "000000074131323847434d00000005416c69636500000003426f6200000080", 16) &rarr;
+ * "56aa8deaf8236d205c2228cd71a7101a"
+ */
+export function concatKDF(alg, hZ, hOtherInfo, len) {
+	return hashCounterKDF(getHashAlg(alg), "", toHex(hZ) + toHex(hOtherInfo), len);
+}
+
+/**
+ * NIST SP 800-108 key derivation function in counter mode with HMAC<br/>
+ * @param {string} alg hash algorithm name of HMAC (ex. 'sha256')
+ * @param {string | Uint8Array | ArrayBuffer} hKey key derivation key
+ * @param {number} len byte length of key to derive
+ * @param {Dictionary=} params fixed input data and counter parameters (OPTION)
+ * @return {string} hexadecimal string of derived key
+ * @throws {string} if hash algorithm or parameter is not supported
+ * @description
+ * This function derives key by HMAC(Key, [i] || FixedInput) with
+ * big endian counter [i] starting from 1 as defined in
+ * NIST SP 800-108 section 5.1.
+ * Following parameters are available:
+ * <ul>
+ * <li>label - hexadecimal string or byte array of Label (DEFAULT empty)</li>
+ * <li>context - hexadecimal string or byte array of Context (DEFAULT empty)</li>
+ * <li>fixedinput - hexadecimal string or byte array of whole fixed input data
+ *     instead of label and context (OPTION)</li>
+ * <li>rlen - bit length of counter 8, 16, 24 or 32 (DEFAULT 32)</li>
+ * </ul>
+ * When 'fixedinput' is not specified, fixed input data is
+ * Label || 0x00 || Context || [L]<sub>32</sub> where L is bit length of derived key.
+ * Empty key derivation key is also accepted.
+ * @example
+ * // NIST CAVP KDFCTR [PRF=HMAC_SHA1] [CTRLOCATION=BEFORE_FIXED] [RLEN=8_BITS] COUNT=0
+ * counterKDF('sha1', "00a39bd547fb88b2d98727cf64c195c61e1cad6c", 16, {'fixedinput':
+ *   "98132c1ffaf59ae5cbc0a3133d84c551bb97e0c75ecaddfc30056f6876f59803" +
+ *   "009bffc7d75c4ed46f40b8f80426750d15bc1ddb14ac5dcb69a68242", 'rlen': 8}) &rarr;
+ * "0611e1903609b47ad7a5fc2c82e47702"
+ * // fixed input data by label and context
+ * counterKDF('sha256', "000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f", 32,
+ *            {'label': "6b6579", 'context': "0102"}) &rarr;
+ * "a67f18a635247b2064b68510268a080777aaa7c9d0cb13591965666063e9a4d5"
+ */
+export function counterKDF(alg, hKey, len, params) {
+	let hashAlg = getHashAlg(alg);
+	let hashLen = HASHLENGTH[hashAlg];
+	if (params === undefined) params = /** @type {Dictionary} */ ( {} );
+
+	let rlen = (params['rlen'] !== undefined) ? params['rlen'] : 32;
+	if (rlen != 8 && rlen != 16 && rlen != 24 && rlen != 32)
+		throw "KDF unsupported counter length: " + rlen;
+	if (!(len >= 0) || Math.ceil(len / hashLen) >= Math.pow(2, rlen) || len * 8 > 0xffffffff)
+		throw "KDF wrong key length: " + len;
+
+	let hFixed;
+	if (params['fixedinput'] !== undefined) {
+		hFixed = toHex(params['fixedinput']);
+	} else {
+		hFixed = toHex(params['label']) + "00" + toHex(params['context']) + counterToHex(len * 8, 32);
+	}
+
+	// HMAC pads key with zeros so that empty key is the same as zeros
+	let hKeyHex = toHex(hKey);
+	if (hKeyHex.length == 0) hKeyHex = counterToHex(0, hashLen * 8);
+
+	let hOut = "";
+	for (let i = 1; hOut.length < len * 2; i++) {
+		let mac = new Mac(/** @type {Dictionary} */ ( { 'alg': "hmac" + hashAlg, 'pass': { 'hex': hKeyHex } } ));
+		hOut += mac.doFinalHex(counterToHex(i, rlen) + hFixed);
+	}
+	return hOut.substr(0, len * 2);
+}
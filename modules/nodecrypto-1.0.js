@@ -0,0 +1,127 @@
+/*
+ * nodecrypto.js - Node.js crypto module bridge for 'nodecrypto' provider
+ *
+ * Copyright (c) 2020 Sergei Sovik <sergeisovik@yahoo.com>
+ *
+ * This software is licensed under the terms of the MIT License.
+ * https://kjur.github.io/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+"use strict";
+
+import { KeyObject, getPEM } from "./keyutil-1.0.js"
+import { RSAKeyEx } from "./rsaex.js"
+import { ECDSA } from "./ecdsa-modified-1.0.js"
+
+/**
+ * Node.js crypto module bridge
+ * @description
+ * This module provides access to Node.js built-in 'crypto' module
+ * for 'nodecrypto' provider of {@link MessageDigest}, {@link Mac},
+ * {@link Signature} and {@link encrypt}/{@link decrypt} of Cipher module.
+ * The 'crypto' module is found by process.getBuiltinModule or
+ * CommonJS require automatically. In other environment such as
+ * a browser, it is unavailable and those classes fall back to
+ * the JavaScript implementation.
+ * The 'crypto' module can also be specified explicitly by {@link setNodeCrypto}.
+ * @example
+ * import * as crypto from "node:crypto";
+ * setNodeCrypto(crypto);
+ * setDefaultProvider('nodecrypto');
+ */
+
+/**
+ * Node.js crypto module (undefined if not resolved yet and null if unavailable)
+ * @type {Object | null | undefined}
+ */
+let nodeCrypto = undefined;
+
+/**
+ * list of hash algorithm names supported by Node.js crypto module
+ * @type {Array<string> | null}
+ */
+let aNodeHash = null;
+
+/**
+ * set Node.js crypto module explicitly<br/>
+ * @param {Object | null} mod Node.js crypto module or null to disable 'nodecrypto' provider
+ * @description
+ * This function is useful for an environment where the 'crypto' module
+ * can't be found automatically such as bundled ES modules on old Node.js.
+ * @example
+ * import * as crypto from "node:crypto";
+ * setNodeCrypto(crypto);
+ */
+export function setNodeCrypto(mod) {
+	nodeCrypto = mod;
+	aNodeHash = null;
+}
+
+/**
+ * get Node.js crypto module<br/>
+ * @return {Object | null} Node.js crypto module or null if unavailable
+ */
+export function getNodeCrypto() {
+	if (nodeCrypto !== undefined) return nodeCrypto;
+
+	nodeCrypto = null;
+	try {
+		let proc = (typeof globalThis !== "undefined") ? globalThis['process'] : undefined;
+		if (proc !== undefined && proc !== null && typeof proc['getBuiltinModule'] == "function") {
+			nodeCrypto = proc['getBuiltinModule']("crypto") || null;
+		} else if (typeof require == "function") {
+			nodeCrypto = require("crypto");
+		}
+	} catch (ex) {
+		nodeCrypto = null;
+	}
+	return nodeCrypto;
+}
+
+/**
+ * get Node.js hash algorithm name<br/>
+ * @param {string} alg canonical hash algorithm name (ex. 'sha256', 'sha3-256', 'sha512/256')
+ * @return {string | null} Node.js hash algorithm name (ex. 'sha512-256') or null if not supported
+ */
+export function getNodeHashName(alg) {
+	let c = getNodeCrypto();
+	if (c === null) return null;
+	if (aNodeHash === null) aNodeHash = c['getHashes']();
+	let name = alg.replace("/", "-");
+	return (aNodeHash.indexOf(name) != -1) ? name : null;
+}
+
+/**
+ * convert key object to Node.js KeyObject<br/>
+ * @param {KeyObject} keyObj RSAKeyEx, ECDSA, DSA or EdDSA key object
+ * @return {Object | null} Node.js KeyObject or null if the key can't be converted
+ * @description
+ * Private key is converted by PKCS#8 PEM and public key by
+ * SubjectPublicKeyInfo PEM. Null is returned for an RSA private key without
+ * CRT parameters, an EC private key without public key or a curve
+ * which is not supported by Node.js.
+ */
+export function getNodeKey(keyObj) {
+	let c = getNodeCrypto();
+	if (c === null) return null;
+
+	try {
+		if (keyObj.isPrivate === true) {
+			if (keyObj instanceof RSAKeyEx &&
+				(keyObj.p == null || keyObj.q == null || keyObj.dmp1 == null ||
+				 keyObj.dmq1 == null || keyObj.coeff == null))
+				return null;
+			if (keyObj instanceof ECDSA && keyObj.pubKeyHex === null) return null;
+			return c['createPrivateKey'](getPEM(keyObj, "PKCS8PRV"));
+		}
+		if (keyObj.isPublic === true) {
+			return c['createPublicKey'](getPEM(keyObj));
+		}
+	} catch (ex) {
+		return null;
+	}
+	return null;
+}
@@ -0,0 +1,247 @@
+/*
+ * pem.js - RFC 7468 PEM textual encoding library
+ *
+ * Copyright (c) 2020 Sergei Sovik <sergeisovik@yahoo.com>
+ *
+ * This software is licensed under the terms of the MIT License.
+ * https://kjur.github.io/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+"use strict";
+
+import { b64nltohex, hextob64nl, hextorstr, isBytes, bytestohex } from "./base64x-1.1.js"
+import { Dictionary } from "./../../../include/type.js"
+
+/**
+ * PEM textual encoding module
+ * @description
+ * This module reads and writes texts which contain one or more PEM blocks
+ * such as CA certificate bundles or files of a private key with
+ * its certificate chain.
+ * Each PEM block is represented by a dictionary which has following properties:
+ * <ul>
+ * <li>label - label of encapsulation boundaries (ex. 'CERTIFICATE')</li>
+ * <li>headers - dictionary of RFC 1421 style headers such as 'Proc-Type'
+ *     and 'DEK-Info' (empty if no headers)</li>
+ * <li>hex - hexadecimal string of DER encoded data</li>
+ * </ul>
+ * Here are major methods of this module.
+ * <ul>
+ * <li>{@link parsePEM} - get all PEM blocks in a text</li>
+ * <li>{@link getPEMBlock} - get first PEM block of specified label in a text</li>
+ * <li>{@link writePEM} - write PEM blocks to a text</li>
+ * </ul>
+ * By default, parsing is as lax as RFC 7468 section 2 allows for
+ * interoperability: white spaces in Base64 text and RFC 1421 headers
+ * are accepted. In strict mode, Base64 text shall be formatted as
+ * 'stricttextualmsg' of RFC 7468 section 3, that is, lines of 64 characters
+ * except the last one without headers nor white spaces.
+ * Explanatory text before, between and after PEM blocks
+ * is ignored in both modes.
+ * @example
+ * let aBlock = parsePEM(sBundle);
+ * aBlock[0] &rarr; {label: "CERTIFICATE", headers: {}, hex: "3082..."}
+ * parsePEM(sKeyFile)[0]['headers'] &rarr;
+ * {'Proc-Type': "4,ENCRYPTED", 'DEK-Info': "DES-EDE3-CBC,2E65..."}
+ * writePEM(aBlock) &rarr; "-----BEGIN CERTIFICATE-----\r\nMIIB..."
+ */
+
+/**
+ * regular expression of RFC 7468 label
+ * @type {RegExp}
+ */
+const PEM_LABEL = /^(?:[\x21-\x2c\x2e-\x7e](?:[- ]?[\x21-\x2c\x2e-\x7e])*)?$/;
+
+/**
+ * parse encapsulation boundary line
+ * @param {string} line line of text without new line
+ * @param {string} type boundary type 'BEGIN' or 'END'
+ * @param {boolean} strict true for RFC 7468 strict mode
+ * @return {string | null} label of boundary or null if line is not a boundary
+ * @throws {string} if label is not allowed by RFC 7468
+ */
+function parseBoundary(line, type, strict) {
+	if (!strict) line = line.replace(/[ \t]+$/, '');
+	let head = "-----" + type + " ";
+	if (line.substr(0, head.length) != head || line.substr(-5) != "-----") return null;
+	if (line.length < head.length + 5) return null;
+	let label = line.substring(head.length, line.length - 5);
+	if (!PEM_LABEL.test(label)) throw "malformed PEM label: " + label;
+	return label;
+}
+
+/**
+ * get hexadecimal string from Base64 text lines of PEM block
+ * @param {Array<string>} aLine lines of Base64 text
+ * @param {string} label label of PEM block for error messages
+ * @param {boolean} strict true for RFC 7468 strict mode
+ * @return {string} hexadecimal string of DER encoded data
+ * @throws {string} if Base64 text is malformed
+ */
+function getPEMBodyHex(aLine, label, strict) {
+	let b64;
+	if (strict) {
+		for (let i = 0; i < aLine.length; i++) {
+			let isLast = (i == aLine.length - 1);
+			if (aLine[i].length == 0 || aLine[i].length > 64 || (!isLast && aLine[i].length != 64))
+				throw "PEM Base64 line is not 64 characters: " + label;
+		}
+		b64 = aLine.join('');
+	} else {
+		b64 = aLine.join('').replace(/\s+/g, '');
+	}
+	if (!/^[0-9A-Za-z+\/]*={0,2}$/.test(b64) || b64.length % 4 == 1 ||
+		(strict && b64.length % 4 != 0))
+		throw "malformed PEM Base64 text: " + label;
+	return b64nltohex(b64);
+}
+
+/**
+ * get all PEM blocks in a text<br/>
+ * @param {string | Uint8Array | ArrayBuffer} s text or byte array of text with PEM blocks
+ * @param {Dictionary=} flags parsing options (OPTION)
+ * @return {Array<Dictionary>} array of PEM blocks
+ * @throws {string} if a PEM block is malformed
+ * @description
+ * This function parses all PEM blocks in a text in order.
+ * Following flags are available:
+ * <ul>
+ * <li>strict - true to parse by RFC 7468 'stricttextualmsg' rule (DEFAULT false)</li>
+ * <li>label - label of PEM blocks to get, other blocks are skipped (OPTION)</li>
+ * </ul>
+ * Any new line of LF, CRLF or CR is accepted.
+ * Except in strict mode, encapsulation boundaries which are not on
+ * their own lines such as PEM text joined to one line are also accepted.
+ * An empty array is returned when the text has no PEM block.
+ * @example
+ * parsePEM("explanatory text\n-----BEGIN CERTIFICATE-----\nMIIB...\n-----END CERTIFICATE-----\n...") &rarr;
+ * [{label: "CERTIFICATE", headers: {}, hex: "3082..."}, ...]
+ * parsePEM(sBundle, {'label': "CERTIFICATE"}) &rarr; certificates only
+ * parsePEM(sPEM, {'strict': true}) &rarr; throws for lines longer than 64 characters
+ */
+export function parsePEM(s, flags) {
+	if (isBytes(s)) s = hextorstr(bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( s )));
+	let strict = (flags !== undefined && flags['strict'] === true);
+	let labelOnly = (flags !== undefined) ? flags['label'] : undefined;
+
+	if (!strict) {
+		s = /** @type {string} */ ( s ).replace(/([^\r\n])(-----(?:BEGIN|END) [^\r\n]*?-----)/g, "$1\n$2")
+			.replace(/(-----(?:BEGIN|END) [^\r\n]*?-----)(?=[^\r\n])/g, "$1\n");
+	}
+	let aLine = /** @type {string} */ ( s ).split(/\r\n|\r|\n/);
+	/** @type {Array<Dictionary>} */ let result = [];
+	for (let i = 0; i < aLine.length; i++) {
+		let label = parseBoundary(aLine[i], "BEGIN", strict);
+		if (label === null) continue;
+
+		let headers = /** @type {Dictionary} */ ( {} );
+		/** @type {Array<string>} */ let aBody = [];
+		/** @type {string | null} */ let lastHeader = null;
+		let inHeaders = true;
+		let found = false;
+		for (i++; i < aLine.length; i++) {
+			let line = aLine[i];
+			let endLabel = parseBoundary(line, "END", strict);
+			if (endLabel !== null) {
+				if (endLabel != label)
+					throw "PEM END label mismatch: " + label + " != " + endLabel;
+				found = true;
+				break;
+			}
+			if (inHeaders && !strict) {
+				let m = line.match(/^([A-Za-z0-9-]+):[ \t]*(.*?)[ \t]*$/);
+				if (m !== null) {
+					headers[m[1]] = m[2];
+					lastHeader = m[1];
+					continue;
+				}
+				if (lastHeader !== null && /^[ \t]+\S/.test(line)) {
+					headers[lastHeader] += line.replace(/^[ \t]+|[ \t]+$/g, '');
+					continue;
+				}
+			}
+			if (inHeaders && strict && line.indexOf(":") != -1)
+				throw "PEM headers are not allowed in strict mode: " + label;
+			inHeaders = false;
+			if (strict && line.length == 0) throw "PEM Base64 line is not 64 characters: " + label;
+			if (!strict && /^\s*$/.test(line)) continue;
+			aBody.push(line);
+		}
+		if (!found) throw "can't find PEM footer: " + label;
+
+		if (labelOnly !== undefined && labelOnly != label) continue;
+		result.push(/** @type {Dictionary} */ ( {
+			'label': label,
+			'headers': headers,
+			'hex': getPEMBodyHex(aBody, label, strict)
+		} ));
+	}
+	return result;
+}
+
+/**
+ * get first PEM block of specified label in a text<br/>
+ * @param {string | Uint8Array | ArrayBuffer} s text or byte array of text with PEM blocks
+ * @param {string} label label of PEM block (ex. 'CERTIFICATE')
+ * @param {Dictionary=} flags parsing options of {@link parsePEM} (OPTION)
+ * @return {Dictionary | null} PEM block or null if not found
+ * @example
+ * getPEMBlock(sKeyAndChain, "PRIVATE KEY")['hex'] &rarr; "3082..."
+ */
+export function getPEMBlock(s, label, flags) {
+	let flags2 = /** @type {Dictionary} */ ( { 'label': label } );
+	if (flags !== undefined && flags['strict'] !== undefined) flags2['strict'] = flags['strict'];
+	let aBlock = parsePEM(s, flags2);
+	return (aBlock.length > 0) ? aBlock[0] : null;
+}
+
+/**
+ * write PEM blocks to a text<br/>
+ * @param {Array<Dictionary> | Dictionary} aBlock PEM block or array of PEM blocks
+ * @return {string} PEM formatted text
+ * @throws {string} if label or header is malformed
+ * @description
+ * Each PEM block shall have 'label' and 'hex' property.
+ * Optional 'headers' dictionary is written as RFC 1421 headers
+ * followed by an empty line.
+ * 'hex' may also be a Uint8Array or ArrayBuffer.
+ * Base64 text is written in lines of 64 characters and new line is CRLF
+ * as the same as {@link hextopem}.
+ * @example
+ * writePEM({'label': "CERTIFICATE", 'hex': "3082..."}) &rarr;
+ * "-----BEGIN CERTIFICATE-----\r\nMIIB...\r\n-----END CERTIFICATE-----\r\n"
+ * writePEM([
+ *   {'label': "RSA PRIVATE KEY", 'headers': {'Proc-Type': "4,ENCRYPTED", 'DEK-Info': "AES-256-CBC,..."}, 'hex': "..."},
+ *   {'label': "CERTIFICATE", 'hex': "3082..."}
+ * ])
+ */
+export function writePEM(aBlock) {
+	if (!Array.isArray(aBlock)) aBlock = [aBlock];
+
+	let s = "";
+	for (let i = 0; i < aBlock.length; i++) {
+		let block = aBlock[i];
+		let label = block['label'];
+		if (typeof label != "string" || !PEM_LABEL.test(label))
+			throw "malformed PEM label: " + label;
+		let hex = isBytes(block['hex']) ? bytestohex(block['hex']) : block['hex'];
+		if (typeof hex != "string") throw "PEM block has no data: " + label;
+
+		s += "-----BEGIN " + label + "-----\r\n";
+		let headers = block['headers'];
+		if (headers !== undefined && Object.keys(headers).length > 0) {
+			for (let name in headers) {
+				if (!/^[A-Za-z0-9-]+$/.test(name) || /[\r\n]/.test(headers[name]))
+					throw "malformed PEM header: " + name;
+				s += name + ": " + headers[name] + "\r\n";
+			}
+			s += "\r\n";
+		}
+		if (hex.length > 0) s += hextob64nl(hex) + "\r\n";
+		s += "-----END " + label + "-----\r\n";
+	}
+	return s;
+}
@@ -15,8 +15,8 @@
 
 import { oidHexToInt } from "./asn1-1.0.js"
 import { name2oid, oid2name, oid2atype } from "./asn1oid.js"
-import { getChildIdx, getV, getTLV, getVbyList, getTLVbyList, getIdxbyList, getVidx, oidname, hextooidstr } from "./asn1hex-1.1.js"
-import { pemtohex, hextoutf8, hextoip, hextoposhex, hextorstr } from "./base64x-1.1.js"
+import { getChildIdx, getV, getTLV, getVbyList, getTLVbyList, getIdxbyList, getVidx, oidname, hextooidstr, bertoder, checkDER } from "./asn1hex-1.1.js"
+import { pemtohex, hextoutf8, hextoip, hextoposhex, hextorstr, isBytes, bytestohex } from "./base64x-1.1.js"
 import { KeyObject, getKey } from "./keyutil-1.0.js"
 import { Signature } from "./crypto-1.1.js"
 import { Dictionary } from "./../../../include/type.js"
@@ -111,6 +111,7 @@ import { Dictionary } from "./../../../include/type.js"
 export class X509 {
 	constructor() {
 		/** @type {string | null} */ this.hex = null;
+		/** @type {string | null} */ this.hexOrig = null; // certificate as read, may be BER
 		this.version = 0; // version (1: X509v1, 3: X509v3, others: unspecified)
 		this.foffset = 0; // field index offset (-1: for X509v1, 0: for X509v3)
 		/** @type {Array<ExtInfo>} */ this.aExtInfo = null;
@@ -304,8 +305,8 @@ export class X509 {
 	}
 
     /**
-     * get a RSAKeyEx/ECDSA/DSA public key object of subjectPublicKeyInfo field.<br/>
-     * @return {KeyObject | null} RSAKeyEx/ECDSA/DSA public key object of subjectPublicKeyInfo field
+     * get a RSAKeyEx/ECDSA/DSA/EdDSA public key object of subjectPublicKeyInfo field.<br/>
+     * @return {KeyObject | null} RSAKeyEx/ECDSA/DSA/EdDSA public key object of subjectPublicKeyInfo field
      * @example
      * x = new X509();
      * x.readCertPEM(sCertPEM);
@@ -354,6 +355,7 @@ export class X509 {
      * @description
      * This method verifies signature value of hexadecimal string of 
      * X.509 certificate by specified public key object.
+     * Ed25519 and Ed448 signatures of RFC 8410 are also supported.
      * @example
      * pubKey = getKey(pemPublicKey); // or certificate
      * x = new X509();
@@ -364,7 +366,8 @@ export class X509 {
 		if (this.hex === null) return null;
 		let algName = /** @type {!string} */ ( this.getSignatureAlgorithmName() );
 		let hSigVal = /** @type {!string} */ ( this.getSignatureValueHex() );
-		let hTbsCert = getTLVbyList(this.hex, 0, [0], "30");
+		let hCert = (this.hexOrig !== null) ? this.hexOrig : this.hex;
+		let hTbsCert = getTLVbyList(hCert, 0, [0], "30");
 
 		let sig = new Signature(/** @type {Dictionary} */ ( { 'alg': algName } ));
 		sig.init(pubKey);
@@ -594,7 +597,7 @@ export class X509 {
      * If there is this in the certificate, it returns undefined;
      * <br>
      * NOTE: Supported extended key usage ID names are defined in
-     * name2oidList parameter in asn1x509.js file.
+     * name2oidList parameter in asn1oid.js file or registered by registerOID.
      * @example
      * x = new X509();
      * x.readCertPEM(sCertPEM); // parseExt() will also be called internally.
@@ -842,26 +845,39 @@ export class X509 {
 	// ===== read certificate =====================================
     /**
      * read PEM formatted X.509 certificate from string.<br/>
-     * @param {string} sCertPEM string for PEM formatted X.509 certificate
+     * @param {string | Uint8Array | ArrayBuffer} sCertPEM string or byte array for PEM formatted X.509 certificate
+     * @param {boolean=} strict (OPTION) reject certificate which is not strictly DER encoded
      * @example
      * x = new X509();
      * x.readCertPEM(sCertPEM); // read certificate
+     * x.readCertPEM(fs.readFileSync("cert.pem")); // read certificate file
      */
-	readCertPEM(sCertPEM) {
-		this.readCertHex(pemtohex(sCertPEM));
+	readCertPEM(sCertPEM, strict) {
+		if (isBytes(sCertPEM)) sCertPEM = hextorstr(bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( sCertPEM )));
+		this.readCertHex(pemtohex(/** @type {string} */ ( sCertPEM )), strict);
 	}
 
     /**
-     * read a hexadecimal string of X.509 certificate<br/>
-     * @param {string} sCertHex hexadecimal string of X.509 certificate
+     * read a hexadecimal string or byte array of X.509 certificate<br/>
+     * @param {string | Uint8Array | ArrayBuffer} sCertHex hexadecimal string or byte array of X.509 certificate
+     * @param {boolean=} strict (OPTION) reject certificate which is not strictly DER encoded
+     * @throws {string} in strict mode, if certificate violates DER rules (see {@link checkDER})
      * @description
-     * NOTE: {@link X509#parseExt} will called internally since jsrsasign 7.2.0.
+     * NOTE: {@link X509#parseExt} will called internally since jsrsasign 7.2.0.<br/>
+     * BER encoded certificate is converted to DER by {@link bertoder}
+     * unless 'strict' is true. Signature is verified for
+     * TBSCertificate as read by {@link X509#verifySignature}.
      * @example
      * x = new X509();
      * x.readCertHex("3082..."); // read certificate
+     * x.readCertHex("3082...", true); // read certificate only if it is DER
+     * x.readCertHex(new Uint8Array([0x30, 0x82, ...])); // read certificate from byte array
      */
-	readCertHex(sCertHex) {
-		this.hex = sCertHex;
+	readCertHex(sCertHex, strict) {
+		if (isBytes(sCertHex)) sCertHex = bytestohex(/** @type {Uint8Array | ArrayBuffer} */ ( sCertHex ));
+		if (strict === true) checkDER(sCertHex);
+		this.hexOrig = sCertHex;
+		this.hex = bertoder(sCertHex);
 		this.getVersion(); // set version parameter
 
 		try {
@@ -1078,9 +1094,9 @@ export function hex2attrTypeValue(hex, idx) {
 }
 
 /**
- * get RSA/DSA/ECDSA public key object from X.509 certificate hexadecimal string<br/>
- * @param {string} h hexadecimal string of X.509 certificate for RSA/ECDSA/DSA public key
- * @return {KeyObject} returns RSAKeyEx/ECDSA/DSA object of public key
+ * get RSA/DSA/ECDSA/EdDSA public key object from X.509 certificate hexadecimal string<br/>
+ * @param {string} h hexadecimal string of X.509 certificate for RSA/ECDSA/DSA/EdDSA public key
+ * @return {KeyObject} returns RSAKeyEx/ECDSA/DSA/EdDSA object of public key
  */
 export function getPublicKeyFromCertHex(h) {
 	let x = new X509();
@@ -1089,9 +1105,9 @@ export function getPublicKeyFromCertHex(h) {
 }
 
 /**
- * get RSA/DSA/ECDSA public key object from PEM certificate string
- * @param {string} sCertPEM PEM formatted RSA/ECDSA/DSA X.509 certificate
- * @return {KeyObject} returns RSAKeyEx/ECDSA/DSA object of public key
+ * get RSA/DSA/ECDSA/EdDSA public key object from PEM certificate string
+ * @param {string} sCertPEM PEM formatted RSA/ECDSA/DSA/EdDSA X.509 certificate
+ * @return {KeyObject} returns RSAKeyEx/ECDSA/DSA/EdDSA object of public key
  * @description
  * NOTE: DSA is also supported since x509 1.1.2.
  */
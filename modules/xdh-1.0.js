@@ -0,0 +1,365 @@
+/*
+ * xdh.js - XDH class for X25519 and X448 key agreement
+ *
+ * Copyright (c) 2020 Sergei Sovik <sergeisovik@yahoo.com>
+ *
+ * This software is licensed under the terms of the MIT License.
+ * https://kjur.github.io/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+"use strict";
+
+import { BigInteger } from "./../../js-bn/modules/jsbn.js"
+import { getVbyList, isASN1HEX } from "./asn1hex-1.1.js"
+import { getRandomHexOfNbytes } from "./crypto-1.1.js"
+import { lehextobi, bitolehex } from "./base64x-1.1.js"
+import { Dictionary } from "./../../../include/type.js"
+
+/** @typedef {{
+	xprvhex: string,
+	xpubhex: string
+}} XKeyPairHex */ export var XKeyPairHex;
+
+/** @typedef {{
+	name: string,
+	p: BigInteger,
+	a24: BigInteger,
+	u: BigInteger,
+	len: number,
+	bits: number
+}} XParams */ var XParams;
+
+/**
+ * cache of curve parameters by curve name
+ * @type {Object<string, XParams>}
+ */
+const xparams = {};
+
+/**
+ * get curve parameters of RFC 7748 section 4.1, 4.2 and 5
+ * @param {string} name normalized curve name "X25519" or "X448"
+ * @return {XParams} curve parameters
+ */
+function getXParams(name) {
+	if (xparams[name] !== undefined) return xparams[name];
+
+	let one = BigInteger.ONE();
+	/** @type {XParams} */ let c;
+	if (name === "X25519") {
+		c = {
+			name: name,
+			p: one.shiftLeft(255).subtract(new BigInteger("13", 16)),
+			a24: new BigInteger("1db41", 16), // 121665
+			u: new BigInteger("9", 16),
+			len: 32,
+			bits: 255
+		};
+	} else if (name === "X448") {
+		c = {
+			name: name,
+			p: one.shiftLeft(448).subtract(one.shiftLeft(224)).subtract(one),
+			a24: new BigInteger("98a9", 16), // 39081
+			u: new BigInteger("5", 16),
+			len: 56,
+			bits: 448
+		};
+	} else {
+		throw "unsupported curve name: " + name;
+	}
+	xparams[name] = c;
+	return c;
+}
+
+/**
+ * decode scalar by decodeScalar25519 or decodeScalar448 of RFC 7748 section 5
+ * @param {XParams} c curve parameters
+ * @param {string} h hexadecimal string of scalar
+ * @return {BigInteger} clamped scalar
+ */
+function decodeScalar(c, h) {
+	if (h.length != c.len * 2) throw "malformed private key length";
+	let k = lehextobi(h);
+	let one = BigInteger.ONE();
+	if (c.name === "X25519") {
+		k = k.shiftRight(3).shiftLeft(3).mod(one.shiftLeft(254)).add(one.shiftLeft(254));
+	} else {
+		k = k.shiftRight(2).shiftLeft(2).mod(one.shiftLeft(447)).add(one.shiftLeft(447));
+	}
+	return k;
+}
+
+/**
+ * decode u-coordinate by decodeUCoordinate of RFC 7748 section 5
+ * @param {XParams} c curve parameters
+ * @param {string} h hexadecimal string of u-coordinate
+ * @return {BigInteger} u-coordinate
+ */
+function decodeUCoordinate(c, h) {
+	if (h.length != c.len * 2) throw "malformed public key length";
+	let u = lehextobi(h);
+	// unused most significant bit of X25519 shall be masked
+	if (c.bits % 8 != 0) u = u.mod(BigInteger.ONE().shiftLeft(c.bits));
+	return u.mod(c.p);
+}
+
+/**
+ * scalar multiplication by Montgomery ladder of RFC 7748 section 5
+ * @param {XParams} c curve parameters
+ * @param {BigInteger} k clamped scalar
+ * @param {BigInteger} u u-coordinate
+ * @return {BigInteger} u-coordinate of k * u
+ */
+function ladder(c, k, u) {
+	let p = c.p;
+	let x2 = BigInteger.ONE();
+	let z2 = BigInteger.ZERO();
+	let x3 = u;
+	let z3 = BigInteger.ONE();
+	let swap = false;
+
+	for (let t = c.bits - 1; t >= 0; t--) {
+		let kt = k.testBit(t);
+		if (swap !== kt) {
+			let tmp = x2; x2 = x3; x3 = tmp;
+			tmp = z2; z2 = z3; z3 = tmp;
+		}
+		swap = kt;
+
+		let A = x2.add(z2).mod(p);
+		let AA = A.multiply(A).mod(p);
+		let B = x2.subtract(z2).mod(p);
+		let BB = B.multiply(B).mod(p);
+		let E = AA.subtract(BB).mod(p);
+		let C = x3.add(z3).mod(p);
+		let D = x3.subtract(z3).mod(p);
+		let DA = D.multiply(A).mod(p);
+		let CB = C.multiply(B).mod(p);
+		let DApCB = DA.add(CB).mod(p);
+		let DAmCB = DA.subtract(CB).mod(p);
+		x3 = DApCB.multiply(DApCB).mod(p);
+		z3 = u.multiply(DAmCB.multiply(DAmCB).mod(p)).mod(p);
+		x2 = AA.multiply(BB).mod(p);
+		z2 = E.multiply(AA.add(c.a24.multiply(E)).mod(p)).mod(p);
+	}
+	if (swap) {
+		x2 = x3;
+		z2 = z3;
+	}
+	return x2.multiply(z2.modPow(p.subtract(new BigInteger("2", 16)), p)).mod(p);
+}
+
+/**
+ * class for X25519 and X448 key generation and key agreement
+ * @description
+ * <p>
+ * This class implements X25519 and X448 Diffie-Hellman functions of
+ * <a href="https://tools.ietf.org/html/rfc7748">RFC 7748</a>
+ * by JavaScript. Following curve names are supported:
+ * <ul>
+ * <li>X25519 - 32 bytes private key, public key and shared secret</li>
+ * <li>X448 - 56 bytes private key, public key and shared secret</li>
+ * </ul>
+ * Private key is a scalar before clamping and public key is a u-coordinate
+ * which are the same as PKCS#8 and SubjectPublicKeyInfo of RFC 8410 and
+ * OKP JSON Web Key of RFC 8037.
+ * </p>
+ * <p>
+ * Shared secret is used as input keying material of a key derivation
+ * function such as {@link hkdf} or {@link concatKDF}.
+ * </p>
+ * @example
+ * let alice = new XDH({'curve': 'X25519'});
+ * alice.generateKeyPairHex();
+ * let bob = new XDH({'curve': 'X25519'});
+ * bob.generateKeyPairHex();
+ * alice.getSharedSecretHex(bob.getPublicKeyHex()) === bob.getSharedSecretHex(alice) &rarr; true
+ */
+export class XDH {
+	/**
+	 * @param {Dictionary=} params parameters (ex. {'curve': 'X25519', 'prv': hPrv, 'pub': hPub})
+	 */
+	constructor(params) {
+		/** @type {string} */ this.curveName = "X25519";	// curve name default
+		/** @type {string | null} */ this.prvKeyHex = null;
+		/** @type {string | null} */ this.pubKeyHex = null;
+
+		this.type = "OKP";
+		this.isPrivate = false;
+		this.isPublic = false;
+
+		if (params !== undefined) {
+			if (params['curve'] !== undefined) {
+				this.curveName = String(params['curve']);
+			}
+		}
+		this.setNamedCurve(this.curveName);
+		if (params !== undefined) {
+			if (params['prv'] !== undefined) this.setPrivateKeyHex(params['prv']);
+			if (params['pub'] !== undefined) this.setPublicKeyHex(params['pub']);
+		}
+	}
+
+	/**
+	 * @param {string} curveName curve name "X25519" or "X448"
+	 */
+	setNamedCurve(curveName) {
+		let name = XDH.getName(curveName);
+		if (name === null) throw "unsupported curve name: " + curveName;
+		this.curveName = name;
+		this.prvKeyHex = null;
+		this.pubKeyHex = null;
+	}
+
+	/**
+	 * @param {string} prvKeyHex hexadecimal string of private key
+	 */
+	setPrivateKeyHex(prvKeyHex) {
+		this.isPrivate = true;
+		this.prvKeyHex = prvKeyHex;
+	}
+
+	/**
+	 * @param {string} pubKeyHex hexadecimal string of public key
+	 */
+	setPublicKeyHex(pubKeyHex) {
+		this.isPublic = true;
+		this.pubKeyHex = pubKeyHex;
+	}
+
+	/**
+	 * get byte length of private key, public key and shared secret
+	 * @return {number} 32 for X25519 and 56 for X448
+	 */
+	getKeyLength() {
+		return getXParams(this.curveName).len;
+	}
+
+	/**
+	 * get hexadecimal string of public key
+	 * @return {string | null} hexadecimal string of public key or null if neither public nor private key is set
+	 * @description
+	 * When only private key is set, public key is calculated from it.
+	 * @example
+	 * x = new XDH({'curve': 'X25519', 'prv': prvHex});
+	 * x.getPublicKeyHex() &rarr; "8520f009..."
+	 */
+	getPublicKeyHex() {
+		if (this.pubKeyHex !== null) return this.pubKeyHex;
+		if (this.prvKeyHex === null) return null;
+		let c = getXParams(this.curveName);
+		this.pubKeyHex = bitolehex(ladder(c, decodeScalar(c, this.prvKeyHex), c.u), c.len);
+		return this.pubKeyHex;
+	}
+
+	/**
+	 * generate an X25519 or X448 key pair
+	 * @return {XKeyPairHex} associative array of hexadecimal string of private and public key
+	 * @example
+	 * let x = new XDH({'curve': 'X448'});
+	 * let keypair = x.generateKeyPairHex();
+	 * let pubhex = keypair.xpubhex; // hexadecimal string of public key
+	 * let prvhex = keypair.xprvhex; // hexadecimal string of private key
+	 */
+	generateKeyPairHex() {
+		let hPrv = getRandomHexOfNbytes(this.getKeyLength());
+		this.pubKeyHex = null;
+		this.setPrivateKeyHex(hPrv);
+		let hPub = /** @type {string} */ ( this.getPublicKeyHex() );
+		this.setPublicKeyHex(hPub);
+		return { xprvhex: hPrv, xpubhex: hPub };
+	}
+
+	/**
+	 * compute shared secret with private key of this object and public key of other party
+	 * @param {XDH | string} pubKey XDH object or hexadecimal string of public key of other party
+	 * @return {string} hexadecimal string of shared secret
+	 * @throws {string} if private key is not set, curves are different or shared secret is all zero
+	 * @description
+	 * All zero shared secret which is caused by a small order public key
+	 * is rejected as RFC 7748 section 6 and RFC 8037 section 3.2.
+	 * @example
+	 * let x = new XDH({'curve': 'X25519', 'prv': prvHex});
+	 * let hZ = x.getSharedSecretHex(otherPubHex);
+	 */
+	getSharedSecretHex(pubKey) {
+		if (this.prvKeyHex === null) throw "private key not set";
+		/** @type {string} */ let hPub;
+		if (pubKey instanceof XDH) {
+			if (pubKey.curveName !== this.curveName)
+				throw "curve mismatch: " + this.curveName + " != " + pubKey.curveName;
+			let h = pubKey.getPublicKeyHex();
+			if (h === null) throw "public key not set";
+			hPub = h;
+		} else {
+			hPub = pubKey;
+		}
+
+		let c = getXParams(this.curveName);
+		let z = ladder(c, decodeScalar(c, this.prvKeyHex), decodeUCoordinate(c, hPub));
+		if (z.signum() == 0) throw "shared secret is all zero";
+		return bitolehex(z, c.len);
+	}
+
+	/**
+	 * read an ASN.1 hexadecimal string of PKCS#8 X25519/X448 private key<br/>
+	 * @param {string} h hexadecimal string of PKCS#8 X25519/X448 private key
+	 */
+	readPKCS8PrvKeyHex(h) {
+		if (isASN1HEX(h) === false)
+			throw "not ASN.1 hex string";
+
+		/** @type {string} */ let hOID;
+		/** @type {string} */ let hPrv;
+		try {
+			hOID = getVbyList(h, 0, [1, 0], "06");
+			hPrv = getVbyList(h, 0, [2, 0], "04");
+		} catch (ex) {
+			throw "malformed PKCS#8 plain XDH private key";
+		}
+
+		this.setNamedCurve(hOID);
+		this.setPrivateKeyHex(hPrv);
+	}
+
+	/**
+	 * read an ASN.1 hexadecimal string of PKCS#8 X25519/X448 public key<br/>
+	 * @param {string} h hexadecimal string of PKCS#8 X25519/X448 public key
+	 */
+	readPKCS8PubKeyHex(h) {
+		if (isASN1HEX(h) === false)
+			throw "not ASN.1 hex string";
+
+		/** @type {string} */ let hOID;
+		/** @type {string} */ let hPub;
+		try {
+			hOID = getVbyList(h, 0, [0, 0], "06");
+			hPub = getVbyList(h, 0, [1], "03").substr(2);
+		} catch (ex) {
+			throw "malformed PKCS#8 XDH public key";
+		}
+
+		this.setNamedCurve(hOID);
+		this.setPublicKeyHex(hPub);
+	}
+
+	/**
+	 * static method to get normalized XDH curve name from curve name or hexadecimal OID value
+	 * @param {string} s curve name (ex. x25519) or hexadecimal OID value (ex. 2b656e)
+	 * @return {string | null} normalized curve name "X25519" or "X448" or null if not supported
+	 * @example
+	 * XDH.getName("2b656e") &rarr; "X25519"
+	 * XDH.getName("x448") &rarr; "X448"
+	 * XDH.getName("Ed25519") &rarr; null // not supported
+	 */
+	static getName(s) {
+		if (s === "2b656e") return "X25519"; // 1.3.101.110
+		if (s === "2b656f") return "X448"; // 1.3.101.111
+		let lc = s.toLowerCase();
+		if (lc === "x25519") return "X25519";
+		if (lc === "x448") return "X448";
+		return null;
+	}
+}
@@ -16,4 +16,658 @@
 
 "use strict";
 
-//platform.console.log('js-rsasign', 'Skip Test');
+import { Dictionary } from "./../../include/type.js"
+import { getVblen, setDecodeLimits, ASN1DecodeLimitError } from "./modules/asn1bytes-1.0.js"
+import { hkdf, hkdfExtract, hkdfExpand, x963KDF, concatKDF, counterKDF } from "./modules/kdf-1.0.js"
+import { getPEM, getKey, parseHexOfEncryptedPKCS8 } from "./modules/keyutil-1.0.js"
+import { ECDSA } from "./modules/ecdsa-modified-1.0.js"
+import { DSA } from "./modules/dsa-2.0.js"
+import { hashString, Signature } from "./modules/crypto-1.1.js"
+import { XDH } from "./modules/xdh-1.0.js"
+import { EdDSA } from "./modules/eddsa-1.0.js"
+import { pemtohex, lehextobi, bitolehex } from "./modules/base64x-1.1.js"
+
+/**
+ * check test result
+ * @param {string} name name of test
+ * @param {*} actual actual value
+ * @param {*} expected expected value
+ * @throws {string} if actual value differs from expected one
+ */
+function check(name, actual, expected) {
+	if (actual !== expected)
+		throw "test failed: " + name + ": " + actual + " != " + expected;
+}
+
+/**
+ * check that function throws
+ * @param {string} name name of test
+ * @param {function()} f function to call
+ * @param {function(*):boolean=} isExpected checks thrown value (OPTION)
+ * @throws {string} if function doesn't throw expected value
+ */
+function checkThrows(name, f, isExpected) {
+	try {
+		f();
+	} catch (ex) {
+		if (isExpected !== undefined && !isExpected(ex))
+			throw "test failed: " + name + ": unexpected error " + ex;
+		return;
+	}
+	throw "test failed: " + name + ": no error";
+}
+
+// ===== asn1bytes: decode limits ============================================
+
+/**
+ * @param {number} depth
+ * @return {string} hexadecimal string of nested BER indefinite length SEQUENCEs
+ */
+function nestedIndefiniteHex(depth) {
+	let h = "020101";
+	for (let i = 0; i < depth; i++) h = "3080" + h + "0000";
+	return h;
+}
+
+setDecodeLimits({ 'maxDepth': 8 });
+check("indefinite length within maxDepth", getVblen(nestedIndefiniteHex(8), 0), 3 + 7 * 4);
+for (let i = 0; i < 16; i++) {
+	checkThrows("indefinite length over maxDepth", function () {
+		getVblen(nestedIndefiniteHex(10), 0);
+	}, function (ex) { return ex instanceof ASN1DecodeLimitError; });
+}
+// rejected input shall not affect following input
+check("indefinite length after limit error", getVblen("30800201010000", 0), 3);
+check("nested indefinite length after limit error", getVblen(nestedIndefiniteHex(8), 0), 3 + 7 * 4);
+setDecodeLimits({ 'maxDepth': 64 });
+
+// ===== kdf: published test vectors =======================================
+
+// RFC 5869 A.1, A.3 and A.4
+check("HKDF-Extract RFC 5869 A.1", hkdfExtract('sha256', "0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b",
+	"000102030405060708090a0b0c"),
+	"077709362c2e32df0ddc3f0dc47bba6390b6c73bb50f9c3122ec844ad7c2b3e5");
+check("HKDF-Expand RFC 5869 A.1", hkdfExpand('sha256',
+	"077709362c2e32df0ddc3f0dc47bba6390b6c73bb50f9c3122ec844ad7c2b3e5", "f0f1f2f3f4f5f6f7f8f9", 42),
+	"3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865");
+check("HKDF RFC 5869 A.3", hkdf('sha256', "0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b", "", "", 42),
+	"8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8");
+check("HKDF RFC 5869 A.4", hkdf('sha1', "0b0b0b0b0b0b0b0b0b0b0b",
+	"000102030405060708090a0b0c", "f0f1f2f3f4f5f6f7f8f9", 42),
+	"085a01ea1b10f36933068b56efa5ad81a4f14b822f5b091568a9cdd4f155fda2c22e422478d305f3f896");
+
+// NIST CAVS ANSI X9.63 KDF SHA-256
+check("X9.63 KDF", x963KDF('sha256', "96c05619d56c328ab95fe84b18264b08725b85e33fd34f08", "", 16),
+	"443024c3dae66b95e6f5670601558f71");
+check("X9.63 KDF with SharedInfo", x963KDF('sha256', "22518b10e70f2a3f243810ae3254139efbee04aa57c7af7d",
+	"75eef81aa3041e33b80971203d2c0c52", 128),
+	"c498af77161cc59f2962b9a713e2b215152d139766ce34a776df11866a69bf2e" +
+	"52a13d9c7c6fc878c50c5ea0bc7b00e0da2447cfd874f6cf92f30d0097111485" +
+	"500c90c3af8b487872d04685d14c8d1dc8d7fa08beb0ce0ababc11f0bd496269" +
+	"142d43525a78e5bc79a17f59676a5706dc54d54d4d1f0bd7e386128ec26afc21");
+
+// RFC 7518 Appendix C and NIST SP 800-56A Concat KDF SHA-256
+check("Concat KDF RFC 7518 C", concatKDF('sha256', "9e56d91d817135d372834283bf84269cfb316ea3da806a48f6daa7798cfe90c4",
+	"000000074131323847434d00000005416c69636500000003426f6200000080", 16),
+	"56aa8deaf8236d205c2228cd71a7101a");
+check("Concat KDF", concatKDF('sha256', "52169af5c485dcc2321eb8d26d5efa21fb9b93c98e38412ee2484cf14f0d0d23",
+	"a1b2c3d4e53728157e634612c12d6d5223e204aeea4341565369647bd184bcd246f72971f292badaa2fe4124612cba", 16),
+	"1c3bc9e7c4547c5191c0d478cccaed55");
+
+// NIST CAVP KDFCTR [PRF=HMAC_SHA1] [CTRLOCATION=BEFORE_FIXED] [RLEN=8_BITS]
+check("SP 800-108 counter KDF COUNT=0", counterKDF('sha1', "00a39bd547fb88b2d98727cf64c195c61e1cad6c", 16, /** @type {Dictionary} */ ( {
+	'fixedinput': "98132c1ffaf59ae5cbc0a3133d84c551bb97e0c75ecaddfc30056f6876f59803" +
+		"009bffc7d75c4ed46f40b8f80426750d15bc1ddb14ac5dcb69a68242", 'rlen': 8 } )),
+	"0611e1903609b47ad7a5fc2c82e47702");
+check("SP 800-108 counter KDF COUNT=1", counterKDF('sha1', "a39bdf744ed7e33fdec060c8736e9725179885a8", 16, /** @type {Dictionary} */ ( {
+	'fixedinput': "af71b44940acff98949ad17f1ca20e8fdb3957cacdcd41e9c591e18235019f90" +
+		"b9f8ee6e75700bcab2f8407525a104799b3e9725e27d738a9045e832", 'rlen': 8 } )),
+	"51dc4668947e3685099bc3b5f8527468");
+check("SP 800-108 counter KDF by label and context", counterKDF('sha256',
+	"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f", 32,
+	/** @type {Dictionary} */ ( { 'label': "6b6579", 'context': "0102" } )),
+	"a67f18a635247b2064b68510268a080777aaa7c9d0cb13591965666063e9a4d5");
+check("SP 800-108 counter KDF with empty key", counterKDF('sha256', "", 16, /** @type {Dictionary} */ ( { 'label': "6b6579" } )),
+	"0aaae61e7fa7e0983d6a351622ec27c3");
+
+// ===== keyutil: encrypted PKCS#8 ===========================================
+
+/**
+ * @param {string} name
+ * @param {ECDSA} key
+ * @param {Dictionary|undefined} pbkdf2Param
+ * @param {string} prf
+ * @param {number} iter
+ */
+function checkEncryptedPKCS8(name, key, pbkdf2Param, prf, iter) {
+	let pem = getPEM(key, "PKCS8PRV", "passcode", undefined, undefined, undefined, pbkdf2Param);
+	let info = parseHexOfEncryptedPKCS8(pemtohex(pem, "ENCRYPTED PRIVATE KEY"));
+	check(name + " prf", (info.pbkdf2Prf !== undefined) ? info.pbkdf2Prf : 'sha1', prf);
+	check(name + " iteration count", info.pbkdf2Iter, iter);
+	check(name + " decrypted key", /** @type {ECDSA} */ ( getKey(pem, "passcode") ).prvKeyHex, key.prvKeyHex);
+}
+
+let ecPrvKey = new ECDSA(/** @type {Dictionary} */ ( { 'curve': "secp256r1" } ));
+ecPrvKey.generateKeyPairHex();
+checkEncryptedPKCS8("encrypted PKCS#8 by default", ecPrvKey, undefined, 'sha256', 2048);
+checkEncryptedPKCS8("encrypted PKCS#8 by HmacSHA1", ecPrvKey,
+	/** @type {Dictionary} */ ( { 'prf': "sha1", 'iter': 1000 } ), 'sha1', 1000);
+checkEncryptedPKCS8("encrypted PKCS#8 by HmacSHA512", ecPrvKey,
+	/** @type {Dictionary} */ ( { 'prf': "SHA-512", 'iter': 5000 } ), 'sha512', 5000);
+checkThrows("encrypted PKCS#8 by unsupported prf", function () {
+	getPEM(ecPrvKey, "PKCS8PRV", "passcode", undefined, undefined, undefined,
+		/** @type {Dictionary} */ ( { 'prf': "md5" } ));
+});
+
+// ===== crypto: RFC 6979 deterministic DSA and ECDSA =========================
+
+/**
+ * @param {string} name name of test
+ * @param {string} curve name of curve
+ * @param {string} prvHex hexadecimal string of private key
+ * @param {Array<Array<string>>} sigs list of hash algorithm, message, r and s
+ */
+function checkRFC6979ECDSA(name, curve, prvHex, sigs) {
+	let ec = new ECDSA(/** @type {Dictionary} */ ( { 'curve': curve } ));
+	for (let i = 0; i < sigs.length; i++) {
+		let alg = sigs[i][0];
+		let msg = sigs[i][1];
+		check(name + " " + alg + " " + msg, ec.signHex(hashString(msg, alg), prvHex, alg),
+			ECDSA.hexRSSigToASN1Sig(sigs[i][2], sigs[i][3]));
+	}
+}
+
+/**
+ * @param {string} name name of test
+ * @param {Dictionary} param hexadecimal string of DSA parameters p, q, g and private key x
+ * @param {Array<Array<string>>} sigs list of hash algorithm, message, r and s
+ */
+function checkRFC6979DSA(name, param, sigs) {
+	let key = new DSA();
+	key.setPrivateHex(param['p'], param['q'], param['g'], null, param['x']);
+	for (let i = 0; i < sigs.length; i++) {
+		let alg = sigs[i][0];
+		let msg = sigs[i][1];
+		check(name + " " + alg + " " + msg, key.signWithMessageHash(hashString(msg, alg), alg),
+			ECDSA.hexRSSigToASN1Sig(sigs[i][2], sigs[i][3]));
+	}
+}
+
+checkRFC6979ECDSA("RFC 6979 A.2.3 P-192", "secp192r1",
+	"6fab034934e4c0fc9ae67f5b5659a9d7d1fefd187ee09fd4", [
+	["sha1", "sample",
+		"98c6bd12b23eaf5e2a2045132086be3eb8ebd62abf6698ff",
+		"57a22b07dea9530f8de9471b1dc6624472e8e2844bc25b64"],
+	["sha224", "sample",
+		"a1f00dad97aeec91c95585f36200c65f3c01812aa60378f5",
+		"e07ec1304c7c6c9debbe980b9692668f81d4de7922a0f97a"],
+	["sha256", "sample",
+		"4b0b8ce98a92866a2820e20aa6b75b56382e0f9bfd5ecb55",
+		"ccdb006926ea9565cbadc840829d8c384e06de1f1e381b85"],
+	["sha384", "sample",
+		"da63bf0b9abcf948fbb1e9167f136145f7a20426dcc287d5",
+		"c3aa2c960972bd7a2003a57e1c4c77f0578f8ae95e31ec5e"],
+	["sha512", "sample",
+		"4d60c5ab1996bd848343b31c00850205e2ea6922dac2e4b8",
+		"3f6e837448f027a1bf4b34e796e32a811cbb4050908d8f67"],
+	["sha1", "test",
+		"0f2141a0ebbc44d2e1af90a50ebcfce5e197b3b7d4de036d",
+		"eb18bc9e1f3d7387500cb99cf5f7c157070a8961e38700b7"],
+	["sha224", "test",
+		"6945a1c1d1b2206b8145548f633bb61cef04891baf26ed34",
+		"b7fb7fdfc339c0b9bd61a9f5a8eaf9be58fc5cba2cb15293"],
+	["sha256", "test",
+		"3a718bd8b4926c3b52ee6bbe67ef79b18cb6eb62b1ad97ae",
+		"5662e6848a4a19b1f1ae2f72acd4b8bbe50f1eac65d9124f"],
+	["sha384", "test",
+		"b234b60b4db75a733e19280a7a6034bd6b1ee88af5332367",
+		"7994090b2d59bb782be57e74a44c9a1c700413f8abefe77a"],
+	["sha512", "test",
+		"fe4f4ae86a58b6507946715934fe2d8ff9d95b6b098fe739",
+		"74cf5605c98fba0e1ef34d4b5a1577a7dcf59457cae52290"]
+]);
+checkRFC6979ECDSA("RFC 6979 A.2.4 P-224", "secp224r1",
+	"f220266e1105bfe3083e03ec7a3a654651f45e37167e88600bf257c1", [
+	["sha1", "sample",
+		"22226f9d40a96e19c4a301ce5b74b115303c0f3a4fd30fc257fb57ac",
+		"66d1cdd83e3af75605dd6e2feff196d30aa7ed7a2edf7af475403d69"],
+	["sha224", "sample",
+		"1cdfe6662dde1e4a1ec4cdedf6a1f5a2fb7fbd9145c12113e6abfd3e",
+		"a6694fd7718a21053f225d3f46197ca699d45006c06f871808f43ebc"],
+	["sha256", "sample",
+		"61aa3da010e8e8406c656bc477a7a7189895e7e840cdfe8ff42307ba",
+		"bc814050dab5d23770879494f9e0a680dc1af7161991bde692b10101"],
+	["sha384", "sample",
+		"0b115e5e36f0f9ec81f1325a5952878d745e19d7bb3eabfaba77e953",
+		"830f34ccdfe826ccfdc81eb4129772e20e122348a2bbd889a1b1af1d"],
+	["sha512", "sample",
+		"074bd1d979d5f32bf958ddc61e4fb4872adcafeb2256497cdac30397",
+		"a4ceca196c3d5a1ff31027b33185dc8ee43f288b21ab342e5d8eb084"],
+	["sha1", "test",
+		"deaa646ec2af2ea8ad53ed66b2e2ddaa49a12efd8356561451f3e21c",
+		"95987796f6cf2062ab8135271de56ae55366c045f6d9593f53787bd2"],
+	["sha224", "test",
+		"c441ce8e261ded634e4cf84910e4c5d1d22c5cf3b732bb204dbef019",
+		"902f42847a63bdc5f6046ada114953120f99442d76510150f372a3f4"],
+	["sha256", "test",
+		"ad04dde87b84747a243a631ea47a1ba6d1faa059149ad2440de6fba6",
+		"178d49b1ae90e3d8b629be3db5683915f4e8c99fdf6e666cf37adcfd"],
+	["sha384", "test",
+		"389b92682e399b26518a95506b52c03bc9379a9dadf3391a21fb0ea4",
+		"414a718ed3249ff6dbc5b50c27f71f01f070944da22ab1f78f559aab"],
+	["sha512", "test",
+		"049f050477c5add858cac56208394b5a55baebbe887fdf765047c17c",
+		"077eb13e7005929cefa3cd0403c7cdcc077adf4e44f3c41b2f60ecff"]
+]);
+checkRFC6979ECDSA("RFC 6979 A.2.5 P-256", "secp256r1",
+	"c9afa9d845ba75166b5c215767b1d6934e50c3db36e89b127b8a622b120f6721", [
+	["sha1", "sample",
+		"61340c88c3aaebeb4f6d667f672ca9759a6ccaa9fa8811313039ee4a35471d32",
+		"6d7f147dac089441bb2e2fe8f7a3fa264b9c475098fdcf6e00d7c996e1b8b7eb"],
+	["sha224", "sample",
+		"53b2fff5d1752b2c689df257c04c40a587fababb3f6fc2702f1343af7ca9aa3f",
+		"b9afb64fdc03dc1a131c7d2386d11e349f070aa432a4acc918bea988bf75c74c"],
+	["sha256", "sample",
+		"efd48b2aacb6a8fd1140dd9cd45e81d69d2c877b56aaf991c34d0ea84eaf3716",
+		"f7cb1c942d657c41d436c7a1b6e29f65f3e900dbb9aff4064dc4ab2f843acda8"],
+	["sha384", "sample",
+		"0eafea039b20e9b42309fb1d89e213057cbf973dc0cfc8f129edddc800ef7719",
+		"4861f0491e6998b9455193e34e7b0d284ddd7149a74b95b9261f13abde940954"],
+	["sha512", "sample",
+		"8496a60b5e9b47c825488827e0495b0e3fa109ec4568fd3f8d1097678eb97f00",
+		"2362ab1adbe2b8adf9cb9edab740ea6049c028114f2460f96554f61fae3302fe"],
+	["sha1", "test",
+		"0cbcc86fd6abd1d99e703e1ec50069ee5c0b4ba4b9ac60e409e8ec5910d81a89",
+		"01b9d7b73dfaa60d5651ec4591a0136f87653e0fd780c3b1bc872ffdeae479b1"],
+	["sha224", "test",
+		"c37edb6f0ae79d47c3c27e962fa269bb4f441770357e114ee511f662ec34a692",
+		"c820053a05791e521fcaad6042d40aea1d6b1a540138558f47d0719800e18f2d"],
+	["sha256", "test",
+		"f1abb023518351cd71d881567b1ea663ed3efcf6c5132b354f28d3b0b7d38367",
+		"019f4113742a2b14bd25926b49c649155f267e60d3814b4c0cc84250e46f0083"],
+	["sha384", "test",
+		"83910e8b48bb0c74244ebdf7f07a1c5413d61472bd941ef3920e623fbccebeb6",
+		"8ddbec54cf8cd5874883841d712142a56a8d0f218f5003cb0296b6b509619f2c"],
+	["sha512", "test",
+		"461d93f31b6540894788fd206c07cfa0cc35f46fa3c91816fff1040ad1581a04",
+		"39af9f15de0db8d97e72719c74820d304ce5226e32dedae67519e840d1194e55"]
+]);
+checkRFC6979ECDSA("RFC 6979 A.2.6 P-384", "secp384r1",
+	"6b9d3dad2e1b8c1c05b19875b6659f4de23c3b667bf297ba9aa47740787137d896d5724e4c70a825f872c9ea60d2edf5", [
+	["sha1", "sample",
+		"ec748d839243d6fbef4fc5c4859a7dffd7f3abddf72014540c16d73309834fa37b9ba002899f6fda3a4a9386790d4eb2",
+		"a3bcfa947beef4732bf247ac17f71676cb31a847b9ff0cbc9c9ed4c1a5b3facf26f49ca031d4857570ccb5ca4424a443"],
+	["sha224", "sample",
+		"42356e76b55a6d9b4631c865445dbe54e056d3b3431766d0509244793c3f9366450f76ee3de43f5a125333a6be060122",
+		"9da0c81787064021e78df658f2fbb0b042bf304665db721f077a4298b095e4834c082c03d83028efbf93a3c23940ca8d"],
+	["sha256", "sample",
+		"21b13d1e013c7fa1392d03c5f99af8b30c570c6f98d4ea8e354b63a21d3daa33bde1e888e63355d92fa2b3c36d8fb2cd",
+		"f3aa443fb107745bf4bd77cb3891674632068a10ca67e3d45db2266fa7d1feebefdc63eccd1ac42ec0cb8668a4fa0ab0"],
+	["sha384", "sample",
+		"94edbb92a5ecb8aad4736e56c691916b3f88140666ce9fa73d64c4ea95ad133c81a648152e44acf96e36dd1e80fabe46",
+		"99ef4aeb15f178cea1fe40db2603138f130e740a19624526203b6351d0a3a94fa329c145786e679e7b82c71a38628ac8"],
+	["sha512", "sample",
+		"ed0959d5880ab2d869ae7f6c2915c6d60f96507f9cb3e047c0046861da4a799cfe30f35cc900056d7c99cd7882433709",
+		"512c8cceee3890a84058ce1e22dbc2198f42323ce8aca9135329f03c068e5112dc7cc3ef3446defceb01a45c2667fdd5"],
+	["sha1", "test",
+		"4bc35d3a50ef4e30576f58cd96ce6bf638025ee624004a1f7789a8b8e43d0678acd9d29876daf46638645f7f404b11c7",
+		"d5a6326c494ed3ff614703878961c0fde7b2c278f9a65fd8c4b7186201a2991695ba1c84541327e966fa7b50f7382282"],
+	["sha224", "test",
+		"e8c9d0b6ea72a0e7837fea1d14a1a9557f29faa45d3e7ee888fc5bf954b5e62464a9a817c47ff78b8c11066b24080e72",
+		"07041d4a7a0379ac7232ff72e6f77b6ddb8f09b16cce0ec3286b2bd43fa8c6141c53ea5abef0d8231077a04540a96b66"],
+	["sha256", "test",
+		"6d6defac9ab64dabafe36c6bf510352a4cc27001263638e5b16d9bb51d451559f918eedaf2293be5b475cc8f0188636b",
+		"2d46f3becbcc523d5f1a1256bf0c9b024d879ba9e838144c8ba6baeb4b53b47d51ab373f9845c0514eefb14024787265"],
+	["sha384", "test",
+		"8203b63d3c853e8d77227fb377bcf7b7b772e97892a80f36ab775d509d7a5feb0542a7f0812998da8f1dd3ca3cf023db",
+		"ddd0760448d42d8a43af45af836fce4de8be06b485e9b61b827c2f13173923e06a739f040649a667bf3b828246baa5a5"],
+	["sha512", "test",
+		"a0d5d090c9980faf3c2ce57b7ae951d31977dd11c775d314af55f76c676447d06fb6495cd21b4b6e340fc236584fb277",
+		"976984e59b4c77b0e8e4460dca3d9f20e07b9bb1f63beefaf576f6b2e8b224634a2092cd3792e0159ad9cee37659c736"]
+]);
+checkRFC6979ECDSA("RFC 6979 A.2.7 P-521", "secp521r1",
+	"0fad06daa62ba3b25d2fb40133da757205de67f5bb0018fee8c86e1b68c7e75caa896eb32f1f47c70855836a6d16fcc1466f6d8fbec67db89ec0c08b0e996b83538", [
+	["sha1", "sample",
+		"00343b6ec45728975ea5cba6659bbb6062a5ff89eea58be3c80b619f322c87910fe092f7d45bb0f8eee01ed3f20babec079d202ae677b243ab40b5431d497c55d75d",
+		"00e7b0e675a9b24413d448b8cc119d2bf7b2d2df032741c096634d6d65d0dbe3d5694625fb9e8104d3b842c1b0e2d0b98bea19341e8676aef66ae4eba3d5475d5d16"],
+	["sha224", "sample",
+		"01776331cfcdf927d666e032e00cf776187bc9fdd8e69d0dabb4109ffe1b5e2a30715f4cc923a4a5e94d2503e9acfed92857b7f31d7152e0f8c00c15ff3d87e2ed2e",
+		"0050cb5265417fe2320bbb5a122b8e1a32bd699089851128e360e620a30c7e17ba41a666af126ce100e5799b153b60528d5300d08489ca9178fb610a2006c254b41f"],
+	["sha256", "sample",
+		"01511bb4d675114fe266fc4372b87682baecc01d3cc62cf2303c92b3526012659d16876e25c7c1e57648f23b73564d67f61c6f14d527d54972810421e7d87589e1a7",
+		"004a171143a83163d6df460aaf61522695f207a58b95c0644d87e52aa1a347916e4f7a72930b1bc06dbe22ce3f58264afd23704cbb63b29b931f7de6c9d949a7ecfc"],
+	["sha384", "sample",
+		"01ea842a0e17d2de4f92c15315c63ddf72685c18195c2bb95e572b9c5136ca4b4b576ad712a52be9730627d16054ba40cc0b8d3ff035b12ae75168397f5d50c67451",
+		"01f21a3cee066e1961025fb048bd5fe2b7924d0cd797babe0a83b66f1e35eeaf5fde143fa85dc394a7dee766523393784484bdf3e00114a1c857cde1aa203db65d61"],
+	["sha512", "sample",
+		"00c328fafcbd79dd77850370c46325d987cb525569fb63c5d3bc53950e6d4c5f174e25a1ee9017b5d450606add152b534931d7d4e8455cc91f9b15bf05ec36e377fa",
+		"00617cce7cf5064806c467f678d3b4080d6f1cc50af26ca209417308281b68af282623eaa63e5b5c0723d8b8c37ff0777b1a20f8ccb1dccc43997f1ee0e44da4a67a"],
+	["sha1", "test",
+		"013bad9f29abe20de37ebeb823c252ca0f63361284015a3bf430a46aaa80b87b0693f0694bd88afe4e661fc33b094cd3b7963bed5a727ed8bd6a3a202abe009d0367",
+		"01e9bb81ff7944ca409ad138dbbee228e1afcc0c890fc78ec8604639cb0dbdc90f717a99ead9d272855d00162ee9527567dd6a92cbd629805c0445282bbc916797ff"],
+	["sha224", "test",
+		"01c7ed902e123e6815546065a2c4af977b22aa8eaddb68b2c1110e7ea44d42086bfe4a34b67ddc0e17e96536e358219b23a706c6a6e16ba77b65e1c595d43cae17fb",
+		"0177336676304fcb343ce028b38e7b4fba76c1c1b277da18cad2a8478b2a9a9f5bec0f3ba04f35db3e4263569ec6aade8c92746e4c82f8299ae1b8f1739f8fd519a4"],
+	["sha256", "test",
+		"000e871c4a14f993c6c7369501900c4bc1e9c7b0b4ba44e04868b30b41d8071042eb28c4c250411d0ce08cd197e4188ea4876f279f90b3d8d74a3c76e6f1e4656aa8",
+		"00cd52dbaa33b063c3a6cd8058a1fb0a46a4754b034fcc644766ca14da8ca5ca9fde00e88c1ad60ccba759025299079d7a427ec3cc5b619bfbc828e7769bcd694e86"],
+	["sha384", "test",
+		"014bee21a18b6d8b3c93fab08d43e739707953244fdbe924fa926d76669e7ac8c89df62ed8975c2d8397a65a49dcc09f6b0ac62272741924d479354d74ff6075578c",
+		"0133330865c067a0eaf72362a65e2d7bc4e461e8c8995c3b6226a21bd1aa78f0ed94fe536a0dca35534f0cd1510c41525d163fe9d74d134881e35141ed5e8e95b979"],
+	["sha512", "test",
+		"013e99020abf5cee7525d16b69b229652ab6bdf2affcaef38773b4b7d08725f10cdb93482fdcc54edcee91eca4166b2a7c6265ef0ce2bd7051b7cef945babd47ee6d",
+		"01fbd0013c674aa79cb39849527916ce301c66ea7ce8b80682786ad60f98f7e78a19ca69eff5c57400e3b3a0ad66ce0978214d13baf4e9ac60752f7b155e2de4dce3"]
+]);
+checkRFC6979DSA("RFC 6979 A.2.1 DSA1024", /** @type {Dictionary} */ ( {
+	'p': "86f5ca03dcfeb225063ff830a0c769b9dd9d6153ad91d7ce27f787c43278b447" +
+		"e6533b86b18bed6e8a48b784a14c252c5be0dbf60b86d6385bd2f12fb763ed88" +
+		"73abfd3f5ba2e0a8c0a59082eac056935e529daf7c610467899c77adedfc846c" +
+		"881870b7b19b2b58f9be0521a17002e3bdd6b86685ee90b3d9a1b02b782b1779",
+	'q': "996f967f6c8e388d9e28d01e205fba957a5698b1",
+	'g': "07b0f92546150b62514bb771e2a0c0ce387f03bda6c56b505209ff25fd3c133d" +
+		"89bbcd97e904e09114d9a7defdeadfc9078ea544d2e401aeecc40bb9fbbf78fd" +
+		"87995a10a1c27cb7789b594ba7efb5c4326a9fe59a070e136db77175464adca4" +
+		"17be5dce2f40d10a46a3a3943f26ab7fd9c0398ff8c76ee0a56826a8a88f1dbd",
+	'x': "411602cb19a6ccc34494d79d98ef1e7ed5af25f7"
+} ), [
+	["sha1", "sample",
+		"2e1a0c2562b2912caaf89186fb0f42001585da55",
+		"29efb6b0aff2d7a68eb70ca313022253b9a88df5"],
+	["sha224", "sample",
+		"4bc3b686aea70145856814a6f1bb53346f02101e",
+		"410697b92295d994d21edd2f4ada85566f6f94c1"],
+	["sha256", "sample",
+		"81f2f5850be5bc123c43f71a3033e9384611c545",
+		"4cdd914b65eb6c66a8aaad27299bee6b035f5e89"],
+	["sha384", "sample",
+		"07f2108557ee0e3921bc1774f1ca9b410b4ce65a",
+		"54df70456c86fac10fab47c1949ab83f2c6f7595"],
+	["sha512", "sample",
+		"16c3491f9b8c3fbbdd5e7a7b667057f0d8ee8e1b",
+		"02c36a127a7b89edbb72e4ffbc71dabc7d4fc69c"],
+	["sha1", "test",
+		"42ab2052fd43e123f0607f115052a67dcd9c5c77",
+		"183916b0230d45b9931491d4c6b0bd2fb4aaf088"],
+	["sha224", "test",
+		"6868e9964e36c1689f6037f91f28d5f2c30610f2",
+		"49cec3acdc83018c5bd2674ecaad35b8cd22940f"],
+	["sha256", "test",
+		"22518c127299b0f6fdc9872b282b9e70d0790812",
+		"6837ec18f150d55de95b5e29be7af5d01e4fe160"],
+	["sha384", "test",
+		"854cf929b58d73c3cbfdc421e8d5430cd6db5e66",
+		"91d0e0f53e22f898d158380676a871a157cda622"],
+	["sha512", "test",
+		"8ea47e475ba8ac6f2d821da3bd212d11a3deb9a0",
+		"7c670c7ad72b6c050c109e1790008097125433e8"]
+]);
+checkRFC6979DSA("RFC 6979 A.2.2 DSA2048", /** @type {Dictionary} */ ( {
+	'p': "9db6fb5951b66bb6fe1e140f1d2ce5502374161fd6538df1648218642f0b5c48" +
+		"c8f7a41aadfa187324b87674fa1822b00f1ecf8136943d7c55757264e5a1a44f" +
+		"fe012e9936e00c1d3e9310b01c7d179805d3058b2a9f4bb6f9716bfe6117c6b5" +
+		"b3cc4d9be341104ad4a80ad6c94e005f4b993e14f091eb51743bf33050c38de2" +
+		"35567e1b34c3d6a5c0ceaa1a0f368213c3d19843d0b4b09dcb9fc72d39c8de41" +
+		"f1bf14d4bb4563ca28371621cad3324b6a2d392145bebfac748805236f5ca2fe" +
+		"92b871cd8f9c36d3292b5509ca8caa77a2adfc7bfd77dda6f71125a7456fea15" +
+		"3e433256a2261c6a06ed3693797e7995fad5aabbcfbe3eda2741e375404ae25b",
+	'q': "f2c3119374ce76c9356990b465374a17f23f9ed35089bd969f61c6dde9998c1f",
+	'g': "5c7ff6b06f8f143fe8288433493e4769c4d988ace5be25a0e24809670716c613" +
+		"d7b0cee6932f8faa7c44d2cb24523da53fbe4f6ec3595892d1aa58c4328a06c4" +
+		"6a15662e7eaa703a1decf8bbb2d05dbe2eb956c142a338661d10461c0d135472" +
+		"085057f3494309ffa73c611f78b32adbb5740c361c9f35be90997db2014e2ef5" +
+		"aa61782f52abeb8bd6432c4dd097bc5423b285dafb60dc364e8161f4a2a35aca" +
+		"3a10b1c4d203cc76a470a33afdcbdd92959859abd8b56e1725252d78eac66e71" +
+		"ba9ae3f1dd2487199874393cd4d832186800654760e1e34c09e4d155179f9ec0" +
+		"dc4473f996bdce6eed1cabed8b6f116f7ad9cf505df0f998e34ab27514b0ffe7",
+	'x': "69c7548c21d0dfea6b9a51c9ead4e27c33d3b3f180316e5bcab92c933f0e4dbc"
+} ), [
+	["sha1", "sample",
+		"3a1b2dbd7489d6ed7e608fd036c83af396e290dbd602408e8677daabd6e7445a",
+		"d26fcba19fa3e3058ffc02ca1596cdbb6e0d20cb37b06054f7e36ded0cdbbccf"],
+	["sha224", "sample",
+		"dc9f4deada8d8ff588e98fed0ab690ffce858dc8c79376450eb6b76c24537e2c",
+		"a65a9c3bc7babe286b195d5da68616da8d47fa0097f36dd19f517327dc848cec"],
+	["sha256", "sample",
+		"eace8bdbbe353c432a795d9ec556c6d021f7a03f42c36e9bc87e4ac7932cc809",
+		"7081e175455f9247b812b74583e9e94f9ea79bd640dc962533b0680793a38d53"],
+	["sha384", "sample",
+		"b2da945e91858834fd9bf616ebac151edbc4b45d27d0dd4a7f6a22739f45c00b",
+		"19048b63d9fd6bca1d9bae3664e1bcb97f7276c306130969f63f38fa8319021b"],
+	["sha512", "sample",
+		"2016ed092dc5fb669b8efb3d1f31a91eecb199879be0cf78f02ba062cb4c942e",
+		"d0c76f84b5f091e141572a639a4fb8c230807eea7d55c8a154a224400aff2351"],
+	["sha1", "test",
+		"c18270a93cfc6063f57a4dfa86024f700d980e4cf4e2cb65a504397273d98ea0",
+		"414f22e5f31a8b6d33295c7539c1c1ba3a6160d7d68d50ac0d3a5beac2884faa"],
+	["sha224", "test",
+		"272aba31572f6cc55e30bf616b7a265312018dd325be031be0cc82aa17870ea3",
+		"e9cc286a52cce201586722d36d1e917eb96a4ebdb47932f9576ac645b3a60806"],
+	["sha256", "test",
+		"8190012a1969f9957d56fccaad223186f423398d58ef5b3cefd5a4146a4476f0",
+		"7452a53f7075d417b4b013b278d1bb8bbd21863f5e7b1cee679cf2188e1ab19e"],
+	["sha384", "test",
+		"239e66ddbe8f8c230a3d071d601b6ffbdfb5901f94d444c6af56f732beb954be",
+		"6bd737513d5e72fe85d1c750e0f73921fe299b945aad1c802f15c26a43d34961"],
+	["sha512", "test",
+		"89ec4bb1400eccff8e7d9aa515cd1de7803f2daff09693ee7fd1353e90a68307",
+		"c9f0bdabcc0d880bb137a994cc7f3980ce91cc10faf529fc46565b15cea854e1"]
+]);
+
+// deterministic option of Signature class
+let sigRFC6979 = new Signature(/** @type {Dictionary} */ ( { 'alg': "SHA256withECDSA", 'deterministic': true } ));
+let ecRFC6979 = new ECDSA(/** @type {Dictionary} */ ( { 'curve': "secp256r1" } ));
+ecRFC6979.setPrivateKeyHex("c9afa9d845ba75166b5c215767b1d6934e50c3db36e89b127b8a622b120f6721");
+sigRFC6979.init(ecRFC6979);
+check("RFC 6979 A.2.5 P-256 by Signature", sigRFC6979.signString("sample"),
+	ECDSA.hexRSSigToASN1Sig("efd48b2aacb6a8fd1140dd9cd45e81d69d2c877b56aaf991c34d0ea84eaf3716",
+		"f7cb1c942d657c41d436c7a1b6e29f65f3e900dbb9aff4064dc4ab2f843acda8"));
+
+// ===== xdh: RFC 7748 test vectors ==========================================
+
+check("lehextobi", lehextobi("0102").toString(16), "201");
+check("bitolehex", bitolehex(lehextobi("0102"), 4), "01020000");
+
+/**
+ * @param {string} name name of test
+ * @param {string} curve curve name
+ * @param {string} k hexadecimal string of scalar
+ * @param {string} u hexadecimal string of u-coordinate
+ * @param {string} expected hexadecimal string of output u-coordinate
+ */
+function checkXDH(name, curve, k, u, expected) {
+	let x = new XDH(/** @type {Dictionary} */ ( { 'curve': curve, 'prv': k } ));
+	check(name, x.getSharedSecretHex(u), expected);
+}
+
+// RFC 7748 5.2
+checkXDH("X25519 RFC 7748 5.2 #1", "X25519",
+	"a546e36bf0527c9d3b16154b82465edd62144c0ac1fc5a18506a2244ba449ac4",
+	"e6db6867583030db3594c1a424b15f7c726624ec26b3353b10a903a6d0ab1c4c",
+	"c3da55379de9c6908e94ea4df28d084f32eccf03491c71f754b4075577a28552");
+checkXDH("X25519 RFC 7748 5.2 #2", "X25519",
+	"4b66e9d4d1b4673c5ad22691957d6af5c11b6421e0ea01d42ca4169e7918ba0d",
+	"e5210f12786811d3f4b7959d0538ae2c31dbe7106fc03c3efc4cd549c715a493",
+	"95cbde9476e8907d7aade45cb4b873f88b595a68799fa152e6f8f7647aac7957");
+checkXDH("X25519 RFC 7748 5.2 one iteration", "X25519",
+	"0900000000000000000000000000000000000000000000000000000000000000",
+	"0900000000000000000000000000000000000000000000000000000000000000",
+	"422c8e7a6227d7bca1350b3e2bb7279f7897b87bb6854b783c60e80311ae3079");
+checkXDH("X448 RFC 7748 5.2 #1", "X448",
+	"3d262fddf9ec8e88495266fea19a34d28882acef045104d0d1aae121700a779c984c24f8cdd78fbff44943eba368f54b29259a4f1c600ad3",
+	"06fce640fa3487bfda5f6cf2d5263f8aad88334cbd07437f020f08f9814dc031ddbdc38c19c6da2583fa5429db94ada18aa7a7fb4ef8a086",
+	"ce3e4ff95a60dc6697da1db1d85e6afbdf79b50a2412d7546d5f239fe14fbaadeb445fc66a01b0779d98223961111e21766282f73dd96b6f");
+checkXDH("X448 RFC 7748 5.2 #2", "X448",
+	"203d494428b8399352665ddca42f9de8fef600908e0d461cb021f8c538345dd77c3e4806e25f46d3315c44e0a5b4371282dd2c8d5be3095f",
+	"0fbcc2f993cd56d3305b0b7d9e55d4c1a8fb5dbb52f8e9a1e9b6201b165d015894e56c4d3570bee52fe205e28a78b91cdfbde71ce8d157db",
+	"884a02576239ff7a2f2f63b2db6a9ff37047ac13568e1e30fe63c4a7ad1b3ee3a5700df34321d62077e63633c575c1c954514e99da7c179d");
+checkXDH("X448 RFC 7748 5.2 one iteration", "X448",
+	"0500000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000",
+	"0500000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000",
+	"3f482c8a9f19b01e6c46ee9711d9dc14fd4bf67af30765c2ae2b846a4d23a8cd0db897086239492caf350b51f833868b9bc2b3bca9cf4113");
+
+/**
+ * @param {string} name name of test
+ * @param {string} curve curve name
+ * @param {Array<string>} alice hexadecimal string of private and public key of Alice
+ * @param {Array<string>} bob hexadecimal string of private and public key of Bob
+ * @param {string} expected hexadecimal string of shared secret
+ */
+function checkXDHAgreement(name, curve, alice, bob, expected) {
+	let a = new XDH(/** @type {Dictionary} */ ( { 'curve': curve, 'prv': alice[0] } ));
+	let b = new XDH(/** @type {Dictionary} */ ( { 'curve': curve, 'prv': bob[0] } ));
+	check(name + " Alice's public key", a.getPublicKeyHex(), alice[1]);
+	check(name + " Bob's public key", b.getPublicKeyHex(), bob[1]);
+	check(name + " Alice's shared secret", a.getSharedSecretHex(bob[1]), expected);
+	check(name + " Bob's shared secret", b.getSharedSecretHex(a), expected);
+}
+
+// RFC 7748 6.1 and 6.2
+checkXDHAgreement("X25519 RFC 7748 6.1", "X25519", [
+	"77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a",
+	"8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a"
+], [
+	"5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb",
+	"de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f"
+], "4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742");
+checkXDHAgreement("X448 RFC 7748 6.2", "X448", [
+	"9a8f4925d1519f5775cf46b04b5800d4ee9ee8bae8bc5565d498c28dd9c9baf574a9419744897391006382a6f127ab1d9ac2d8c0a598726b",
+	"9b08f7cc31b7e3e67d22d5aea121074a273bd2b83de09c63faa73d2c22c5d9bbc836647241d953d40c5b12da88120d53177f80e532c41fa0"
+], [
+	"1c306a7ac2a0e2e0990b294470cba339e6453772b075811d8fad0d1d6927c120bb5ee8972b0d3e21374c9c921b09d1b0366f10b65173992d",
+	"3eb7a829b0cd20f5bcfc0b599b6feccf6da4627107bdb0d4f345b43027d8b972fc3e34fb4232a13ca706dcb57aec3dae07bdc1c67bf33609"
+], "07fff4181ac6cc95ec1c16a94a0f74d12da232ce40a77552281d282bb60c0b56fd2464c335543936521c24403085d59a449a5037514a879d");
+
+// ===== eddsa: RFC 8032 test vectors ========================================
+
+/**
+ * @param {string} name name of test
+ * @param {string} curve curve name
+ * @param {string} prvHex hexadecimal string of private key
+ * @param {string} pubHex hexadecimal string of public key
+ * @param {string} hMsg hexadecimal string of message
+ * @param {string|undefined} hContext hexadecimal string of context
+ * @param {string} hSig hexadecimal string of signature value
+ */
+function checkEdDSA(name, curve, prvHex, pubHex, hMsg, hContext, hSig) {
+	let prv = new EdDSA(/** @type {Dictionary} */ ( { 'curve': curve, 'prv': prvHex } ));
+	check(name + " public key", prv.getPublicKeyHex(), pubHex);
+	check(name + " sign", prv.signWithMessage(hMsg, hContext), hSig);
+	let pub = new EdDSA(/** @type {Dictionary} */ ( { 'curve': curve, 'pub': pubHex } ));
+	check(name + " verify", pub.verifyWithMessage(hMsg, hSig, hContext), true);
+}
+
+// RFC 8032 7.1
+checkEdDSA("Ed25519 RFC 8032 7.1 TEST 1", "Ed25519",
+	"9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60",
+	"d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a",
+	"",
+	undefined,
+	"e5564300c360ac729086e2cc806e828a84877f1eb8e5d974d873e06522490155" +
+		"5fb8821590a33bacc61e39701cf9b46bd25bf5f0595bbe24655141438e7a100b");
+checkEdDSA("Ed25519 RFC 8032 7.1 TEST 2", "Ed25519",
+	"4ccd089b28ff96da9db6c346ec114e0f5b8a319f35aba624da8cf6ed4fb8a6fb",
+	"3d4017c3e843895a92b70aa74d1b7ebc9c982ccf2ec4968cc0cd55f12af4660c",
+	"72",
+	undefined,
+	"92a009a9f0d4cab8720e820b5f642540a2b27b5416503f8fb3762223ebdb69da" +
+		"085ac1e43e15996e458f3613d0f11d8c387b2eaeb4302aeeb00d291612bb0c00");
+checkEdDSA("Ed25519 RFC 8032 7.1 TEST 3", "Ed25519",
+	"c5aa8df43f9f837bedb7442f31dcb7b166d38535076f094b85ce3a2e0b4458f7",
+	"fc51cd8e6218a1a38da47ed00230f0580816ed13ba3303ac5deb911548908025",
+	"af82",
+	undefined,
+	"6291d657deec24024827e69c3abe01a30ce548a284743a445e3680d7db5ac3ac" +
+		"18ff9b538d16f290ae67f760984dc6594a7c15e9716ed28dc027beceea1ec40a");
+checkEdDSA("Ed25519 RFC 8032 7.1 TEST SHA(abc)", "Ed25519",
+	"833fe62409237b9d62ec77587520911e9a759cec1d19755b7da901b96dca3d42",
+	"ec172b93ad5e563bf4932c70e1245034c35467ef2efd4d64ebf819683467e2bf",
+	"ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a" +
+		"2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f",
+	undefined,
+	"dc2a4459e7369633a52b1bf277839a00201009a3efbf3ecb69bea2186c26b589" +
+		"09351fc9ac90b3ecfdfbc7c66431e0303dca179c138ac17ad9bef1177331a704");
+
+// RFC 8032 7.4
+checkEdDSA("Ed448 RFC 8032 7.4 Blank", "Ed448",
+	"6c82a562cb808d10d632be89c8513ebf6c929f34ddfa8c9f63c9960ef6e348a3" +
+		"528c8a3fcc2f044e39a3fc5b94492f8f032e7549a20098f95b",
+	"5fd7449b59b461fd2ce787ec616ad46a1da1342485a70e1f8a0ea75d80e96778" +
+		"edf124769b46c7061bd6783df1e50f6cd1fa1abeafe8256180",
+	"",
+	undefined,
+	"533a37f6bbe457251f023c0d88f976ae2dfb504a843e34d2074fd823d41a591f" +
+		"2b233f034f628281f2fd7a22ddd47d7828c59bd0a21bfd3980ff0d2028d4b18a" +
+		"9df63e006c5d1c2d345b925d8dc00b4104852db99ac5c7cdda8530a113a0f4db" +
+		"b61149f05a7363268c71d95808ff2e652600");
+checkEdDSA("Ed448 RFC 8032 7.4 1 octet", "Ed448",
+	"c4eab05d357007c632f3dbb48489924d552b08fe0c353a0d4a1f00acda2c463a" +
+		"fbea67c5e8d2877c5e3bc397a659949ef8021e954e0a12274e",
+	"43ba28f430cdff456ae531545f7ecd0ac834a55d9358c0372bfa0c6c6798c086" +
+		"6aea01eb00742802b8438ea4cb82169c235160627b4c3a9480",
+	"03",
+	undefined,
+	"26b8f91727bd62897af15e41eb43c377efb9c610d48f2335cb0bd0087810f435" +
+		"2541b143c4b981b7e18f62de8ccdf633fc1bf037ab7cd779805e0dbcc0aae1cb" +
+		"cee1afb2e027df36bc04dcecbf154336c19f0af7e0a6472905e799f1953d2a0f" +
+		"f3348ab21aa4adafd1d234441cf807c03a00");
+checkEdDSA("Ed448 RFC 8032 7.4 1 octet (with context)", "Ed448",
+	"c4eab05d357007c632f3dbb48489924d552b08fe0c353a0d4a1f00acda2c463a" +
+		"fbea67c5e8d2877c5e3bc397a659949ef8021e954e0a12274e",
+	"43ba28f430cdff456ae531545f7ecd0ac834a55d9358c0372bfa0c6c6798c086" +
+		"6aea01eb00742802b8438ea4cb82169c235160627b4c3a9480",
+	"03",
+	"666f6f",
+	"d4f8f6131770dd46f40867d6fd5d5055de43541f8c5e35abbcd001b32a89f7d2" +
+		"151f7647f11d8ca2ae279fb842d607217fce6e042f6815ea000c85741de5c8da" +
+		"1144a6a1aba7f96de42505d7a7298524fda538fccbbb754f578c1cad10d54d0d" +
+		"5428407e85dcbc98a49155c13764e66c3c00");
+checkEdDSA("Ed448 RFC 8032 7.4 11 octets", "Ed448",
+	"cd23d24f714274e744343237b93290f511f6425f98e64459ff203e8985083ffd" +
+		"f60500553abc0e05cd02184bdb89c4ccd67e187951267eb328",
+	"dcea9e78f35a1bf3499a831b10b86c90aac01cd84b67a0109b55a36e9328b1e3" +
+		"65fce161d71ce7131a543ea4cb5f7e9f1d8b00696447001400",
+	"0c3e544074ec63b0265e0c",
+	undefined,
+	"1f0a8888ce25e8d458a21130879b840a9089d999aaba039eaf3e3afa090a09d3" +
+		"89dba82c4ff2ae8ac5cdfb7c55e94d5d961a29fe0109941e00b8dbdeea6d3b05" +
+		"1068df7254c0cdc129cbe62db2dc957dbb47b51fd3f213fb8698f064774250a5" +
+		"028961c9bf8ffd973fe5d5c206492b140e00");
+checkEdDSA("Ed448 RFC 8032 7.4 12 octets", "Ed448",
+	"258cdd4ada32ed9c9ff54e63756ae582fb8fab2ac721f2c8e676a72768513d93" +
+		"9f63dddb55609133f29adf86ec9929dccb52c1c5fd2ff7e21b",
+	"3ba16da0c6f2cc1f30187740756f5e798d6bc5fc015d7c63cc9510ee3fd44adc" +
+		"24d8e968b6e46e6f94d19b945361726bd75e149ef09817f580",
+	"64a65f3cdedcdd66811e2915",
+	undefined,
+	"7eeeab7c4e50fb799b418ee5e3197ff6bf15d43a14c34389b59dd1a7b1b85b4a" +
+		"e90438aca634bea45e3a2695f1270f07fdcdf7c62b8efeaf00b45c2c96ba457e" +
+		"b1a8bf075a3db28e5c24f6b923ed4ad747c3c9e03c7079efb87cb110d3a99861" +
+		"e72003cbae6d6b8b827e4e6c143064ff3c00");
+checkEdDSA("Ed448 RFC 8032 7.4 13 octets", "Ed448",
+	"7ef4e84544236752fbb56b8f31a23a10e42814f5f55ca037cdcc11c64c9a3b29" +
+		"49c1bb60700314611732a6c2fea98eebc0266a11a93970100e",
+	"b3da079b0aa493a5772029f0467baebee5a8112d9d3a22532361da294f7bb381" +
+		"5c5dc59e176b4d9f381ca0938e13c6c07b174be65dfa578e80",
+	"64a65f3cdedcdd66811e2915e7",
+	undefined,
+	"6a12066f55331b6c22acd5d5bfc5d71228fbda80ae8dec26bdd306743c5027cb" +
+		"4890810c162c027468675ecf645a83176c0d7323a2ccde2d80efe5a1268e8aca" +
+		"1d6fbc194d3f77c44986eb4ab4177919ad8bec33eb47bbb5fc6e28196fd1caf5" +
+		"6b4e7e0ba5519234d047155ac727a1053100");
+
+// signature with context shall not be verified by another context
+let edCtx = new EdDSA(/** @type {Dictionary} */ ( { 'curve': "Ed448",
+	'pub': "43ba28f430cdff456ae531545f7ecd0ac834a55d9358c0372bfa0c6c6798c086" +
+		"6aea01eb00742802b8438ea4cb82169c235160627b4c3a9480" } ));
+let edCtxSig = "d4f8f6131770dd46f40867d6fd5d5055de43541f8c5e35abbcd001b32a89f7d2" +
+	"151f7647f11d8ca2ae279fb842d607217fce6e042f6815ea000c85741de5c8da" +
+	"1144a6a1aba7f96de42505d7a7298524fda538fccbbb754f578c1cad10d54d0d" +
+	"5428407e85dcbc98a49155c13764e66c3c00";
+check("Ed448 RFC 8032 7.4 without context", edCtx.verifyWithMessage("03", edCtxSig), false);
+check("Ed448 RFC 8032 7.4 with other context", edCtx.verifyWithMessage("03", edCtxSig, "626172"), false);
+checkThrows("Ed25519 with context", function () {
+	new EdDSA(/** @type {Dictionary} */ ( { 'curve': "Ed25519",
+		'prv': "9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60" } )).signWithMessage("", "666f6f");
+});
+
+platform.console.log('js-rsasign', 'Test passed');